@@ -1,49 +1,148 @@
 import axios from 'axios';
-import { createLogger, format, transports } from 'winston';
-import { BITBROWSER_CONFIG, LOGGER_CONFIG, TEMP_FILES_CONFIG } from '../config/config.js';
-import fse from 'fs-extra';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-// 获取当前文件路径
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// 临时文件目录
-const TEMP_DIR = join(__dirname, '../temp');
-
-// 确保临时目录存在
-fse.ensureDirSync(TEMP_DIR);
-
-// 配置带颜色的日志
-const logger = createLogger({
-  level: LOGGER_CONFIG.level,
-  format: format.combine(
-    format.timestamp(LOGGER_CONFIG.format.timestamp),
-    format.printf(LOGGER_CONFIG.format.printf)
-  ),
-  transports: [new transports.Console()]
-});
+import { BITBROWSER_CONFIG, FINGERPRINT_CONFIG } from '../config/config.js';
+import { getLogger } from '../utils/logger.js';
+import {
+  BitBrowserError,
+  BitBrowserConnectionError,
+  BitBrowserApiError,
+  BitBrowserInvalidResponseError,
+  BitBrowserTimeoutError
+} from './errors.js';
+import { withRetry } from '../utils/retry.js';
+import { RateLimiter } from '../utils/rateLimiter.js';
+import { updateSessionState } from './runtimeState.js';
+import { resolveFingerprint } from '../fingerprint/presets.js';
+
+const logger = getLogger('bitbrowser');
+
+// 所有API请求共用的限流器
+const rateLimiter = new RateLimiter(BITBROWSER_CONFIG.rateLimit);
+
+// 表示请求未到达服务端的网络错误码，此类错误对非幂等请求也可以安全重试
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND', 'EPIPE'];
 
 /**
  * 验证API响应是否成功
  * @param {Object} response - API响应
  * @param {string} operation - 操作名称，用于日志
  * @returns {Object} - 响应数据
- * @throws {Error} - 如果响应不成功或格式不正确
+ * @throws {BitBrowserInvalidResponseError} - 如果响应格式不正确
+ * @throws {BitBrowserApiError} - 如果API返回失败
  */
 function validateResponse(response, operation) {
-  if (!response || !response.data) {
-    throw new Error(`Invalid response format from ${operation} API`);
+  if (!response || !response.data || typeof response.data !== 'object') {
+    throw new BitBrowserInvalidResponseError(`Invalid response format from ${operation} API`, { operation });
   }
   
   if (!response.data.success) {
-    throw new Error(`API request failed: ${response.data.message || 'Unknown error'}`);
+    const serverMessage = response.data.msg || response.data.message || 'Unknown error';
+    throw new BitBrowserApiError(`${operation} failed: ${serverMessage}`, {
+      operation,
+      serverMessage,
+      status: response.status
+    });
   }
   
   return response.data;
 }
 
+/**
+ * 将 axios 抛出的错误转换为对应的 BitBrowserError
+ * @param {Error} error - axios 错误
+ * @param {string} operation - 操作名称
+ * @returns {BitBrowserError}
+ */
+function toBitBrowserError(error, operation) {
+  if (error instanceof BitBrowserError) {
+    return error;
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new BitBrowserTimeoutError(`${operation} timed out after ${BITBROWSER_CONFIG.timeout}ms`, {
+      operation,
+      cause: error,
+      timeout: BITBROWSER_CONFIG.timeout
+    });
+  }
+
+  if (error.response) {
+    const data = error.response.data;
+    const serverMessage = (data && (data.msg || data.message)) || error.message;
+    return new BitBrowserApiError(`${operation} failed with HTTP ${error.response.status}: ${serverMessage}`, {
+      operation,
+      cause: error,
+      serverMessage,
+      status: error.response.status
+    });
+  }
+
+  if (CONNECTION_ERROR_CODES.includes(error.code)) {
+    return new BitBrowserConnectionError(
+      `Cannot connect to BitBrowser API at ${BITBROWSER_CONFIG.url} (${error.code}), is the BitBrowser client running?`,
+      { operation, cause: error, code: error.code }
+    );
+  }
+
+  return new BitBrowserError(`${operation} failed: ${error.message}`, { operation, cause: error });
+}
+
+/**
+ * 向比特浏览器本地API发送POST请求并验证响应
+ * 请求经过限流，临时性错误按 BITBROWSER_CONFIG.retry 自动重试
+ * @param {string} path - API路径，例如 '/browser/open'
+ * @param {Object} jsonData - 请求体
+ * @param {string} operation - 操作名称，用于日志
+ * @param {Object} [options] - 请求选项
+ * @param {boolean} [options.idempotent=true] - 为false时只在请求未到达服务端时重试，避免重复创建
+ * @returns {Promise<Object>} - 验证后的响应数据
+ * @throws {BitBrowserError} - 请求失败时抛出对应的子类
+ */
+async function postApi(path, jsonData, operation, options = {}) {
+  const idempotent = options.idempotent !== false;
+
+  // 针对单个浏览器的请求，重试等日志带上浏览器ID；请求体中的代理账号密码由日志器脱敏
+  const meta = typeof jsonData.id === 'string' ? { browserId: jsonData.id } : {};
+
+  return withRetry(async () => {
+    logger.debug(`Sending ${operation} request: ${JSON.stringify(jsonData)}`, meta);
+
+    let response;
+    try {
+      response = await rateLimiter.schedule(() => axios.post(
+        `${BITBROWSER_CONFIG.url}${path}`,
+        JSON.stringify(jsonData),
+        { headers: BITBROWSER_CONFIG.headers, timeout: BITBROWSER_CONFIG.timeout }
+      ));
+    } catch (error) {
+      throw toBitBrowserError(error, operation);
+    }
+
+    return validateResponse(response, operation);
+  }, {
+    ...BITBROWSER_CONFIG.retry,
+    shouldRetry: error => idempotent
+      ? error.retryable
+      : error instanceof BitBrowserConnectionError && error.code === 'ECONNREFUSED',
+    onRetry: (error, attempt, delay) => {
+      logger.warn(`${operation} failed (${error.message}), retry ${attempt}/${BITBROWSER_CONFIG.retry.retries} in ${delay}ms`, meta);
+    }
+  });
+}
+
+/**
+ * 合并指纹预设和显式传入的 browserFingerPrint 字段，后者优先
+ * @param {string|Object} [fingerprint] - 预设名称（可带 @version）或指纹对象，见 fingerprint/schema.js
+ * @param {Object} [browserFingerPrint] - 比特浏览器原始指纹字段
+ * @returns {Promise<Object|undefined>} - 合并后的 browserFingerPrint，两者都未传入时返回 undefined
+ * @throws {FingerprintValidationError|FingerprintPresetNotFoundError}
+ */
+async function buildBrowserFingerPrint(fingerprint, browserFingerPrint) {
+  if (!fingerprint) {
+    return browserFingerPrint;
+  }
+  return { ...(await resolveFingerprint(fingerprint)), ...browserFingerPrint };
+}
+
 /**
  * 创建比特浏览器
  * @param {Object} options - 浏览器配置选项
@@ -54,14 +153,21 @@ function validateResponse(response, operation) {
  * @param {string} [options.host=''] - 代理主机
  * @param {string} [options.port=''] - 代理端口
  * @param {string} [options.proxyUserName=''] - 代理账号
- * @param {Object} [options.browserFingerPrint] - 指纹对象
- * @param {string} [options.browserFingerPrint.coreVersion='124'] - 内核版本
+ * @param {string} [options.proxyPassword=''] - 代理密码
+ * @param {string} [options.groupId] - 分组ID
+ * @param {string|Object} [options.fingerprint] - 指纹预设名称或指纹对象，校验后转换为 browserFingerPrint；
+ *   未传入 fingerprint 和 browserFingerPrint 时使用 FINGERPRINT_CONFIG.defaultPreset
+ * @param {Object} [options.browserFingerPrint] - 指纹对象，字段覆盖 fingerprint 的转换结果
+ * @param {string} [options.browserFingerPrint.coreVersion] - 内核版本，默认 FINGERPRINT_CONFIG.defaultCoreVersion
  * @returns {Promise<string>} - 浏览器ID
+ * @throws {FingerprintValidationError|FingerprintPresetNotFoundError} - 指纹不合法或预设不存在时抛出
  */
 async function createBrowser(options = {}) {
   try {
     // 设置默认名称为'puppeteer'，同时允许通过参数覆盖
     const browserName = options.name || 'puppeteer';
+    const fingerprint = options.fingerprint || (options.browserFingerPrint ? undefined : FINGERPRINT_CONFIG.defaultPreset);
+    const browserFingerPrint = await buildBrowserFingerPrint(fingerprint, options.browserFingerPrint);
     
     const jsonData = {
       name: browserName,
@@ -71,24 +177,22 @@ async function createBrowser(options = {}) {
       host: options.host || '',
       port: options.port || '',
       proxyUserName: options.proxyUserName || '',
-      browserFingerPrint: options.browserFingerPrint || { coreVersion: '124' }
+      proxyPassword: options.proxyPassword || '',
+      groupId: options.groupId,
+      browserFingerPrint: browserFingerPrint || { coreVersion: FINGERPRINT_CONFIG.defaultCoreVersion }
     };
 
-    logger.debug(`Sending create browser request: ${JSON.stringify(jsonData)}`);
-    
-    const response = await axios.post(
-      `${BITBROWSER_CONFIG.url}/browser/update`,
-      JSON.stringify(jsonData),
-      { headers: BITBROWSER_CONFIG.headers }
-    );
+    if (jsonData.groupId === undefined) {
+      delete jsonData.groupId;
+    }
 
-    // 验证响应
-    const res = validateResponse(response, 'create browser');
+    // 创建不是幂等操作，超时后重试可能导致重复创建
+    const res = await postApi('/browser/update', jsonData, 'create browser', { idempotent: false });
     
     logger.info(`Browser created successfully: ${JSON.stringify(res)}`);
     
     const browserId = res.data.id;
-    logger.info(`Browser ID: ${browserId}`);
+    logger.info(`Browser ID: ${browserId}`, { browserId });
     return browserId;
   } catch (error) {
     logger.error(`Error in createBrowser: ${error.message}`, {
@@ -108,22 +212,14 @@ async function openBrowser(browserId) {
   try {
     const jsonData = { id: browserId };
     
-    logger.debug(`Sending open browser request: ${JSON.stringify(jsonData)}`);
-    
-    const response = await axios.post(
-      `${BITBROWSER_CONFIG.url}/browser/open`,
-      JSON.stringify(jsonData),
-      { headers: BITBROWSER_CONFIG.headers }
-    );
-
-    // 验证响应
-    const res = validateResponse(response, 'open browser');
+    const res = await postApi('/browser/open', jsonData, 'open browser');
     
-    logger.info(`Browser opened successfully: ${JSON.stringify(res)}`);
+    logger.info(`Browser opened successfully: ${JSON.stringify(res)}`, { browserId });
     
     return res;
   } catch (error) {
     logger.error(`Error in openBrowser: ${error.message}`, {
+      browserId,
       stack: error.stack,
       location: 'bitbrowser.js:openBrowser'
     });
@@ -140,22 +236,14 @@ async function closeBrowser(browserId) {
   try {
     const jsonData = { id: browserId };
     
-    logger.debug(`Sending close browser request: ${JSON.stringify(jsonData)}`);
+    const res = await postApi('/browser/close', jsonData, 'close browser');
     
-    const response = await axios.post(
-      `${BITBROWSER_CONFIG.url}/browser/close`,
-      JSON.stringify(jsonData),
-      { headers: BITBROWSER_CONFIG.headers }
-    );
-
-    // 验证响应
-    const res = validateResponse(response, 'close browser');
-    
-    logger.info(`Browser closed successfully: ${JSON.stringify(res)}`);
+    logger.info(`Browser closed successfully: ${JSON.stringify(res)}`, { browserId });
     
     return res;
   } catch (error) {
     logger.error(`Error in closeBrowser: ${error.message}`, {
+      browserId,
       stack: error.stack,
       location: 'bitbrowser.js:closeBrowser'
     });
@@ -172,22 +260,14 @@ async function deleteBrowser(browserId) {
   try {
     const jsonData = { id: browserId };
     
-    logger.debug(`Sending delete browser request: ${JSON.stringify(jsonData)}`);
+    const res = await postApi('/browser/delete', jsonData, 'delete browser');
     
-    const response = await axios.post(
-      `${BITBROWSER_CONFIG.url}/browser/delete`,
-      JSON.stringify(jsonData),
-      { headers: BITBROWSER_CONFIG.headers }
-    );
-
-    // 验证响应
-    const res = validateResponse(response, 'delete browser');
-    
-    logger.info(`Browser deleted successfully: ${JSON.stringify(res)}`);
+    logger.info(`Browser deleted successfully: ${JSON.stringify(res)}`, { browserId });
     
     return res;
   } catch (error) {
     logger.error(`Error in deleteBrowser: ${error.message}`, {
+      browserId,
       stack: error.stack,
       location: 'bitbrowser.js:deleteBrowser'
     });
@@ -199,20 +279,38 @@ async function deleteBrowser(browserId) {
  * 更新比特浏览器
  * @param {Object} options - 更新选项
  * @param {Array<string>} options.ids - 要更新的浏览器ID数组
+ * @param {string} [options.name] - 新的名称
  * @param {string} [options.remark] - 新的备注
- * @param {Object} [options.browserFingerPrint] - 新的指纹对象
+ * @param {string} [options.groupId] - 新的分组ID
+ * @param {number} [options.proxyMethod] - 代理方式 2自定义 3提取IP
+ * @param {string} [options.proxyType] - 代理类型 ['noproxy', 'http', 'https', 'socks5', 'ssh']
+ * @param {string} [options.host] - 代理主机
+ * @param {string} [options.port] - 代理端口
+ * @param {string} [options.proxyUserName] - 代理账号
+ * @param {string} [options.proxyPassword] - 代理密码
+ * @param {string|Object} [options.fingerprint] - 新的指纹预设名称或指纹对象，校验后转换为 browserFingerPrint
+ * @param {Object} [options.browserFingerPrint] - 新的指纹对象，字段覆盖 fingerprint 的转换结果
  * @returns {Promise<Object>} - 更新结果
+ * @throws {FingerprintValidationError|FingerprintPresetNotFoundError} - 指纹不合法或预设不存在时抛出
  */
 async function updateBrowser(options) {
   try {
     if (!options.ids || options.ids.length === 0) {
-      throw new Error('Browser IDs are required for update');
+      throw new TypeError('Browser IDs are required for update');
     }
     
     const jsonData = {
       ids: options.ids,
+      name: options.name,
       remark: options.remark,
-      browserFingerPrint: options.browserFingerPrint
+      groupId: options.groupId,
+      proxyMethod: options.proxyMethod,
+      proxyType: options.proxyType,
+      host: options.host,
+      port: options.port,
+      proxyUserName: options.proxyUserName,
+      proxyPassword: options.proxyPassword,
+      browserFingerPrint: await buildBrowserFingerPrint(options.fingerprint, options.browserFingerPrint)
     };
     
     // 过滤掉未定义的属性
@@ -222,16 +320,7 @@ async function updateBrowser(options) {
       }
     });
 
-    logger.debug(`Sending update browser request: ${JSON.stringify(jsonData)}`);
-    
-    const response = await axios.post(
-      `${BITBROWSER_CONFIG.url}/browser/update/partial`,
-      JSON.stringify(jsonData),
-      { headers: BITBROWSER_CONFIG.headers }
-    );
-
-    // 验证响应
-    const res = validateResponse(response, 'update browser');
+    const res = await postApi('/browser/update/partial', jsonData, 'update browser');
     
     logger.info(`Browser updated successfully: ${JSON.stringify(res)}`);
     
@@ -245,6 +334,254 @@ async function updateBrowser(options) {
   }
 }
 
+/**
+ * 分页查询比特浏览器列表
+ * @param {Object} [options] - 查询选项
+ * @param {number} [options.page=0] - 页码，从0开始
+ * @param {number} [options.pageSize=100] - 每页数量，最大100
+ * @param {string} [options.groupId] - 分组ID
+ * @param {string} [options.name] - 按名称模糊查询
+ * @param {string} [options.remark] - 按备注模糊查询
+ * @param {number} [options.seq] - 按序号查询
+ * @returns {Promise<{list: Array<Object>, totalNum: number, page: number, pageSize: number}>} - 当前页数据
+ */
+async function listBrowsers(options = {}) {
+  try {
+    const jsonData = {
+      page: options.page || 0,
+      pageSize: options.pageSize || 100,
+      groupId: options.groupId,
+      name: options.name,
+      remark: options.remark,
+      seq: options.seq
+    };
+
+    // 过滤掉未定义的属性
+    Object.keys(jsonData).forEach(key => {
+      if (jsonData[key] === undefined) {
+        delete jsonData[key];
+      }
+    });
+
+    const res = await postApi('/browser/list', jsonData, 'list browsers');
+
+    const data = res.data || {};
+    const list = data.list || [];
+    logger.debug(`Listed ${list.length} browsers on page ${jsonData.page}`);
+
+    return {
+      list,
+      totalNum: data.totalNum ?? list.length,
+      page: jsonData.page,
+      pageSize: jsonData.pageSize
+    };
+  } catch (error) {
+    logger.error(`Error in listBrowsers: ${error.message}`, {
+      stack: error.stack,
+      location: 'bitbrowser.js:listBrowsers'
+    });
+    throw error;
+  }
+}
+
+/**
+ * 遍历所有比特浏览器（自动翻页）
+ * @example
+ * for await (const browser of iterateBrowsers({ groupId })) {
+ *   console.log(browser.id, browser.name);
+ * }
+ * @param {Object} [options] - 查询选项，同 listBrowsers，page 为起始页码
+ * @returns {AsyncGenerator<Object>} - 逐个返回浏览器信息
+ */
+async function* iterateBrowsers(options = {}) {
+  let page = options.page || 0;
+  let fetched = 0;
+
+  while (true) {
+    const { list, totalNum, pageSize } = await listBrowsers({ ...options, page });
+
+    for (const browser of list) {
+      yield browser;
+    }
+
+    fetched += list.length;
+    // 当前页不满或已取完全部数据时结束
+    if (list.length < pageSize || fetched >= totalNum) {
+      return;
+    }
+    page++;
+  }
+}
+
+/**
+ * 获取比特浏览器详情
+ * @param {string} browserId - 浏览器ID
+ * @returns {Promise<Object>} - 浏览器详情
+ */
+async function getBrowserDetail(browserId) {
+  try {
+    const jsonData = { id: browserId };
+
+    const res = await postApi('/browser/detail', jsonData, 'browser detail');
+
+    logger.debug(`Browser detail retrieved: ${browserId}`, { browserId });
+
+    return res.data;
+  } catch (error) {
+    logger.error(`Error in getBrowserDetail: ${error.message}`, {
+      browserId,
+      stack: error.stack,
+      location: 'bitbrowser.js:getBrowserDetail'
+    });
+    throw error;
+  }
+}
+
+/**
+ * 对一组浏览器ID并发执行操作，单个失败不影响其他
+ * @param {Array<string>} browserIds - 浏览器ID数组
+ * @param {Function} action - 针对单个ID执行的异步函数
+ * @param {number} concurrency - 最大并发数
+ * @returns {Promise<Array<{id: string, success: boolean, data?: Object, error?: Error}>>} - 每个ID的执行结果
+ */
+async function runBatch(browserIds, action, concurrency) {
+  const results = new Array(browserIds.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < browserIds.length) {
+      const index = next++;
+      const id = browserIds[index];
+      try {
+        results[index] = { id, success: true, data: await action(id) };
+      } catch (error) {
+        results[index] = { id, success: false, error };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(concurrency, browserIds.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * 批量打开比特浏览器
+ * @param {Array<string>} browserIds - 浏览器ID数组
+ * @param {Object} [options] - 批量选项
+ * @param {number} [options.concurrency=3] - 最大并发数
+ * @returns {Promise<Array<{id: string, success: boolean, data?: Object, error?: Error}>>} - 每个浏览器的打开结果
+ */
+async function openBrowsers(browserIds, options = {}) {
+  if (!browserIds || browserIds.length === 0) {
+    throw new TypeError('Browser IDs are required for batch open');
+  }
+
+  const results = await runBatch(browserIds, openBrowser, options.concurrency || 3);
+  const failed = results.filter(result => !result.success).length;
+  logger.info(`Batch open finished: ${results.length - failed} succeeded, ${failed} failed`);
+  return results;
+}
+
+/**
+ * 批量关闭比特浏览器
+ * @param {Array<string>} browserIds - 浏览器ID数组
+ * @param {Object} [options] - 批量选项
+ * @param {number} [options.concurrency=3] - 最大并发数
+ * @returns {Promise<Array<{id: string, success: boolean, data?: Object, error?: Error}>>} - 每个浏览器的关闭结果
+ */
+async function closeBrowsers(browserIds, options = {}) {
+  if (!browserIds || browserIds.length === 0) {
+    throw new TypeError('Browser IDs are required for batch close');
+  }
+
+  const results = await runBatch(browserIds, closeBrowser, options.concurrency || 3);
+  const failed = results.filter(result => !result.success).length;
+  logger.info(`Batch close finished: ${results.length - failed} succeeded, ${failed} failed`);
+  return results;
+}
+
+/**
+ * 查询已打开的比特浏览器及其进程ID
+ * @param {Array<string>} [browserIds] - 要查询的浏览器ID数组，不传则返回所有已打开的浏览器
+ * @param {Object} [options] - 查询选项
+ * @param {boolean} [options.alive=false] - 为true时只返回进程仍然存活的浏览器
+ * @returns {Promise<Object<string, number>>} - 浏览器ID到进程ID的映射
+ */
+async function getBrowserPids(browserIds, options = {}) {
+  try {
+    let res;
+    if (!browserIds || browserIds.length === 0) {
+      res = await postApi('/browser/pids/all', {}, 'browser pids');
+    } else {
+      const path = options.alive ? '/browser/pids/alive' : '/browser/pids';
+      res = await postApi(path, { ids: browserIds }, 'browser pids');
+    }
+
+    const pids = res.data || {};
+    logger.debug(`Open browsers: ${JSON.stringify(pids)}`);
+
+    return pids;
+  } catch (error) {
+    logger.error(`Error in getBrowserPids: ${error.message}`, {
+      stack: error.stack,
+      location: 'bitbrowser.js:getBrowserPids'
+    });
+    throw error;
+  }
+}
+
+/**
+ * 排列比特浏览器窗口
+ * @param {Object} [options] - 排列选项
+ * @param {string} [options.type='box'] - 排列方式 box宫格 diagonal对角线
+ * @param {number} [options.startX=0] - 起始X坐标
+ * @param {number} [options.startY=0] - 起始Y坐标
+ * @param {number} [options.width=500] - 窗口宽度
+ * @param {number} [options.height=500] - 窗口高度
+ * @param {number} [options.col=3] - 每行窗口数
+ * @param {number} [options.spaceX=0] - 窗口横向间距
+ * @param {number} [options.spaceY=0] - 窗口纵向间距
+ * @param {number} [options.offsetX=50] - 对角线排列时的横向偏移
+ * @param {number} [options.offsetY=50] - 对角线排列时的纵向偏移
+ * @param {Array<number>} [options.seqlist=[]] - 要排列的浏览器序号，为空时排列所有已打开的窗口
+ * @param {boolean} [options.flexable=false] - 为true时自适应排列，忽略尺寸参数
+ * @returns {Promise<Object>} - 排列结果
+ */
+async function arrangeWindows(options = {}) {
+  try {
+    let res;
+    if (options.flexable) {
+      res = await postApi('/windowbounds/flexable', { seqlist: options.seqlist || [] }, 'arrange windows');
+    } else {
+      const jsonData = {
+        type: options.type || 'box',
+        startX: options.startX ?? 0,
+        startY: options.startY ?? 0,
+        width: options.width ?? 500,
+        height: options.height ?? 500,
+        col: options.col ?? 3,
+        spaceX: options.spaceX ?? 0,
+        spaceY: options.spaceY ?? 0,
+        offsetX: options.offsetX ?? 50,
+        offsetY: options.offsetY ?? 50,
+        seqlist: options.seqlist || []
+      };
+      res = await postApi('/windowbounds', jsonData, 'arrange windows');
+    }
+
+    logger.info('Windows arranged successfully');
+
+    return res;
+  } catch (error) {
+    logger.error(`Error in arrangeWindows: ${error.message}`, {
+      stack: error.stack,
+      location: 'bitbrowser.js:arrangeWindows'
+    });
+    throw error;
+  }
+}
+
 /**
  * 获取比特浏览器调试信息
  * @param {string} browserId - 浏览器ID
@@ -256,19 +593,21 @@ async function getBrowserDebugInfo(browserId) {
     
     // 验证响应数据
     if (!res || !res.data) {
-      throw new Error('Invalid response data from open browser API');
+      throw new BitBrowserInvalidResponseError('Invalid response data from open browser API', { operation: 'open browser' });
     }
     
     // 检查必要的字段是否存在
     if (!res.data.http) {
-      throw new Error('Browser debug information is incomplete (missing http endpoint)');
+      throw new BitBrowserInvalidResponseError('Browser debug information is incomplete (missing http endpoint)', {
+        operation: 'open browser'
+      });
     }
     
     // 确保WebSocket URL格式正确（添加ws://前缀）
     let debuggerAddress = res.data.http;
     if (!debuggerAddress.startsWith('ws://') && !debuggerAddress.startsWith('wss://')) {
       debuggerAddress = `ws://${debuggerAddress}`;
-      logger.info(`Added 'ws://' prefix to debugger address: ${debuggerAddress}`);
+      logger.info(`Added 'ws://' prefix to debugger address: ${debuggerAddress}`, { browserId });
     }
     
     // 尝试通过HTTP端点获取WebSocket调试URL
@@ -278,13 +617,13 @@ async function getBrowserDebugInfo(browserId) {
       
       if (wsDebugUrl) {
         debuggerAddress = wsDebugUrl;
-        logger.info(`Successfully retrieved WebSocket debugger URL: ${debuggerAddress}`);
+        logger.info(`Successfully retrieved WebSocket debugger URL: ${debuggerAddress}`, { browserId });
       } else {
-        logger.warn('Failed to retrieve WebSocket debugger URL, using default endpoint');
+        logger.warn('Failed to retrieve WebSocket debugger URL, using default endpoint', { browserId });
       }
     } catch (httpError) {
-      logger.warn(`Error fetching WebSocket debugger URL: ${httpError.message}`);
-      logger.warn('Using default WebSocket endpoint');
+      logger.warn(`Error fetching WebSocket debugger URL: ${httpError.message}`, { browserId });
+      logger.warn('Using default WebSocket endpoint', { browserId });
     }
     
     const debugInfo = {
@@ -293,14 +632,14 @@ async function getBrowserDebugInfo(browserId) {
       chromePort: debuggerAddress.split(':')[2] // 提取端口号
     };
     
-    // 保存调试信息到临时文件
-    const debugInfoPath = join(__dirname, '../', TEMP_FILES_CONFIG.wsEndpointFilePath);
-    fse.writeJSONSync(debugInfoPath, debugInfo);
+    // 按浏览器ID和进程ID保存调试信息，会话结束时删除
+    await updateSessionState(browserId, { debugInfo });
     
-    logger.info(`Browser debug info saved to: ${debugInfoPath}`);
+    logger.info(`Browser debug info saved for browser ${browserId}`, { browserId });
     return debugInfo;
   } catch (error) {
     logger.error(`Error in getBrowserDebugInfo: ${error.message}`, {
+      browserId,
       stack: error.stack,
       location: 'bitbrowser.js:getBrowserDebugInfo'
     });
@@ -319,14 +658,14 @@ async function generatePuppeteerRealBrowserConfig(browserId) {
     
     // 验证调试信息
     if (!debugInfo || !debugInfo.debuggerAddress) {
-      throw new Error('Failed to get valid browser debug info');
+      throw new BitBrowserInvalidResponseError('Failed to get valid browser debug info', { operation: 'open browser' });
     }
     
     // 确保WebSocket URL格式正确
     let wsEndpoint = debugInfo.debuggerAddress;
     if (!wsEndpoint.startsWith('ws://') && !wsEndpoint.startsWith('wss://')) {
       wsEndpoint = `ws://${wsEndpoint}`;
-      logger.info(`Added 'ws://' prefix to WebSocket endpoint: ${wsEndpoint}`);
+      logger.info(`Added 'ws://' prefix to WebSocket endpoint: ${wsEndpoint}`, { browserId });
     }
     
     // 创建配置对象
@@ -337,14 +676,14 @@ async function generatePuppeteerRealBrowserConfig(browserId) {
       executablePath: debugInfo.driverPath
     };
     
-    // 保存配置到临时文件
-    const configPath = join(__dirname, '../', TEMP_FILES_CONFIG.configFilePath);
-    fse.writeJSONSync(configPath, config);
+    // 按浏览器ID和进程ID保存配置，会话结束时删除
+    await updateSessionState(browserId, { config });
     
-    logger.info(`Puppeteer-real-browser config saved to: ${configPath}`);
+    logger.info(`Puppeteer-real-browser config saved for browser ${browserId}`, { browserId });
     return config;
   } catch (error) {
     logger.error(`Error in generatePuppeteerRealBrowserConfig: ${error.message}`, {
+      browserId,
       stack: error.stack,
       location: 'bitbrowser.js:generatePuppeteerRealBrowserConfig'
     });
@@ -358,6 +697,18 @@ export {
   closeBrowser,
   deleteBrowser,
   updateBrowser,
+  listBrowsers,
+  iterateBrowsers,
+  getBrowserDetail,
+  openBrowsers,
+  closeBrowsers,
+  getBrowserPids,
+  arrangeWindows,
   getBrowserDebugInfo,
-  generatePuppeteerRealBrowserConfig
+  generatePuppeteerRealBrowserConfig,
+  BitBrowserError,
+  BitBrowserConnectionError,
+  BitBrowserApiError,
+  BitBrowserInvalidResponseError,
+  BitBrowserTimeoutError
 };
@@ -0,0 +1,295 @@
+import fse from 'fs-extra';
+import { join } from 'path';
+import { CAPTURE_CONFIG } from '../config/config.js';
+import { waitForSelector } from './wait.js';
+
+/**
+ * 截取单个元素
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {string} selector - 元素选择器，等待元素可见后截取
+ * @param {Object} [options] - page.screenshot 的选项（path、type、quality 等），另有 timeout
+ * @returns {Promise<Buffer>} - 截图数据
+ */
+async function captureElement(page, selector, options = {}) {
+  const { timeout, ...screenshotOptions } = options;
+  const element = await waitForSelector(page, selector, { timeout });
+  return element.screenshot(screenshotOptions);
+}
+
+/**
+ * 导出PDF，只有无头模式的 Chrome 支持
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {Object} [options] - page.pdf 的选项（path、format、landscape 等）
+ * @returns {Promise<Buffer>} - PDF 数据
+ */
+async function capturePdf(page, options = {}) {
+  return page.pdf({ format: 'A4', printBackground: true, ...options });
+}
+
+/**
+ * 保存页面快照
+ * mhtml 包含图片、样式等资源，可以离线打开；html 为当前 DOM 序列化后的源码
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {Object} [options] - 选项
+ * @param {string} [options.format='mhtml'] - mhtml 或 html
+ * @param {string} [options.path] - 保存路径，省略时只返回内容
+ * @returns {Promise<string>} - 快照内容
+ */
+async function captureSnapshot(page, options = {}) {
+  const { format = 'mhtml', path } = options;
+  let content;
+  if (format === 'html') {
+    content = await page.content();
+  } else if (format === 'mhtml') {
+    const session = await page.createCDPSession();
+    try {
+      ({ data: content } = await session.send('Page.captureSnapshot', { format: 'mhtml' }));
+    } finally {
+      await session.detach().catch(() => {});
+    }
+  } else {
+    throw new TypeError(`Invalid snapshot format "${format}", expected mhtml or html`);
+  }
+
+  if (path) {
+    await fse.outputFile(path, content);
+  }
+  return content;
+}
+
+/**
+ * 通过 CDP 的 Page.startScreencast 录屏，每一帧保存为单独的图片
+ * 目录中的 frames.json 记录每一帧的文件名和时间戳（秒），可以用 ffmpeg 等工具合成视频
+ */
+class Screencast {
+  /**
+   * @param {import('puppeteer').Page} page - 页面
+   * @param {string} dir - 帧的保存目录
+   * @param {Object} [options] - 选项，默认取 capture 配置
+   * @param {string} [options.format] - jpeg 或 png
+   * @param {number} [options.quality] - jpeg 质量，0-100
+   * @param {number} [options.everyNthFrame] - 每隔几帧保存一帧
+   * @param {number} [options.maxWidth] - 最大宽度
+   * @param {number} [options.maxHeight] - 最大高度
+   */
+  constructor(page, dir, options = {}) {
+    this.page = page;
+    this.dir = dir;
+    this.options = {
+      format: options.format ?? CAPTURE_CONFIG.screencastFormat,
+      quality: options.quality ?? CAPTURE_CONFIG.screencastQuality,
+      everyNthFrame: options.everyNthFrame ?? CAPTURE_CONFIG.screencastEveryNthFrame,
+      ...(options.maxWidth ? { maxWidth: options.maxWidth } : {}),
+      ...(options.maxHeight ? { maxHeight: options.maxHeight } : {})
+    };
+    this.session = null;
+    this.frames = [];
+    // 正在写入的帧，停止时等待写入完成
+    this.pending = new Set();
+  }
+
+  /**
+   * 开始录屏
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await fse.ensureDir(this.dir);
+    this.session = await this.page.createCDPSession();
+    this.session.on('Page.screencastFrame', frame => {
+      const write = this.saveFrame(frame);
+      this.pending.add(write);
+      write.finally(() => this.pending.delete(write));
+    });
+    await this.session.send('Page.startScreencast', this.options);
+  }
+
+  /**
+   * 保存一帧并确认，Chrome 收到确认后才发送下一帧
+   * @private
+   * @param {{data: string, metadata: {timestamp?: number}, sessionId: number}} frame - 帧
+   * @returns {Promise<void>}
+   */
+  async saveFrame({ data, metadata, sessionId }) {
+    const file = `frame-${String(this.frames.length + 1).padStart(5, '0')}.${this.options.format === 'png' ? 'png' : 'jpg'}`;
+    this.frames.push({ file, timestamp: metadata.timestamp ?? Date.now() / 1000 });
+    try {
+      await fse.writeFile(join(this.dir, file), Buffer.from(data, 'base64'));
+      await this.session.send('Page.screencastFrameAck', { sessionId });
+    } catch (error) {
+      // 停止录屏后到达的帧无法确认，忽略
+    }
+  }
+
+  /**
+   * 停止录屏，等待所有帧写入后保存 frames.json
+   * @returns {Promise<{dir: string, frames: number}>}
+   */
+  async stop() {
+    if (this.session) {
+      await this.session.send('Page.stopScreencast').catch(() => {});
+      await Promise.allSettled([...this.pending]);
+      await this.session.detach().catch(() => {});
+      this.session = null;
+    }
+    await fse.writeJSON(join(this.dir, 'frames.json'), this.frames, { spaces: 2 });
+    return { dir: this.dir, frames: this.frames.length };
+  }
+}
+
+/**
+ * 标签页活动日志：保留每个标签页最近的控制台消息、页面错误和网络请求，出错时写入失败现场
+ */
+class ActivityLog {
+  /**
+   * @param {Object} [options] - 选项，默认取 capture 配置
+   * @param {number} [options.consoleLogSize] - 每个标签页保留的控制台消息数
+   * @param {number} [options.networkLogSize] - 每个标签页保留的网络请求数
+   */
+  constructor(options = {}) {
+    this.consoleLogSize = options.consoleLogSize ?? CAPTURE_CONFIG.consoleLogSize;
+    this.networkLogSize = options.networkLogSize ?? CAPTURE_CONFIG.networkLogSize;
+    this.logs = new WeakMap();
+  }
+
+  /**
+   * 开始记录标签页的活动
+   * @param {import('puppeteer').Page} page - 页面
+   */
+  attach(page) {
+    if (this.logs.has(page)) {
+      return;
+    }
+    const log = { console: [], network: [] };
+    this.logs.set(page, log);
+
+    page.on('console', message => {
+      const { url, lineNumber } = message.location() || {};
+      this.push(log.console, {
+        time: new Date().toISOString(),
+        type: message.type(),
+        text: message.text(),
+        ...(url ? { location: `${url}:${lineNumber ?? 0}` } : {})
+      }, this.consoleLogSize);
+    });
+    page.on('pageerror', error => {
+      this.push(log.console, { time: new Date().toISOString(), type: 'pageerror', text: error.message || String(error) }, this.consoleLogSize);
+    });
+    page.on('requestfinished', request => {
+      const response = request.response();
+      this.push(log.network, {
+        time: new Date().toISOString(),
+        method: request.method(),
+        url: request.url(),
+        resourceType: request.resourceType(),
+        status: response ? response.status() : null
+      }, this.networkLogSize);
+    });
+    page.on('requestfailed', request => {
+      this.push(log.network, {
+        time: new Date().toISOString(),
+        method: request.method(),
+        url: request.url(),
+        resourceType: request.resourceType(),
+        status: null,
+        error: request.failure() ? request.failure().errorText : 'unknown'
+      }, this.networkLogSize);
+    });
+  }
+
+  /**
+   * 追加记录，超过上限时丢弃最早的记录
+   * @private
+   * @param {Array<Object>} entries - 记录列表
+   * @param {Object} entry - 新记录
+   * @param {number} size - 保留的条数
+   */
+  push(entries, entry, size) {
+    entries.push(entry);
+    if (entries.length > size) {
+      entries.splice(0, entries.length - size);
+    }
+  }
+
+  /**
+   * 获取标签页最近的活动
+   * @param {import('puppeteer').Page} page - 页面
+   * @returns {{console: Array<Object>, network: Array<Object>}}
+   */
+  get(page) {
+    const log = this.logs.get(page);
+    return log ? { console: [...log.console], network: [...log.network] } : { console: [], network: [] };
+  }
+}
+
+/**
+ * 在超时前完成任务，否则以超时错误结束
+ * @param {Promise<T>} promise - 任务
+ * @param {number} timeout - 超时时间（毫秒）
+ * @returns {Promise<T>}
+ * @template T
+ */
+function withDeadline(promise, timeout) {
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 保存失败现场: screenshot.png、dom.html、console.json、network.json 和包含错误与当前URL的 error.json
+ * 每一项单独捕获，页面崩溃或无响应时仍会保存能拿到的部分，不会抛出
+ * @param {import('puppeteer').Page} page - 出错的页面
+ * @param {string} dir - 保存目录
+ * @param {Object} details - 现场信息
+ * @param {string} details.method - 出错的控制器方法
+ * @param {Error} details.error - 错误
+ * @param {{console: Array<Object>, network: Array<Object>}} [details.activity] - 最近的活动，见 ActivityLog
+ * @param {number} [details.timeout] - 每一项的超时（毫秒），默认取 capture.failureTimeout
+ * @returns {Promise<{dir: string, files: Array<string>, errors: Object}>} - 保存的文件和未能保存的项及原因
+ */
+async function captureFailureBundle(page, dir, details) {
+  const { method, error, activity = { console: [], network: [] }, timeout = CAPTURE_CONFIG.failureTimeout } = details;
+  await fse.ensureDir(dir);
+  const files = [];
+  const errors = {};
+
+  const save = async (file, capture) => {
+    try {
+      await withDeadline(capture(join(dir, file)), timeout);
+      files.push(file);
+    } catch (captureError) {
+      errors[file] = captureError.message;
+    }
+  };
+
+  await save('screenshot.png', path => page.screenshot({ path, fullPage: true }));
+  await save('dom.html', async path => fse.outputFile(path, await page.content()));
+  await save('console.json', path => fse.writeJSON(path, activity.console, { spaces: 2 }));
+  await save('network.json', path => fse.writeJSON(path, activity.network, { spaces: 2 }));
+
+  let url = null;
+  try {
+    url = page.url();
+  } catch (urlError) {
+    // 页面已关闭
+  }
+  await save('error.json', path => fse.writeJSON(path, {
+    method,
+    url,
+    capturedAt: new Date().toISOString(),
+    error: { name: error.name, message: error.message, stack: error.stack },
+    ...(Object.keys(errors).length > 0 ? { missing: errors } : {})
+  }, { spaces: 2 }));
+
+  return { dir, files, errors };
+}
+
+export {
+  captureElement,
+  capturePdf,
+  captureSnapshot,
+  captureFailureBundle,
+  Screencast,
+  ActivityLog
+};
@@ -0,0 +1,233 @@
+import { CHALLENGE_CONFIG } from '../config/config.js';
+import { poll, WaitTimeoutError } from './wait.js';
+
+// 验证类型：interstitial（Cloudflare 全页验证）、turnstile（页面中的 Turnstile 组件）、captcha（其他验证码）、blocked（拦截页）
+const CHALLENGE_TYPES = ['interstitial', 'turnstile', 'captcha', 'blocked'];
+
+// navigateTo 默认等待的验证类型，这两类验证通常由 puppeteer-real-browser 的 turnstile 选项自动通过
+const SELF_RESOLVING_TYPES = ['interstitial', 'turnstile'];
+
+// 验证结果：solved（已通过）、blocked（被拦截）、timeout（等待超时）、pending（未等待，仍在页面上）
+const CHALLENGE_RESULTS = ['solved', 'blocked', 'timeout', 'pending'];
+
+// 在页面中查找的验证元素，键为信号名
+const CHALLENGE_SELECTORS = {
+  cloudflareChallenge: '#challenge-form, #challenge-stage, #challenge-running, #challenge-body-text, #cf-challenge-running',
+  cloudflareError: '#cf-error-details, .cf-error-details',
+  turnstile: '.cf-turnstile, iframe[src*="challenges.cloudflare.com"]',
+  recaptcha: '.g-recaptcha, iframe[src*="/recaptcha/"]',
+  hcaptcha: '.h-captcha, iframe[src*="hcaptcha.com"]',
+  perimeterx: '#px-captcha',
+  datadome: 'iframe[src*="captcha-delivery.com"]'
+};
+
+// 验证通过后填入令牌的表单字段
+const TOKEN_FIELDS = {
+  turnstile: '[name="cf-turnstile-response"]',
+  recaptcha: '[name="g-recaptcha-response"]',
+  hcaptcha: '[name="h-captcha-response"]'
+};
+
+// 验证码类信号对应的厂商
+const CAPTCHA_VENDORS = ['recaptcha', 'hcaptcha', 'perimeterx', 'datadome'];
+
+// Cloudflare 全页验证的标题，后两种也用于其他页面，需要有其他特征才认定
+const INTERSTITIAL_TITLE = /^just a moment\b/i;
+const WEAK_INTERSTITIAL_TITLE = /^(attention required|please wait)\b/i;
+
+// 拦截页的标题和正文
+const BLOCKED_TEXT = /access denied|you have been blocked|request (has been |was )?blocked|error 10(06|07|08|20)\b|forbidden/i;
+
+// 拦截页常见的HTTP状态码
+const BLOCKED_STATUSES = [401, 403, 429, 451];
+
+// 其他验证码页的标题
+const CAPTCHA_TITLE = /captcha|are you (a )?(human|robot)|verify you are (a )?human|bot check/i;
+
+/**
+ * 人机验证未通过（被拦截、等待超时或未等待），error.outcome 为验证结果
+ */
+class ChallengeError extends Error {
+  /**
+   * @param {Object} outcome - 验证结果，见 waitForChallengeResolution
+   */
+  constructor(outcome) {
+    super(`${outcome.type} challenge (${outcome.vendor}) on ${outcome.url} was not solved: ${outcome.result} after ${outcome.durationMs}ms`);
+    this.name = 'ChallengeError';
+    this.outcome = outcome;
+  }
+}
+
+/**
+ * 在页面中收集验证信号，序列化后在浏览器中执行，不能引用外部变量
+ * @param {Object<string, string>} selectors - 信号名到选择器的映射
+ * @param {Object<string, string>} tokenFields - 厂商到令牌字段选择器的映射
+ * @returns {{title: string, text: string, matched: Array<string>, tokens: Array<string>}}
+ */
+function collectChallengeSignals(selectors, tokenFields) {
+  const matched = Object.keys(selectors).filter(name => document.querySelector(selectors[name]));
+  const tokens = Object.keys(tokenFields).filter(name =>
+    Array.from(document.querySelectorAll(tokenFields[name])).some(field => field.value));
+  return {
+    title: document.title || '',
+    text: document.body ? document.body.innerText.slice(0, 5000) : '',
+    matched,
+    tokens
+  };
+}
+
+/**
+ * 根据页面信号和响应判断验证类型
+ * @param {Object} signals - collectChallengeSignals 的结果
+ * @param {Object} [response] - 导航响应
+ * @param {number} [response.status] - HTTP状态码
+ * @param {Object<string, string>} [response.headers] - 响应头（小写）
+ * @returns {{type: string, vendor: string, evidence: Array<string>, solved: boolean}|null} - 没有验证时返回 null
+ */
+function classifyChallenge(signals, response = {}) {
+  const { title = '', text = '', matched = [], tokens = [] } = signals;
+  const { status, headers = {} } = response;
+  const has = name => matched.includes(name);
+  const challenge = (type, vendor, evidence, solved = false) => ({ type, vendor, evidence, solved });
+
+  if (has('cloudflareError') && BLOCKED_TEXT.test(`${title}\n${text}`)) {
+    return challenge('blocked', 'cloudflare', ['#cf-error-details', title.trim()].filter(Boolean));
+  }
+  if ((BLOCKED_STATUSES.includes(status) || BLOCKED_TEXT.test(title)) && BLOCKED_TEXT.test(`${title}\n${text}`)
+    && !has('cloudflareChallenge')) {
+    return challenge('blocked', headers.server === 'cloudflare' ? 'cloudflare' : 'unknown',
+      [status ? `HTTP ${status}` : null, title.trim()].filter(Boolean));
+  }
+
+  const evidence = [];
+  if (headers['cf-mitigated'] === 'challenge') {
+    evidence.push('cf-mitigated: challenge');
+  }
+  if (has('cloudflareChallenge')) {
+    evidence.push('#challenge-form');
+  }
+  if (INTERSTITIAL_TITLE.test(title.trim())
+    || (WEAK_INTERSTITIAL_TITLE.test(title.trim()) && (evidence.length > 0 || has('turnstile') || status === 403 || status === 503))) {
+    evidence.push(`title "${title.trim()}"`);
+  }
+  if (evidence.length > 0) {
+    return challenge('interstitial', 'cloudflare', evidence);
+  }
+
+  if (has('turnstile')) {
+    return challenge('turnstile', 'cloudflare', ['.cf-turnstile'], tokens.includes('turnstile'));
+  }
+
+  const vendor = CAPTCHA_VENDORS.find(has);
+  if (vendor) {
+    return challenge('captcha', vendor, [CHALLENGE_SELECTORS[vendor]], tokens.includes(vendor));
+  }
+  if (CAPTCHA_TITLE.test(title)) {
+    return challenge('captcha', 'unknown', [`title "${title.trim()}"`]);
+  }
+  return null;
+}
+
+/**
+ * 检测页面当前的人机验证
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {Object} [options] - 选项
+ * @param {import('puppeteer').HTTPResponse} [options.response] - 导航响应，用于状态码和 cf-mitigated 响应头
+ * @returns {Promise<{type: string, vendor: string, evidence: Array<string>, solved: boolean}|null>} - 没有验证时返回 null
+ */
+async function detectChallenge(page, options = {}) {
+  const signals = await page.evaluate(collectChallengeSignals, CHALLENGE_SELECTORS, TOKEN_FIELDS);
+  const { response } = options;
+  return classifyChallenge(signals, response ? { status: response.status(), headers: response.headers() } : {});
+}
+
+/**
+ * 生成验证结果
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {Object} challenge - 检测到的验证
+ * @param {string} result - 验证结果，见 CHALLENGE_RESULTS
+ * @param {number} startedAt - 检测到验证的时间戳
+ * @returns {{type: string, vendor: string, url: string, result: string, durationMs: number, detectedAt: string, evidence: Array<string>}}
+ */
+function toOutcome(page, challenge, result, startedAt) {
+  return {
+    type: challenge.type,
+    vendor: challenge.vendor,
+    url: page.url(),
+    result,
+    durationMs: Date.now() - startedAt,
+    detectedAt: new Date(startedAt).toISOString(),
+    evidence: challenge.evidence
+  };
+}
+
+/**
+ * 等待人机验证通过
+ * 全页验证在页面离开验证页后视为通过，组件类验证在令牌字段填入后视为通过；
+ * 出现拦截页时立即返回 blocked，检测期间页面跳转导致的执行上下文错误视为尚未通过
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.challenge] - 已检测到的验证，默认重新检测
+ * @param {number} [options.timeout] - 超时时间（毫秒），默认取 challenge.timeout，0表示不等待（结果为 pending）
+ * @param {number} [options.pollInterval] - 检查间隔（毫秒），默认取 challenge.pollInterval
+ * @param {number} [options.startedAt=Date.now()] - 检测到验证的时间戳，用于计算耗时
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后抛出 signal.reason
+ * @returns {Promise<Object|null>} - 验证结果 { type, vendor, url, result, durationMs, detectedAt, evidence }，页面上没有验证时返回 null
+ */
+async function waitForChallengeResolution(page, options = {}) {
+  const {
+    timeout = CHALLENGE_CONFIG.timeout,
+    pollInterval = CHALLENGE_CONFIG.pollInterval,
+    startedAt = Date.now()
+  } = options;
+  const challenge = options.challenge || await detectChallenge(page);
+  if (!challenge) {
+    return null;
+  }
+  if (challenge.solved) {
+    return toOutcome(page, challenge, 'solved', startedAt);
+  }
+  if (challenge.type === 'blocked') {
+    return toOutcome(page, challenge, 'blocked', startedAt);
+  }
+  if (timeout === 0) {
+    return toOutcome(page, challenge, 'pending', startedAt);
+  }
+
+  try {
+    const current = await poll(async () => {
+      let detected;
+      try {
+        detected = await detectChallenge(page);
+      } catch (error) {
+        return false;
+      }
+      // 页面上已没有原来的验证（可能仍有其他类型的组件，如目标页的 Turnstile）
+      if (!detected || detected.solved || detected.type !== challenge.type) {
+        return { detected };
+      }
+      return false;
+    }, `${challenge.type} challenge to be solved`, { timeout, pollInterval, signal: options.signal });
+
+    if (current.detected && current.detected.type === 'blocked') {
+      return toOutcome(page, current.detected, 'blocked', startedAt);
+    }
+    return toOutcome(page, challenge, 'solved', startedAt);
+  } catch (error) {
+    if (error instanceof WaitTimeoutError) {
+      return toOutcome(page, challenge, 'timeout', startedAt);
+    }
+    throw error;
+  }
+}
+
+export {
+  detectChallenge,
+  classifyChallenge,
+  collectChallengeSignals,
+  waitForChallengeResolution,
+  ChallengeError,
+  CHALLENGE_TYPES,
+  CHALLENGE_RESULTS,
+  SELF_RESOLVING_TYPES
+};
@@ -0,0 +1,199 @@
+import fse from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { CHALLENGE_CONFIG } from '../config/config.js';
+import { withLock } from './runtimeState.js';
+
+// 项目根目录，相对路径配置以此为基准，而不是当前工作目录
+const PROJECT_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * 空的计数
+ * @returns {Object}
+ */
+function emptyCounters() {
+  return {
+    navigations: 0,
+    challenges: 0,
+    solved: 0,
+    blocked: 0,
+    timeout: 0,
+    pending: 0,
+    totalDurationMs: 0,
+    byType: {},
+    lastChallengeAt: null,
+    lastResult: null
+  };
+}
+
+/**
+ * 统计目录，配置为空时返回 null
+ * @returns {string|null}
+ */
+function getStatsDir() {
+  return CHALLENGE_CONFIG.statsDir ? resolve(PROJECT_ROOT, CHALLENGE_CONFIG.statsDir) : null;
+}
+
+/**
+ * 浏览器的统计文件路径
+ * @param {string} browserId - 浏览器ID
+ * @returns {string}
+ */
+function statsPath(browserId) {
+  if (!browserId || !/^[\w-]+$/.test(String(browserId))) {
+    throw new TypeError(`Invalid browser ID for challenge stats: ${browserId}`);
+  }
+  return join(getStatsDir(), `${browserId}.json`);
+}
+
+/**
+ * 把一次导航或验证结果计入计数
+ * @param {Object} counters - 计数
+ * @param {Object} entry - 见 recordChallengeStats
+ */
+function applyEntry(counters, { navigation, outcome, continued }) {
+  if (navigation) {
+    counters.navigations++;
+  }
+  if (!outcome) {
+    return;
+  }
+  if (continued) {
+    // 之前记为 pending 的验证有了结果，不重复计入验证次数
+    counters.pending = Math.max(0, counters.pending - 1);
+  } else {
+    counters.challenges++;
+    counters.byType[outcome.type] = (counters.byType[outcome.type] || 0) + 1;
+  }
+  counters[outcome.result]++;
+  counters.totalDurationMs += outcome.durationMs;
+  counters.lastChallengeAt = outcome.detectedAt;
+  counters.lastResult = outcome.result;
+}
+
+/**
+ * 记录浏览器的一次导航或验证结果，同时计入所用代理的统计
+ * 统计文件先写临时文件再重命名，读写持有跨进程锁
+ * @param {string} browserId - 浏览器ID
+ * @param {Object} entry - 记录内容
+ * @param {boolean} [entry.navigation=false] - 是否为一次导航（计入 navigations）
+ * @param {Object|null} [entry.outcome=null] - 验证结果，见 waitForChallengeResolution
+ * @param {boolean} [entry.continued=false] - 是否为之前 pending 的验证的后续结果
+ * @param {string|null} [entry.proxy=null] - 代理标识，见 proxyKey
+ * @returns {Promise<Object|null>} - 更新后的统计，未配置 challenge.statsDir 时返回 null
+ */
+async function recordChallengeStats(browserId, entry) {
+  if (!getStatsDir()) {
+    return null;
+  }
+  const path = statsPath(browserId);
+  const { proxy = null, ...change } = entry;
+  return withLock(`challenges-${browserId}`, async () => {
+    const stats = (await readChallengeStats(browserId)) || { browserId, ...emptyCounters(), proxies: {} };
+    applyEntry(stats, change);
+    if (proxy) {
+      stats.proxies[proxy] = stats.proxies[proxy] || emptyCounters();
+      applyEntry(stats.proxies[proxy], change);
+    }
+    stats.updatedAt = new Date().toISOString();
+
+    const temporary = `${path}.${process.pid}.tmp`;
+    await fse.outputFile(temporary, JSON.stringify(stats, null, 2));
+    await fse.rename(temporary, path);
+    return stats;
+  });
+}
+
+/**
+ * 读取浏览器的验证统计
+ * @param {string} browserId - 浏览器ID
+ * @returns {Promise<Object|null>} - 没有记录时返回 null
+ */
+async function readChallengeStats(browserId) {
+  if (!getStatsDir()) {
+    return null;
+  }
+  try {
+    return await fse.readJSON(statsPath(browserId));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 计算验证率和拦截率
+ * @param {Object} counters - 计数
+ * @returns {Object} - 计数加上 challengeRate（验证次数/导航次数）和 failureRate（被拦截和超时次数/验证次数）
+ */
+function withRates(counters) {
+  const ratio = (value, total) => (total > 0 ? Math.round((value / total) * 1000) / 1000 : 0);
+  return {
+    ...counters,
+    challengeRate: ratio(counters.challenges, counters.navigations),
+    failureRate: ratio(counters.blocked + counters.timeout, counters.challenges)
+  };
+}
+
+/**
+ * 列出所有浏览器或代理的验证统计，按 challengeRate、failureRate 从高到低排序，便于淘汰经常遇到验证的浏览器或代理
+ * @param {Object} [options] - 选项
+ * @param {string} [options.by='profile'] - profile 按浏览器汇总，proxy 按代理汇总（合并使用过该代理的所有浏览器）
+ * @returns {Promise<Array<Object>>} - 每项为计数加上 browserId 或 proxy、challengeRate 和 failureRate
+ */
+async function listChallengeStats(options = {}) {
+  const { by = 'profile' } = options;
+  if (!['profile', 'proxy'].includes(by)) {
+    throw new TypeError(`Invalid challenge stats grouping "${by}", expected profile or proxy`);
+  }
+  const dir = getStatsDir();
+  const files = dir ? (await fse.readdir(dir).catch(() => [])).filter(file => file.endsWith('.json')) : [];
+  const profiles = [];
+  for (const file of files) {
+    const stats = await readChallengeStats(file.slice(0, -'.json'.length)).catch(() => null);
+    if (stats) {
+      profiles.push(stats);
+    }
+  }
+
+  let rows;
+  if (by === 'profile') {
+    rows = profiles.map(({ proxies, updatedAt, ...counters }) => withRates(counters));
+  } else {
+    const proxies = new Map();
+    for (const stats of profiles) {
+      for (const [proxy, counters] of Object.entries(stats.proxies || {})) {
+        const total = proxies.get(proxy) || { proxy, ...emptyCounters(), browserIds: [] };
+        for (const field of ['navigations', 'challenges', 'solved', 'blocked', 'timeout', 'pending', 'totalDurationMs']) {
+          total[field] += counters[field];
+        }
+        for (const [type, count] of Object.entries(counters.byType)) {
+          total.byType[type] = (total.byType[type] || 0) + count;
+        }
+        if (counters.lastChallengeAt && (!total.lastChallengeAt || counters.lastChallengeAt > total.lastChallengeAt)) {
+          total.lastChallengeAt = counters.lastChallengeAt;
+          total.lastResult = counters.lastResult;
+        }
+        total.browserIds.push(stats.browserId);
+        proxies.set(proxy, total);
+      }
+    }
+    rows = [...proxies.values()].map(withRates);
+  }
+  return rows.sort((a, b) => b.challengeRate - a.challengeRate || b.failureRate - a.failureRate);
+}
+
+/**
+ * 清除浏览器的验证统计
+ * @param {string} browserId - 浏览器ID
+ * @returns {Promise<void>}
+ */
+async function resetChallengeStats(browserId) {
+  if (getStatsDir()) {
+    await withLock(`challenges-${browserId}`, () => fse.remove(statsPath(browserId)));
+  }
+}
+
+export { recordChallengeStats, readChallengeStats, listChallengeStats, resetChallengeStats };
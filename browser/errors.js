@@ -0,0 +1,97 @@
+/**
+ * 比特浏览器API错误基类
+ */
+class BitBrowserError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情
+   * @param {string} [details.operation] - 出错的操作名称
+   * @param {Error} [details.cause] - 原始错误
+   */
+  constructor(message, { operation, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.operation = operation;
+  }
+
+  /**
+   * 是否为可重试的临时性错误
+   * @returns {boolean}
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * 无法连接到比特浏览器本地API（通常是比特浏览器客户端未运行）
+ */
+class BitBrowserConnectionError extends BitBrowserError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情，见 BitBrowserError
+   * @param {string} [details.code] - 底层网络错误码，例如 ECONNREFUSED
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = details.code;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * 比特浏览器API返回了失败结果（success为false或HTTP错误状态）
+ */
+class BitBrowserApiError extends BitBrowserError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情，见 BitBrowserError
+   * @param {string} [details.serverMessage] - 服务端返回的错误信息
+   * @param {number} [details.status] - HTTP状态码
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.serverMessage = details.serverMessage;
+    this.status = details.status;
+  }
+
+  get retryable() {
+    // 5xx 和 429 视为临时性错误
+    return this.status === 429 || (this.status >= 500 && this.status < 600);
+  }
+}
+
+/**
+ * 比特浏览器API返回的数据格式不正确
+ */
+class BitBrowserInvalidResponseError extends BitBrowserError {}
+
+/**
+ * 比特浏览器API请求超时
+ */
+class BitBrowserTimeoutError extends BitBrowserError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情，见 BitBrowserError
+   * @param {number} [details.timeout] - 超时时间（毫秒）
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.timeout = details.timeout;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export {
+  BitBrowserError,
+  BitBrowserConnectionError,
+  BitBrowserApiError,
+  BitBrowserInvalidResponseError,
+  BitBrowserTimeoutError
+};
@@ -0,0 +1,255 @@
+import { createCursor } from 'ghost-cursor';
+import { HUMAN_INPUT_CONFIG } from '../config/config.js';
+import { sleep } from '../utils/retry.js';
+import { waitForSelector } from './wait.js';
+
+// QWERTY 键盘上每个字母的相邻键，用于模拟打错字
+const NEIGHBOR_KEYS = {
+  q: 'wa', w: 'qeas', e: 'wrsd', r: 'etdf', t: 'ryfg', y: 'tugh', u: 'yihj', i: 'uojk', o: 'ipkl', p: 'ol',
+  a: 'qwsz', s: 'awedxz', d: 'serfcx', f: 'drtgvc', g: 'ftyhbv', h: 'gyujnb', j: 'huikmn', k: 'jiolm', l: 'kop',
+  z: 'asx', x: 'zsdc', c: 'xdfv', v: 'cfgb', b: 'vghn', n: 'bhjm', m: 'njk'
+};
+
+// ghost-cursor 支持的滚动目标，其余字符串视为选择器
+const SCROLL_DESTINATIONS = ['top', 'bottom', 'left', 'right'];
+
+// 页面没有 connect 附加的 realCursor 时（例如比特浏览器恢复的标签页）为其创建的光标
+const cursors = new WeakMap();
+
+/**
+ * 合并输入选项和 humanInput 配置
+ * @param {Object} options - 调用时传入的选项，字段同 humanInput 配置，另有 random
+ * @returns {Object}
+ */
+function resolveOptions(options) {
+  return { random: Math.random, ...HUMAN_INPUT_CONFIG, ...options };
+}
+
+/**
+ * 在区间内取随机整数
+ * @param {number} min - 下限
+ * @param {number} max - 上限，小于下限时取下限
+ * @param {Function} random - 返回 [0, 1) 的随机函数
+ * @returns {number}
+ */
+function randomBetween(min, max, random) {
+  return min + Math.round(random() * Math.max(0, max - min));
+}
+
+/**
+ * 获取页面的光标，优先使用 puppeteer-real-browser 的 connect 为页面附加的 realCursor
+ * @param {import('puppeteer').Page} page - 页面
+ * @returns {import('ghost-cursor').GhostCursor}
+ */
+function getCursor(page) {
+  if (page.realCursor) {
+    return page.realCursor;
+  }
+  if (!cursors.has(page)) {
+    cursors.set(page, createCursor(page));
+  }
+  return cursors.get(page);
+}
+
+/**
+ * 生成输入文本的按键序列，按 typoRate 的概率在字母前插入按错的相邻键和退格
+ * @param {string} text - 要输入的文本
+ * @param {Object} [options] - 选项
+ * @param {number} [options.typoRate] - 每个字母打错的概率，默认取 humanInput.typoRate
+ * @param {Function} [options.random=Math.random] - 随机函数
+ * @returns {Array<{text?: string, key?: string, typo?: boolean}>} - text 为输入的字符，key 为按下的功能键
+ */
+function planKeystrokes(text, options = {}) {
+  const { typoRate, random } = resolveOptions(options);
+  const strokes = [];
+  for (const char of String(text)) {
+    const neighbors = NEIGHBOR_KEYS[char.toLowerCase()];
+    if (neighbors && random() < typoRate) {
+      const typo = neighbors[Math.floor(random() * neighbors.length)];
+      strokes.push({ text: char === char.toLowerCase() ? typo : typo.toUpperCase(), typo: true }, { key: 'Backspace' });
+    }
+    strokes.push({ text: char });
+  }
+  return strokes;
+}
+
+/**
+ * 沿曲线轨迹移动鼠标并点击元素
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {string} selector - 选择器
+ * @param {Object} [options] - 选项，字段同 humanInput 配置
+ * @param {number} [options.timeout] - 等待元素可见的超时时间（毫秒），默认取 wait.timeout
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后不再继续操作
+ * @param {string} [options.button='left'] - 鼠标按键
+ * @param {number} [options.clickCount=1] - 点击次数
+ * @returns {Promise<void>}
+ */
+async function humanClick(page, selector, options = {}) {
+  const settings = resolveOptions(options);
+  const { button = 'left', clickCount = 1 } = settings;
+  const element = await waitForSelector(page, selector, { timeout: settings.timeout, signal: settings.signal });
+  settings.signal?.throwIfAborted();
+
+  if (!settings.enabled) {
+    await element.click({ button, clickCount });
+    return;
+  }
+
+  const { minActionDelay, maxActionDelay, random } = settings;
+  await getCursor(page).click(element, {
+    button,
+    clickCount,
+    hesitate: randomBetween(minActionDelay, maxActionDelay, random),
+    // 按下到松开的时间比点击前的犹豫短
+    waitForClick: randomBetween(minActionDelay, maxActionDelay, random) / 4,
+    moveDelay: maxActionDelay,
+    scrollSpeed: randomBetween(settings.minScrollSpeed, settings.maxScrollSpeed, random)
+  });
+}
+
+/**
+ * 沿曲线轨迹把鼠标移动到元素上
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {string} selector - 选择器
+ * @param {Object} [options] - 选项，字段同 humanInput 配置
+ * @param {number} [options.timeout] - 等待元素可见的超时时间（毫秒），默认取 wait.timeout
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后不再继续操作
+ * @returns {Promise<void>}
+ */
+async function humanHover(page, selector, options = {}) {
+  const settings = resolveOptions(options);
+  const element = await waitForSelector(page, selector, { timeout: settings.timeout, signal: settings.signal });
+  settings.signal?.throwIfAborted();
+
+  if (!settings.enabled) {
+    await element.hover();
+    return;
+  }
+
+  await getCursor(page).move(element, {
+    moveDelay: settings.maxActionDelay,
+    scrollSpeed: randomBetween(settings.minScrollSpeed, settings.maxScrollSpeed, settings.random)
+  });
+}
+
+/**
+ * 点击输入框后逐个按键输入文本，按键间隔随机，并按 typoRate 模拟打错后删除重打
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {string} selector - 选择器
+ * @param {string} text - 要输入的文本
+ * @param {Object} [options] - 选项，字段同 humanInput 配置
+ * @param {boolean} [options.clear=false] - 输入前选中已有内容并删除
+ * @param {number} [options.timeout] - 等待元素可见的超时时间（毫秒），默认取 wait.timeout
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后不再继续操作
+ * @returns {Promise<void>}
+ */
+async function humanType(page, selector, text, options = {}) {
+  const settings = resolveOptions(options);
+  await humanClick(page, selector, settings);
+
+  if (settings.clear) {
+    // 选中已有内容后用退格删除，与手动清空一样触发 input 事件
+    await page.$eval(selector, element => {
+      if (typeof element.select === 'function') {
+        element.select();
+      } else {
+        window.getSelection().selectAllChildren(element);
+      }
+    });
+    await page.keyboard.press('Backspace');
+  }
+
+  if (!settings.enabled) {
+    await page.keyboard.type(String(text));
+    return;
+  }
+
+  const { minKeyDelay, maxKeyDelay, random } = settings;
+  for (const stroke of planKeystrokes(text, settings)) {
+    // 步骤超时等中止后不再继续输入
+    settings.signal?.throwIfAborted();
+    if (stroke.key) {
+      await page.keyboard.press(stroke.key);
+    } else {
+      await page.keyboard.type(stroke.text);
+    }
+    // 按错后发现错误需要更长的反应时间
+    await sleep(randomBetween(minKeyDelay, maxKeyDelay, random) * (stroke.typo ? 3 : 1));
+  }
+}
+
+/**
+ * 以随机速度滚动页面
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {string|{x?: number, y?: number}} target - 选择器（滚动到元素可见）、'top' | 'bottom' | 'left' | 'right' 或页面坐标
+ * @param {Object} [options] - 选项，字段同 humanInput 配置
+ * @param {number} [options.timeout] - 等待元素可见的超时时间（毫秒），默认取 wait.timeout
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后不再继续操作
+ * @returns {Promise<void>}
+ */
+async function humanScrollTo(page, target, options = {}) {
+  const settings = resolveOptions(options);
+  const isSelector = typeof target === 'string' && !SCROLL_DESTINATIONS.includes(target);
+  const element = isSelector ? await waitForSelector(page, target, { timeout: settings.timeout, signal: settings.signal }) : null;
+  settings.signal?.throwIfAborted();
+
+  if (!settings.enabled) {
+    if (element) {
+      await element.scrollIntoView();
+    } else {
+      await page.evaluate(destination => {
+        const scroller = document.scrollingElement || document.documentElement;
+        const { x, y } = {
+          top: { y: 0 },
+          bottom: { y: scroller.scrollHeight },
+          left: { x: 0 },
+          right: { x: scroller.scrollWidth }
+        }[destination] || destination;
+        window.scrollTo(x ?? window.scrollX, y ?? window.scrollY);
+      }, target);
+    }
+    return;
+  }
+
+  const scrollOptions = {
+    scrollSpeed: randomBetween(settings.minScrollSpeed, settings.maxScrollSpeed, settings.random),
+    scrollDelay: randomBetween(settings.minActionDelay, settings.maxActionDelay, settings.random)
+  };
+  if (element) {
+    await getCursor(page).scrollIntoView(element, scrollOptions);
+  } else {
+    await getCursor(page).scrollTo(target, scrollOptions);
+  }
+}
+
+/**
+ * 把鼠标移动到下拉框并选择选项，触发 input 和 change 事件
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {string} selector - select 元素的选择器
+ * @param {string|Array<string>} values - 选项的 value，多选时为数组
+ * @param {Object} [options] - 选项，字段同 humanInput 配置
+ * @param {number} [options.timeout] - 等待元素可见的超时时间（毫秒），默认取 wait.timeout
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后不再继续操作
+ * @returns {Promise<Array<string>>} - 实际选中的值
+ */
+async function humanSelect(page, selector, values, options = {}) {
+  const settings = resolveOptions(options);
+  if (settings.enabled) {
+    await humanHover(page, selector, settings);
+    await sleep(randomBetween(settings.minActionDelay, settings.maxActionDelay, settings.random));
+  } else {
+    await waitForSelector(page, selector, { timeout: settings.timeout, signal: settings.signal });
+  }
+  settings.signal?.throwIfAborted();
+  return page.select(selector, ...[].concat(values).map(String));
+}
+
+export {
+  getCursor,
+  planKeystrokes,
+  humanClick,
+  humanHover,
+  humanType,
+  humanScrollTo,
+  humanSelect
+};
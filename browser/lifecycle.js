@@ -0,0 +1,186 @@
+import { hostname } from 'os';
+import { PuppeteerController } from './puppeteer.js';
+import { EPHEMERAL_BROWSER_CONFIG } from '../config/config.js';
+import { getLogger, withLogContext } from '../utils/logger.js';
+import { onShutdown } from '../utils/shutdown.js';
+import { isProcessAlive } from '../utils/process.js';
+import { getProvider } from '../providers/registry.js';
+
+const logger = getLogger('lifecycle');
+
+/**
+ * 生成临时浏览器的备注，包含标记、创建时间和所属进程
+ * @param {string} [remark] - 用户备注
+ * @returns {string}
+ */
+function buildEphemeralRemark(remark) {
+  const tag = `${EPHEMERAL_BROWSER_CONFIG.remarkMarker} created=${new Date().toISOString()} host=${hostname()} pid=${process.pid}`;
+  return remark ? `${remark} ${tag}` : tag;
+}
+
+/**
+ * 解析临时浏览器备注中的标记信息
+ * @param {string} remark - 浏览器备注
+ * @returns {{createdAt: Date, host: string, pid: number}|null} - 不是临时浏览器时返回 null
+ */
+function parseEphemeralRemark(remark) {
+  const marker = EPHEMERAL_BROWSER_CONFIG.remarkMarker;
+  const index = (remark || '').indexOf(marker);
+  if (index === -1) {
+    return null;
+  }
+
+  const fields = Object.fromEntries(
+    remark.slice(index + marker.length).trim().split(/\s+/)
+      .map(pair => pair.split('='))
+      .filter(pair => pair.length === 2)
+  );
+
+  return {
+    createdAt: fields.created ? new Date(fields.created) : null,
+    host: fields.host || null,
+    pid: fields.pid ? Number(fields.pid) : null
+  };
+}
+
+/**
+ * 依次执行清理步骤，单个步骤失败不影响后续步骤
+ * @param {string} browserId - 浏览器ID
+ * @param {PuppeteerController} controller - 控制器
+ * @returns {Promise<Array<Error>>} - 失败的步骤错误
+ */
+async function teardown(browserId, controller) {
+  const errors = [];
+  const steps = [
+    ['disconnect', () => controller.close()],
+    ['close', () => controller.provider.close(browserId)],
+    ['delete', () => controller.provider.delete(browserId)]
+  ];
+
+  for (const [name, step] of steps) {
+    try {
+      await step();
+    } catch (error) {
+      logger.error(`Failed to ${name} ephemeral browser ${browserId}: ${error.message}`, {
+        browserId,
+        location: 'lifecycle.js:teardown'
+      });
+      errors.push(error);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 创建临时浏览器并执行回调，结束后（包括出错和收到退出信号时）总是断开连接、关闭并删除浏览器
+ * @example
+ * const title = await withEphemeralBrowser({ create: { remark: 'scrape' } }, async (session) => {
+ *   await session.navigateTo('https://example.com');
+ *   return session.evaluate(() => document.title);
+ * });
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.create] - createBrowser 选项，备注中会追加临时浏览器标记
+ * @param {Object} [options.connect] - connectToBitBrowser 选项
+ * @param {Function} fn - 回调 async (session: PuppeteerController, browserId: string) => any
+ * @returns {Promise<any>} - 回调的返回值
+ */
+async function withEphemeralBrowser(options, fn) {
+  if (typeof options === 'function') {
+    fn = options;
+    options = {};
+  }
+  const { create = {}, connect = {} } = options || {};
+
+  const provider = getProvider();
+  const browserId = await provider.create({
+    name: EPHEMERAL_BROWSER_CONFIG.name,
+    ...create,
+    remark: buildEphemeralRemark(create.remark)
+  });
+
+  const controller = new PuppeteerController(browserId, { provider });
+  let cleanup = null;
+  const cleanupOnce = () => {
+    cleanup = cleanup || teardown(browserId, controller);
+    return cleanup;
+  };
+  const unregister = onShutdown(cleanupOnce);
+
+  try {
+    await controller.connectToBitBrowser(browserId, connect);
+    // 回调中产生的所有日志都带上临时浏览器ID
+    return await withLogContext({ browserId }, () => fn(controller, browserId));
+  } finally {
+    unregister();
+    const errors = await cleanupOnce();
+    if (errors.length === 0) {
+      logger.info(`Ephemeral browser ${browserId} cleaned up`, { browserId });
+    }
+  }
+}
+
+/**
+ * 查找并删除本工具创建的过期临时浏览器
+ * 备注中带临时浏览器标记且创建时间超过 maxAge 的浏览器会被关闭并删除；
+ * 由本机仍在运行的进程创建的浏览器会被跳过，除非指定 force
+ * @param {Object} [options] - 清理选项
+ * @param {number} [options.maxAge] - 过期时长（毫秒），默认 EPHEMERAL_BROWSER_CONFIG.maxAge
+ * @param {boolean} [options.dryRun=false] - 为true时只返回待清理列表，不实际删除
+ * @param {boolean} [options.force=false] - 为true时不检查所属进程是否存活
+ * @returns {Promise<Array<{id: string, name: string, remark: string, ageMs: number, status: string, error?: string}>>} - 清理结果
+ */
+async function reapStaleBrowsers(options = {}) {
+  const maxAge = options.maxAge ?? EPHEMERAL_BROWSER_CONFIG.maxAge;
+  const now = Date.now();
+  const currentHost = hostname();
+  const provider = getProvider();
+  const results = [];
+
+  // 先收集再删除，避免边翻页边删除导致跳过数据
+  const candidates = [];
+  for await (const browser of provider.iterate({ remark: EPHEMERAL_BROWSER_CONFIG.remarkMarker })) {
+    const tag = parseEphemeralRemark(browser.remark);
+    if (!tag) {
+      continue;
+    }
+
+    // 备注中没有创建时间时退回到比特浏览器记录的创建时间
+    const createdAt = tag.createdAt && !Number.isNaN(tag.createdAt.getTime())
+      ? tag.createdAt
+      : new Date(browser.createdTime);
+    const ageMs = now - createdAt.getTime();
+    if (Number.isNaN(ageMs) || ageMs < maxAge) {
+      continue;
+    }
+
+    if (!options.force && tag.host === currentHost && tag.pid && tag.pid !== process.pid && isProcessAlive(tag.pid)) {
+      results.push({ id: browser.id, name: browser.name, remark: browser.remark, ageMs, status: 'skipped-owner-alive' });
+      continue;
+    }
+
+    candidates.push({ id: browser.id, name: browser.name, remark: browser.remark, ageMs });
+  }
+
+  for (const candidate of candidates) {
+    if (options.dryRun) {
+      results.push({ ...candidate, status: 'stale' });
+      continue;
+    }
+
+    try {
+      // 未打开的浏览器关闭会失败，忽略该错误
+      await provider.close(candidate.id).catch(() => {});
+      await provider.delete(candidate.id);
+      results.push({ ...candidate, status: 'deleted' });
+    } catch (error) {
+      results.push({ ...candidate, status: 'failed', error: error.message });
+    }
+  }
+
+  const deleted = results.filter(result => result.status === 'deleted').length;
+  logger.info(`Reaper found ${candidates.length} stale ephemeral browsers, deleted ${deleted}`);
+  return results;
+}
+
+export { withEphemeralBrowser, reapStaleBrowsers, buildEphemeralRemark, parseEphemeralRemark };
@@ -0,0 +1,421 @@
+import fse from 'fs-extra';
+import { dirname } from 'path';
+
+// 写入 HAR 的 creator 字段
+const HAR_CREATOR = { name: 'bitbrowser-puppeteer-integration', version: '1.0.0' };
+
+// 作为文本记录的响应类型，其余类型按 base64 记录
+const TEXT_MIME_PATTERN = /^text\/|[/+](json|javascript|xml)\b|^application\/x-www-form-urlencoded/;
+
+// 规则的处理优先级，屏蔽和模拟响应优先于其他拦截器的 continue
+const RULE_PRIORITY = 1;
+
+/**
+ * 请求规则:
+ *   match.url          - URL子串、正则或判断函数 (url) => boolean
+ *   match.resourceType - 资源类型或数组，例如 'image'、['font', 'media']
+ *   match.method       - 请求方法，例如 'POST'
+ *   action             - 'block' 屏蔽请求 | 'respond' 返回 response | 'continue' 改写 headers 后继续
+ *   headers            - action 为 continue 时合并到请求头，值为 null 时删除该请求头
+ *   response           - action 为 respond 时的响应 { status, headers, contentType, body }，body 为对象时按JSON返回
+ * @typedef {{id?: string, match?: {url?: string|RegExp|Function, resourceType?: string|Array<string>, method?: string},
+ *   action: 'block'|'respond'|'continue', headers?: Object, response?: Object}} NetworkRule
+ */
+
+/**
+ * 判断请求是否符合规则的匹配条件
+ * @param {import('puppeteer').HTTPRequest} request - 请求
+ * @param {Object} [match] - 匹配条件，为空时匹配所有请求
+ * @returns {boolean}
+ */
+function matchesRequest(request, match = {}) {
+  if (match.resourceType !== undefined && ![].concat(match.resourceType).includes(request.resourceType())) {
+    return false;
+  }
+  if (match.method !== undefined && request.method().toUpperCase() !== match.method.toUpperCase()) {
+    return false;
+  }
+  if (match.url !== undefined) {
+    const url = request.url();
+    if (match.url instanceof RegExp) {
+      return match.url.test(url);
+    }
+    return typeof match.url === 'function' ? Boolean(match.url(url)) : url.includes(match.url);
+  }
+  return true;
+}
+
+/**
+ * 把规则中的响应转换为 request.respond 的参数
+ * @param {Object} [response] - 规则中的响应
+ * @returns {Object}
+ */
+function toResponse(response = {}) {
+  const { status = 200, headers = {}, body = '' } = response;
+  const json = body !== null && typeof body === 'object' && !Buffer.isBuffer(body);
+  return {
+    status,
+    headers,
+    contentType: response.contentType || (json ? 'application/json' : 'text/plain'),
+    body: json ? JSON.stringify(body) : body
+  };
+}
+
+/**
+ * 根据网络配置生成规则（屏蔽的资源类型、屏蔽的URL、附加的请求头）
+ * @param {Object} options - 网络配置，见 PUPPETEER_REAL_BROWSER_CONFIG.network
+ * @returns {Array<NetworkRule>}
+ */
+function rulesFromConfig(options = {}) {
+  const rules = [];
+  if (options.blockResourceTypes && options.blockResourceTypes.length > 0) {
+    rules.push({ match: { resourceType: options.blockResourceTypes }, action: 'block' });
+  }
+  for (const url of options.blockUrls || []) {
+    rules.push({ match: { url }, action: 'block' });
+  }
+  if (options.headers && Object.keys(options.headers).length > 0) {
+    rules.push({ action: 'continue', headers: options.headers });
+  }
+  return [...rules, ...(options.rules || [])];
+}
+
+/**
+ * 根据 HAR 文件生成模拟响应规则，用于在测试中回放录制的会话
+ * 只包含记录了响应内容的条目，同一URL和方法有多条记录时使用第一条
+ * @param {Object} har - HAR 对象
+ * @returns {Array<NetworkRule>}
+ */
+function rulesFromHar(har) {
+  const seen = new Set();
+  const rules = [];
+  for (const entry of har.log.entries) {
+    const { request, response } = entry;
+    const key = `${request.method} ${request.url}`;
+    if (seen.has(key) || response.status === 0 || response.content.text === undefined) {
+      continue;
+    }
+    seen.add(key);
+
+    const headers = Object.fromEntries(response.headers
+      // 回放的响应体已解压，不能沿用原始的编码和长度
+      .filter(({ name }) => !['content-encoding', 'content-length'].includes(name.toLowerCase()))
+      .map(({ name, value }) => [name, value]));
+    rules.push({
+      match: { url: url => url === request.url, method: request.method },
+      action: 'respond',
+      response: {
+        status: response.status,
+        headers,
+        contentType: response.content.mimeType,
+        body: response.content.encoding === 'base64' ? Buffer.from(response.content.text, 'base64') : response.content.text
+      }
+    });
+  }
+  return rules;
+}
+
+/**
+ * 请求拦截器：按规则屏蔽请求、改写请求头、返回模拟响应
+ * 只有存在规则时才开启请求拦截，避免影响页面缓存
+ */
+class NetworkInterceptor {
+  /**
+   * @param {Array<NetworkRule>} [rules=[]] - 初始规则
+   */
+  constructor(rules = []) {
+    this.rules = [];
+    this.nextId = 1;
+    // 已附加的页面及其是否开启了请求拦截
+    this.pages = new Map();
+    this.handler = request => this.handleRequest(request);
+    rules.forEach(rule => this.addRule(rule));
+  }
+
+  /**
+   * 添加规则，按添加顺序匹配
+   * @param {NetworkRule} rule - 规则
+   * @returns {string} - 规则ID，用于 removeRule
+   */
+  addRule(rule) {
+    if (!['block', 'respond', 'continue'].includes(rule.action)) {
+      throw new TypeError(`Invalid network rule action "${rule.action}", expected block, respond or continue`);
+    }
+    const id = rule.id || `rule-${this.nextId++}`;
+    this.rules.push({ ...rule, id });
+    this.sync();
+    return id;
+  }
+
+  /**
+   * 删除规则
+   * @param {string} id - 规则ID
+   * @returns {boolean} - 是否找到并删除
+   */
+  removeRule(id) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.rules.splice(index, 1);
+    this.sync();
+    return true;
+  }
+
+  /**
+   * 删除所有规则并关闭请求拦截
+   */
+  clearRules() {
+    this.rules = [];
+    this.sync();
+  }
+
+  /**
+   * 将规则应用到页面
+   * @param {import('puppeteer').Page} page - 页面
+   * @returns {Promise<void>}
+   */
+  async attach(page) {
+    if (this.pages.has(page)) {
+      return;
+    }
+    this.pages.set(page, false);
+    page.on('request', this.handler);
+    page.once('close', () => this.pages.delete(page));
+    await this.setInterception(page, this.rules.length > 0);
+  }
+
+  /**
+   * 忘记已附加的页面，连接丢失后调用，重连后重新 attach 新连接的页面
+   */
+  detachAll() {
+    this.pages.clear();
+  }
+
+  /**
+   * 按当前是否存在规则开启或关闭所有页面的请求拦截
+   * @private
+   */
+  sync() {
+    const enabled = this.rules.length > 0;
+    for (const page of this.pages.keys()) {
+      // 页面已关闭等错误不影响规则的修改
+      this.setInterception(page, enabled).catch(() => {});
+    }
+  }
+
+  /**
+   * 开启或关闭页面的请求拦截
+   * @private
+   * @param {import('puppeteer').Page} page - 页面
+   * @param {boolean} enabled - 是否开启
+   * @returns {Promise<void>}
+   */
+  async setInterception(page, enabled) {
+    if (this.pages.get(page) === enabled) {
+      return;
+    }
+    this.pages.set(page, enabled);
+    await page.setRequestInterception(enabled);
+  }
+
+  /**
+   * 处理被拦截的请求：第一条匹配的 block/respond 规则决定结果，所有匹配的 continue 规则的请求头依次合并
+   * 使用带优先级的协作式拦截，处理结果必须在事件回调中同步决定，不能在之前 await
+   * @private
+   * @param {import('puppeteer').HTTPRequest} request - 请求
+   * @returns {Promise<void>}
+   */
+  async handleRequest(request) {
+    if (request.isInterceptResolutionHandled()) {
+      return;
+    }
+
+    let headers = null;
+    try {
+      for (const rule of this.rules) {
+        if (!matchesRequest(request, rule.match)) {
+          continue;
+        }
+        if (rule.action === 'block') {
+          return await request.abort('blockedbyclient', RULE_PRIORITY);
+        }
+        if (rule.action === 'respond') {
+          return await request.respond(toResponse(rule.response), RULE_PRIORITY);
+        }
+        // request.headers() 的名称为小写，规则中的名称按小写合并
+        const ruleHeaders = Object.entries(rule.headers || {}).map(([name, value]) => [name.toLowerCase(), value]);
+        headers = { ...(headers || request.headers()), ...Object.fromEntries(ruleHeaders) };
+      }
+
+      if (headers) {
+        const overrides = Object.fromEntries(Object.entries(headers).filter(([, value]) => value !== null && value !== undefined));
+        return await request.continue({ headers: overrides }, RULE_PRIORITY);
+      }
+      await request.continue(request.continueRequestOverrides(), 0);
+    } catch (error) {
+      // 未开启拦截（规则刚被清空）或请求已被取消（例如页面跳转），忽略
+    }
+  }
+}
+
+/**
+ * HAR 记录器：记录页面的所有请求和响应，保存为 HAR 1.2 文件
+ */
+class HarRecorder {
+  /**
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.content=true] - 是否记录响应内容，文本按原文、其余按 base64
+   * @param {number} [options.maxBodySize=1048576] - 超过该大小（字节）的响应内容不记录
+   */
+  constructor(options = {}) {
+    this.content = options.content !== false;
+    this.maxBodySize = options.maxBodySize ?? 1024 * 1024;
+    this.entries = [];
+    this.pages = new WeakSet();
+    this.startTimes = new WeakMap();
+    // 正在读取响应内容的条目，保存前等待完成
+    this.pending = new Set();
+    this.recording = true;
+  }
+
+  /**
+   * 记录页面的请求
+   * @param {import('puppeteer').Page} page - 页面
+   */
+  attach(page) {
+    if (this.pages.has(page)) {
+      return;
+    }
+    this.pages.add(page);
+    page.on('request', request => {
+      if (this.recording) {
+        this.startTimes.set(request, Date.now());
+      }
+    });
+    page.on('requestfinished', request => this.track(this.record(request)));
+    page.on('requestfailed', request => this.track(this.record(request, request.failure())));
+  }
+
+  /**
+   * 停止记录，已开始的请求仍会记录
+   */
+  stop() {
+    this.recording = false;
+  }
+
+  /**
+   * 跟踪进行中的记录
+   * @private
+   * @param {Promise<void>} promise - 记录任务
+   */
+  track(promise) {
+    this.pending.add(promise);
+    promise.finally(() => this.pending.delete(promise));
+  }
+
+  /**
+   * 生成一条 HAR 记录
+   * @private
+   * @param {import('puppeteer').HTTPRequest} request - 请求
+   * @param {{errorText: string}|null} [failure] - 失败原因
+   * @returns {Promise<void>}
+   */
+  async record(request, failure = null) {
+    const startedAt = this.startTimes.get(request);
+    if (startedAt === undefined) {
+      return;
+    }
+    this.startTimes.delete(request);
+    const finishedAt = Date.now();
+    const response = request.response();
+    const url = new URL(request.url());
+    const postData = request.postData();
+    const requestHeaders = request.headers();
+
+    const entry = {
+      startedDateTime: new Date(startedAt).toISOString(),
+      time: finishedAt - startedAt,
+      request: {
+        method: request.method(),
+        url: request.url(),
+        httpVersion: 'HTTP/1.1',
+        headers: toHarHeaders(requestHeaders),
+        queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+        cookies: [],
+        headersSize: -1,
+        bodySize: postData ? Buffer.byteLength(postData) : 0,
+        ...(postData ? { postData: { mimeType: requestHeaders['content-type'] || '', text: postData } } : {})
+      },
+      response: {
+        status: response ? response.status() : 0,
+        statusText: response ? response.statusText() : '',
+        httpVersion: 'HTTP/1.1',
+        headers: response ? toHarHeaders(response.headers()) : [],
+        cookies: [],
+        content: { size: 0, mimeType: response ? response.headers()['content-type'] || '' : '' },
+        redirectURL: response ? response.headers().location || '' : '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { send: 0, wait: finishedAt - startedAt, receive: 0 },
+      _resourceType: request.resourceType(),
+      ...(failure ? { _error: failure.errorText } : {})
+    };
+    this.entries.push(entry);
+
+    // 重定向响应没有响应体
+    if (this.content && response && !failure && !(response.status() >= 300 && response.status() < 400)) {
+      try {
+        const body = await response.buffer();
+        entry.response.content.size = body.length;
+        entry.response.bodySize = body.length;
+        if (body.length <= this.maxBodySize) {
+          if (TEXT_MIME_PATTERN.test(entry.response.content.mimeType)) {
+            entry.response.content.text = body.toString('utf8');
+          } else {
+            entry.response.content.text = body.toString('base64');
+            entry.response.content.encoding = 'base64';
+          }
+        }
+      } catch (error) {
+        // 页面跳转后响应体可能已释放
+        entry.response.content.comment = `Body not available: ${error.message}`;
+      }
+    }
+  }
+
+  /**
+   * 生成 HAR 对象，条目按开始时间排序
+   * @returns {Promise<Object>}
+   */
+  async toHar() {
+    await Promise.allSettled([...this.pending]);
+    const entries = [...this.entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+    return { log: { version: '1.2', creator: HAR_CREATOR, pages: [], entries } };
+  }
+
+  /**
+   * 保存 HAR 文件
+   * @param {string} path - 文件路径
+   * @returns {Promise<{path: string, entries: number}>}
+   */
+  async save(path) {
+    const har = await this.toHar();
+    await fse.ensureDir(dirname(path));
+    await fse.writeJSON(path, har, { spaces: 2 });
+    return { path, entries: har.log.entries.length };
+  }
+}
+
+/**
+ * 把请求头对象转换为 HAR 的 [{ name, value }] 格式
+ * @param {Object} headers - 请求头或响应头
+ * @returns {Array<{name: string, value: string}>}
+ */
+function toHarHeaders(headers) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+export { NetworkInterceptor, HarRecorder, matchesRequest, rulesFromConfig, rulesFromHar };
@@ -1,253 +1,1606 @@
 import { connect } from 'puppeteer-real-browser';
-import { createLogger, format, transports } from 'winston';
-import { getBrowserDebugInfo, generatePuppeteerRealBrowserConfig } from './bitbrowser.js';
-import { LOGGER_CONFIG, PUPPETEER_REAL_BROWSER_CONFIG, TEMP_FILES_CONFIG } from '../config/config.js';
-import fse from 'fs-extra';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { PUPPETEER_REAL_BROWSER_CONFIG, FINGERPRINT_CONFIG, RECONNECT_CONFIG, WAIT_CONFIG, CAPTURE_CONFIG, CHALLENGE_CONFIG } from '../config/config.js';
+import { getLogger, withLogContext } from '../utils/logger.js';
+import { getProvider } from '../providers/registry.js';
+import { EventEmitter } from 'events';
+import { join } from 'path';
+import { withRetry } from '../utils/retry.js';
+import { onShutdown } from '../utils/shutdown.js';
+import { removeSessionState, removeOwnSessionStatesSync } from './runtimeState.js';
+import { collectState, applyState, getStateFilePath, readStateFile, writeStateFile } from './sessionState.js';
+import { collectSignals, lookupGeo, auditSignals } from '../fingerprint/audit.js';
+import { FingerprintLeakError } from '../fingerprint/errors.js';
+import { findTab, matchesTab, toCriteria, describeTabTarget } from './tabs.js';
+import { humanClick, humanType, humanHover, humanScrollTo, humanSelect } from './humanInput.js';
+import { captureElement, capturePdf, captureSnapshot, captureFailureBundle, Screencast, ActivityLog } from './capture.js';
+import { NetworkInterceptor, HarRecorder, rulesFromConfig } from './network.js';
+import { waitForSelector, waitForText, waitForUrl, waitForResponse, waitForStableDom, waitForCondition } from './wait.js';
+import { detectChallenge, waitForChallengeResolution, ChallengeError, SELF_RESOLVING_TYPES } from './challenge.js';
+import { recordChallengeStats } from './challengeStats.js';
+import { proxyKey } from '../proxy/parse.js';
 
-// 当前文件路径
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+const logger = getLogger('puppeteer');
 
-// 临时文件目录
-const TEMP_DIR = join(__dirname, '../temp');
-
-// 确保临时目录存在
-fse.ensureDirSync(TEMP_DIR);
-
-
-const logger = createLogger({
-  level: LOGGER_CONFIG.level,
-  format: format.combine(
-    format.timestamp(LOGGER_CONFIG.format.timestamp),
-    format.printf(LOGGER_CONFIG.format.printf)
-  ),
-  transports: [new transports.Console()]
-});
+// 进程退出或收到 SIGINT/SIGTERM 时删除本进程的运行时状态
+process.on('exit', removeOwnSessionStatesSync);
+onShutdown(removeOwnSessionStatesSync);
 
 /**
- * 清理临时文件
+ * 把时间转换为可用于文件名的时间戳
+ * @param {Date} [date=new Date()] - 时间
+ * @returns {string}
  */
-function cleanupTempFiles() {
-  try {
-    if (fse.existsSync(TEMP_FILES_CONFIG.configFilePath)) {
-      fse.unlinkSync(TEMP_FILES_CONFIG.configFilePath);
-      logger.debug('已清理配置文件');
-    }
-    if (fse.existsSync(TEMP_FILES_CONFIG.wsEndpointFilePath)) {
-      fse.unlinkSync(TEMP_FILES_CONFIG.wsEndpointFilePath);
-      logger.debug('已清理WebSocket端点文件');
-    }
-  } catch (error) {
-    logger.error(`清理临时文件时出错: ${error.message}`, {
-      stack: error.stack,
-      location: 'puppeteer.js:cleanupTempFiles'
-    });
-  }
+function fileTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
 }
 
-// 注册进程退出事件
-process.on('exit', cleanupTempFiles);
-process.on('SIGINT', () => {
-  cleanupTempFiles();
-  process.exit(1);
-});
-
-// 定时清理临时文件
-setInterval(cleanupTempFiles, TEMP_FILES_CONFIG.cleanupInterval);
-
-class PuppeteerController {
-  constructor() {
+class PuppeteerController extends EventEmitter {
+  /**
+   * @param {string|null} [browserId=null] - 该控制器绑定的比特浏览器ID，未指定时在连接时确定
+   * @param {Object} [options] - 选项
+   * @param {import('../providers/provider.js').BrowserProvider} [options.provider] - 打开浏览器的后端，默认按配置 provider.type 选择
+   */
+  constructor(browserId = null, options = {}) {
+    super();
+    this.browserId = browserId;
+    this.provider = options.provider || getProvider();
+    // 后端要求的代理账号，在每个标签页上应答代理认证
+    this.proxyCredentials = null;
     this.browser = null;
+    // 当前标签页，未指定 tab 的方法都作用于该页面
     this.page = null;
+    // 已注册崩溃和导航监听的页面
+    this.monitoredPages = new WeakSet();
+    // 是否已调用过 navigateTo，恢复会话状态应在首次导航之前完成
+    this.hasNavigated = false;
+    // 重连时复用的连接选项和重连配置
+    this.connectConfig = {};
+    this.reconnectOptions = { ...RECONNECT_CONFIG };
+    // 调试端口的HTTP地址，心跳检测使用
+    this.httpEndpoint = null;
+    // 主框架当前URL，重连后恢复
+    this.lastUrl = null;
+    // 进行中的重连，期间调用的方法会等待重连结束
+    this.reconnecting = null;
+    this.reconnects = 0;
+    this.heartbeatTimer = null;
+    this.lastHeartbeatAt = null;
+    // 连接丢失且无法恢复时的错误
+    this.connectionError = null;
+    // 调用 close() 后不再重连
+    this.closing = false;
+    // 请求规则，连接时按 PUPPETEER_REAL_BROWSER_CONFIG.network 和连接选项创建，重连后继续生效
+    this.network = new NetworkInterceptor();
+    // 进行中的 HAR 记录及 close() 时的保存路径
+    this.har = null;
+    this.harPath = null;
+    // 本次连接的产物目录 <capture.dir>/<浏览器ID>-<时间>，失败现场、录屏等默认保存在这里
+    this.artifactDir = null;
+    // 各标签页最近的控制台消息和网络请求，保存失败现场时使用
+    this.activity = new ActivityLog();
+    this.failures = 0;
+    // 进行中的录屏
+    this.screencast = null;
+    // 导航后未等待的验证（pending），waitForChallengeResolution 的结果作为其后续计入统计
+    this.pendingChallenges = new WeakMap();
+    // 浏览器所用代理的标识，记录验证统计时每次连接查询一次
+    this.challengeProxy = undefined;
+  }
+
+  /**
+   * 会话日志器，每条日志都带有当前浏览器ID
+   * @returns {import('winston').Logger}
+   */
+  get logger() {
+    return this.browserId ? logger.child({ browserId: this.browserId }) : logger;
   }
 
   /**
-   * 连接到比特浏览器
+   * 是否已连接到浏览器
+   * @returns {boolean}
+   */
+  isConnected() {
+    return Boolean(this.browser && this.browser.connected !== false);
+  }
+
+  /**
+   * 连接到浏览器，通过配置 provider.type 选择的后端（比特浏览器或本机 Chrome）打开浏览器
+   * 连接后监听断开和页面崩溃事件，并定时访问 /json/version 检测连接；连接丢失时按退避策略重连到同一浏览器并恢复当前URL
+   * 事件:
+   *   disconnected ({ browserId, reason, error }) - 连接丢失，reason 为 disconnected / crashed / heartbeat
+   *   reconnected ({ browserId, reason, attempts, url }) - 重连成功
+   *   failed ({ browserId, reason, error }) - 重连失败（或未启用重连），控制器不再可用
+   *   failure ({ browserId, method, error, bundle }) - 方法出错，失败现场已保存到 bundle.dir（见 capture.onFailure）
+   *   challenge ({ browserId, type, vendor, url, result, durationMs, detectedAt, evidence }) - 导航后遇到人机验证或 waitForChallengeResolution 得到结果
    * @param {string} browserId - 比特浏览器ID
    * @param {Object} [options] - 连接选项
+   * @param {boolean|Object} [options.restoreState] - 连接后、首次导航前恢复会话状态，为对象时作为 importState 的选项
+   * @param {boolean|Object} [options.audit] - 连接后执行指纹审计，为对象时作为 auditFingerprint 的选项；
+   *   默认发现严重泄露时断开连接并抛出 FingerprintLeakError
+   * @param {boolean|Object} [options.reconnect] - 覆盖 RECONNECT_CONFIG，为 false 时不自动重连
+   * @param {Object} [options.network] - 覆盖 PUPPETEER_REAL_BROWSER_CONFIG.network，另可传入 rules（见 addNetworkRule）；
+   *   har 为 true、保存路径或 startHar 的选项时记录 HAR，断开连接时保存
    * @returns {Promise<{browser: Browser, page: Page}>} - 浏览器和页面实例
    */
   async connectToBitBrowser(browserId, options = {}) {
+    // 连接过程中调用的API（获取调试信息等）产生的日志也带上浏览器ID
+    return withLogContext({ browserId }, () => this.establishConnection(browserId, options));
+  }
+
+  /**
+   * 连接到比特浏览器的实现，见 connectToBitBrowser
+   * @private
+   * @param {string} browserId - 比特浏览器ID
+   * @param {Object} options - 连接选项
+   * @returns {Promise<{browser: Browser, page: Page}>}
+   */
+  async establishConnection(browserId, options) {
+    // restoreState、audit、reconnect、network 由控制器处理，不传给 puppeteer-real-browser
+    const { restoreState, audit, reconnect, network = {}, ...connectConfig } = options;
     try {
-      // 获取比特浏览器调试信息
-      const debugInfo = await getBrowserDebugInfo(browserId);
+      const { browser, page, httpEndpoint, proxyCredentials } = await this.attach(browserId, connectConfig);
+
+      try {
+        this.browserId = browserId;
+        this.browser = browser;
+        this.page = page;
+        this.proxyCredentials = proxyCredentials;
+        this.hasNavigated = false;
+        this.closing = false;
+        this.connectionError = null;
+        this.lastUrl = null;
+        this.connectConfig = connectConfig;
+        this.httpEndpoint = httpEndpoint;
+        this.reconnectOptions = {
+          ...RECONNECT_CONFIG,
+          ...(typeof reconnect === 'boolean' ? { enabled: reconnect } : reconnect)
+        };
+        this.monitor(browser, page);
+        this.startHeartbeat();
+        
+        const { har = null, ...networkOptions } = network;
+        const networkConfig = { ...PUPPETEER_REAL_BROWSER_CONFIG.network, ...networkOptions };
+        this.network = new NetworkInterceptor(rulesFromConfig(networkConfig));
+        this.har = null;
+        this.artifactDir = join(CAPTURE_CONFIG.dir, `${browserId}-${fileTimestamp()}`);
+        this.activity = new ActivityLog();
+        this.failures = 0;
+        this.challengeProxy = undefined;
+        await this.attachPages(browser);
+        if (har || (har === null && networkConfig.recordHar)) {
+          await this.startHar(typeof har === 'string' ? { path: har } : { ...har });
+        }
+        
+        // 比特浏览器打开时恢复的标签页同样可以通过 listTabs / switchTab 使用
+        const tabs = await browser.pages();
+        this.logger.info(`Connected to ${this.provider.name} browser (${tabs.length} open tab${tabs.length === 1 ? '' : 's'})`);
+        
+        if (restoreState) {
+          await this.importState(restoreState === true ? {} : restoreState);
+        }
+        
+        if (audit) {
+          // 审计未通过时同样不保留连接，避免调用方在泄露的环境中继续运行
+          await this.auditFingerprint({ failOnCritical: true, ...(audit === true ? {} : audit) });
+        }
+      } catch (error) {
+        // 连接后的任何步骤失败都关闭连接，否则心跳定时器会让进程一直运行，运行时状态条目也不会删除
+        await this.close().catch(() => {});
+        throw error;
+      }
+
+      return { browser, page };
+    } catch (error) {
+      this.logger.error(`Error connecting to BitBrowser: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:connectToBitBrowser'
+      });
       
-      if (!debugInfo || !debugInfo.debuggerAddress) {
-        throw new Error('无法获取浏览器调试信息或调试地址');
+      // 尝试提供更具体的错误信息
+      if (error.message.includes('404') && this.provider.name === 'bitbrowser') {
+        this.logger.error('A 404 means the WebSocket connection was rejected. Possible causes:');
+        this.logger.error('1. The BitBrowser debugging port is not exposed');
+        this.logger.error('2. The WebSocket URL is malformed');
+        this.logger.error('3. The BitBrowser version is incompatible with puppeteer-real-browser');
+        this.logger.error('4. The browser has already been closed or crashed');
       }
       
-      logger.info(`调试地址: ${debugInfo.debuggerAddress}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 通过浏览器后端打开浏览器（已打开时直接返回调试地址）并通过 puppeteer-real-browser 连接，首次连接和重连共用
+   * @private
+   * @param {string} browserId - 比特浏览器ID
+   * @param {Object} connectConfig - puppeteer-real-browser 连接选项
+   * @returns {Promise<{browser: Browser, page: Page, httpEndpoint: string, proxyCredentials: Object|null}>} - 浏览器、页面、调试HTTP地址和代理账号
+   */
+  async attach(browserId, connectConfig) {
+    // 只有启动浏览器进程的后端（本机 Chrome）使用 headless，比特浏览器的窗口由客户端启动
+    const opened = await this.provider.open(browserId, { headless: connectConfig.headless });
+    
+    if (!opened || !opened.wsEndpoint) {
+      throw new Error('Could not get browser debug info or debugger address');
+    }
+    
+    this.logger.info(`Debugger address: ${opened.wsEndpoint}`);
+    
+    // 合并默认配置和用户配置，network 由控制器处理
+    const { network, ...defaults } = PUPPETEER_REAL_BROWSER_CONFIG;
+    const config = {
+      ...defaults,
+      ...connectConfig,
+      connectOption: {
+        ...PUPPETEER_REAL_BROWSER_CONFIG.connectOption,
+        ...(connectConfig.connectOption || {})
+      }
+    };
+    
+    let wsEndpoint = opened.wsEndpoint;
+    try {
+      const httpEndpoint = wsEndpoint.replace('ws://', 'http://').replace('wss://', 'https://');
+      const wsDebugUrlResponse = await fetch(`${httpEndpoint}/json/version`);
+      const wsDebugUrlData = await wsDebugUrlResponse.json();
       
-      // 合并默认配置和用户配置
-      const config = {
-        ...PUPPETEER_REAL_BROWSER_CONFIG,
-        ...options,
-        connectOption: {
-          ...PUPPETEER_REAL_BROWSER_CONFIG.connectOption,
-          ...(options.connectOption || {})
+      if (wsDebugUrlData && wsDebugUrlData.webSocketDebuggerUrl) {
+        wsEndpoint = wsDebugUrlData.webSocketDebuggerUrl;
+        this.logger.info(`Got WebSocket debugger URL from HTTP endpoint: ${wsEndpoint}`);
+      } else {
+        this.logger.warn('Could not get WebSocket debugger URL from HTTP endpoint, using default endpoint');
+      }
+    } catch (httpError) {
+      this.logger.warn(`Error fetching WebSocket debugger URL from HTTP endpoint (${httpError.message}), using default endpoint`);
+    }
+    
+    if (!wsEndpoint.startsWith('ws://') && !wsEndpoint.startsWith('wss://')) {
+      wsEndpoint = `ws://${wsEndpoint}`;
+      this.logger.info(`Added 'ws://' prefix to WebSocket endpoint: ${wsEndpoint}`);
+    }
+    
+    // 创建修改后的connect函数，使用已存在的浏览器实例
+    const connectOptions = {
+      ...config,
+      // 禁用Xvfb
+      disableXvfb: true,
+      // 禁用Chrome启动
+      ignoreAllFlags: true,
+      // 直接使用WebSocket端点连接
+      connectOption: {
+        ...config.connectOption,
+        browserWSEndpoint: wsEndpoint,
+        browserURL: undefined // undefined，确保只使用browserWSEndpoint
+      }
+    };
+    
+    // 连接选项只在调试级别输出，其中的代理账号等字段由日志器脱敏
+    this.logger.info(`Connecting to ${wsEndpoint}`);
+    this.logger.debug('Connect options', { connectOptions });
+    
+    // 使用puppeteer-real-browser连接到已存在的浏览器实例
+    const { browser, page } = await connect(connectOptions);
+    
+    const { protocol, host } = new URL(wsEndpoint);
+    return {
+      browser,
+      page,
+      httpEndpoint: `${protocol === 'wss:' ? 'https' : 'http'}://${host}`,
+      proxyCredentials: opened.proxyCredentials || null
+    };
+  }
+
+  /**
+   * 监听连接断开、页面崩溃和主框架导航
+   * 只处理当前连接的事件，已替换的旧连接触发的事件被忽略
+   * @private
+   * @param {Browser} browser - 浏览器实例
+   * @param {Page} page - 页面实例
+   */
+  monitor(browser, page) {
+    browser.once('disconnected', () => {
+      if (browser === this.browser) {
+        this.handleConnectionLoss('disconnected');
+      }
+    });
+    
+    this.monitorPage(page);
+  }
+
+  /**
+   * 对浏览器的所有标签页（包括之后打开的）应用请求规则、HAR 记录和活动日志
+   * 新标签页在 targetcreated 时才附加，此前发出的首个请求可能不受规则影响
+   * @private
+   * @param {Browser} browser - 浏览器实例
+   * @returns {Promise<void>}
+   */
+  async attachPages(browser) {
+    browser.on('targetcreated', async target => {
+      if (browser !== this.browser || target.type() !== 'page') {
+        return;
+      }
+      const page = await target.page().catch(() => null);
+      if (page) {
+        await this.attachPage(page);
+      }
+    });
+    
+    for (const page of await browser.pages()) {
+      await this.attachPage(page);
+    }
+  }
+
+  /**
+   * 对标签页应用代理认证、请求规则、HAR 记录和活动日志
+   * @private
+   * @param {Page} page - 页面实例
+   * @returns {Promise<void>}
+   */
+  async attachPage(page) {
+    this.activity.attach(page);
+    if (this.proxyCredentials) {
+      await page.authenticate(this.proxyCredentials).catch(error => {
+        this.logger.warn(`Could not set proxy credentials on ${page.url()}: ${error.message}`);
+      });
+    }
+    if (this.har) {
+      this.har.attach(page);
+    }
+    try {
+      await this.network.attach(page);
+    } catch (error) {
+      this.logger.warn(`Could not enable request interception on ${page.url()}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 监听页面崩溃和主框架导航，只有当前标签页的事件会触发重连和记录URL
+   * @private
+   * @param {Page} page - 页面实例
+   */
+  monitorPage(page) {
+    if (this.monitoredPages.has(page)) {
+      return;
+    }
+    this.monitoredPages.add(page);
+    
+    page.on('error', error => {
+      if (page === this.page) {
+        this.handleConnectionLoss('crashed', error);
+      }
+    });
+    
+    // 记录当前URL（包括脚本直接调用 page.goto 的导航），重连后恢复
+    page.on('framenavigated', frame => {
+      if (page === this.page && frame === page.mainFrame()) {
+        this.lastUrl = frame.url();
+      }
+    });
+  }
+
+  /**
+   * 启动心跳检测，定时访问调试端口的 /json/version，失败时视为连接丢失
+   * @private
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    
+    const { heartbeatInterval, heartbeatTimeout } = this.reconnectOptions;
+    if (!heartbeatInterval || !this.httpEndpoint) {
+      return;
+    }
+    
+    this.heartbeatTimer = setInterval(() => this.heartbeat(heartbeatTimeout), heartbeatInterval);
+    // 心跳不应阻止进程退出
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * 停止心跳检测
+   * @private
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * 执行一次心跳检测
+   * @private
+   * @param {number} timeout - 超时时间（毫秒）
+   * @returns {Promise<void>}
+   */
+  async heartbeat(timeout) {
+    const browser = this.browser;
+    if (!browser) {
+      return;
+    }
+    
+    try {
+      const response = await fetch(`${this.httpEndpoint}/json/version`, { signal: AbortSignal.timeout(timeout) });
+      if (!response.ok) {
+        throw new Error(`/json/version returned HTTP ${response.status}`);
+      }
+      this.lastHeartbeatAt = new Date();
+    } catch (error) {
+      if (browser === this.browser) {
+        this.handleConnectionLoss('heartbeat', error);
+      }
+    }
+  }
+
+  /**
+   * 处理连接丢失：清除失效的浏览器和页面引用，通知调用方并开始重连
+   * @private
+   * @param {string} reason - disconnected / crashed / heartbeat
+   * @param {Error} [error] - 原始错误
+   */
+  handleConnectionLoss(reason, error) {
+    if (this.closing || this.reconnecting || !this.browser) {
+      return;
+    }
+    
+    const stale = this.browser;
+    this.browser = null;
+    this.page = null;
+    this.stopHeartbeat();
+    // 页面崩溃或心跳失败时旧连接可能仍然存在，断开后重新连接
+    if (stale.connected) {
+      stale.disconnect().catch(() => {});
+    }
+    
+    this.logger.warn(`Connection lost (${reason})${error ? `: ${error.message}` : ''}`);
+    this.emit('disconnected', { browserId: this.browserId, reason, error });
+    
+    if (!this.reconnectOptions.enabled) {
+      this.connectionError = error || new Error(`Browser connection lost (${reason})`);
+      this.emit('failed', { browserId: this.browserId, reason, error: this.connectionError });
+      return;
+    }
+    
+    this.reconnecting = withLogContext({ browserId: this.browserId }, () => this.reconnect(reason))
+      .finally(() => {
+        this.reconnecting = null;
+      });
+  }
+
+  /**
+   * 按退避策略重新打开并连接同一浏览器，成功后恢复断开前的URL；不会抛出，结果通过事件通知
+   * @private
+   * @param {string} reason - 连接丢失的原因
+   * @returns {Promise<void>}
+   */
+  async reconnect(reason) {
+    const { retries, minDelay, maxDelay, factor } = this.reconnectOptions;
+    const url = this.lastUrl;
+    let attempts = 0;
+    
+    try {
+      const { browser, page, httpEndpoint, proxyCredentials } = await withRetry(() => {
+        attempts++;
+        if (this.closing) {
+          throw new Error('Controller was closed during reconnect');
         }
-      };
-      
-      let wsEndpoint = debugInfo.debuggerAddress;
-      try {
-        const httpEndpoint = wsEndpoint.replace('ws://', 'http://').replace('wss://', 'https://');
-        const wsDebugUrlResponse = await fetch(`${httpEndpoint}/json/version`);
-        const wsDebugUrlData = await wsDebugUrlResponse.json();
-        
-        if (wsDebugUrlData && wsDebugUrlData.webSocketDebuggerUrl) {
-          wsEndpoint = wsDebugUrlData.webSocketDebuggerUrl;
-          logger.info(`从HTTP端点获取到WebSocket调试URL: ${wsEndpoint}`);
-        } else {
-          logger.warn('无法从HTTP端点获取WebSocket调试URL，使用默认端点');
+        this.logger.info(`Reconnecting to browser ${this.browserId} (attempt ${attempts}/${retries + 1})`);
+        return this.attach(this.browserId, this.connectConfig);
+      }, {
+        retries,
+        minDelay,
+        maxDelay,
+        factor,
+        shouldRetry: () => !this.closing,
+        onRetry: (error, attempt, delay) => {
+          this.logger.warn(`Reconnect attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
         }
-      } catch (httpError) {
-        logger.warn(`尝试从HTTP端点获取WebSocket调试URL时出错: ${httpError.message}`);
-        logger.warn('使用默认WebSocket端点');
-      }
-      
-      if (!wsEndpoint.startsWith('ws://') && !wsEndpoint.startsWith('wss://')) {
-        wsEndpoint = `ws://${wsEndpoint}`;
-        logger.info(`添加'ws://'前缀到WebSocket端点: ${wsEndpoint}`);
-      }
-      
-      // 创建修改后的connect函数，使用已存在的浏览器实例
-      const connectOptions = {
-        ...config,
-        // 禁用Xvfb
-        disableXvfb: true,
-        // 禁用Chrome启动
-        ignoreAllFlags: true,
-        // 直接使用WebSocket端点连接
-        connectOption: {
-          ...config.connectOption,
-          browserWSEndpoint: wsEndpoint,
-          browserURL: undefined // undefined，确保只使用browserWSEndpoint
+      });
+      
+      // 等待重连期间调用了 close()，丢弃新连接
+      if (this.closing) {
+        await browser.disconnect();
+        return;
+      }
+      
+      this.browser = browser;
+      this.page = page;
+      this.httpEndpoint = httpEndpoint;
+      this.proxyCredentials = proxyCredentials;
+      this.reconnects++;
+      this.monitor(browser, page);
+      this.startHeartbeat();
+      this.network.detachAll();
+      await this.attachPages(browser);
+      
+      if (url && url !== 'about:blank' && page.url() !== url) {
+        try {
+          await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        } catch (error) {
+          this.logger.warn(`Reconnected but could not restore ${url}: ${error.message}`);
         }
-      };
+      }
       
-      logger.info(`使用以下选项连接到浏览器: ${JSON.stringify(connectOptions, null, 2)}`);
+      this.logger.info(`Reconnected to browser ${this.browserId} after ${attempts} attempt(s)`);
+      this.emit('reconnected', { browserId: this.browserId, reason, attempts, url });
+    } catch (error) {
+      this.connectionError = error;
+      this.logger.error(`Reconnect to browser ${this.browserId} failed after ${attempts} attempt(s): ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:reconnect'
+      });
+      this.emit('failed', { browserId: this.browserId, reason, error });
+    }
+  }
+
+  /**
+   * 连接健康状态
+   * @returns {{connected: boolean, reconnecting: boolean, reconnects: number, lastHeartbeatAt: string|null, error: string|null}}
+   */
+  get health() {
+    return {
+      connected: this.isConnected(),
+      reconnecting: Boolean(this.reconnecting),
+      reconnects: this.reconnects,
+      lastHeartbeatAt: this.lastHeartbeatAt ? this.lastHeartbeatAt.toISOString() : null,
+      error: this.connectionError ? this.connectionError.message : null
+    };
+  }
+
+  /**
+   * 获取当前页面，正在重连时等待重连结束
+   * @private
+   * @returns {Promise<Page>}
+   * @throws {Error} - 未连接或连接丢失后重连失败时抛出
+   */
+  async requirePage() {
+    if (this.reconnecting) {
+      await this.reconnecting;
+    }
+    
+    if (!this.page) {
+      if (this.connectionError) {
+        throw new Error(`Connection to browser ${this.browserId} was lost and could not be restored: ${this.connectionError.message}`, {
+          cause: this.connectionError
+        });
+      }
+      throw new Error('No page available, call connectToBitBrowser first');
+    }
+    return this.page;
+  }
+
+  /**
+   * 获取标签页
+   * @param {import('./tabs.js').TabTarget} [target] - 查找条件，省略时返回当前标签页
+   * @returns {Promise<Page>}
+   * @throws {TabNotFoundError} - 没有匹配的标签页时抛出
+   */
+  async getTab(target) {
+    const page = await this.requirePage();
+    if (target === undefined || target === null) {
+      return page;
+    }
+    return findTab(await this.browser.pages(), target);
+  }
+
+  /**
+   * 列出所有标签页（包括比特浏览器打开时恢复的标签页和弹出窗口）
+   * @returns {Promise<Array<{index: number, url: string, title: string, active: boolean}>>}
+   */
+  async listTabs() {
+    try {
+      await this.requirePage();
+      
+      const pages = await this.browser.pages();
+      return await Promise.all(pages.map(async (page, index) => ({
+        index,
+        url: page.url(),
+        title: await page.title().catch(() => ''),
+        active: page === this.page
+      })));
+    } catch (error) {
+      this.logger.error(`Error listing tabs: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:listTabs'
+      });
+      await this.captureFailure('listTabs', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 打开新标签页
+   * @param {string} [url] - 要打开的URL，省略时为空白页
+   * @param {Object} [options] - 选项，其余字段作为导航选项
+   * @param {boolean} [options.activate=true] - 是否切换到新标签页
+   * @returns {Promise<Page>} - 新标签页
+   */
+  async openTab(url, options = {}) {
+    const { activate = true, ...gotoOptions } = options;
+    try {
+      await this.requirePage();
       
-      // 使用puppeteer-real-browser连接到已存在的浏览器实例
-      const { browser, page } = await connect(connectOptions);
+      const page = await this.browser.newPage();
+      if (url) {
+        await page.goto(url, { waitUntil: WAIT_CONFIG.navigationWaitUntil, timeout: WAIT_CONFIG.timeout, ...gotoOptions });
+      }
+      this.logger.info(`Opened tab ${url || 'about:blank'}`);
+      
+      if (activate) {
+        await this.switchTab(page);
+      }
+      return page;
+    } catch (error) {
+      this.logger.error(`Error opening tab ${url || 'about:blank'}: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:openTab'
+      });
+      await this.captureFailure('openTab', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 切换当前标签页，之后未指定 tab 的方法都作用于该标签页
+   * @param {import('./tabs.js').TabTarget} target - 查找条件
+   * @returns {Promise<Page>} - 切换后的当前标签页
+   * @throws {TabNotFoundError} - 没有匹配的标签页时抛出
+   */
+  async switchTab(target) {
+    try {
+      const page = await this.getTab(target);
+      await page.bringToFront();
       
-      this.browser = browser;
       this.page = page;
+      this.lastUrl = page.url();
+      this.monitorPage(page);
       
-      logger.info('成功连接到比特浏览器');
-      return { browser, page };
+      this.logger.info(`Switched to tab ${page.url()}`);
+      return page;
     } catch (error) {
-      logger.error(`连接到比特浏览器时出错: ${error.message}`, {
+      this.logger.error(`Error switching to tab ${describeTabTarget(target)}: ${error.message}`, {
         stack: error.stack,
-        location: 'puppeteer.js:connectToBitBrowser'
+        location: 'puppeteer.js:switchTab'
       });
+      await this.captureFailure('switchTab', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 关闭标签页；关闭当前标签页时切换到最后一个剩余的标签页，没有剩余标签页时打开空白页
+   * @param {import('./tabs.js').TabTarget} [target] - 查找条件，省略时关闭当前标签页
+   * @returns {Promise<void>}
+   * @throws {TabNotFoundError} - 没有匹配的标签页时抛出
+   */
+  async closeTab(target) {
+    try {
+      const page = await this.getTab(target);
+      const url = page.url();
+      const wasActive = page === this.page;
       
-      // 尝试提供更具体的错误信息
-      if (error.message.includes('404')) {
-        logger.error('错误404表明WebSocket连接被拒绝。这可能是因为:');
-        logger.error('1. 比特浏览器调试端口未正确暴露');
-        logger.error('2. WebSocket URL格式不正确');
-        logger.error('3. 比特浏览器版本与puppeteer-real-browser不兼容');
-        logger.error('4. 比特浏览器可能已经关闭或崩溃');
+      await page.close();
+      this.logger.info(`Closed tab ${url}`);
+      
+      if (wasActive) {
+        const remaining = (await this.browser.pages()).filter(candidate => candidate !== page);
+        if (remaining.length > 0) {
+          await this.switchTab(remaining[remaining.length - 1]);
+        } else {
+          await this.openTab();
+        }
       }
+    } catch (error) {
+      this.logger.error(`Error closing tab ${describeTabTarget(target ?? this.page)}: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:closeTab'
+      });
+      await this.captureFailure('closeTab', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 等待新标签页或弹出窗口（target=_blank 链接、window.open、OAuth 登录窗口等）
+   * 应在触发打开的操作之前调用，例如:
+   *   const popup = controller.waitForTab({ url: /accounts\.google\.com/ });
+   *   await page.click('#login-with-google');
+   *   await popup;
+   * @param {Object} [options] - 等待选项
+   * @param {string|RegExp} [options.url] - 新标签页的URL条件，弹出窗口先打开 about:blank 时会等待其跳转
+   * @param {string|RegExp} [options.title] - 新标签页的标题条件
+   * @param {number} [options.timeout=30000] - 超时时间（毫秒）
+   * @param {boolean} [options.activate=false] - 是否切换到新标签页
+   * @returns {Promise<Page>} - 新标签页
+   */
+  async waitForTab(options = {}) {
+    const { timeout = 30000, activate = false, ...criteria } = options;
+    // 调用前已存在的标签页不算新标签页，在任何 await 之前记录，调用后立即打开的弹出窗口也能等到
+    const existing = new Set(this.browser ? this.browser.targets() : []);
+    try {
+      await this.requirePage();
       
+      const target = await this.browser.waitForTarget(async candidate => {
+        if (candidate.type() !== 'page' || existing.has(candidate)) {
+          return false;
+        }
+        const page = await candidate.page();
+        return Boolean(page) && matchesTab(page, toCriteria(criteria));
+      }, { timeout });
+      
+      const page = await target.page();
+      this.logger.info(`New tab opened: ${page.url()}`);
+      
+      if (activate) {
+        await this.switchTab(page);
+      }
+      return page;
+    } catch (error) {
+      this.logger.error(`Error waiting for new tab: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:waitForTab'
+      });
+      await this.captureFailure('waitForTab', error);
       throw error;
     }
   }
 
   /**
    * 导航到URL
+   * 导航后检测人机验证（见 challenge 配置）：Cloudflare 全页验证和 Turnstile 等待通过，其他验证码不等待（结果为 pending），
+   * 拦截页直接返回 blocked；检测到验证时触发 challenge 事件并计入浏览器和代理的验证统计
    * @param {string} url - 要导航的URL
-   * @param {Object} options - 导航选项
-   * @returns {Promise<void>}
+   * @param {Object} options - 导航选项，waitUntil 和 timeout 默认取 wait 配置
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @param {boolean|Object} [options.challenge] - 覆盖 CHALLENGE_CONFIG 的 detect、timeout、pollInterval、failOnUnresolved，为 false 时不检测
+   * @param {AbortSignal} [options.signal] - 中止信号，中止导航和等待验证通过
+   * @returns {Promise<Object|null>} - 验证结果 { type, vendor, url, result, durationMs, detectedAt, evidence }，没有验证或未检测时返回 null
+   * @throws {ChallengeError} - failOnUnresolved 且验证未通过时抛出，error.outcome 为验证结果
    */
   async navigateTo(url, options = {}) {
+    const { tab, challenge, ...gotoOptions } = options;
     try {
-      if (!this.page) {
-        throw new Error('没有可用的页面');
-      }
+      const page = await this.getTab(tab);
       
       const defaultOptions = {
-        waitUntil: 'networkidle2',
-        timeout: 30000
+        waitUntil: WAIT_CONFIG.navigationWaitUntil,
+        timeout: WAIT_CONFIG.timeout
       };
       
-      await this.page.goto(url, { ...defaultOptions, ...options });
-      logger.info(`已导航到: ${url}`);
+      this.hasNavigated = true;
+      const response = await page.goto(url, { ...defaultOptions, ...gotoOptions });
+      this.logger.info(`Navigated to ${url}`);
+      
+      const settings = { ...CHALLENGE_CONFIG, ...(typeof challenge === 'boolean' ? { detect: challenge } : challenge) };
+      if (!settings.detect) {
+        return null;
+      }
+      const startedAt = Date.now();
+      const detected = await detectChallenge(page, { response }).catch(error => {
+        // 页面在加载后立即跳转时执行上下文已销毁，不影响导航结果
+        this.logger.warn(`Could not check ${url} for challenges: ${error.message}`);
+        return null;
+      });
+      let outcome = null;
+      if (detected) {
+        this.logger.warn(`Detected ${detected.type} challenge (${detected.vendor}) on ${url}: ${detected.evidence.join(', ')}`);
+        outcome = await waitForChallengeResolution(page, {
+          challenge: detected,
+          timeout: SELF_RESOLVING_TYPES.includes(detected.type) ? settings.timeout : 0,
+          pollInterval: settings.pollInterval,
+          startedAt,
+          signal: gotoOptions.signal
+        });
+      }
+      await this.reportChallenge(page, outcome, { navigation: true });
+      
+      if (outcome && outcome.result !== 'solved' && settings.failOnUnresolved) {
+        throw new ChallengeError(outcome);
+      }
+      return outcome;
     } catch (error) {
-      logger.error(`导航到 ${url} 时出错: ${error.message}`, {
+      this.logger.error(`Error navigating to ${url}: ${error.message}`, {
         stack: error.stack,
         location: 'puppeteer.js:navigateTo'
       });
+      await this.captureFailure('navigateTo', error, tab);
       throw error;
     }
   }
 
   /**
    * 在页面上执行JavaScript
+   * @example
+   * await controller.evaluate(() => document.title);
+   * await controller.evaluate({ tab: { title: 'Sign in' } }, () => document.title);
+   * @param {Object} [options] - 可省略，第一个参数为对象时视为选项
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
    * @param {Function|string} pageFunction - 要执行的函数或JavaScript字符串
    * @param {...any} args - 传递给函数的参数
    * @returns {Promise<any>} - 执行结果
    */
-  async evaluate(pageFunction, ...args) {
+  async evaluate(...params) {
+    const options = params[0] !== null && typeof params[0] === 'object' ? params.shift() : {};
+    const [pageFunction, ...args] = params;
     try {
-      if (!this.page) {
-        throw new Error('没有可用的页面');
-      }
+      const page = await this.getTab(options.tab);
       
-      return await this.page.evaluate(pageFunction, ...args);
+      return await page.evaluate(pageFunction, ...args);
     } catch (error) {
-      logger.error(`执行JavaScript时出错: ${error.message}`, {
+      this.logger.error(`Error evaluating JavaScript: ${error.message}`, {
         stack: error.stack,
         location: 'puppeteer.js:evaluate'
       });
+      await this.captureFailure('evaluate', error, options.tab);
       throw error;
     }
   }
 
   /**
-   * 截图
-   * @param {Object} options - 截图选项
+   * 模拟真人点击元素：沿曲线轨迹移动鼠标，停顿后按下和松开
+   * @param {string} selector - 选择器
+   * @param {Object} [options] - 选项，另可覆盖 humanInput 配置的各字段
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @param {number} [options.timeout] - 等待元素可见的超时时间（毫秒）
+   * @param {AbortSignal} [options.signal] - 中止信号，中止后不再继续操作
+   * @param {string} [options.button='left'] - 鼠标按键
+   * @param {number} [options.clickCount=1] - 点击次数
+   * @returns {Promise<void>}
+   */
+  async click(selector, options = {}) {
+    const { tab, ...inputOptions } = options;
+    try {
+      const page = await this.getTab(tab);
+      await humanClick(page, selector, inputOptions);
+      this.logger.debug(`Clicked ${selector}`);
+    } catch (error) {
+      this.logger.error(`Error clicking ${selector}: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:click'
+      });
+      await this.captureFailure('click', error, tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 模拟真人输入：点击输入框后逐键输入，按键间隔随机并偶尔打错后删除重打
+   * @param {string} selector - 选择器
+   * @param {string} text - 要输入的文本
+   * @param {Object} [options] - 选项，另可覆盖 humanInput 配置的各字段
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @param {boolean} [options.clear=false] - 输入前删除已有内容
+   * @param {number} [options.timeout] - 等待元素可见的超时时间（毫秒）
+   * @param {AbortSignal} [options.signal] - 中止信号，中止后不再继续操作
+   * @returns {Promise<void>}
+   */
+  async type(selector, text, options = {}) {
+    const { tab, ...inputOptions } = options;
+    try {
+      const page = await this.getTab(tab);
+      await humanType(page, selector, text, inputOptions);
+      // 不记录输入内容，可能是密码
+      this.logger.debug(`Typed ${String(text).length} characters into ${selector}`);
+    } catch (error) {
+      this.logger.error(`Error typing into ${selector}: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:type'
+      });
+      await this.captureFailure('type', error, tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 沿曲线轨迹把鼠标移动到元素上
+   * @param {string} selector - 选择器
+   * @param {Object} [options] - 选项，另可覆盖 humanInput 配置的各字段
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @param {number} [options.timeout] - 等待元素可见的超时时间（毫秒）
+   * @param {AbortSignal} [options.signal] - 中止信号，中止后不再继续操作
+   * @returns {Promise<void>}
+   */
+  async hover(selector, options = {}) {
+    const { tab, ...inputOptions } = options;
+    try {
+      const page = await this.getTab(tab);
+      await humanHover(page, selector, inputOptions);
+      this.logger.debug(`Hovered ${selector}`);
+    } catch (error) {
+      this.logger.error(`Error hovering ${selector}: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:hover'
+      });
+      await this.captureFailure('hover', error, tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 以随机速度滚动到元素、页面边缘或指定坐标
+   * @param {string|{x?: number, y?: number}} target - 选择器、'top' | 'bottom' | 'left' | 'right' 或页面坐标
+   * @param {Object} [options] - 选项，另可覆盖 humanInput 配置的各字段
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @param {number} [options.timeout] - 等待元素可见的超时时间（毫秒）
+   * @param {AbortSignal} [options.signal] - 中止信号，中止后不再继续操作
+   * @returns {Promise<void>}
+   */
+  async scrollTo(target, options = {}) {
+    const { tab, ...inputOptions } = options;
+    try {
+      const page = await this.getTab(tab);
+      await humanScrollTo(page, target, inputOptions);
+      this.logger.debug(`Scrolled to ${JSON.stringify(target)}`);
+    } catch (error) {
+      this.logger.error(`Error scrolling to ${JSON.stringify(target)}: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:scrollTo'
+      });
+      await this.captureFailure('scrollTo', error, tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 选择下拉框的选项，触发 input 和 change 事件
+   * @param {string} selector - select 元素的选择器
+   * @param {string|Array<string>} values - 选项的 value，多选时为数组
+   * @param {Object} [options] - 选项，另可覆盖 humanInput 配置的各字段
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @param {number} [options.timeout] - 等待元素可见的超时时间（毫秒）
+   * @param {AbortSignal} [options.signal] - 中止信号，中止后不再继续操作
+   * @returns {Promise<Array<string>>} - 实际选中的值
+   */
+  async select(selector, values, options = {}) {
+    const { tab, ...inputOptions } = options;
+    try {
+      const page = await this.getTab(tab);
+      const selected = await humanSelect(page, selector, values, inputOptions);
+      this.logger.debug(`Selected ${JSON.stringify(selected)} in ${selector}`);
+      return selected;
+    } catch (error) {
+      this.logger.error(`Error selecting in ${selector}: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:select'
+      });
+      await this.captureFailure('select', error, tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 执行等待并记录超时
+   * @private
+   * @param {string} name - 方法名，用于日志位置
+   * @param {import('./tabs.js').TabTarget} tab - 目标标签页
+   * @param {Function} wait - 等待函数 (page) => Promise
+   * @returns {Promise<any>}
+   */
+  async runWait(name, tab, wait) {
+    try {
+      const page = await this.getTab(tab);
+      return await wait(page);
+    } catch (error) {
+      this.logger.error(`Error in ${name}: ${error.message}`, {
+        stack: error.stack,
+        location: `puppeteer.js:${name}`
+      });
+      await this.captureFailure(name, error, tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 等待当前页面上的人机验证通过，用于 navigateTo 返回 pending 后（例如手动或由其他工具完成验证码）
+   * 或页面自行跳转到验证页时；得到结果时触发 challenge 事件并计入验证统计
+   * @param {number|Object} [options] - 超时时间（毫秒）或选项
+   * @param {number} [options.timeout] - 超时时间（毫秒），默认取 challenge.timeout
+   * @param {number} [options.pollInterval] - 检查间隔（毫秒），默认取 challenge.pollInterval
+   * @param {boolean} [options.failOnUnresolved] - 被拦截或超时时抛出 ChallengeError，默认取 challenge.failOnUnresolved
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @returns {Promise<Object|null>} - 验证结果，见 navigateTo；之前 pending 的验证已不在页面上时结果为 solved，页面上没有验证时返回 null
+   * @throws {ChallengeError} - failOnUnresolved 且验证未通过时抛出
+   */
+  async waitForChallengeResolution(options = {}) {
+    const { tab, failOnUnresolved = CHALLENGE_CONFIG.failOnUnresolved, ...waitOptions } =
+      typeof options === 'number' ? { timeout: options } : options;
+    return this.runWait('waitForChallengeResolution', tab, async page => {
+      const pending = this.pendingChallenges.get(page);
+      let outcome = await waitForChallengeResolution(page, {
+        ...waitOptions,
+        startedAt: pending ? Date.parse(pending.detectedAt) : Date.now()
+      });
+      if (!outcome && pending) {
+        // 调用前验证已被处理、页面已离开验证页，之前 pending 的验证视为通过
+        outcome = { ...pending, url: page.url(), result: 'solved', durationMs: Date.now() - Date.parse(pending.detectedAt) };
+      }
+      await this.reportChallenge(page, outcome, { continued: Boolean(pending) });
+      if (outcome && outcome.result !== 'solved' && failOnUnresolved) {
+        throw new ChallengeError(outcome);
+      }
+      return outcome;
+    });
+  }
+
+  /**
+   * 记录验证结果：写日志、触发 challenge 事件并计入验证统计，统计写入失败只记录警告
+   * @private
+   * @param {import('puppeteer').Page} page - 页面
+   * @param {Object|null} outcome - 验证结果，没有验证时为 null
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.navigation=false] - 是否由导航触发，导航次数计入统计
+   * @param {boolean} [options.continued=false] - 是否为之前 pending 的验证的后续结果
+   * @returns {Promise<void>}
+   */
+  async reportChallenge(page, outcome, options = {}) {
+    const { navigation = false, continued = false } = options;
+    if (outcome) {
+      const level = outcome.result === 'solved' ? 'info' : 'warn';
+      this.logger[level](`${outcome.type} challenge (${outcome.vendor}) ${outcome.result} after ${outcome.durationMs}ms on ${outcome.url}`);
+      if (outcome.result === 'pending') {
+        this.pendingChallenges.set(page, outcome);
+      } else {
+        this.pendingChallenges.delete(page);
+      }
+      this.emit('challenge', { browserId: this.browserId, ...outcome });
+    }
+    if (!this.browserId || !CHALLENGE_CONFIG.recordStats || !CHALLENGE_CONFIG.statsDir || (!navigation && !outcome)) {
+      return;
+    }
+    try {
+      await recordChallengeStats(this.browserId, { navigation, outcome, continued, proxy: await this.getChallengeProxy() });
+    } catch (error) {
+      this.logger.warn(`Could not record challenge stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * 浏览器所用代理的标识，每次连接查询一次，查询失败或未使用代理时为 null
+   * @private
+   * @returns {Promise<string|null>}
+   */
+  async getChallengeProxy() {
+    if (this.challengeProxy === undefined) {
+      try {
+        const detail = await this.provider.get(this.browserId);
+        this.challengeProxy = detail.host && detail.proxyType && detail.proxyType !== 'noproxy'
+          ? proxyKey({ type: detail.proxyType, username: detail.proxyUserName, host: detail.host, port: detail.port })
+          : null;
+      } catch (error) {
+        this.logger.debug(`Could not look up proxy for challenge stats: ${error.message}`);
+        this.challengeProxy = null;
+      }
+    }
+    return this.challengeProxy;
+  }
+
+  /**
+   * 等待元素达到指定状态
+   * @param {string} selector - CSS选择器
+   * @param {Object} [options] - 选项
+   * @param {string} [options.state='visible'] - visible、hidden、attached 或 detached
+   * @param {number} [options.timeout] - 超时时间（毫秒），默认取 wait.timeout
+   * @param {number} [options.pollInterval] - 轮询间隔（毫秒），默认取 wait.pollInterval
+   * @param {AbortSignal} [options.signal] - 中止信号
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @returns {Promise<import('puppeteer').ElementHandle|null>} - visible/attached 时返回元素
+   * @throws {WaitTimeoutError} - 超时时抛出，信息中包含等待的条件
+   */
+  async waitForSelector(selector, options = {}) {
+    const { tab, ...waitOptions } = options;
+    return this.runWait('waitForSelector', tab, page => waitForSelector(page, selector, waitOptions));
+  }
+
+  /**
+   * 等待页面中出现文本
+   * @param {string|RegExp} text - 文本（子串）或正则
+   * @param {Object} [options] - 选项
+   * @param {string} [options.selector='body'] - 在该元素中查找
+   * @param {number} [options.timeout] - 超时时间（毫秒），默认取 wait.timeout
+   * @param {number} [options.pollInterval] - 轮询间隔（毫秒），默认取 wait.pollInterval
+   * @param {AbortSignal} [options.signal] - 中止信号
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @returns {Promise<string>} - 匹配到的文本
+   * @throws {WaitTimeoutError} - 超时时抛出，信息中包含等待的条件
+   */
+  async waitForText(text, options = {}) {
+    const { tab, ...waitOptions } = options;
+    return this.runWait('waitForText', tab, page => waitForText(page, text, waitOptions));
+  }
+
+  /**
+   * 等待页面URL匹配（跳转、重定向或 pushState）
+   * @param {string|RegExp|Function} pattern - URL子串、正则或判断函数 (url) => boolean
+   * @param {Object} [options] - 选项
+   * @param {number} [options.timeout] - 超时时间（毫秒），默认取 wait.timeout
+   * @param {number} [options.pollInterval] - 轮询间隔（毫秒），默认取 wait.pollInterval
+   * @param {AbortSignal} [options.signal] - 中止信号
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @returns {Promise<string>} - 匹配的URL
+   * @throws {WaitTimeoutError} - 超时时抛出，信息中包含等待的条件
+   */
+  async waitForUrl(pattern, options = {}) {
+    const { tab, ...waitOptions } = options;
+    return this.runWait('waitForUrl', tab, page => waitForUrl(page, pattern, waitOptions));
+  }
+
+  /**
+   * 等待网络响应，应在触发请求的操作之前调用，例如:
+   *   const response = controller.waitForResponse('/api/login', { status: 200 });
+   *   await controller.click('#submit');
+   *   const body = await (await response).json();
+   * @param {string|RegExp|Function} matcher - URL子串、正则或判断函数 (response) => boolean
+   * @param {Object} [options] - 选项
+   * @param {number} [options.status] - 要求的HTTP状态码
+   * @param {number} [options.timeout] - 超时时间（毫秒），默认取 wait.timeout
+   * @param {AbortSignal} [options.signal] - 中止信号
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @returns {Promise<import('puppeteer').HTTPResponse>}
+   * @throws {WaitTimeoutError} - 超时时抛出，信息中包含等待的条件
+   */
+  async waitForResponse(matcher, options = {}) {
+    const { tab, ...waitOptions } = options;
+    return this.runWait('waitForResponse', tab, page => waitForResponse(page, matcher, waitOptions));
+  }
+
+  /**
+   * 等待DOM在一段时间内没有变化，代替导航或点击后的固定等待
+   * @param {Object} [options] - 选项
+   * @param {number} [options.quietTime] - 无变化的持续时间（毫秒），默认取 wait.stableTime
+   * @param {string} [options.selector] - 只观察该元素，默认整个文档
+   * @param {number} [options.timeout] - 超时时间（毫秒），默认取 wait.timeout
+   * @param {AbortSignal} [options.signal] - 中止信号
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @returns {Promise<void>}
+   * @throws {WaitTimeoutError} - 超时时抛出，信息中包含等待的条件
+   */
+  async waitForStableDom(options = {}) {
+    const { tab, ...waitOptions } = options;
+    return this.runWait('waitForStableDom', tab, page => waitForStableDom(page, waitOptions));
+  }
+
+  /**
+   * 轮询自定义条件，直到返回真值
+   * @example
+   * await controller.waitFor(async page => (await page.cookies()).some(cookie => cookie.name === 'sid'), { description: 'session cookie' });
+   * @param {Function} predicate - 判断函数 (page) => any
+   * @param {Object} [options] - 选项
+   * @param {string} [options.description] - 条件描述，用于超时错误信息
+   * @param {number} [options.timeout] - 超时时间（毫秒），默认取 wait.timeout
+   * @param {number} [options.pollInterval] - 轮询间隔（毫秒），默认取 wait.pollInterval
+   * @param {AbortSignal} [options.signal] - 中止信号
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @returns {Promise<any>} - 判断函数返回的真值
+   * @throws {WaitTimeoutError} - 超时时抛出，信息中包含等待的条件
+   */
+  async waitFor(predicate, options = {}) {
+    const { tab, ...waitOptions } = options;
+    return this.runWait('waitFor', tab, page => waitForCondition(page, predicate, waitOptions));
+  }
+
+  /**
+   * 截图，默认截取整个页面
+   * @param {Object} options - 截图选项，其余字段传给 page.screenshot（path、type、quality 等）
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @param {string} [options.selector] - 只截取该元素，等待元素可见后截取
+   * @param {number} [options.timeout] - 等待元素可见的超时时间（毫秒），默认取 wait.timeout
    * @returns {Promise<Buffer>} - 截图数据
    */
   async takeScreenshot(options = {}) {
+    const { tab, selector, timeout, ...screenshotOptions } = options;
     try {
-      if (!this.page) {
-        throw new Error('没有可用的页面');
+      const page = await this.getTab(tab);
+      
+      if (selector) {
+        const screenshot = await captureElement(page, selector, { timeout, ...screenshotOptions });
+        this.logger.info(`Screenshot of ${selector} taken`);
+        return screenshot;
       }
       
       const defaultOptions = {
         fullPage: true
       };
       
-      const screenshot = await this.page.screenshot({ ...defaultOptions, ...options });
-      logger.info('截图已保存');
+      const screenshot = await page.screenshot({ ...defaultOptions, ...screenshotOptions });
+      this.logger.info('Screenshot taken');
       return screenshot;
     } catch (error) {
-      logger.error(`截图时出错: ${error.message}`, {
+      this.logger.error(`Error taking screenshot: ${error.message}`, {
         stack: error.stack,
         location: 'puppeteer.js:takeScreenshot'
       });
+      await this.captureFailure('takeScreenshot', error, tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 导出PDF，只有无头模式支持
+   * @param {Object} [options] - 选项，其余字段传给 page.pdf（format、landscape、margin 等）
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @param {string} [options.path] - 保存路径，省略时只返回数据
+   * @returns {Promise<Buffer>} - PDF 数据
+   */
+  async exportPdf(options = {}) {
+    const { tab, ...pdfOptions } = options;
+    try {
+      const page = await this.getTab(tab);
+      const pdf = await capturePdf(page, pdfOptions);
+      this.logger.info(`Exported PDF${pdfOptions.path ? ` to ${pdfOptions.path}` : ''}`);
+      return pdf;
+    } catch (error) {
+      this.logger.error(`Error exporting PDF: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:exportPdf'
+      });
+      await this.captureFailure('exportPdf', error, tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 保存页面快照，mhtml 包含图片和样式等资源，html 为当前 DOM
+   * @param {Object} [options] - 选项
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @param {string} [options.format='mhtml'] - mhtml 或 html
+   * @param {string} [options.path] - 保存路径，省略时只返回内容
+   * @returns {Promise<string>} - 快照内容
+   */
+  async captureSnapshot(options = {}) {
+    const { tab, ...snapshotOptions } = options;
+    try {
+      const page = await this.getTab(tab);
+      const content = await captureSnapshot(page, snapshotOptions);
+      this.logger.info(`Captured ${snapshotOptions.format || 'mhtml'} snapshot${snapshotOptions.path ? ` to ${snapshotOptions.path}` : ''}`);
+      return content;
+    } catch (error) {
+      this.logger.error(`Error capturing snapshot: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:captureSnapshot'
+      });
+      await this.captureFailure('captureSnapshot', error, tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 开始录屏，每一帧保存为图片，frames.json 记录各帧的时间戳
+   * 同一时间只能有一个录屏，close() 时自动停止
+   * @param {Object} [options] - 选项，另可覆盖 capture 配置的 format、quality、everyNthFrame，以及 maxWidth、maxHeight
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 目标标签页，默认当前标签页
+   * @param {string} [options.dir] - 帧的保存目录，默认为产物目录下的 screencast-<时间>
+   * @returns {Promise<string>} - 帧的保存目录
+   */
+  async startScreencast(options = {}) {
+    const { tab, dir, ...screencastOptions } = options;
+    try {
+      if (this.screencast) {
+        throw new Error('A screencast is already running, call stopScreencast first');
+      }
+      const page = await this.getTab(tab);
+      const screencast = new Screencast(page, dir || join(this.artifactDir, `screencast-${fileTimestamp()}`), screencastOptions);
+      await screencast.start();
+      this.screencast = screencast;
+      this.logger.info(`Recording screencast to ${screencast.dir}`);
+      return screencast.dir;
+    } catch (error) {
+      this.logger.error(`Error starting screencast: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:startScreencast'
+      });
       throw error;
     }
   }
 
   /**
-   * 关闭浏览器
+   * 停止录屏
+   * @returns {Promise<{dir: string, frames: number}>} - 帧的保存目录和帧数
+   * @throws {Error} - 未在录屏时抛出
+   */
+  async stopScreencast() {
+    if (!this.screencast) {
+      throw new Error('No screencast is running, call startScreencast first');
+    }
+    const screencast = this.screencast;
+    this.screencast = null;
+    const result = await screencast.stop();
+    this.logger.info(`Saved ${result.frames} screencast frames to ${result.dir}`);
+    return result;
+  }
+
+  /**
+   * 保存失败现场到产物目录的 failure-<序号>-<方法名>，并把结果记录在 error.failureBundle 上
+   * 同一个错误只保存一次（嵌套调用的方法会依次捕获同一错误）；不会抛出，保存失败只记录警告
+   * @private
+   * @param {string} method - 出错的方法
+   * @param {Error} error - 错误
+   * @param {import('./tabs.js').TabTarget} [tab] - 出错的标签页，找不到时使用当前标签页
+   * @returns {Promise<void>}
+   */
+  async captureFailure(method, error, tab) {
+    if (!CAPTURE_CONFIG.onFailure || !(error instanceof Error) || 'failureBundle' in error ||
+        !this.page || this.reconnecting || !this.isConnected()) {
+      return;
+    }
+    // 先占位，防止保存过程中同一错误被再次捕获
+    error.failureBundle = null;
+    
+    try {
+      let page = this.page;
+      if (tab !== undefined && tab !== null) {
+        // 错误本身可能就是找不到标签页
+        page = await this.getTab(tab).catch(() => this.page);
+      }
+      this.failures++;
+      const dir = join(this.artifactDir, `failure-${String(this.failures).padStart(3, '0')}-${method}`);
+      const bundle = await captureFailureBundle(page, dir, { method, error, activity: this.activity.get(page) });
+      error.failureBundle = bundle;
+      this.logger.warn(`Saved failure artifacts for ${method} to ${dir}`);
+      this.emit('failure', { browserId: this.browserId, method, error, bundle });
+    } catch (captureError) {
+      this.logger.warn(`Could not save failure artifacts for ${method}: ${captureError.message}`);
+    }
+  }
+
+  /**
+   * 导出会话状态（所有域名的Cookie，以及指定来源的 localStorage/sessionStorage）
+   * @param {Object} [options] - 导出选项
+   * @param {Array<string>} [options.origins=[]] - 需要导出存储的来源，例如 ['https://example.com']
+   * @param {string} [options.path] - 状态文件路径，默认按浏览器ID保存到 SESSION_STATE_CONFIG.dir
+   * @param {string} [options.passphrase] - 加密口令，为空时不加密
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 用于读取存储的标签页，默认当前标签页
+   * @returns {Promise<{path: string, cookies: number, origins: Array<string>}>} - 导出结果
+   */
+  async exportState(options = {}) {
+    try {
+      const page = await this.getTab(options.tab);
+      
+      const state = await collectState(this.browser, page, {
+        browserId: this.browserId,
+        origins: options.origins
+      });
+      
+      const filePath = options.path || getStateFilePath(this.browserId);
+      await writeStateFile(filePath, state, { passphrase: options.passphrase });
+      
+      this.logger.info(`Session state exported to ${filePath} (${state.cookies.length} cookies, ${Object.keys(state.origins).length} origins)`);
+      return { path: filePath, cookies: state.cookies.length, origins: Object.keys(state.origins) };
+    } catch (error) {
+      this.logger.error(`Error exporting session state: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:exportState'
+      });
+      await this.captureFailure('exportState', error, options.tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取浏览器中所有域名的Cookie（包括 HttpOnly），不写入状态文件
+   * @param {Object} [options] - 选项
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 用于读取Cookie的标签页，默认当前标签页
+   * @returns {Promise<Array<Object>>} - CDP Network.Cookie 对象
+   */
+  async getCookies(options = {}) {
+    try {
+      const page = await this.getTab(options.tab);
+      
+      const { cookies } = await collectState(this.browser, page, { browserId: this.browserId });
+      return cookies;
+    } catch (error) {
+      this.logger.error(`Error reading cookies: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:getCookies'
+      });
+      await this.captureFailure('getCookies', error, options.tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 导入会话状态，应在首次 navigateTo 之前调用
+   * @param {Object} [options] - 导入选项
+   * @param {Object} [options.state] - 直接传入的状态对象，优先于文件
+   * @param {string} [options.path] - 状态文件路径
+   * @param {string} [options.fromBrowserId] - 从另一个浏览器的默认状态文件导入，用于在浏览器之间迁移账号
+   * @param {string} [options.passphrase] - 解密口令
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 用于写入存储的标签页，默认当前标签页
+   * @returns {Promise<{cookies: number, origins: number}>} - 导入的数量
+   */
+  async importState(options = {}) {
+    try {
+      const page = await this.getTab(options.tab);
+      
+      if (this.hasNavigated) {
+        this.logger.warn('Page has already navigated, sessionStorage will only apply on the next load');
+      }
+      
+      let state = options.state;
+      if (!state) {
+        const filePath = options.path || getStateFilePath(options.fromBrowserId || this.browserId);
+        state = await readStateFile(filePath, { passphrase: options.passphrase });
+        this.logger.info(`Read session state from ${filePath}`);
+      }
+      
+      const result = await applyState(this.browser, page, state);
+      this.logger.info(`Session state imported (${result.cookies} cookies, ${result.origins} origins)`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Error importing session state: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:importState'
+      });
+      await this.captureFailure('importState', error, options.tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 审计浏览器实际呈现的指纹，与配置文件中请求的 browserFingerPrint 和代理出口的地理位置比较
+   * 在当前页面读取信号，应在目标站点加载前或在同源的普通页面上调用
+   * @param {Object} [options] - 审计选项
+   * @param {Object} [options.browserFingerPrint] - 期望的指纹字段，默认读取浏览器详情
+   * @param {Object|false} [options.geo] - 出口IP的地理位置 { country, timezone }，为 false 时不比较；
+   *   默认通过页面访问 FINGERPRINT_CONFIG.geoLookupUrl 查询，查询失败时只记录警告
+   * @param {boolean} [options.failOnCritical=false] - 发现严重泄露时抛出 FingerprintLeakError
+   * @param {import('./tabs.js').TabTarget} [options.tab] - 读取信号的标签页，默认当前标签页
+   * @returns {Promise<Object>} - 审计报告，见 auditSignals
+   * @throws {FingerprintLeakError} - failOnCritical 且存在严重泄露时抛出，error.report 为审计报告
+   */
+  async auditFingerprint(options = {}) {
+    try {
+      const page = await this.getTab(options.tab);
+      
+      const browserFingerPrint = options.browserFingerPrint
+        ?? (await this.provider.get(this.browserId)).browserFingerPrint;
+      const signals = await collectSignals(page);
+      
+      let geo = options.geo || null;
+      if (options.geo === undefined && FINGERPRINT_CONFIG.geoLookupUrl) {
+        try {
+          geo = await lookupGeo(page, {
+            url: FINGERPRINT_CONFIG.geoLookupUrl,
+            timeout: FINGERPRINT_CONFIG.geoLookupTimeout
+          });
+        } catch (error) {
+          this.logger.warn(`Geo lookup failed (${error.message}), skipping proxy geography checks`);
+        }
+      }
+      
+      const report = {
+        browserId: this.browserId,
+        checkedAt: new Date().toISOString(),
+        ...auditSignals(signals, browserFingerPrint, { geo })
+      };
+      
+      const findings = [...report.mismatches, ...report.leaks];
+      for (const finding of findings) {
+        const level = finding.severity === 'info' ? 'info' : 'warn';
+        this.logger[level](`Fingerprint ${finding.severity}: ${finding.signal}: ${finding.message}`);
+      }
+      this.logger.info(`Fingerprint audit ${report.status} (${report.critical} critical, ${report.warnings} warnings)`);
+      
+      if (options.failOnCritical && report.critical > 0) {
+        const signalNames = findings.filter(finding => finding.severity === 'critical').map(finding => finding.signal);
+        throw new FingerprintLeakError(`Fingerprint audit found critical issues: ${signalNames.join(', ')}`, report);
+      }
+      
+      return report;
+    } catch (error) {
+      this.logger.error(`Error auditing fingerprint: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:auditFingerprint'
+      });
+      await this.captureFailure('auditFingerprint', error, options.tab);
+      throw error;
+    }
+  }
+
+  /**
+   * 添加请求规则，立即应用到所有标签页，重连后继续生效
+   * @param {import('./network.js').NetworkRule} rule - 规则，例如
+   *   { match: { resourceType: ['image', 'font'] }, action: 'block' }
+   *   { match: { url: /\/api\/user$/ }, action: 'respond', response: { body: { name: 'test' } } }
+   *   { match: { url: 'example.com' }, action: 'continue', headers: { 'x-debug': '1' } }
+   * @returns {string} - 规则ID，用于 removeNetworkRule
+   */
+  addNetworkRule(rule) {
+    const id = this.network.addRule(rule);
+    this.logger.info(`Added network rule ${id} (${rule.action})`);
+    return id;
+  }
+
+  /**
+   * 删除请求规则，没有规则时关闭请求拦截
+   * @param {string} id - addNetworkRule 返回的规则ID
+   * @returns {boolean} - 是否找到并删除
+   */
+  removeNetworkRule(id) {
+    return this.network.removeRule(id);
+  }
+
+  /**
+   * 开始记录所有标签页（包括之后打开的）的请求和响应，已在记录时重新开始
+   * @param {Object} [options] - 选项
+   * @param {string} [options.path] - stopHar / close 时的保存路径，默认 harDir/<浏览器ID>-<时间>.har
+   * @param {boolean} [options.content] - 是否记录响应内容，默认取 network.harContent
+   * @param {number} [options.maxBodySize] - 超过该大小（字节）的响应内容不记录，默认取 network.harMaxBodySize
+   * @returns {Promise<void>}
+   */
+  async startHar(options = {}) {
+    await this.requirePage();
+    const settings = PUPPETEER_REAL_BROWSER_CONFIG.network;
+    this.har = new HarRecorder({
+      content: options.content ?? settings.harContent,
+      maxBodySize: options.maxBodySize ?? settings.harMaxBodySize
+    });
+    this.harPath = options.path || join(settings.harDir, `${this.browserId}-${fileTimestamp()}.har`);
+    for (const page of await this.browser.pages()) {
+      this.har.attach(page);
+    }
+    this.logger.info(`Recording HAR to ${this.harPath}`);
+  }
+
+  /**
+   * 停止记录并保存 HAR 文件，可用 rulesFromHar 在测试中回放
+   * @param {Object} [options] - 选项
+   * @param {string} [options.path] - 保存路径，默认为 startHar 时确定的路径
+   * @returns {Promise<{path: string, entries: number}>} - 文件路径和记录的请求数
+   * @throws {Error} - 未在记录时抛出
+   */
+  async stopHar(options = {}) {
+    if (!this.har) {
+      throw new Error('HAR recording is not running, call startHar first');
+    }
+    const recorder = this.har;
+    this.har = null;
+    recorder.stop();
+    
+    try {
+      const result = await recorder.save(options.path || this.harPath);
+      this.logger.info(`Saved HAR with ${result.entries} entries to ${result.path}`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Error saving HAR: ${error.message}`, {
+        stack: error.stack,
+        location: 'puppeteer.js:stopHar'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 关闭浏览器，正在记录 HAR 时先保存
    * @returns {Promise<void>}
    */
   async close() {
     try {
+      // 主动断开不触发重连；进行中的重连在当前尝试结束后放弃
+      this.closing = true;
+      this.stopHeartbeat();
+      
+      if (this.har) {
+        // HAR 保存失败不影响断开连接
+        await this.stopHar().catch(() => {});
+      }
+      if (this.screencast) {
+        await this.stopScreencast().catch(() => {});
+      }
+      
       if (this.browser) {
         await this.browser.disconnect();
-        logger.info('已断开与浏览器的连接');
+        this.logger.info('Disconnected from browser');
       }
       
-      // 清理临时文件
-      cleanupTempFiles();
+      this.browser = null;
+      this.page = null;
+      
+      // 会话结束，删除该浏览器的运行时状态
+      if (this.browserId) {
+        await removeSessionState(this.browserId);
+      }
+      
+      this.emit('closed', this.browserId);
     } catch (error) {
-      logger.error(`关闭浏览器时出错: ${error.message}`, {
+      this.logger.error(`Error closing browser: ${error.message}`, {
         stack: error.stack,
         location: 'puppeteer.js:close'
       });
@@ -256,4 +1609,6 @@ class PuppeteerController {
   }
 }
 
+export { PuppeteerController };
+
 export default new PuppeteerController();
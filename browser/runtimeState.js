@@ -0,0 +1,249 @@
+import fse from 'fs-extra';
+import { hostname } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { RUNTIME_STATE_CONFIG } from '../config/config.js';
+import { sleep } from '../utils/retry.js';
+import { isProcessAlive } from '../utils/process.js';
+
+// 项目根目录，相对路径配置以此为基准，而不是当前工作目录
+const PROJECT_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+const HOST = hostname();
+
+/**
+ * 运行时状态目录
+ * @returns {string}
+ */
+function getStateDir() {
+  return resolve(PROJECT_ROOT, RUNTIME_STATE_CONFIG.dir);
+}
+
+/**
+ * 浏览器ID只允许安全的文件名字符
+ * @param {string} browserId - 浏览器ID
+ * @returns {string}
+ */
+function safeId(browserId) {
+  if (!browserId || !/^[\w-]+$/.test(String(browserId))) {
+    throw new TypeError(`Invalid browser ID for runtime state: ${browserId}`);
+  }
+  return String(browserId);
+}
+
+/**
+ * 状态条目文件路径，每个浏览器ID和进程ID一个文件
+ * @param {string} browserId - 浏览器ID
+ * @param {number} pid - 进程ID
+ * @returns {string}
+ */
+function entryPath(browserId, pid) {
+  return join(getStateDir(), `${safeId(browserId)}.${pid}.json`);
+}
+
+/**
+ * 浏览器锁文件路径
+ * @param {string} browserId - 浏览器ID
+ * @returns {string}
+ */
+function lockPath(browserId) {
+  return join(getStateDir(), `${safeId(browserId)}.lock`);
+}
+
+/**
+ * 判断条目的所属进程是否仍然存活，其他主机上的进程无法检查，视为存活
+ * @param {Object} entry - 状态条目
+ * @returns {boolean}
+ */
+function isOwnerAlive(entry) {
+  return entry.host !== HOST || isProcessAlive(entry.pid);
+}
+
+/**
+ * 锁文件是否已失效（持有进程已退出或超过 staleLockMs）
+ * @param {string} path - 锁文件路径
+ * @returns {Promise<boolean>}
+ */
+async function isStaleLock(path) {
+  try {
+    const [content, stat] = await Promise.all([fse.readJSON(path), fse.stat(path)]);
+    if (content.host === HOST && !isProcessAlive(content.pid)) {
+      return true;
+    }
+    return Date.now() - stat.mtimeMs > RUNTIME_STATE_CONFIG.staleLockMs;
+  } catch (error) {
+    // 锁文件刚被删除或尚未写完，交给下一轮重试判断
+    return false;
+  }
+}
+
+/**
+ * 持有浏览器锁执行回调，锁基于 O_EXCL 创建文件，跨进程有效
+ * @param {string} browserId - 浏览器ID
+ * @param {Function} fn - 持有锁时执行的异步函数
+ * @returns {Promise<any>} - fn 的返回值
+ */
+async function withLock(browserId, fn) {
+  const path = lockPath(browserId);
+  const deadline = Date.now() + RUNTIME_STATE_CONFIG.lockTimeout;
+  await fse.ensureDir(getStateDir());
+
+  while (true) {
+    try {
+      await fse.writeFile(path, JSON.stringify({ pid: process.pid, host: HOST }), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      if (await isStaleLock(path)) {
+        await fse.remove(path);
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out after ${RUNTIME_STATE_CONFIG.lockTimeout}ms waiting for runtime state lock ${path}`);
+      }
+      await sleep(20 + Math.random() * 30);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fse.remove(path);
+  }
+}
+
+/**
+ * 读取浏览器的所有状态条目（不加锁）
+ * @param {string} browserId - 浏览器ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function readEntries(browserId) {
+  const prefix = `${safeId(browserId)}.`;
+  const files = (await fse.readdir(getStateDir()).catch(() => []))
+    .filter(file => file.startsWith(prefix) && file.endsWith('.json'));
+
+  const entries = [];
+  for (const file of files) {
+    try {
+      entries.push(await fse.readJSON(join(getStateDir(), file)));
+    } catch (error) {
+      // 被其他进程删除的条目直接忽略
+    }
+  }
+  return entries;
+}
+
+/**
+ * 更新当前进程对指定浏览器的状态条目，不存在时创建
+ * @param {string} browserId - 浏览器ID
+ * @param {Object} patch - 要合并的字段，例如 { debugInfo } 或 { config }
+ * @returns {Promise<Object>} - 更新后的条目
+ */
+async function updateSessionState(browserId, patch) {
+  return withLock(browserId, async () => {
+    const path = entryPath(browserId, process.pid);
+    const current = await fse.readJSON(path).catch(() => null);
+    const now = new Date().toISOString();
+
+    const entry = {
+      ...(current || { browserId, pid: process.pid, host: HOST, createdAt: now }),
+      ...patch,
+      updatedAt: now
+    };
+
+    // 先写临时文件再重命名，读取方不会看到写了一半的文件
+    const tempPath = `${path}.tmp`;
+    await fse.writeJSON(tempPath, entry, { spaces: 2 });
+    await fse.move(tempPath, path, { overwrite: true });
+    return entry;
+  });
+}
+
+/**
+ * 读取当前进程对指定浏览器的状态条目
+ * @param {string} browserId - 浏览器ID
+ * @returns {Promise<Object|null>}
+ */
+async function getSessionState(browserId) {
+  return fse.readJSON(entryPath(browserId, process.pid)).catch(() => null);
+}
+
+/**
+ * 删除当前进程对指定浏览器的状态条目，在会话结束时调用
+ * @param {string} browserId - 浏览器ID
+ * @returns {Promise<void>}
+ */
+async function removeSessionState(browserId) {
+  await withLock(browserId, () => fse.remove(entryPath(browserId, process.pid)));
+}
+
+/**
+ * 同步删除当前进程的所有状态条目，用于进程退出时
+ */
+function removeOwnSessionStatesSync() {
+  const suffix = `.${process.pid}.json`;
+  let files = [];
+  try {
+    files = fse.readdirSync(getStateDir()).filter(file => file.endsWith(suffix));
+  } catch (error) {
+    return;
+  }
+  for (const file of files) {
+    try {
+      fse.removeSync(join(getStateDir(), file));
+    } catch (error) {
+      // 退出阶段忽略清理错误
+    }
+  }
+}
+
+/**
+ * 查询打开了指定浏览器的进程
+ * 所属进程已退出的条目会被顺带清理
+ * @param {string} browserId - 浏览器ID
+ * @returns {Promise<Array<{browserId: string, pid: number, host: string, createdAt: string, updatedAt: string}>>}
+ */
+async function getSessionOwners(browserId) {
+  return withLock(browserId, async () => {
+    const owners = [];
+    for (const entry of await readEntries(browserId)) {
+      if (isOwnerAlive(entry)) {
+        owners.push(entry);
+      } else {
+        await fse.remove(entryPath(browserId, entry.pid));
+      }
+    }
+    return owners;
+  });
+}
+
+/**
+ * 列出所有存活进程持有的会话状态
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSessionStates() {
+  const files = await fse.readdir(getStateDir()).catch(() => []);
+  const browserIds = new Set(
+    files
+      .filter(file => /^[\w-]+\.\d+\.json$/.test(file))
+      .map(file => file.replace(/\.\d+\.json$/, ''))
+  );
+
+  const entries = [];
+  for (const browserId of browserIds) {
+    entries.push(...await getSessionOwners(browserId));
+  }
+  return entries;
+}
+
+export {
+  updateSessionState,
+  getSessionState,
+  removeSessionState,
+  removeOwnSessionStatesSync,
+  getSessionOwners,
+  listSessionStates,
+  withLock
+};
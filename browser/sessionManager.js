@@ -0,0 +1,178 @@
+import { PuppeteerController } from './puppeteer.js';
+import { SESSION_MANAGER_CONFIG } from '../config/config.js';
+import { getLogger } from '../utils/logger.js';
+
+const logger = getLogger('sessionManager');
+
+/**
+ * 多会话管理器
+ * 以比特浏览器ID为键，为每个浏览器创建独立的 PuppeteerController 实例
+ */
+class SessionManager {
+  /**
+   * @param {Object} [options] - 管理器选项
+   * @param {number} [options.maxConcurrency] - 同时存活的最大会话数，未指定时读取 SESSION_MANAGER_CONFIG
+   */
+  constructor(options = {}) {
+    this.options = options;
+    // browserId -> PuppeteerController
+    this.sessions = new Map();
+    // 正在连接中的会话，browserId -> Promise<PuppeteerController>
+    this.pending = new Map();
+  }
+
+  /**
+   * 同时存活的最大会话数
+   * @returns {number}
+   */
+  get maxConcurrency() {
+    return this.options.maxConcurrency ?? SESSION_MANAGER_CONFIG.maxConcurrency;
+  }
+
+  /**
+   * 当前占用的会话数（包括正在连接中的会话）
+   * @returns {number}
+   */
+  get size() {
+    return this.sessions.size + this.pending.size;
+  }
+
+  /**
+   * 为指定浏览器创建并连接一个新会话
+   * 如果该浏览器已有会话，则直接返回已有会话
+   * @param {string} browserId - 比特浏览器ID
+   * @param {Object} [options] - 连接选项，透传给 connectToBitBrowser
+   * @returns {Promise<PuppeteerController>} - 会话控制器
+   * @throws {Error} - 如果超过最大并发数或连接失败
+   */
+  async createSession(browserId, options = {}) {
+    if (!browserId) {
+      throw new Error('Browser ID is required to create a session');
+    }
+
+    if (this.sessions.has(browserId)) {
+      logger.debug(`Reusing existing session for browser ${browserId}`, { browserId });
+      return this.sessions.get(browserId);
+    }
+
+    if (this.pending.has(browserId)) {
+      return this.pending.get(browserId);
+    }
+
+    if (this.size >= this.maxConcurrency) {
+      throw new Error(`Max concurrency reached (${this.maxConcurrency}), cannot create session for browser ${browserId}`);
+    }
+
+    const controller = this.createController(browserId);
+
+    const connecting = controller.connectToBitBrowser(browserId, options)
+      .then(() => {
+        this.sessions.set(browserId, controller);
+        // 无论通过管理器还是直接调用 controller.close()，关闭后都从管理器中移除；
+        // 断线后重连失败的会话不再可用，同样移除并释放并发名额
+        const remove = () => {
+          if (this.sessions.get(browserId) === controller) {
+            this.sessions.delete(browserId);
+          }
+        };
+        controller.once('closed', remove);
+        controller.once('failed', remove);
+        logger.info(`Session created for browser ${browserId} (${this.sessions.size}/${this.maxConcurrency})`, { browserId });
+        return controller;
+      })
+      .catch(async (error) => {
+        // 连接失败时控制器可能已经连上一半，关闭后再抛出，避免遗留连接和心跳定时器
+        await controller.close().catch(() => {});
+        throw error;
+      })
+      .finally(() => {
+        this.pending.delete(browserId);
+      });
+
+    this.pending.set(browserId, connecting);
+    return connecting;
+  }
+
+  /**
+   * 创建控制器，测试中可以替换
+   * @protected
+   * @param {string} browserId - 比特浏览器ID
+   * @returns {PuppeteerController}
+   */
+  createController(browserId) {
+    return new PuppeteerController(browserId);
+  }
+
+  /**
+   * 获取指定浏览器的会话
+   * @param {string} browserId - 比特浏览器ID
+   * @returns {PuppeteerController|undefined} - 会话控制器，不存在时返回 undefined
+   */
+  getSession(browserId) {
+    return this.sessions.get(browserId);
+  }
+
+  /**
+   * 列出所有存活的会话
+   * @returns {Array<{browserId: string, connected: boolean, controller: PuppeteerController}>}
+   */
+  listSessions() {
+    return Array.from(this.sessions.entries()).map(([browserId, controller]) => ({
+      browserId,
+      connected: controller.isConnected(),
+      controller
+    }));
+  }
+
+  /**
+   * 关闭指定浏览器的会话
+   * @param {string} browserId - 比特浏览器ID
+   * @returns {Promise<boolean>} - 是否存在并关闭了该会话
+   */
+  async closeSession(browserId) {
+    const controller = this.sessions.get(browserId);
+    if (!controller) {
+      return false;
+    }
+
+    try {
+      await controller.close();
+    } finally {
+      this.sessions.delete(browserId);
+    }
+    return true;
+  }
+
+  /**
+   * 关闭所有会话
+   * 先等待正在连接中的会话完成连接（连接失败的忽略），避免其在关闭后才加入管理器而遗留浏览器；
+   * 单个会话关闭失败不会影响其他会话
+   * @returns {Promise<Array<{browserId: string, error: Error}>>} - 关闭失败的会话列表
+   */
+  async closeAll() {
+    while (this.pending.size > 0) {
+      await Promise.allSettled(this.pending.values());
+    }
+
+    const browserIds = Array.from(this.sessions.keys());
+    const results = await Promise.allSettled(browserIds.map(id => this.closeSession(id)));
+
+    const failures = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failures.push({ browserId: browserIds[index], error: result.reason });
+        logger.error(`Error closing session for browser ${browserIds[index]}: ${result.reason.message}`, {
+          browserId: browserIds[index],
+          location: 'sessionManager.js:closeAll'
+        });
+      }
+    });
+
+    logger.info(`Closed ${browserIds.length - failures.length}/${browserIds.length} sessions`);
+    return failures;
+  }
+}
+
+export { SessionManager };
+
+export default new SessionManager();
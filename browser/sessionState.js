@@ -0,0 +1,291 @@
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import fse from 'fs-extra';
+import { join } from 'path';
+import { SESSION_STATE_CONFIG } from '../config/config.js';
+
+// 状态文件格式版本，格式不兼容时递增
+const STATE_FILE_VERSION = 1;
+
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+
+// sessionStorage 恢复标记，保证每个标签页只恢复一次
+const SESSION_RESTORED_MARKER = '__bitbrowser_state_restored__';
+
+/**
+ * 状态文件读写或格式错误
+ */
+class SessionStateError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'SessionStateError';
+  }
+}
+
+/**
+ * 获取浏览器对应的默认状态文件路径
+ * @param {string} browserId - 比特浏览器ID
+ * @returns {string}
+ * @throws {TypeError} - ID 含路径分隔符等字符时抛出，防止读写状态目录之外的文件
+ */
+function getStateFilePath(browserId) {
+  if (!browserId || !/^[\w-]+$/.test(String(browserId))) {
+    throw new TypeError(`Invalid browser ID for session state: ${browserId}`);
+  }
+  return join(SESSION_STATE_CONFIG.dir, `${browserId}.json`);
+}
+
+/**
+ * 规范化来源，例如 "https://example.com/path" -> "https://example.com"
+ * @param {string} origin - 来源或URL
+ * @returns {string}
+ */
+function normalizeOrigin(origin) {
+  return new URL(origin).origin;
+}
+
+/**
+ * 从口令派生加密密钥
+ * @param {string} passphrase - 口令
+ * @param {Buffer} salt - 盐
+ * @returns {Buffer}
+ */
+function deriveKey(passphrase, salt) {
+  return scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * 加密状态对象
+ * @param {Object} state - 状态对象
+ * @param {string} passphrase - 口令
+ * @returns {Object} - 加密后的文件内容
+ */
+function encryptState(state, passphrase) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(CIPHER_ALGORITHM, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(state), 'utf8'), cipher.final()]);
+
+  return {
+    version: STATE_FILE_VERSION,
+    browserId: state.browserId,
+    encrypted: true,
+    algorithm: CIPHER_ALGORITHM,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * 解密状态文件内容
+ * @param {Object} content - 加密后的文件内容
+ * @param {string} passphrase - 口令
+ * @returns {Object} - 状态对象
+ * @throws {SessionStateError} - 口令错误或数据被篡改时抛出
+ */
+function decryptState(content, passphrase) {
+  try {
+    const decipher = createDecipheriv(
+      content.algorithm,
+      deriveKey(passphrase, Buffer.from(content.salt, 'base64')),
+      Buffer.from(content.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(content.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(content.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new SessionStateError('Cannot decrypt session state, wrong passphrase or corrupted file', { cause: error });
+  }
+}
+
+/**
+ * 写入状态文件
+ * @param {string} filePath - 文件路径
+ * @param {Object} state - 状态对象
+ * @param {Object} [options] - 写入选项
+ * @param {string} [options.passphrase] - 加密口令，默认读取 SESSION_STATE_CONFIG.passphraseEnv 指定的环境变量，为空时不加密
+ * @returns {Promise<void>}
+ */
+async function writeStateFile(filePath, state, options = {}) {
+  const passphrase = options.passphrase ?? process.env[SESSION_STATE_CONFIG.passphraseEnv];
+  const content = passphrase ? encryptState(state, passphrase) : state;
+  // 先写临时文件再重命名，避免中途崩溃留下损坏的状态文件
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fse.outputJSON(tempPath, content, { spaces: 2, mode: 0o600 });
+  await fse.move(tempPath, filePath, { overwrite: true });
+}
+
+/**
+ * 读取状态文件
+ * @param {string} filePath - 文件路径
+ * @param {Object} [options] - 读取选项
+ * @param {string} [options.passphrase] - 解密口令，默认读取 SESSION_STATE_CONFIG.passphraseEnv 指定的环境变量
+ * @returns {Promise<Object>} - 状态对象
+ * @throws {SessionStateError} - 文件不存在、版本不支持或无法解密时抛出
+ */
+async function readStateFile(filePath, options = {}) {
+  let content;
+  try {
+    content = await fse.readJSON(filePath);
+  } catch (error) {
+    throw new SessionStateError(`Cannot read session state file ${filePath}: ${error.message}`, { cause: error });
+  }
+
+  if (content.version !== STATE_FILE_VERSION) {
+    throw new SessionStateError(`Unsupported session state version ${content.version} in ${filePath}`);
+  }
+
+  if (content.encrypted) {
+    const passphrase = options.passphrase ?? process.env[SESSION_STATE_CONFIG.passphraseEnv];
+    if (!passphrase) {
+      throw new SessionStateError(`Session state file ${filePath} is encrypted but no passphrase was given`);
+    }
+    return decryptState(content, passphrase);
+  }
+
+  return content;
+}
+
+/**
+ * 打开一个不发起真实网络请求的临时页面，用于读写指定来源的 localStorage
+ * @param {Browser} browser - 浏览器实例
+ * @param {string} origin - 来源
+ * @param {Function} fn - 在页面上执行的回调 (page) => Promise<any>
+ * @returns {Promise<any>} - 回调的返回值
+ */
+async function withOriginPage(browser, origin, fn) {
+  const page = await browser.newPage();
+  try {
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      // 只返回空白文档，避免访问真实站点
+      request.respond({ status: 200, contentType: 'text/html', body: '<!DOCTYPE html><title></title>' });
+    });
+    await page.goto(`${origin}/`, { waitUntil: 'domcontentloaded' });
+    return await fn(page);
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * 采集浏览器当前的会话状态
+ * @param {Browser} browser - 浏览器实例
+ * @param {Page} page - 当前页面
+ * @param {Object} [options] - 采集选项
+ * @param {string} [options.browserId] - 比特浏览器ID，记录到状态中
+ * @param {Array<string>} [options.origins=[]] - 需要采集 localStorage/sessionStorage 的来源
+ * @returns {Promise<Object>} - 状态对象
+ */
+async function collectState(browser, page, options = {}) {
+  const client = await page.createCDPSession();
+  let cookies;
+  try {
+    // 所有域名的 Cookie，包括 HttpOnly
+    ({ cookies } = await client.send('Network.getAllCookies'));
+  } finally {
+    await client.detach().catch(() => {});
+  }
+
+  const origins = {};
+  for (const origin of (options.origins || []).map(normalizeOrigin)) {
+    const localStorage = await withOriginPage(browser, origin, originPage =>
+      originPage.evaluate(() => Object.fromEntries(Object.entries(window.localStorage)))
+    );
+
+    // sessionStorage 属于标签页，从当前打开的同源标签页中采集
+    let sessionStorage = {};
+    for (const openPage of await browser.pages()) {
+      let pageOrigin;
+      try {
+        pageOrigin = new URL(openPage.url()).origin;
+      } catch (error) {
+        continue;
+      }
+      if (pageOrigin === origin) {
+        sessionStorage = await openPage.evaluate(marker => Object.fromEntries(
+          Object.entries(window.sessionStorage).filter(([key]) => key !== marker)
+        ), SESSION_RESTORED_MARKER);
+        break;
+      }
+    }
+
+    origins[origin] = { localStorage, sessionStorage };
+  }
+
+  return {
+    version: STATE_FILE_VERSION,
+    browserId: options.browserId || null,
+    exportedAt: new Date().toISOString(),
+    cookies,
+    origins
+  };
+}
+
+/**
+ * 将会话状态恢复到浏览器
+ * Cookie 和 localStorage 立即写入；sessionStorage 在页面下一次加载对应来源时写入，
+ * 因此需要在首次导航之前调用
+ * @param {Browser} browser - 浏览器实例
+ * @param {Page} page - 当前页面
+ * @param {Object} state - 状态对象
+ * @returns {Promise<{cookies: number, origins: number}>} - 恢复的数量
+ */
+async function applyState(browser, page, state) {
+  if (!state || state.version !== STATE_FILE_VERSION) {
+    throw new SessionStateError(`Unsupported session state version ${state && state.version}`);
+  }
+
+  const cookies = state.cookies || [];
+  if (cookies.length > 0) {
+    const client = await page.createCDPSession();
+    try {
+      // getAllCookies 返回的只读字段不能传给 setCookies
+      await client.send('Network.setCookies', {
+        cookies: cookies.map(({ size, session, ...cookie }) => (session ? { ...cookie, expires: undefined } : cookie))
+      });
+    } finally {
+      await client.detach().catch(() => {});
+    }
+  }
+
+  const origins = Object.entries(state.origins || {});
+  const sessionStorages = {};
+  for (const [origin, storage] of origins) {
+    if (storage.localStorage && Object.keys(storage.localStorage).length > 0) {
+      await withOriginPage(browser, origin, originPage => originPage.evaluate(items => {
+        for (const [key, value] of Object.entries(items)) {
+          window.localStorage.setItem(key, value);
+        }
+      }, storage.localStorage));
+    }
+    if (storage.sessionStorage && Object.keys(storage.sessionStorage).length > 0) {
+      sessionStorages[origin] = storage.sessionStorage;
+    }
+  }
+
+  if (Object.keys(sessionStorages).length > 0) {
+    await page.evaluateOnNewDocument((items, marker) => {
+      const storage = items[window.location.origin];
+      if (storage && !window.sessionStorage.getItem(marker)) {
+        for (const [key, value] of Object.entries(storage)) {
+          window.sessionStorage.setItem(key, value);
+        }
+        window.sessionStorage.setItem(marker, '1');
+      }
+    }, sessionStorages, SESSION_RESTORED_MARKER);
+  }
+
+  return { cookies: cookies.length, origins: origins.length };
+}
+
+export {
+  STATE_FILE_VERSION,
+  SessionStateError,
+  getStateFilePath,
+  writeStateFile,
+  readStateFile,
+  collectState,
+  applyState
+};
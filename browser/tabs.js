@@ -0,0 +1,123 @@
+/**
+ * 找不到匹配的标签页
+ */
+class TabNotFoundError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {any} target - 查找条件
+   */
+  constructor(message, target) {
+    super(message);
+    this.name = 'TabNotFoundError';
+    this.target = target;
+  }
+}
+
+/**
+ * 标签页查找条件:
+ *   number               - 标签页序号（browser.pages() 的顺序），负数从末尾计数
+ *   string / RegExp      - 匹配URL，字符串按子串匹配
+ *   { url, title }       - 同时匹配URL和标题，各自为字符串（子串）或 RegExp
+ *   Page                 - 直接使用该页面
+ * @typedef {number|string|RegExp|{url?: string|RegExp, title?: string|RegExp}|import('puppeteer').Page} TabTarget
+ */
+
+/**
+ * 判断值是否为 puppeteer 页面实例
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPage(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.goto === 'function' && typeof value.url === 'function';
+}
+
+/**
+ * 按字符串（子串）或正则匹配文本
+ * @param {string} text - 待匹配的文本
+ * @param {string|RegExp} pattern - 匹配条件
+ * @returns {boolean}
+ */
+function matchesText(text, pattern) {
+  return pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern);
+}
+
+/**
+ * 将查找条件规范化为 { url, title }
+ * @param {string|RegExp|Object} target - 查找条件
+ * @returns {{url?: string|RegExp, title?: string|RegExp}}
+ */
+function toCriteria(target) {
+  return typeof target === 'string' || target instanceof RegExp ? { url: target } : target;
+}
+
+/**
+ * 判断页面是否符合 URL / 标题条件
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {{url?: string|RegExp, title?: string|RegExp}} criteria - 条件
+ * @returns {Promise<boolean>}
+ */
+async function matchesTab(page, criteria) {
+  if (criteria.url !== undefined && !matchesText(page.url(), criteria.url)) {
+    return false;
+  }
+  if (criteria.title !== undefined) {
+    const title = await page.title().catch(() => '');
+    if (!matchesText(title, criteria.title)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * 生成查找条件的描述，用于日志和错误信息
+ * @param {TabTarget} target - 查找条件
+ * @returns {string}
+ */
+function describeTabTarget(target) {
+  if (typeof target === 'number') {
+    return `#${target}`;
+  }
+  if (isPage(target)) {
+    return target.url();
+  }
+  const criteria = toCriteria(target) || {};
+  return Object.entries(criteria).map(([key, value]) => `${key} ${String(value)}`).join(', ') || 'any tab';
+}
+
+/**
+ * 在页面列表中查找标签页
+ * @param {Array<import('puppeteer').Page>} pages - 所有页面
+ * @param {TabTarget} target - 查找条件
+ * @returns {Promise<import('puppeteer').Page>}
+ * @throws {TabNotFoundError} - 没有匹配的标签页时抛出
+ */
+async function findTab(pages, target) {
+  if (isPage(target)) {
+    if (!pages.includes(target)) {
+      throw new TabNotFoundError(`Tab ${target.url()} is no longer open`, target);
+    }
+    return target;
+  }
+
+  if (typeof target === 'number') {
+    const page = pages[target < 0 ? pages.length + target : target];
+    if (!Number.isInteger(target) || !page) {
+      throw new TabNotFoundError(`No tab at index ${target} (${pages.length} open)`, target);
+    }
+    return page;
+  }
+
+  const criteria = toCriteria(target);
+  if (!criteria || typeof criteria !== 'object') {
+    throw new TypeError(`Invalid tab target: ${JSON.stringify(target)}`);
+  }
+  for (const page of pages) {
+    if (await matchesTab(page, criteria)) {
+      return page;
+    }
+  }
+  throw new TabNotFoundError(`No open tab matches ${describeTabTarget(target)}`, target);
+}
+
+export { TabNotFoundError, findTab, matchesTab, toCriteria, describeTabTarget };
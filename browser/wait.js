@@ -0,0 +1,304 @@
+import { WAIT_CONFIG } from '../config/config.js';
+import { sleep } from '../utils/retry.js';
+
+// waitForSelector 支持的元素状态
+const SELECTOR_STATES = ['visible', 'hidden', 'attached', 'detached'];
+
+/**
+ * 等待超时，message 说明等待的条件
+ */
+class WaitTimeoutError extends Error {
+  /**
+   * @param {string} condition - 等待的条件，例如 'selector "#login" to be visible'
+   * @param {number} timeout - 超时时间（毫秒）
+   * @param {Error} [cause] - 原始错误
+   */
+  constructor(condition, timeout, cause) {
+    super(`Timed out after ${timeout}ms waiting for ${condition}`, cause ? { cause } : undefined);
+    this.name = 'WaitTimeoutError';
+    this.condition = condition;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * 合并等待选项和 wait 配置
+ * @param {Object} options - 调用时传入的选项
+ * @returns {{timeout: number, pollInterval: number, signal?: AbortSignal}}
+ */
+function resolveOptions(options) {
+  return {
+    timeout: options.timeout ?? WAIT_CONFIG.timeout,
+    pollInterval: options.pollInterval ?? WAIT_CONFIG.pollInterval,
+    signal: options.signal
+  };
+}
+
+/**
+ * 生成匹配条件的描述，用于错误信息
+ * @param {string|RegExp|Function} pattern - 匹配条件
+ * @returns {string}
+ */
+function describePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return String(pattern);
+  }
+  if (typeof pattern === 'function') {
+    return pattern.name ? `${pattern.name}()` : 'predicate';
+  }
+  return JSON.stringify(pattern);
+}
+
+/**
+ * 按字符串（子串）、正则或函数匹配值
+ * @param {string|RegExp|Function} pattern - 匹配条件
+ * @param {any} value - 待匹配的值
+ * @returns {Promise<boolean>}
+ */
+async function matchesPattern(pattern, value) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(value);
+  }
+  if (typeof pattern === 'function') {
+    return Boolean(await pattern(value));
+  }
+  return String(value).includes(pattern);
+}
+
+/**
+ * 把 puppeteer 的超时错误转换为说明等待条件的 WaitTimeoutError，其他错误原样抛出
+ * @param {Promise<T>} promise - puppeteer 的等待
+ * @param {string} condition - 等待的条件
+ * @param {number} timeout - 超时时间（毫秒）
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function describeTimeout(promise, condition, timeout) {
+  try {
+    return await promise;
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new WaitTimeoutError(condition, timeout, error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * 信号中止时以 signal.reason 拒绝，用于不接受 signal 的 puppeteer 调用
+ * @param {Promise<T>} promise - puppeteer 调用
+ * @param {AbortSignal} [signal] - 中止信号
+ * @returns {Promise<T>}
+ * @template T
+ */
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * 在 Node 中轮询条件，直到返回真值
+ * @param {Function} check - 检查函数，返回真值时结束等待
+ * @param {string|Function} condition - 等待的条件，用于超时错误信息；为函数时在超时时生成
+ * @param {Object} [options] - 选项
+ * @param {number} [options.timeout] - 超时时间（毫秒），0表示不超时，默认取 wait.timeout
+ * @param {number} [options.pollInterval] - 轮询间隔（毫秒），默认取 wait.pollInterval
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后抛出 signal.reason
+ * @returns {Promise<any>} - 检查函数返回的真值
+ * @throws {WaitTimeoutError} - 超时时抛出
+ */
+async function poll(check, condition, options = {}) {
+  const { timeout, pollInterval, signal } = resolveOptions(options);
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    signal?.throwIfAborted();
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    if (timeout > 0 && Date.now() >= deadline) {
+      throw new WaitTimeoutError(typeof condition === 'function' ? condition() : condition, timeout);
+    }
+    await sleep(timeout > 0 ? Math.min(pollInterval, Math.max(0, deadline - Date.now())) : pollInterval);
+  }
+}
+
+/**
+ * 等待元素达到指定状态
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {string} selector - CSS选择器
+ * @param {Object} [options] - 选项
+ * @param {string} [options.state='visible'] - visible（存在且可见）、hidden（不存在或不可见）、attached（存在）、detached（不存在）
+ * @param {number} [options.timeout] - 超时时间（毫秒），默认取 wait.timeout
+ * @param {number} [options.pollInterval] - 轮询间隔（毫秒），默认取 wait.pollInterval
+ * @param {AbortSignal} [options.signal] - 中止信号
+ * @returns {Promise<import('puppeteer').ElementHandle|null>} - visible/attached 时返回元素，否则返回 null
+ * @throws {WaitTimeoutError} - 超时时抛出
+ */
+async function waitForSelector(page, selector, options = {}) {
+  const { state = 'visible' } = options;
+  if (!SELECTOR_STATES.includes(state)) {
+    throw new TypeError(`Invalid selector state "${state}", expected one of: ${SELECTOR_STATES.join(', ')}`);
+  }
+  const { timeout, pollInterval, signal } = resolveOptions(options);
+
+  await describeTimeout(page.waitForFunction((selector, state) => {
+    const element = document.querySelector(selector);
+    if (state === 'attached' || state === 'detached') {
+      return Boolean(element) === (state === 'attached');
+    }
+    const style = element && window.getComputedStyle(element);
+    const rect = element && element.getBoundingClientRect();
+    const visible = Boolean(element) && style.visibility !== 'hidden' && style.display !== 'none' && rect.width > 0 && rect.height > 0;
+    return visible === (state === 'visible');
+  }, { timeout, polling: pollInterval, ...(signal ? { signal } : {}) }, selector, state), `selector ${JSON.stringify(selector)} to be ${state}`, timeout);
+
+  return state === 'visible' || state === 'attached' ? page.$(selector) : null;
+}
+
+/**
+ * 等待页面或元素中出现文本
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {string|RegExp} text - 文本（子串）或正则
+ * @param {Object} [options] - 选项
+ * @param {string} [options.selector='body'] - 在该元素的 innerText 中查找
+ * @param {number} [options.timeout] - 超时时间（毫秒），默认取 wait.timeout
+ * @param {number} [options.pollInterval] - 轮询间隔（毫秒），默认取 wait.pollInterval
+ * @param {AbortSignal} [options.signal] - 中止信号
+ * @returns {Promise<string>} - 匹配到的文本
+ * @throws {WaitTimeoutError} - 超时时抛出
+ */
+async function waitForText(page, text, options = {}) {
+  const { selector = 'body' } = options;
+  const { timeout, pollInterval, signal } = resolveOptions(options);
+  // 正则无法直接传入页面，按 source 和 flags 重建
+  const pattern = text instanceof RegExp ? { source: text.source, flags: text.flags } : { text: String(text) };
+
+  const handle = await describeTimeout(page.waitForFunction((selector, pattern) => {
+    const element = document.querySelector(selector);
+    const content = element ? element.innerText || element.textContent || '' : '';
+    if (pattern.text !== undefined) {
+      return content.includes(pattern.text) ? pattern.text : false;
+    }
+    const match = content.match(new RegExp(pattern.source, pattern.flags.replace('g', '')));
+    return match ? match[0] : false;
+  }, { timeout, polling: pollInterval, ...(signal ? { signal } : {}) }, selector, pattern), `text ${describePattern(text)} in ${JSON.stringify(selector)}`, timeout);
+
+  return handle.jsonValue();
+}
+
+/**
+ * 等待页面URL匹配，包括 pushState 等不触发导航的变化
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {string|RegExp|Function} pattern - URL子串、正则或判断函数 (url) => boolean
+ * @param {Object} [options] - 选项
+ * @param {number} [options.timeout] - 超时时间（毫秒），默认取 wait.timeout
+ * @param {number} [options.pollInterval] - 轮询间隔（毫秒），默认取 wait.pollInterval
+ * @param {AbortSignal} [options.signal] - 中止信号
+ * @returns {Promise<string>} - 匹配的URL
+ * @throws {WaitTimeoutError} - 超时时抛出
+ */
+async function waitForUrl(page, pattern, options = {}) {
+  return poll(async () => {
+    const url = page.url();
+    return (await matchesPattern(pattern, url)) && url;
+  }, () => `URL matching ${describePattern(pattern)} (current: ${page.url()})`, options);
+}
+
+/**
+ * 等待网络响应，应在触发请求的操作之前调用
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {string|RegExp|Function} matcher - URL子串、正则或判断函数 (response) => boolean
+ * @param {Object} [options] - 选项
+ * @param {number} [options.status] - 要求的HTTP状态码
+ * @param {number} [options.timeout] - 超时时间（毫秒），默认取 wait.timeout
+ * @param {AbortSignal} [options.signal] - 中止信号
+ * @returns {Promise<import('puppeteer').HTTPResponse>}
+ * @throws {WaitTimeoutError} - 超时时抛出
+ */
+async function waitForResponse(page, matcher, options = {}) {
+  const { status } = options;
+  const { timeout, signal } = resolveOptions(options);
+  const condition = `response ${describePattern(matcher)}${status !== undefined ? ` with status ${status}` : ''}`;
+
+  return describeTimeout(page.waitForResponse(async response => {
+    if (status !== undefined && response.status() !== status) {
+      return false;
+    }
+    return typeof matcher === 'function' ? Boolean(await matcher(response)) : matchesPattern(matcher, response.url());
+  }, { timeout, ...(signal ? { signal } : {}) }), condition, timeout);
+}
+
+/**
+ * 等待DOM稳定，即在 quietTime 内没有任何变化（适合等待异步渲染完成）
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {Object} [options] - 选项
+ * @param {number} [options.quietTime] - 无变化的持续时间（毫秒），默认取 wait.stableTime
+ * @param {string} [options.selector] - 只观察该元素，默认整个文档
+ * @param {number} [options.timeout] - 超时时间（毫秒），默认取 wait.timeout
+ * @param {number} [options.pollInterval] - 检查间隔（毫秒），默认取 wait.pollInterval
+ * @param {AbortSignal} [options.signal] - 中止信号，中止后不再等待页面中的检查，抛出 signal.reason
+ * @returns {Promise<void>}
+ * @throws {WaitTimeoutError} - 超时时抛出
+ */
+async function waitForStableDom(page, options = {}) {
+  const { quietTime = WAIT_CONFIG.stableTime, selector } = options;
+  const { timeout, pollInterval, signal } = resolveOptions(options);
+  signal?.throwIfAborted();
+
+  const stable = await abortable(page.evaluate((selector, quietTime, timeout, pollInterval) => new Promise(resolve => {
+    const root = (selector && document.querySelector(selector)) || document.documentElement;
+    const startedAt = Date.now();
+    let lastChange = startedAt;
+    const observer = new MutationObserver(() => {
+      lastChange = Date.now();
+    });
+    observer.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+
+    const timer = setInterval(() => {
+      const now = Date.now();
+      const done = now - lastChange >= quietTime;
+      if (done || (timeout > 0 && now - startedAt >= timeout)) {
+        clearInterval(timer);
+        observer.disconnect();
+        resolve(done);
+      }
+    }, Math.min(pollInterval, quietTime));
+  }), selector || null, quietTime, timeout, pollInterval), signal);
+
+  if (!stable) {
+    throw new WaitTimeoutError(`DOM${selector ? ` of ${JSON.stringify(selector)}` : ''} to be stable for ${quietTime}ms`, timeout);
+  }
+}
+
+/**
+ * 等待自定义条件，在 Node 中轮询
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {Function} predicate - 判断函数 (page) => any，返回真值时结束等待
+ * @param {Object} [options] - 选项
+ * @param {string} [options.description] - 条件描述，用于超时错误信息
+ * @param {number} [options.timeout] - 超时时间（毫秒），默认取 wait.timeout
+ * @param {number} [options.pollInterval] - 轮询间隔（毫秒），默认取 wait.pollInterval
+ * @returns {Promise<any>} - 判断函数返回的真值
+ * @throws {WaitTimeoutError} - 超时时抛出
+ */
+async function waitForCondition(page, predicate, options = {}) {
+  return poll(() => predicate(page), options.description || describePattern(predicate), options);
+}
+
+export {
+  WaitTimeoutError,
+  poll,
+  waitForSelector,
+  waitForText,
+  waitForUrl,
+  waitForResponse,
+  waitForStableDom,
+  waitForCondition
+};
@@ -1,57 +1,216 @@
-import chalk from 'chalk';
+import { isDeepStrictEqual } from 'util';
+import { CONFIG_SCHEMA, isLeaf } from './schema.js';
+import { loadConfig, ConfigError } from './loader.js';
+
+/*
+ * 配置按层合并: 内置默认值（schema.js）-> 项目配置文件 bitbrowser.config.{json,yaml,yml}
+ * -> 环境变量（如 BITBROWSER_URL、LOG_LEVEL）-> configure() 传入的覆盖值。
+ * 下面导出的对象在 configure()/reloadConfig() 时原地更新，各模块始终读取合并后的配置。
+ */
+
+// 当前加载选项和 configure() 累积的覆盖值
+const loadOptions = { overrides: {} };
+// 配置变化时通知的监听函数
+const listeners = new Set();
+let loaded = loadConfig(loadOptions);
+
+// 浏览器后端配置
+export const PROVIDER_CONFIG = structuredClone(loaded.config.provider);
 
 // 比特浏览器API配置
-export const BITBROWSER_CONFIG = {
-  url: "http://127.0.0.1:54345",
-  headers: {
-    'Content-Type': 'application/json'
-  }
-};
+export const BITBROWSER_CONFIG = structuredClone(loaded.config.bitbrowser);
 
 // 日志配置
-export const LOGGER_CONFIG = {
-  level: 'info',
-  format: {
-    timestamp: { format: 'YYYY-MM-DD HH:mm:ss' },
-    printf: (info) => {
-      let message = `${info.timestamp} `;
-      
-      switch (info.level) {
-        case 'error':
-          message += chalk.red(`[${info.level.toUpperCase()}]`) + ' ' + chalk.red(info.message);
-          break;
-        case 'warn':
-          message += chalk.yellow(`[${info.level.toUpperCase()}]`) + ' ' + chalk.yellow(info.message);
-          break;
-        case 'info':
-          message += chalk.blue(`[${info.level.toUpperCase()}]`) + ' ' + info.message;
-          break;
-        case 'debug':
-          message += chalk.green(`[${info.level.toUpperCase()}]`) + ' ' + info.message;
-          break;
-        default:
-          message += `[${info.level.toUpperCase()}]` + ' ' + info.message;
+export const LOGGER_CONFIG = structuredClone(loaded.config.logger);
+
+// Puppeteer-real-browser配置
+export const PUPPETEER_REAL_BROWSER_CONFIG = structuredClone(loaded.config.puppeteer);
+
+// 会话管理配置
+export const SESSION_MANAGER_CONFIG = structuredClone(loaded.config.sessionManager);
+
+// 工作流配置
+export const WORKFLOW_CONFIG = structuredClone(loaded.config.workflow);
+
+// 会话状态（Cookie/Storage）导出配置
+export const SESSION_STATE_CONFIG = structuredClone(loaded.config.sessionState);
+
+// 临时浏览器配置
+export const EPHEMERAL_BROWSER_CONFIG = structuredClone(loaded.config.ephemeralBrowser);
+
+// 浏览器清单配置
+export const MANIFEST_CONFIG = structuredClone(loaded.config.manifest);
+
+// 进程退出配置
+export const SHUTDOWN_CONFIG = structuredClone(loaded.config.shutdown);
+
+// 等待配置
+export const WAIT_CONFIG = structuredClone(loaded.config.wait);
+
+// 断线自动重连和心跳检测配置
+export const RECONNECT_CONFIG = structuredClone(loaded.config.reconnect);
+
+// 模拟真人输入配置
+export const HUMAN_INPUT_CONFIG = structuredClone(loaded.config.humanInput);
+
+// 指纹配置
+export const FINGERPRINT_CONFIG = structuredClone(loaded.config.fingerprint);
+
+// 代理池配置
+export const PROXY_POOL_CONFIG = structuredClone(loaded.config.proxyPool);
+
+// 运行时状态配置（调试地址等），按浏览器ID和进程ID分别保存，会话结束时删除
+export const RUNTIME_STATE_CONFIG = structuredClone(loaded.config.runtimeState);
+
+// 人机验证检测配置
+export const CHALLENGE_CONFIG = structuredClone(loaded.config.challenge);
+
+// 运行产物配置（失败现场、PDF、快照和录屏）
+export const CAPTURE_CONFIG = structuredClone(loaded.config.capture);
+
+// 任务队列配置
+export const QUEUE_CONFIG = structuredClone(loaded.config.queue);
+
+// 控制API配置
+export const CONTROL_API_CONFIG = structuredClone(loaded.config.controlApi);
+
+// 配置分组与导出对象的对应关系
+const SECTIONS = {
+  provider: PROVIDER_CONFIG,
+  bitbrowser: BITBROWSER_CONFIG,
+  logger: LOGGER_CONFIG,
+  puppeteer: PUPPETEER_REAL_BROWSER_CONFIG,
+  sessionManager: SESSION_MANAGER_CONFIG,
+  workflow: WORKFLOW_CONFIG,
+  sessionState: SESSION_STATE_CONFIG,
+  ephemeralBrowser: EPHEMERAL_BROWSER_CONFIG,
+  manifest: MANIFEST_CONFIG,
+  shutdown: SHUTDOWN_CONFIG,
+  wait: WAIT_CONFIG,
+  reconnect: RECONNECT_CONFIG,
+  humanInput: HUMAN_INPUT_CONFIG,
+  fingerprint: FINGERPRINT_CONFIG,
+  proxyPool: PROXY_POOL_CONFIG,
+  challenge: CHALLENGE_CONFIG,
+  runtimeState: RUNTIME_STATE_CONFIG,
+  capture: CAPTURE_CONFIG,
+  queue: QUEUE_CONFIG,
+  controlApi: CONTROL_API_CONFIG
+};
+
+/**
+ * 按结构定义把新配置原地写入已导出的对象
+ * 只写入合并结果发生变化的值，直接赋值修改过的其他配置项保持不变
+ * @param {Object} target - 导出的配置对象
+ * @param {Object} next - 新配置
+ * @param {Object} previous - 上一次合并的配置
+ * @param {Object} schema - 对应层级的结构定义
+ */
+function assignInPlace(target, next, previous, schema) {
+  for (const [key, node] of Object.entries(schema)) {
+    if (isLeaf(node)) {
+      if (!isDeepStrictEqual(next[key], previous[key])) {
+        target[key] = structuredClone(next[key]);
+      }
+    } else {
+      if (!target[key] || typeof target[key] !== 'object') {
+        target[key] = {};
       }
-      
-      return message;
+      assignInPlace(target[key], next[key], previous[key], node);
     }
   }
-};
+}
 
-// Puppeteer-real-browser配置
-export const PUPPETEER_REAL_BROWSER_CONFIG = {
-  headless: false,
-  args: ['--start-maximized'],
-  turnstile: true,
-  customConfig: {},
-  connectOption: {
-    defaultViewport: null
+/**
+ * 深度合并普通对象，数组和其他值直接覆盖
+ * @param {Object} target - 目标对象
+ * @param {Object} source - 来源对象
+ * @returns {Object} - 合并后的新对象
+ */
+function mergeDeep(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source || {})) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isObject && result[key] && typeof result[key] === 'object'
+      ? mergeDeep(result[key], value)
+      : value;
   }
-};
+  return result;
+}
 
-// 临时文件配置
-export const TEMP_FILES_CONFIG = {
-  configFilePath: './temp/config.json',
-  wsEndpointFilePath: './temp/wsEndpoint.json',
-  cleanupInterval: 60000 // 1分钟清理一次临时文件
-};
+/**
+ * 按当前加载选项重新合并配置，校验通过后才写入导出对象
+ * @param {Object} options - loadConfig 选项
+ * @throws {ConfigError} - 配置不合法时抛出，当前配置保持不变
+ */
+function apply(options) {
+  const next = loadConfig(options);
+  for (const [section, target] of Object.entries(SECTIONS)) {
+    assignInPlace(target, next.config[section], loaded.config[section], CONFIG_SCHEMA[section]);
+  }
+  Object.assign(loadOptions, options);
+  loaded = next;
+  for (const listener of listeners) {
+    listener(getConfig());
+  }
+}
+
+/**
+ * 以程序传入的值覆盖配置（优先级最高），多次调用的覆盖值会累积
+ * @example
+ * configure({ bitbrowser: { url: 'http://127.0.0.1:54399' }, logger: { level: 'debug' } });
+ * @param {Object} overrides - 覆盖值，结构与配置文件相同
+ * @throws {ConfigError} - 配置不合法时抛出，当前配置保持不变
+ */
+export function configure(overrides) {
+  apply({ ...loadOptions, overrides: mergeDeep(loadOptions.overrides, overrides) });
+}
+
+/**
+ * 重新读取配置文件和环境变量，保留 configure() 传入的覆盖值
+ * @param {Object} [options] - 加载选项
+ * @param {string|null} [options.file] - 配置文件路径，为 null 时不读取配置文件，未指定时沿用当前设置
+ * @param {Object} [options.env] - 环境变量，默认 process.env
+ * @param {string} [options.cwd] - 查找配置文件的目录，默认当前工作目录
+ * @throws {ConfigError} - 配置不合法时抛出，当前配置保持不变
+ */
+export function reloadConfig(options = {}) {
+  apply({ ...loadOptions, ...options });
+}
+
+/**
+ * 监听配置变化（configure/reloadConfig 成功后调用），用于需要重建资源的模块，例如日志
+ * @param {Function} listener - 监听函数 (config) => void
+ * @returns {Function} - 取消监听的函数
+ */
+export function onConfigChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * 获取合并后的完整配置（副本）
+ * @returns {Object}
+ */
+export function getConfig() {
+  return structuredClone(loaded.config);
+}
+
+/**
+ * 查询配置项的来源，便于排查配置为何生效
+ * @param {string} path - 配置路径，例如 'logger.level'
+ * @returns {string} - 'defaults'、'config file <path>'、'env <NAME>' 或 'overrides'
+ */
+export function getConfigSource(path) {
+  return loaded.sources[path] || 'defaults';
+}
+
+/**
+ * 当前使用的配置文件路径
+ * @returns {string|null}
+ */
+export function getConfigFile() {
+  return loaded.file;
+}
+
+export { ConfigError };
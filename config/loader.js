@@ -0,0 +1,311 @@
+import fse from 'fs-extra';
+import { extname, resolve } from 'path';
+import YAML from 'yaml';
+import { CONFIG_SCHEMA, isLeaf } from './schema.js';
+
+// 项目配置文件的默认查找顺序（相对于当前工作目录）
+const CONFIG_FILE_NAMES = ['bitbrowser.config.json', 'bitbrowser.config.yaml', 'bitbrowser.config.yml'];
+
+// 指定配置文件路径的环境变量
+const CONFIG_FILE_ENV = 'BITBROWSER_CONFIG_FILE';
+
+/**
+ * 配置加载或校验失败
+ * issues 中每一项对应一个问题，包含配置路径和来源
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Array<{path: string, message: string, source: string}>} [issues=[]] - 问题列表
+   */
+  constructor(message, issues = []) {
+    const details = issues.map(issue => `  - ${issue.path}: ${issue.message} (from ${issue.source})`).join('\n');
+    super(details ? `${message}\n${details}` : message);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * 深拷贝 JSON 兼容的值
+ * @param {any} value
+ * @returns {any}
+ */
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 从结构定义生成默认配置
+ * @param {Object} [schema=CONFIG_SCHEMA] - 结构定义
+ * @returns {Object}
+ */
+function buildDefaults(schema = CONFIG_SCHEMA) {
+  return Object.fromEntries(Object.entries(schema).map(([key, node]) => [
+    key,
+    isLeaf(node) ? clone(node.default) : buildDefaults(node)
+  ]));
+}
+
+/**
+ * 按结构定义把一层配置合并到结果中，并记录每个值的来源
+ * @param {Object} target - 合并目标
+ * @param {Object} layer - 本层配置
+ * @param {Object} schema - 对应层级的结构定义
+ * @param {string} source - 来源描述，用于错误信息
+ * @param {Object} context - { sources, issues }
+ * @param {string} [prefix=''] - 当前配置路径
+ */
+function mergeLayer(target, layer, schema, source, context, prefix = '') {
+  for (const [key, value] of Object.entries(layer)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const node = schema[key];
+
+    if (!node) {
+      context.issues.push({ path, message: 'unknown configuration key', source });
+      continue;
+    }
+
+    if (isLeaf(node)) {
+      target[key] = clone(value);
+      context.sources[path] = source;
+    } else if (isPlainObject(value)) {
+      mergeLayer(target[key], value, node, source, context, path);
+    } else {
+      context.issues.push({ path, message: `expected an object, got ${JSON.stringify(value)}`, source });
+    }
+  }
+}
+
+/**
+ * 将环境变量字符串按结构定义转换为对应类型，无法转换时原样返回，交给校验报错
+ * @param {string} raw - 环境变量值
+ * @param {Object} node - 叶子节点定义
+ * @returns {any}
+ */
+function coerceEnv(raw, node) {
+  const types = [].concat(node.type);
+
+  if (types.includes('boolean')) {
+    if (/^(true|1|yes)$/i.test(raw)) return true;
+    if (/^(false|0|no)$/i.test(raw)) return false;
+  }
+  if (types.includes('integer') || types.includes('number')) {
+    return raw.trim() !== '' && !Number.isNaN(Number(raw)) ? Number(raw) : raw;
+  }
+  if (types.includes('array')) {
+    if (raw.trim().startsWith('[')) {
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        return raw;
+      }
+    }
+    return raw.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (types.includes('object')) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return raw;
+    }
+  }
+  return raw;
+}
+
+/**
+ * 从环境变量中读取配置层
+ * @param {Object} env - 环境变量
+ * @param {Object} [schema=CONFIG_SCHEMA] - 结构定义
+ * @returns {{layer: Object, names: Object<string, string>}} - 配置层，以及配置路径到环境变量名的映射
+ */
+function readEnvLayer(env, schema = CONFIG_SCHEMA) {
+  const layer = {};
+  const names = {};
+
+  const walk = (node, target, prefix) => {
+    for (const [key, child] of Object.entries(node)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (isLeaf(child)) {
+        if (child.env && env[child.env] !== undefined) {
+          target[key] = coerceEnv(env[child.env], child);
+          names[path] = child.env;
+        }
+      } else {
+        const nested = {};
+        walk(child, nested, path);
+        if (Object.keys(nested).length > 0) {
+          target[key] = nested;
+        }
+      }
+    }
+  };
+
+  walk(schema, layer, '');
+  return { layer, names };
+}
+
+/**
+ * 校验单个值
+ * @param {any} value - 配置值
+ * @param {Object} node - 叶子节点定义
+ * @returns {string|null} - 问题描述，合法时返回 null
+ */
+function checkValue(value, node) {
+  const types = [].concat(node.type);
+  const matches = types.some(type => {
+    switch (type) {
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return isPlainObject(value);
+      default: return typeof value === type;
+    }
+  });
+
+  if (!matches) {
+    return `expected ${types.join(' or ')}, got ${JSON.stringify(value)}`;
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    return `expected one of ${node.enum.join(', ')}, got ${JSON.stringify(value)}`;
+  }
+  if (node.min !== undefined && typeof value === 'number' && value < node.min) {
+    return `must be >= ${node.min}, got ${value}`;
+  }
+  if (node.minLength !== undefined && typeof value === 'string' && value.length < node.minLength) {
+    return `must not be empty`;
+  }
+  if (node.items && Array.isArray(value) && !value.every(item => typeof item === node.items)) {
+    return `expected an array of ${node.items}, got ${JSON.stringify(value)}`;
+  }
+  if (node.format === 'url') {
+    try {
+      const url = new URL(value);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return `expected an http(s) URL, got ${JSON.stringify(value)}`;
+      }
+    } catch (error) {
+      return `expected a URL, got ${JSON.stringify(value)}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 按结构定义校验完整配置
+ * @param {Object} config - 合并后的配置
+ * @param {Object} sources - 配置路径到来源的映射
+ * @param {Object} [schema=CONFIG_SCHEMA] - 结构定义
+ * @param {string} [prefix=''] - 当前配置路径
+ * @returns {Array<{path: string, message: string, source: string}>} - 问题列表
+ */
+function validateConfig(config, sources, schema = CONFIG_SCHEMA, prefix = '') {
+  const issues = [];
+  for (const [key, node] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isLeaf(node)) {
+      const message = checkValue(config[key], node);
+      if (message) {
+        issues.push({ path, message, source: sources[path] || 'defaults' });
+      }
+    } else {
+      issues.push(...validateConfig(config[key], sources, node, path));
+    }
+  }
+  return issues;
+}
+
+/**
+ * 查找项目配置文件
+ * @param {Object} env - 环境变量
+ * @param {string} cwd - 当前工作目录
+ * @returns {string|null} - 配置文件路径，未找到时返回 null
+ */
+function findConfigFile(env, cwd) {
+  if (env[CONFIG_FILE_ENV]) {
+    return resolve(cwd, env[CONFIG_FILE_ENV]);
+  }
+  for (const name of CONFIG_FILE_NAMES) {
+    const path = resolve(cwd, name);
+    if (fse.existsSync(path)) {
+      return path;
+    }
+  }
+  return null;
+}
+
+/**
+ * 读取配置文件，支持 JSON 和 YAML
+ * @param {string} filePath - 配置文件路径
+ * @returns {Object}
+ * @throws {ConfigError} - 文件不存在或无法解析时抛出
+ */
+function readConfigFile(filePath) {
+  let content;
+  try {
+    content = fse.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new ConfigError(`Cannot parse config file ${filePath}: ${error.message}`);
+  }
+
+  if (parsed == null) {
+    return {};
+  }
+  if (!isPlainObject(parsed)) {
+    throw new ConfigError(`Config file ${filePath} must contain an object at the top level`);
+  }
+  return parsed;
+}
+
+/**
+ * 按层加载配置: 内置默认值 -> 项目配置文件 -> 环境变量 -> 程序传入的覆盖值
+ * @param {Object} [options] - 加载选项
+ * @param {string|null} [options.file] - 配置文件路径；未指定时读取 BITBROWSER_CONFIG_FILE 或在 cwd 中查找，为 null 时不读取文件
+ * @param {Object} [options.env=process.env] - 环境变量
+ * @param {Object} [options.overrides={}] - 程序传入的覆盖值，结构与配置文件相同
+ * @param {string} [options.cwd=process.cwd()] - 查找配置文件的目录
+ * @returns {{config: Object, sources: Object<string, string>, file: string|null}} - 合并后的配置、每个值的来源和使用的配置文件
+ * @throws {ConfigError} - 配置文件无法读取或配置不合法时抛出，信息中列出所有问题
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const cwd = options.cwd || process.cwd();
+  const file = options.file === undefined ? findConfigFile(env, cwd) : options.file && resolve(cwd, options.file);
+
+  const config = buildDefaults();
+  const context = { sources: {}, issues: [] };
+
+  if (file) {
+    mergeLayer(config, readConfigFile(file), CONFIG_SCHEMA, `config file ${file}`, context);
+  }
+
+  const { layer: envLayer, names } = readEnvLayer(env);
+  mergeLayer(config, envLayer, CONFIG_SCHEMA, 'env', context);
+  for (const [path, name] of Object.entries(names)) {
+    context.sources[path] = `env ${name}`;
+  }
+
+  if (options.overrides) {
+    mergeLayer(config, options.overrides, CONFIG_SCHEMA, 'overrides', context);
+  }
+
+  const issues = [...context.issues, ...validateConfig(config, context.sources)];
+  if (issues.length > 0) {
+    throw new ConfigError('Invalid configuration:', issues);
+  }
+
+  return { config, sources: context.sources, file };
+}
+
+export { loadConfig, buildDefaults, ConfigError, CONFIG_FILE_ENV };
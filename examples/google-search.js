@@ -0,0 +1,19 @@
+/**
+ * 示例脚本: node index.js run examples/google-search.js --profile <id>
+ * 在Google搜索框中输入文本并截图
+ * @param {import('../browser/puppeteer.js').PuppeteerController} controller - 已连接的控制器
+ * @param {Object} context - 运行上下文
+ * @param {string} context.browserId - 比特浏览器ID
+ * @returns {Promise<Object>} - 作为命令输出的结果
+ */
+export default async function googleSearch(controller, { browserId }) {
+  await controller.navigateTo('https://www.google.com');
+
+  // 逐键输入，触发真实的键盘和 input 事件
+  await controller.type('textarea[name="q"], input[name="q"]', 'Puppeteer Real Browser Integration');
+
+  const path = `screenshot-${browserId}.png`;
+  await controller.takeScreenshot({ path });
+
+  return { browserId, screenshot: path };
+}
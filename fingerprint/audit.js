@@ -0,0 +1,315 @@
+import { OS_PROFILES, UA_OS_PATTERNS, WEBGL_OS_MARKERS } from './data.js';
+
+// navigator.userAgentData.platform 与操作系统的对应关系
+const UA_DATA_PLATFORMS = {
+  Windows: 'windows',
+  macOS: 'macos',
+  Linux: 'linux',
+  'Chrome OS': 'linux',
+  Android: 'android'
+};
+
+// 软件渲染的 WebGL 渲染器，真实用户设备上很少出现
+const SOFTWARE_RENDERER = /SwiftShader|llvmpipe|softpipe/i;
+
+/**
+ * 在页面中读取指纹相关的信号
+ * 在浏览器中执行，不能引用模块内的其他变量
+ * @returns {Promise<Object>}
+ */
+async function readPageSignals() {
+  const signals = {
+    userAgent: navigator.userAgent,
+    platform: navigator.platform,
+    languages: Array.from(navigator.languages || []),
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    timezoneOffset: new Date().getTimezoneOffset(),
+    screen: { width: screen.width, height: screen.height },
+    hardwareConcurrency: navigator.hardwareConcurrency,
+    deviceMemory: navigator.deviceMemory ?? null,
+    webdriver: navigator.webdriver === true,
+    webgl: null,
+    userAgentData: null,
+    workerUserAgent: null,
+    automationGlobals: Object.keys(window).concat(Object.keys(document)).filter(key => /^\$?cdc_|^__(webdriver|selenium|nightmare)/.test(key))
+  };
+
+  try {
+    const gl = document.createElement('canvas').getContext('webgl');
+    const info = gl && gl.getExtension('WEBGL_debug_renderer_info');
+    if (info) {
+      signals.webgl = {
+        vendor: gl.getParameter(info.UNMASKED_VENDOR_WEBGL),
+        renderer: gl.getParameter(info.UNMASKED_RENDERER_WEBGL)
+      };
+    }
+  } catch (error) {
+    // 页面禁用 WebGL 时保持为 null
+  }
+
+  if (navigator.userAgentData) {
+    signals.userAgentData = {
+      platform: navigator.userAgentData.platform,
+      mobile: navigator.userAgentData.mobile,
+      brands: navigator.userAgentData.brands.map(brand => ({ brand: brand.brand, version: brand.version }))
+    };
+  }
+
+  // Worker 中的 UA 未被覆盖是常见的泄露点；页面CSP禁止 blob Worker 时跳过
+  try {
+    const source = 'postMessage(navigator.userAgent)';
+    const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'application/javascript' })));
+    signals.workerUserAgent = await new Promise(resolve => {
+      const timer = setTimeout(() => resolve(null), 2000);
+      worker.onmessage = event => {
+        clearTimeout(timer);
+        resolve(event.data);
+      };
+      worker.onerror = () => {
+        clearTimeout(timer);
+        resolve(null);
+      };
+    });
+    worker.terminate();
+  } catch (error) {
+    signals.workerUserAgent = null;
+  }
+
+  return signals;
+}
+
+/**
+ * 读取页面中的指纹信号
+ * @param {import('puppeteer').Page} page - 页面
+ * @returns {Promise<Object>} - { userAgent, platform, languages, timezone, timezoneOffset, screen, hardwareConcurrency,
+ *   deviceMemory, webdriver, webgl, userAgentData, workerUserAgent, automationGlobals }
+ */
+async function collectSignals(page) {
+  return page.evaluate(readPageSignals);
+}
+
+/**
+ * 通过页面（即浏览器使用的代理）查询出口IP的地理位置
+ * 兼容 ipinfo.io（country、timezone）和 ip-api.com（countryCode、timezone）等返回格式
+ * @param {import('puppeteer').Page} page - 页面
+ * @param {Object} options - 查询选项
+ * @param {string} options.url - 查询地址
+ * @param {number} options.timeout - 超时时间（毫秒）
+ * @returns {Promise<{ip: string|null, country: string|null, timezone: string|null}>}
+ */
+async function lookupGeo(page, { url, timeout }) {
+  const data = await page.evaluate(async (lookupUrl, lookupTimeout) => {
+    const response = await fetch(lookupUrl, { signal: AbortSignal.timeout(lookupTimeout), credentials: 'omit' });
+    if (!response.ok) {
+      throw new Error(`Geo lookup returned HTTP ${response.status}`);
+    }
+    return response.json();
+  }, url, timeout);
+
+  const country = data.country_code || data.countryCode || data.country || null;
+  return {
+    ip: data.ip || data.query || null,
+    country: typeof country === 'string' && country.length === 2 ? country.toUpperCase() : null,
+    timezone: data.timezone || data.time_zone || null
+  };
+}
+
+/**
+ * 计算时区在指定时间的UTC偏移（分钟）
+ * @param {string} timezone - IANA 时区
+ * @param {Date} [date=new Date()] - 时间
+ * @returns {number|null} - 偏移分钟数，时区无效时返回 null
+ */
+function utcOffset(timezone, date = new Date()) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }).formatToParts(date);
+    const value = type => Number(parts.find(part => part.type === type).value);
+    const local = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'));
+    return Math.round((local - date.getTime()) / 60000);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 格式化UTC偏移，例如 120 -> "+02:00"
+ * @param {number} minutes - 偏移分钟数
+ * @returns {string}
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 识别 UA 对应的操作系统
+ * @param {string} userAgent - UA
+ * @returns {string|undefined}
+ */
+function userAgentOs(userAgent) {
+  return Object.keys(UA_OS_PATTERNS).find(os => UA_OS_PATTERNS[os].test(userAgent));
+}
+
+/**
+ * 将比特浏览器的 browserFingerPrint 转换为可与页面信号比较的期望值
+ * 由IP自动生成的字段（isIpCreateTimeZone 等）和未设置的字段为 null，不参与比较
+ * @param {Object} [browserFingerPrint={}] - 比特浏览器指纹字段
+ * @returns {Object}
+ */
+function expectedSignals(browserFingerPrint = {}) {
+  const fp = browserFingerPrint || {};
+  const number = value => (value === undefined || value === null || value === '' ? null : Number(value));
+  const resolution = fp.resolutionType === '1' && typeof fp.resolution === 'string'
+    ? fp.resolution.match(/^(\d+)\s*x\s*(\d+)$/)
+    : null;
+
+  return {
+    userAgent: fp.userAgent || null,
+    platform: fp.os || null,
+    coreVersion: fp.coreVersion ? String(fp.coreVersion) : null,
+    languages: fp.isIpCreateLanguage === false && fp.languages ? fp.languages.split(',').map(item => item.trim()) : null,
+    timezone: fp.isIpCreateTimeZone === false && fp.timeZone ? fp.timeZone : null,
+    screen: resolution ? { width: Number(resolution[1]), height: Number(resolution[2]) } : null,
+    hardwareConcurrency: number(fp.hardwareConcurrency),
+    deviceMemory: number(fp.deviceMemory),
+    webgl: fp.webGLMeta === '1' && fp.webGLRender
+      ? { vendor: fp.webGLManufacturer || null, renderer: fp.webGLRender }
+      : null
+  };
+}
+
+/**
+ * 比较页面信号与请求的指纹和代理地理位置，生成审计报告
+ * 严重程度: critical 表示站点可直接识别的泄露或矛盾，warning 表示可疑但可能合理，info 仅供参考
+ * @param {Object} signals - 页面信号，见 collectSignals
+ * @param {Object} [browserFingerPrint] - 比特浏览器指纹字段
+ * @param {Object} [options] - 审计选项
+ * @param {{ip: string, country: string, timezone: string}|null} [options.geo] - 出口IP的地理位置，为空时不比较
+ * @param {Date} [options.now=new Date()] - 计算时区偏移使用的时间
+ * @returns {Object} - { status: 'passed'|'warning'|'failed', critical, warnings, mismatches, leaks, signals, expected, geo }
+ */
+function auditSignals(signals, browserFingerPrint, options = {}) {
+  const expected = expectedSignals(browserFingerPrint);
+  const geo = options.geo || null;
+  const mismatches = [];
+  const leaks = [];
+
+  const mismatch = (signal, severity, expectedValue, actual, message) =>
+    mismatches.push({ signal, severity, expected: expectedValue, actual, message });
+  const leak = (signal, severity, actual, message) => leaks.push({ signal, severity, actual, message });
+
+  // 与请求的指纹比较
+  if (expected.userAgent && signals.userAgent !== expected.userAgent) {
+    mismatch('userAgent', 'critical', expected.userAgent, signals.userAgent, 'navigator.userAgent differs from the requested user agent');
+  }
+  if (expected.platform && signals.platform !== expected.platform) {
+    mismatch('platform', 'critical', expected.platform, signals.platform, 'navigator.platform differs from the requested platform');
+  }
+  const chrome = (signals.userAgent || '').match(/Chrome\/(\d+)\./);
+  if (expected.coreVersion && chrome && chrome[1] !== expected.coreVersion) {
+    mismatch('coreVersion', 'warning', expected.coreVersion, chrome[1], `browser reports Chrome ${chrome[1]} but core version ${expected.coreVersion} was requested`);
+  }
+  if (expected.languages && expected.languages.join(',').toLowerCase() !== signals.languages.join(',').toLowerCase()) {
+    mismatch('languages', 'warning', expected.languages, signals.languages, 'navigator.languages differs from the requested languages');
+  }
+  if (expected.timezone && signals.timezone !== expected.timezone) {
+    mismatch('timezone', 'critical', expected.timezone, signals.timezone, 'page time zone differs from the requested time zone');
+  }
+  if (expected.screen && (signals.screen.width !== expected.screen.width || signals.screen.height !== expected.screen.height)) {
+    mismatch('screen', 'warning', expected.screen, signals.screen, 'screen size differs from the requested resolution');
+  }
+  if (expected.hardwareConcurrency !== null && signals.hardwareConcurrency !== expected.hardwareConcurrency) {
+    mismatch('hardwareConcurrency', 'warning', expected.hardwareConcurrency, signals.hardwareConcurrency, 'navigator.hardwareConcurrency differs from the requested value');
+  }
+  if (expected.deviceMemory !== null && signals.deviceMemory !== null && signals.deviceMemory !== expected.deviceMemory) {
+    mismatch('deviceMemory', 'warning', expected.deviceMemory, signals.deviceMemory, 'navigator.deviceMemory differs from the requested value');
+  }
+  if (expected.webgl && signals.webgl && signals.webgl.renderer !== expected.webgl.renderer) {
+    mismatch('webgl.renderer', 'warning', expected.webgl.renderer, signals.webgl.renderer, 'WebGL renderer differs from the requested renderer');
+  }
+
+  // 与代理出口的地理位置比较
+  if (geo && geo.timezone) {
+    const actualOffset = utcOffset(signals.timezone, options.now);
+    const geoOffset = utcOffset(geo.timezone, options.now);
+    if (actualOffset !== null && geoOffset !== null && actualOffset !== geoOffset) {
+      mismatch('geo.timezone', 'critical', geo.timezone, signals.timezone,
+        `page time zone (UTC${formatOffset(actualOffset)}) does not match the proxy exit IP (UTC${formatOffset(geoOffset)})`);
+    }
+  }
+  if (geo && geo.country) {
+    const regions = signals.languages.map(language => language.split('-')[1]).filter(Boolean).map(region => region.toUpperCase());
+    if (regions.length > 0 && !regions.includes(geo.country)) {
+      mismatch('geo.languages', 'info', geo.country, signals.languages, `no browser language matches the proxy country ${geo.country}`);
+    }
+  }
+
+  // 页面内部的矛盾和自动化痕迹，不依赖请求的指纹
+  if (signals.webdriver) {
+    leak('webdriver', 'critical', true, 'navigator.webdriver is true');
+  }
+  if (/HeadlessChrome/.test(signals.userAgent)) {
+    leak('userAgent', 'critical', signals.userAgent, 'user agent reveals headless Chrome');
+  }
+  if (signals.automationGlobals && signals.automationGlobals.length > 0) {
+    leak('automationGlobals', 'critical', signals.automationGlobals, 'automation driver globals are present on the page');
+  }
+
+  const intlOffset = utcOffset(signals.timezone, options.now);
+  if (intlOffset !== null && typeof signals.timezoneOffset === 'number' && intlOffset !== -signals.timezoneOffset) {
+    leak('timezoneOffset', 'critical', signals.timezoneOffset, `Date offset (UTC${formatOffset(-signals.timezoneOffset)}) contradicts the Intl time zone ${signals.timezone}`);
+  }
+
+  const uaOs = userAgentOs(signals.userAgent || '');
+  if (uaOs && OS_PROFILES[uaOs] && !OS_PROFILES[uaOs].platforms.includes(signals.platform)) {
+    leak('platform', 'critical', signals.platform, `navigator.platform "${signals.platform}" contradicts a ${uaOs} user agent`);
+  }
+  if (signals.userAgentData) {
+    const dataOs = UA_DATA_PLATFORMS[signals.userAgentData.platform];
+    if (uaOs && dataOs && dataOs !== uaOs) {
+      leak('userAgentData.platform', 'critical', signals.userAgentData.platform, `navigator.userAgentData.platform contradicts a ${uaOs} user agent`);
+    }
+    const brand = signals.userAgentData.brands.find(item => /Chrom/.test(item.brand));
+    if (chrome && brand && brand.version !== chrome[1]) {
+      leak('userAgentData.brands', 'critical', brand.version, `navigator.userAgentData reports Chrome ${brand.version} but the user agent says ${chrome[1]}`);
+    }
+  }
+  if (signals.workerUserAgent && signals.workerUserAgent !== signals.userAgent) {
+    leak('workerUserAgent', 'critical', signals.workerUserAgent, 'user agent inside a Web Worker differs from the page');
+  }
+  if (signals.webgl) {
+    if (SOFTWARE_RENDERER.test(signals.webgl.renderer)) {
+      leak('webgl.renderer', 'warning', signals.webgl.renderer, 'WebGL uses a software renderer');
+    }
+    const marker = WEBGL_OS_MARKERS.find(item => item.pattern.test(signals.webgl.renderer));
+    if (uaOs && marker && marker.os !== uaOs) {
+      leak('webgl.renderer', 'warning', signals.webgl.renderer, `WebGL renderer only occurs on ${marker.os} but the user agent is ${uaOs}`);
+    }
+  }
+
+  const findings = [...mismatches, ...leaks];
+  const critical = findings.filter(item => item.severity === 'critical').length;
+  const warnings = findings.filter(item => item.severity === 'warning').length;
+
+  return {
+    status: critical > 0 ? 'failed' : warnings > 0 ? 'warning' : 'passed',
+    critical,
+    warnings,
+    mismatches,
+    leaks,
+    signals,
+    expected,
+    geo
+  };
+}
+
+export { collectSignals, lookupGeo, auditSignals, expectedSignals, utcOffset };
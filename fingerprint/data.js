@@ -0,0 +1,97 @@
+/**
+ * 生成和校验指纹使用的操作系统数据
+ * 每个系统的 platform、UA 片段、分辨率、WebGL 和硬件参数都取自真实设备上的常见值，组合后保持一致
+ */
+export const OS_PROFILES = {
+  windows: {
+    ostype: 'PC',
+    platforms: ['Win32'],
+    osVersions: ['10', '11'],
+    // Windows 11 的 UA 仍然是 Windows NT 10.0
+    userAgent: coreVersion => `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${coreVersion}.0.0.0 Safari/537.36`,
+    mobile: false,
+    resolutions: [[1920, 1080], [1366, 768], [1536, 864], [2560, 1440], [1440, 900]],
+    webgl: [
+      { vendor: 'Google Inc. (NVIDIA)', renderer: 'ANGLE (NVIDIA, NVIDIA GeForce GTX 1660 SUPER Direct3D11 vs_5_0 ps_5_0, D3D11)' },
+      { vendor: 'Google Inc. (NVIDIA)', renderer: 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 Direct3D11 vs_5_0 ps_5_0, D3D11)' },
+      { vendor: 'Google Inc. (Intel)', renderer: 'ANGLE (Intel, Intel(R) UHD Graphics 630 Direct3D11 vs_5_0 ps_5_0, D3D11)' },
+      { vendor: 'Google Inc. (AMD)', renderer: 'ANGLE (AMD, AMD Radeon RX 580 Series Direct3D11 vs_5_0 ps_5_0, D3D11)' }
+    ],
+    hardwareConcurrency: [4, 8, 12, 16],
+    deviceMemory: [4, 8]
+  },
+  macos: {
+    ostype: 'PC',
+    platforms: ['MacIntel'],
+    osVersions: ['13', '14'],
+    // Apple Silicon 上的 Chrome 也报告 Intel Mac OS X 10_15_7
+    userAgent: coreVersion => `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${coreVersion}.0.0.0 Safari/537.36`,
+    mobile: false,
+    resolutions: [[1440, 900], [1512, 982], [1728, 1117], [1680, 1050], [2560, 1440]],
+    webgl: [
+      { vendor: 'Google Inc. (Apple)', renderer: 'ANGLE (Apple, ANGLE Metal Renderer: Apple M1, Unspecified Version)' },
+      { vendor: 'Google Inc. (Apple)', renderer: 'ANGLE (Apple, ANGLE Metal Renderer: Apple M2, Unspecified Version)' },
+      { vendor: 'Google Inc. (Intel Inc.)', renderer: 'ANGLE (Intel Inc., Intel(R) Iris(TM) Plus Graphics OpenGL Engine, OpenGL 4.1)' }
+    ],
+    hardwareConcurrency: [8, 10, 12],
+    deviceMemory: [8]
+  },
+  linux: {
+    ostype: 'PC',
+    platforms: ['Linux x86_64'],
+    osVersions: ['6'],
+    userAgent: coreVersion => `Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${coreVersion}.0.0.0 Safari/537.36`,
+    mobile: false,
+    resolutions: [[1920, 1080], [2560, 1440], [1366, 768]],
+    webgl: [
+      { vendor: 'Google Inc. (Intel)', renderer: 'ANGLE (Intel, Mesa Intel(R) UHD Graphics 620 (KBL GT2), OpenGL 4.6)' },
+      { vendor: 'Google Inc. (NVIDIA Corporation)', renderer: 'ANGLE (NVIDIA Corporation, NVIDIA GeForce GTX 1080/PCIe/SSE2, OpenGL 4.5.0)' }
+    ],
+    hardwareConcurrency: [4, 8, 16],
+    deviceMemory: [8]
+  },
+  android: {
+    ostype: 'Android',
+    platforms: ['Linux armv8l', 'Linux aarch64'],
+    osVersions: ['12', '13', '14'],
+    // Chrome 110 起 Android UA 的系统版本和机型固定为 "Android 10; K"
+    userAgent: coreVersion => `Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${coreVersion}.0.0.0 Mobile Safari/537.36`,
+    mobile: true,
+    resolutions: [[412, 915], [393, 873], [360, 800]],
+    webgl: [
+      { vendor: 'Qualcomm', renderer: 'Adreno (TM) 650' },
+      { vendor: 'ARM', renderer: 'Mali-G78' }
+    ],
+    hardwareConcurrency: [8],
+    deviceMemory: [4, 8]
+  }
+};
+
+// UA 中标识操作系统的片段
+export const UA_OS_PATTERNS = {
+  windows: /Windows NT/,
+  macos: /Macintosh; Intel Mac OS X/,
+  linux: /X11; Linux/,
+  android: /Linux; Android/
+};
+
+// 只会出现在特定系统上的 WebGL 渲染器特征
+export const WEBGL_OS_MARKERS = [
+  { pattern: /Direct3D|D3D11/, os: 'windows' },
+  { pattern: /Metal Renderer|Apple M\d/, os: 'macos' },
+  { pattern: /\bMesa\b/, os: 'linux' },
+  { pattern: /Adreno|Mali/, os: 'android' }
+];
+
+// 语言与常用时区的组合，生成指纹时保持语言和时区一致
+export const LOCALES = [
+  { languages: ['en-US', 'en'], timezones: ['America/New_York', 'America/Chicago', 'America/Los_Angeles'] },
+  { languages: ['en-GB', 'en'], timezones: ['Europe/London'] },
+  { languages: ['de-DE', 'de', 'en'], timezones: ['Europe/Berlin'] },
+  { languages: ['fr-FR', 'fr', 'en'], timezones: ['Europe/Paris'] },
+  { languages: ['ja-JP', 'ja'], timezones: ['Asia/Tokyo'] },
+  { languages: ['zh-CN', 'zh'], timezones: ['Asia/Shanghai'] }
+];
+
+// navigator.deviceMemory 可能的取值
+export const DEVICE_MEMORY_VALUES = [0.25, 0.5, 1, 2, 4, 8];
@@ -0,0 +1,50 @@
+/**
+ * 指纹错误基类
+ */
+class FingerprintError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情
+   * @param {Error} [details.cause] - 原始错误
+   */
+  constructor(message, { cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * 指纹不合法或各字段之间不一致，issues 中列出所有问题
+ */
+class FingerprintValidationError extends FingerprintError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Array<{field: string, message: string}>} [issues=[]] - 问题列表
+   */
+  constructor(message, issues = []) {
+    const details = issues.map(issue => `  - ${issue.field}: ${issue.message}`).join('\n');
+    super(details ? `${message}\n${details}` : message);
+    this.issues = issues;
+  }
+}
+
+/**
+ * 找不到指定名称或版本的指纹预设
+ */
+class FingerprintPresetNotFoundError extends FingerprintError {}
+
+/**
+ * 指纹审计发现严重泄露（failOnCritical 时抛出），report 为完整的审计报告
+ */
+class FingerprintLeakError extends FingerprintError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} report - 审计报告，见 auditSignals
+   */
+  constructor(message, report) {
+    super(message);
+    this.report = report;
+  }
+}
+
+export { FingerprintError, FingerprintValidationError, FingerprintPresetNotFoundError, FingerprintLeakError };
@@ -0,0 +1,89 @@
+import { FINGERPRINT_CONFIG } from '../config/config.js';
+import { OS_PROFILES, LOCALES } from './data.js';
+import { assertValidFingerprint } from './schema.js';
+import { FingerprintValidationError } from './errors.js';
+
+/**
+ * 可复现的伪随机数生成器（mulberry32）
+ * @param {number} seed - 种子
+ * @returns {Function} - 返回 [0, 1) 随机数的函数
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 按约束生成一致的随机指纹
+ * 未指定的字段从对应系统的常见取值中随机选择，语言和时区按地区成组选择
+ * @example
+ * const fingerprint = generateFingerprint({ os: 'macos', language: 'de-DE' }, { seed: 42 });
+ * @param {Object} [constraints] - 约束
+ * @param {string} [constraints.os] - 操作系统 windows | macos | linux | android
+ * @param {string} [constraints.coreVersion] - 内核版本，默认 FINGERPRINT_CONFIG.defaultCoreVersion
+ * @param {string} [constraints.language] - 首选语言，例如 'de-DE'
+ * @param {Array<string>} [constraints.languages] - 完整语言列表，优先于 language
+ * @param {string} [constraints.timezone] - 时区
+ * @param {{width: number, height: number}} [constraints.resolution] - 分辨率
+ * @param {number} [constraints.hardwareConcurrency] - CPU 核心数
+ * @param {string} [constraints.name] - 指纹名称
+ * @param {Object} [options] - 生成选项
+ * @param {number} [options.seed] - 随机种子，相同种子和约束生成相同指纹
+ * @param {Function} [options.random] - 自定义随机函数，优先于 seed
+ * @returns {Object} - 指纹，结构见 schema.js
+ * @throws {FingerprintValidationError} - 约束不合法或相互矛盾时抛出
+ */
+function generateFingerprint(constraints = {}, options = {}) {
+  const random = options.random || (options.seed !== undefined ? seededRandom(options.seed) : Math.random);
+  const pick = list => list[Math.floor(random() * list.length)];
+
+  const os = constraints.os || pick(Object.keys(OS_PROFILES));
+  const profile = OS_PROFILES[os];
+  if (!profile) {
+    throw new FingerprintValidationError('Invalid fingerprint constraints:', [
+      { field: 'os', message: `must be one of ${Object.keys(OS_PROFILES).join(', ')}, got ${JSON.stringify(os)}` }
+    ]);
+  }
+
+  const coreVersion = String(constraints.coreVersion || FINGERPRINT_CONFIG.defaultCoreVersion);
+
+  // 优先选择与指定语言或时区匹配的地区，保持语言和时区一致
+  const requestedLanguage = constraints.languages ? constraints.languages[0] : constraints.language;
+  const matching = LOCALES.filter(locale =>
+    (!requestedLanguage || locale.languages[0].toLowerCase() === requestedLanguage.toLowerCase()) &&
+    (!constraints.timezone || locale.timezones.includes(constraints.timezone)));
+  const locale = pick(matching.length > 0 ? matching : LOCALES);
+
+  let languages = constraints.languages || locale.languages;
+  if (!constraints.languages && requestedLanguage && locale.languages[0].toLowerCase() !== requestedLanguage.toLowerCase()) {
+    const base = requestedLanguage.split('-')[0];
+    languages = base === requestedLanguage ? [requestedLanguage] : [requestedLanguage, base];
+  }
+
+  const [width, height] = pick(profile.resolutions);
+  const fingerprint = {
+    name: constraints.name || `generated-${os}-chrome${coreVersion}`,
+    version: 1,
+    os,
+    platform: profile.platforms[0],
+    osVersion: pick(profile.osVersions),
+    coreVersion,
+    userAgent: profile.userAgent(coreVersion),
+    languages,
+    timezone: constraints.timezone || pick(locale.timezones),
+    resolution: constraints.resolution || { width, height },
+    webgl: { ...pick(profile.webgl) },
+    hardwareConcurrency: constraints.hardwareConcurrency ?? pick(profile.hardwareConcurrency),
+    deviceMemory: pick(profile.deviceMemory)
+  };
+
+  return assertValidFingerprint(fingerprint, { source: 'generated from constraints' });
+}
+
+export { generateFingerprint, seededRandom };
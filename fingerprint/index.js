@@ -0,0 +1,35 @@
+import { validateFingerprint, assertValidFingerprint, toBrowserFingerPrint } from './schema.js';
+import { generateFingerprint, seededRandom } from './generator.js';
+import { loadPresets, listPresets, getPreset, resolveFingerprint, BUILTIN_PRESET_DIR } from './presets.js';
+import { collectSignals, lookupGeo, auditSignals, expectedSignals, utcOffset } from './audit.js';
+import { OS_PROFILES, LOCALES } from './data.js';
+import {
+  FingerprintError,
+  FingerprintValidationError,
+  FingerprintPresetNotFoundError,
+  FingerprintLeakError
+} from './errors.js';
+
+export {
+  validateFingerprint,
+  assertValidFingerprint,
+  toBrowserFingerPrint,
+  generateFingerprint,
+  seededRandom,
+  loadPresets,
+  listPresets,
+  getPreset,
+  resolveFingerprint,
+  BUILTIN_PRESET_DIR,
+  collectSignals,
+  lookupGeo,
+  auditSignals,
+  expectedSignals,
+  utcOffset,
+  OS_PROFILES,
+  LOCALES,
+  FingerprintError,
+  FingerprintValidationError,
+  FingerprintPresetNotFoundError,
+  FingerprintLeakError
+};
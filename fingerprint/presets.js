@@ -0,0 +1,114 @@
+import fse from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { FINGERPRINT_CONFIG } from '../config/config.js';
+import { assertValidFingerprint, toBrowserFingerPrint } from './schema.js';
+import { FingerprintPresetNotFoundError } from './errors.js';
+
+// 内置预设目录
+const BUILTIN_PRESET_DIR = join(dirname(fileURLToPath(import.meta.url)), 'presets');
+
+// 已加载的预设: { dirs: string, presets: Map<name, Array<preset>> }，按版本从高到低排列
+let cache = null;
+
+/**
+ * 读取目录中的所有预设文件并校验
+ * @param {string} dir - 预设目录
+ * @returns {Promise<Array<Object>>}
+ */
+async function readPresetDir(dir) {
+  const files = (await fse.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  const presets = [];
+  for (const file of files) {
+    const path = join(dir, file);
+    presets.push(assertValidFingerprint(await fse.readJSON(path), { preset: true, source: path }));
+  }
+  return presets;
+}
+
+/**
+ * 加载内置预设和 FINGERPRINT_CONFIG.presetDir 中的预设，同名同版本时后者覆盖前者
+ * @param {Object} [options] - 加载选项
+ * @param {boolean} [options.refresh=false] - 为true时重新读取文件
+ * @returns {Promise<Map<string, Array<Object>>>} - 预设名称 -> 各版本（从高到低）
+ * @throws {FingerprintValidationError} - 预设文件不合法时抛出
+ */
+async function loadPresets(options = {}) {
+  const dirs = [BUILTIN_PRESET_DIR];
+  if (FINGERPRINT_CONFIG.presetDir) {
+    dirs.push(resolve(FINGERPRINT_CONFIG.presetDir));
+  }
+
+  const key = dirs.join('|');
+  if (cache && cache.key === key && !options.refresh) {
+    return cache.presets;
+  }
+
+  const byName = new Map();
+  for (const dir of dirs) {
+    for (const preset of await readPresetDir(dir)) {
+      const versions = (byName.get(preset.name) || []).filter(existing => existing.version !== preset.version);
+      versions.push(preset);
+      versions.sort((a, b) => b.version - a.version);
+      byName.set(preset.name, versions);
+    }
+  }
+
+  cache = { key, presets: byName };
+  return byName;
+}
+
+/**
+ * 列出所有预设
+ * @returns {Promise<Array<{name: string, version: number, versions: Array<number>, os: string, coreVersion: string, description: string}>>} - 每个名称一项，version 为最新版本
+ */
+async function listPresets() {
+  const presets = await loadPresets();
+  return Array.from(presets.values()).map(versions => ({
+    name: versions[0].name,
+    version: versions[0].version,
+    versions: versions.map(preset => preset.version),
+    os: versions[0].os,
+    coreVersion: versions[0].coreVersion,
+    description: versions[0].description || ''
+  }));
+}
+
+/**
+ * 按名称获取预设
+ * @param {string} ref - 预设名称，可用 name@version 指定版本，默认最新版本
+ * @returns {Promise<Object>} - 预设（副本）
+ * @throws {FingerprintPresetNotFoundError} - 预设或版本不存在时抛出
+ */
+async function getPreset(ref) {
+  const [name, version] = String(ref).split('@');
+  const versions = (await loadPresets()).get(name);
+  if (!versions) {
+    throw new FingerprintPresetNotFoundError(`Unknown fingerprint preset "${name}"`);
+  }
+
+  const preset = version === undefined
+    ? versions[0]
+    : versions.find(candidate => candidate.version === Number(version));
+  if (!preset) {
+    throw new FingerprintPresetNotFoundError(
+      `Fingerprint preset "${name}" has no version ${version} (available: ${versions.map(v => v.version).join(', ')})`
+    );
+  }
+  return structuredClone(preset);
+}
+
+/**
+ * 将预设名称或指纹对象转换为比特浏览器的 browserFingerPrint
+ * @param {string|Object} fingerprint - 预设名称（可带 @version）或指纹对象，见 schema.js
+ * @returns {Promise<Object>} - browserFingerPrint
+ * @throws {FingerprintValidationError|FingerprintPresetNotFoundError}
+ */
+async function resolveFingerprint(fingerprint) {
+  const resolved = typeof fingerprint === 'string'
+    ? await getPreset(fingerprint)
+    : assertValidFingerprint(fingerprint);
+  return toBrowserFingerPrint(resolved);
+}
+
+export { loadPresets, listPresets, getPreset, resolveFingerprint, BUILTIN_PRESET_DIR };
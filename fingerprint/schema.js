@@ -0,0 +1,210 @@
+import { OS_PROFILES, UA_OS_PATTERNS, WEBGL_OS_MARKERS, DEVICE_MEMORY_VALUES } from './data.js';
+import { FingerprintValidationError } from './errors.js';
+
+/*
+ * 指纹结构（预设文件和 generateFingerprint 的结果都使用此结构）:
+ * {
+ *   name: 'win10-chrome124-en-us',      // 预设名称
+ *   version: 1,                         // 预设版本，同名预设取最大版本
+ *   description: '...',                 // 可选
+ *   os: 'windows',                      // windows | macos | linux | android
+ *   platform: 'Win32',                  // navigator.platform
+ *   osVersion: '10',
+ *   coreVersion: '124',                 // 比特浏览器内核版本，与 UA 中的 Chrome 主版本一致
+ *   userAgent: 'Mozilla/5.0 ...',
+ *   languages: ['en-US', 'en'],
+ *   timezone: 'America/New_York',
+ *   resolution: { width: 1920, height: 1080 },
+ *   webgl: { vendor: '...', renderer: '...' },
+ *   hardwareConcurrency: 8,
+ *   deviceMemory: 8                     // 可选
+ * }
+ */
+
+/**
+ * 时区是否为合法的 IANA 时区
+ * @param {string} timezone - 时区
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 语言标签是否合法
+ * @param {string} language - 语言标签，例如 'en-US'
+ * @returns {boolean}
+ */
+function isValidLanguage(language) {
+  try {
+    return typeof language === 'string' && Intl.getCanonicalLocales(language).length === 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 校验指纹字段以及字段之间的一致性
+ * @param {Object} fingerprint - 指纹，结构见文件开头
+ * @param {Object} [options] - 校验选项
+ * @param {boolean} [options.preset=false] - 为true时按预设校验，要求 name 和 version
+ * @returns {Array<{field: string, message: string}>} - 问题列表，为空表示合法
+ */
+function validateFingerprint(fingerprint, options = {}) {
+  const issues = [];
+  const add = (field, message) => issues.push({ field, message });
+
+  if (!fingerprint || typeof fingerprint !== 'object') {
+    add('fingerprint', 'must be an object');
+    return issues;
+  }
+
+  const fp = fingerprint;
+  if (options.preset) {
+    if (typeof fp.name !== 'string' || !/^[\w.-]+$/.test(fp.name)) {
+      add('name', 'is required and may only contain letters, digits, ".", "_" and "-"');
+    }
+    if (!Number.isInteger(fp.version) || fp.version < 1) {
+      add('version', 'must be a positive integer');
+    }
+  }
+
+  const profile = OS_PROFILES[fp.os];
+  if (!profile) {
+    add('os', `must be one of ${Object.keys(OS_PROFILES).join(', ')}, got ${JSON.stringify(fp.os)}`);
+  }
+
+  for (const field of ['platform', 'userAgent', 'timezone']) {
+    if (typeof fp[field] !== 'string' || !fp[field]) {
+      add(field, 'is required');
+    }
+  }
+  if (typeof fp.coreVersion !== 'string' || !/^\d+$/.test(fp.coreVersion)) {
+    add('coreVersion', `must be a numeric string such as "124", got ${JSON.stringify(fp.coreVersion)}`);
+  }
+
+  if (profile && typeof fp.platform === 'string' && !profile.platforms.includes(fp.platform)) {
+    add('platform', `"${fp.platform}" is inconsistent with os "${fp.os}", expected ${profile.platforms.join(' or ')}`);
+  }
+
+  if (typeof fp.userAgent === 'string' && fp.userAgent) {
+    const uaOs = Object.keys(UA_OS_PATTERNS).find(os => UA_OS_PATTERNS[os].test(fp.userAgent));
+    if (profile && uaOs !== fp.os) {
+      add('userAgent', uaOs
+        ? `looks like a ${uaOs} user agent but os is "${fp.os}"`
+        : `does not identify os "${fp.os}"`);
+    }
+
+    const chrome = fp.userAgent.match(/Chrome\/(\d+)\./);
+    if (!chrome) {
+      add('userAgent', 'must be a Chrome user agent (Chrome/<version>)');
+    } else if (typeof fp.coreVersion === 'string' && chrome[1] !== fp.coreVersion) {
+      add('userAgent', `Chrome/${chrome[1]} does not match coreVersion ${fp.coreVersion}`);
+    }
+
+    if (profile && profile.mobile !== /\bMobile\b/.test(fp.userAgent)) {
+      add('userAgent', profile.mobile ? 'must contain "Mobile" for a mobile os' : 'must not contain "Mobile" for a desktop os');
+    }
+  }
+
+  if (!Array.isArray(fp.languages) || fp.languages.length === 0) {
+    add('languages', 'must be a non-empty array such as ["en-US", "en"]');
+  } else {
+    fp.languages.filter(language => !isValidLanguage(language)).forEach(language => {
+      add('languages', `invalid language tag ${JSON.stringify(language)}`);
+    });
+  }
+
+  if (typeof fp.timezone === 'string' && fp.timezone && !isValidTimezone(fp.timezone)) {
+    add('timezone', `unknown IANA time zone "${fp.timezone}"`);
+  }
+
+  const { width, height } = fp.resolution || {};
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+    add('resolution', 'must be { width, height } with positive integers');
+  } else if (profile && profile.mobile && (width > height || width > 600)) {
+    add('resolution', `${width}x${height} is not a portrait phone screen, expected for os "${fp.os}"`);
+  } else if (profile && !profile.mobile && (width < 1024 || height < 600 || width < height)) {
+    add('resolution', `${width}x${height} is not a plausible desktop screen for os "${fp.os}"`);
+  }
+
+  if (!fp.webgl || typeof fp.webgl.vendor !== 'string' || typeof fp.webgl.renderer !== 'string') {
+    add('webgl', 'must be { vendor, renderer }');
+  } else if (profile) {
+    for (const marker of WEBGL_OS_MARKERS) {
+      if (marker.os !== fp.os && marker.pattern.test(fp.webgl.renderer)) {
+        add('webgl.renderer', `"${fp.webgl.renderer}" only occurs on ${marker.os}, but os is "${fp.os}"`);
+      }
+    }
+  }
+
+  if (!Number.isInteger(fp.hardwareConcurrency) || fp.hardwareConcurrency < 1 || fp.hardwareConcurrency > 128) {
+    add('hardwareConcurrency', `must be an integer between 1 and 128, got ${JSON.stringify(fp.hardwareConcurrency)}`);
+  }
+  if (fp.deviceMemory !== undefined && !DEVICE_MEMORY_VALUES.includes(fp.deviceMemory)) {
+    add('deviceMemory', `must be one of ${DEVICE_MEMORY_VALUES.join(', ')}, got ${JSON.stringify(fp.deviceMemory)}`);
+  }
+
+  return issues;
+}
+
+/**
+ * 校验指纹，不合法时抛出
+ * @param {Object} fingerprint - 指纹
+ * @param {Object} [options] - 校验选项，见 validateFingerprint
+ * @param {string} [options.source] - 来源描述（如预设文件路径），用于错误信息
+ * @returns {Object} - 原指纹
+ * @throws {FingerprintValidationError} - 指纹不合法时抛出，信息中列出所有问题
+ */
+function assertValidFingerprint(fingerprint, options = {}) {
+  const issues = validateFingerprint(fingerprint, options);
+  if (issues.length > 0) {
+    const label = options.source || (fingerprint && fingerprint.name) || 'fingerprint';
+    throw new FingerprintValidationError(`Invalid fingerprint ${label}:`, issues);
+  }
+  return fingerprint;
+}
+
+/**
+ * 转换为比特浏览器API的 browserFingerPrint 字段
+ * 时区、语言按指纹固定，不随代理IP自动生成
+ * @param {Object} fingerprint - 指纹
+ * @returns {Object} - browserFingerPrint
+ */
+function toBrowserFingerPrint(fingerprint) {
+  const fp = fingerprint;
+  const result = {
+    coreVersion: fp.coreVersion,
+    ostype: OS_PROFILES[fp.os].ostype,
+    os: fp.platform,
+    osVersion: fp.osVersion,
+    userAgent: fp.userAgent,
+    isIpCreateTimeZone: false,
+    timeZone: fp.timezone,
+    isIpCreateLanguage: false,
+    languages: fp.languages.join(','),
+    isIpCreateDisplayLanguage: false,
+    displayLanguages: fp.languages[0],
+    resolutionType: '1',
+    resolution: `${fp.resolution.width} x ${fp.resolution.height}`,
+    webGLMeta: '1',
+    webGLManufacturer: fp.webgl.vendor,
+    webGLRender: fp.webgl.renderer,
+    hardwareConcurrency: String(fp.hardwareConcurrency),
+    deviceMemory: fp.deviceMemory === undefined ? undefined : String(fp.deviceMemory)
+  };
+
+  Object.keys(result).forEach(key => {
+    if (result[key] === undefined) {
+      delete result[key];
+    }
+  });
+  return result;
+}
+
+export { validateFingerprint, assertValidFingerprint, toBrowserFingerPrint };
@@ -0,0 +1,46 @@
+/**
+ * 浏览器清单错误基类
+ */
+class ManifestError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情
+   * @param {Error} [details.cause] - 原始错误
+   */
+  constructor(message, { cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * 清单文件无法解析或内容不合法（缺少 key、key 重复、未知字段等）
+ */
+class ManifestValidationError extends ManifestError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情，见 ManifestError
+   * @param {number} [details.index] - 出错的浏览器在 profiles 中的序号（从0开始）
+   */
+  constructor(message, { index, ...rest } = {}) {
+    super(index === undefined ? message : `Profile ${index + 1}: ${message}`, rest);
+    this.index = index;
+  }
+}
+
+/**
+ * 应用清单时部分修改失败，error.results 为每项修改的结果
+ */
+class ManifestApplyError extends ManifestError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情，见 ManifestError
+   * @param {Array<Object>} [details.results] - 每项修改的结果，见 applyPlan
+   */
+  constructor(message, { results = [], ...rest } = {}) {
+    super(message, rest);
+    this.results = results;
+  }
+}
+
+export { ManifestError, ManifestValidationError, ManifestApplyError };
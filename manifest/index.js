@@ -0,0 +1,32 @@
+import { loadManifest, validateManifest, writeManifest, MANIFEST_VERSION } from './loader.js';
+import { planManifest, applyPlan, exportManifest, buildManagedRemark, parseManagedRemark } from './reconcile.js';
+import { ManifestError, ManifestValidationError, ManifestApplyError } from './errors.js';
+
+/**
+ * 按清单创建、修改和删除浏览器
+ * @param {Object|string} manifest - 清单或清单文件路径
+ * @param {Object} [options] - 选项，见 planManifest
+ * @returns {Promise<{plan: Object, results: Array<Object>}>} - 计划和每项修改的结果
+ * @throws {ManifestApplyError} - 任一修改失败时抛出
+ */
+async function applyManifest(manifest, options = {}) {
+  const definition = typeof manifest === 'string' ? await loadManifest(manifest) : manifest;
+  const plan = await planManifest(definition, options);
+  return { plan, results: await applyPlan(plan, options) };
+}
+
+export {
+  applyManifest,
+  loadManifest,
+  validateManifest,
+  writeManifest,
+  planManifest,
+  applyPlan,
+  exportManifest,
+  buildManagedRemark,
+  parseManagedRemark,
+  MANIFEST_VERSION,
+  ManifestError,
+  ManifestValidationError,
+  ManifestApplyError
+};
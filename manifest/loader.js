@@ -0,0 +1,143 @@
+import fse from 'fs-extra';
+import { extname } from 'path';
+import YAML from 'yaml';
+import { MANIFEST_CONFIG } from '../config/config.js';
+import { parseProxy } from '../proxy/parse.js';
+import { ManifestValidationError } from './errors.js';
+
+// 清单文件格式版本，格式不兼容时递增
+const MANIFEST_VERSION = 1;
+
+// 浏览器条目允许的字段
+const PROFILE_FIELDS = ['key', 'id', 'name', 'remark', 'groupId', 'proxy', 'fingerprint', 'browserFingerPrint'];
+
+// 浏览器在清单中的标识，写入备注，只允许不含空白的安全字符
+const KEY_PATTERN = /^[\w.-]+$/;
+
+/**
+ * 判断是否为普通对象
+ * @param {any} value - 值
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 校验浏览器条目
+ * @param {Object} profile - 浏览器条目
+ * @param {number} index - 序号，用于错误信息
+ * @throws {ManifestValidationError}
+ */
+function validateProfile(profile, index) {
+  if (!isPlainObject(profile)) {
+    throw new ManifestValidationError('must be an object', { index });
+  }
+
+  const unknown = Object.keys(profile).filter(field => !PROFILE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ManifestValidationError(`unknown field(s) ${unknown.join(', ')}, expected: ${PROFILE_FIELDS.join(', ')}`, { index });
+  }
+
+  if (typeof profile.key !== 'string' || !KEY_PATTERN.test(profile.key)) {
+    throw new ManifestValidationError(`"key" must be a string of letters, digits, "_", "." or "-", got ${JSON.stringify(profile.key)}`, { index });
+  }
+
+  for (const field of ['id', 'name', 'remark', 'groupId']) {
+    if (profile[field] !== undefined && typeof profile[field] !== 'string') {
+      throw new ManifestValidationError(`"${field}" of ${profile.key} must be a string`, { index });
+    }
+  }
+
+  if (profile.remark && profile.remark.includes(MANIFEST_CONFIG.remarkMarker)) {
+    throw new ManifestValidationError(`"remark" of ${profile.key} must not contain the marker ${MANIFEST_CONFIG.remarkMarker}`, { index });
+  }
+
+  if (profile.proxy !== undefined && profile.proxy !== null && profile.proxy !== 'none') {
+    try {
+      parseProxy(profile.proxy);
+    } catch (error) {
+      throw new ManifestValidationError(`"proxy" of ${profile.key}: ${error.message}`, { index, cause: error });
+    }
+  }
+
+  if (profile.fingerprint !== undefined && typeof profile.fingerprint !== 'string' && !isPlainObject(profile.fingerprint)) {
+    throw new ManifestValidationError(`"fingerprint" of ${profile.key} must be a preset name or a fingerprint object`, { index });
+  }
+
+  if (profile.browserFingerPrint !== undefined && !isPlainObject(profile.browserFingerPrint)) {
+    throw new ManifestValidationError(`"browserFingerPrint" of ${profile.key} must be an object`, { index });
+  }
+}
+
+/**
+ * 校验浏览器清单
+ * @param {Object} manifest - 清单 { version, profiles }
+ * @returns {Object} - 校验通过的清单
+ * @throws {ManifestValidationError} - 清单不合法时抛出，信息中包含出错的浏览器
+ */
+function validateManifest(manifest) {
+  if (!isPlainObject(manifest)) {
+    throw new ManifestValidationError('Manifest must be an object');
+  }
+
+  if (manifest.version !== undefined && manifest.version !== MANIFEST_VERSION) {
+    throw new ManifestValidationError(`Unsupported manifest version ${manifest.version}, expected ${MANIFEST_VERSION}`);
+  }
+
+  if (!Array.isArray(manifest.profiles)) {
+    throw new ManifestValidationError('Manifest must have a "profiles" array');
+  }
+
+  const keys = new Set();
+  const ids = new Set();
+  manifest.profiles.forEach((profile, index) => {
+    validateProfile(profile, index);
+    if (keys.has(profile.key)) {
+      throw new ManifestValidationError(`duplicate key ${profile.key}`, { index });
+    }
+    if (profile.id && ids.has(profile.id)) {
+      throw new ManifestValidationError(`browser ${profile.id} is listed more than once`, { index });
+    }
+    keys.add(profile.key);
+    if (profile.id) {
+      ids.add(profile.id);
+    }
+  });
+
+  return manifest;
+}
+
+/**
+ * 从文件加载浏览器清单，支持 .json、.yaml、.yml
+ * @param {string} [filePath] - 清单文件路径，默认 MANIFEST_CONFIG.file
+ * @returns {Promise<Object>} - 校验通过的清单
+ * @throws {ManifestValidationError} - 文件无法解析或清单不合法时抛出
+ */
+async function loadManifest(filePath = MANIFEST_CONFIG.file) {
+  const content = await fse.readFile(filePath, 'utf8');
+
+  let manifest;
+  try {
+    manifest = extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new ManifestValidationError(`Cannot parse manifest ${filePath}: ${error.message}`, { cause: error });
+  }
+
+  return validateManifest(manifest);
+}
+
+/**
+ * 把浏览器清单写入文件，扩展名为 .json 时写 JSON，否则写 YAML
+ * @param {string} filePath - 文件路径
+ * @param {Object} manifest - 清单
+ * @returns {Promise<void>}
+ */
+async function writeManifest(filePath, manifest) {
+  const content = extname(filePath).toLowerCase() === '.json'
+    ? `${JSON.stringify(manifest, null, 2)}\n`
+    : YAML.stringify(manifest);
+  await fse.outputFile(filePath, content);
+}
+
+export { loadManifest, validateManifest, writeManifest, MANIFEST_VERSION, KEY_PATTERN };
@@ -0,0 +1,361 @@
+import { EPHEMERAL_BROWSER_CONFIG, MANIFEST_CONFIG } from '../config/config.js';
+import { getLogger } from '../utils/logger.js';
+import { getProvider } from '../providers/registry.js';
+import { resolveFingerprint } from '../fingerprint/presets.js';
+import { parseProxy, formatProxy, toBrowserProxyFields } from '../proxy/parse.js';
+import { validateManifest, MANIFEST_VERSION, KEY_PATTERN } from './loader.js';
+import { ManifestError, ManifestApplyError } from './errors.js';
+
+const logger = getLogger('manifest');
+
+// 不使用代理时写入的代理字段
+const NO_PROXY = { proxyMethod: 2, proxyType: 'noproxy', host: '', port: '', proxyUserName: '', proxyPassword: '' };
+
+// 代理字段，任一字段变化时一起写入
+const PROXY_FIELDS = Object.keys(NO_PROXY);
+
+/**
+ * 生成受管浏览器的备注：用户备注后加上标记和清单中的 key
+ * @param {string} key - 清单中的 key
+ * @param {string} [remark] - 用户备注
+ * @returns {string}
+ */
+function buildManagedRemark(key, remark) {
+  const tag = `${MANIFEST_CONFIG.remarkMarker} key=${key}`;
+  return remark ? `${remark} ${tag}` : tag;
+}
+
+/**
+ * 解析受管浏览器备注中的 key 和用户备注
+ * @param {string} remark - 浏览器备注
+ * @returns {{key: string, remark: string}|null} - 不是受管浏览器时返回 null
+ */
+function parseManagedRemark(remark) {
+  const marker = MANIFEST_CONFIG.remarkMarker;
+  const index = (remark || '').indexOf(marker);
+  if (index === -1) {
+    return null;
+  }
+  const match = remark.slice(index + marker.length).match(/^\s+key=(\S+)/);
+  if (!match) {
+    return null;
+  }
+  return { key: match[1], remark: remark.slice(0, index).trim() };
+}
+
+/**
+ * 把清单条目转换为浏览器字段，清单中未写的代理和指纹不在结果中（不受管理）
+ * @param {Object} profile - 清单条目
+ * @returns {Promise<Object>} - createBrowser / updateBrowser 的字段
+ * @throws {FingerprintValidationError|FingerprintPresetNotFoundError} - 指纹不合法或预设不存在时抛出
+ */
+async function desiredFields(profile) {
+  const fields = {
+    name: profile.name ?? profile.key,
+    remark: buildManagedRemark(profile.key, profile.remark)
+  };
+  if (profile.groupId !== undefined) {
+    fields.groupId = profile.groupId;
+  }
+  if (profile.proxy !== undefined) {
+    Object.assign(fields, profile.proxy === null || profile.proxy === 'none' ? NO_PROXY : toBrowserProxyFields(parseProxy(profile.proxy)));
+  }
+  if (profile.fingerprint !== undefined || profile.browserFingerPrint !== undefined) {
+    fields.browserFingerPrint = {
+      ...(profile.fingerprint !== undefined ? await resolveFingerprint(profile.fingerprint) : {}),
+      ...profile.browserFingerPrint
+    };
+  }
+  return fields;
+}
+
+/**
+ * 比较两个字段值，比特浏览器返回的数字字段可能是字符串，按字符串比较
+ * @param {any} current - 当前值
+ * @param {any} desired - 期望值
+ * @returns {boolean}
+ */
+function sameValue(current, desired) {
+  if (desired !== null && typeof desired === 'object') {
+    return JSON.stringify(current) === JSON.stringify(desired);
+  }
+  return String(current ?? '') === String(desired ?? '');
+}
+
+/**
+ * 隐藏代理密码，用于计划输出
+ * @param {string} field - 字段名
+ * @param {any} value - 字段值
+ * @returns {any}
+ */
+function maskValue(field, value) {
+  return field === 'proxyPassword' && value ? '***' : value ?? null;
+}
+
+/**
+ * 比较浏览器当前配置和期望字段
+ * @param {Object} current - 浏览器详情
+ * @param {Object} desired - 期望字段，见 desiredFields
+ * @returns {{changes: Array<{field: string, from: any, to: any}>, fields: Object}} - 变化的字段和 update 需要写入的字段
+ */
+function diffProfile(current, desired) {
+  const changes = [];
+  const fields = {};
+
+  for (const [field, value] of Object.entries(desired)) {
+    if (field === 'browserFingerPrint') {
+      const currentFingerPrint = current.browserFingerPrint || {};
+      for (const [name, expected] of Object.entries(value)) {
+        if (!sameValue(currentFingerPrint[name], expected)) {
+          changes.push({ field: `browserFingerPrint.${name}`, from: currentFingerPrint[name] ?? null, to: expected });
+        }
+      }
+      if (changes.some(change => change.field.startsWith('browserFingerPrint.'))) {
+        // 本机 Chrome 后端整体替换指纹对象，合并后写入，两种后端结果一致
+        fields.browserFingerPrint = { ...currentFingerPrint, ...value };
+      }
+    } else if (!sameValue(current[field], value)) {
+      changes.push({ field, from: maskValue(field, current[field]), to: maskValue(field, value) });
+      fields[field] = value;
+    }
+  }
+
+  if (PROXY_FIELDS.some(field => field in fields)) {
+    for (const field of PROXY_FIELDS) {
+      fields[field] = desired[field];
+    }
+  }
+
+  return { changes, fields };
+}
+
+/**
+ * 遍历带清单标记的浏览器
+ * @param {import('../providers/provider.js').BrowserProvider} provider - 浏览器后端
+ * @returns {Promise<{managed: Map<string, Object>, duplicates: Array<{key: string, browser: Object}>}>} - key 到浏览器的映射，同一 key 的后续浏览器列入 duplicates
+ */
+async function listManagedBrowsers(provider) {
+  const managed = new Map();
+  const duplicates = [];
+  for await (const browser of provider.iterate({ remark: MANIFEST_CONFIG.remarkMarker })) {
+    const tag = parseManagedRemark(browser.remark);
+    if (!tag) {
+      continue;
+    }
+    if (managed.has(tag.key)) {
+      duplicates.push({ key: tag.key, browser });
+    } else {
+      managed.set(tag.key, browser);
+    }
+  }
+  return { managed, duplicates };
+}
+
+/**
+ * 比较清单和浏览器后端中的浏览器，生成修改计划
+ * 只有备注中带清单标记的浏览器参与比较和删除；清单条目写了 id 时，该浏览器会被接管（写入标记）
+ * @param {Object} manifest - 清单，见 validateManifest
+ * @param {Object} [options] - 选项
+ * @param {import('../providers/provider.js').BrowserProvider} [options.provider] - 浏览器后端，默认按配置选择
+ * @param {boolean} [options.prune=true] - 是否删除清单中已没有的受管浏览器
+ * @returns {Promise<{actions: Array<Object>, summary: Object}>} - actions 每项为 { action, key, id, changes, fields, reason }，
+ *   action 为 create、update、delete 或 noop；summary 为各类操作的数量
+ * @throws {ManifestValidationError} - 清单不合法时抛出
+ * @throws {ManifestError} - 清单中的 id 与受管浏览器的 key 冲突时抛出
+ */
+async function planManifest(manifest, options = {}) {
+  const { provider = getProvider(), prune = true } = options;
+  validateManifest(manifest);
+
+  try {
+    const { managed, duplicates } = await listManagedBrowsers(provider);
+    const managedIds = new Map(Array.from(managed, ([key, browser]) => [browser.id, key]));
+
+    // 需要接管的浏览器（清单写了 id 但还没有标记），遍历全部浏览器查找
+    let unmanaged = null;
+    if (manifest.profiles.some(profile => profile.id && !managed.has(profile.key) && !managedIds.has(profile.id))) {
+      unmanaged = new Map();
+      for await (const browser of provider.iterate({})) {
+        unmanaged.set(browser.id, browser);
+      }
+    }
+
+    const actions = [];
+    for (const profile of manifest.profiles) {
+      const desired = await desiredFields(profile);
+      let current = managed.get(profile.key);
+      let reason;
+
+      if (current && profile.id && profile.id !== current.id) {
+        throw new ManifestError(`Key ${profile.key} is managed as browser ${current.id}, but the manifest names browser ${profile.id}`);
+      }
+      if (!current && profile.id) {
+        if (managedIds.has(profile.id)) {
+          throw new ManifestError(`Browser ${profile.id} is managed under key ${managedIds.get(profile.id)}, not ${profile.key}`);
+        }
+        current = unmanaged.get(profile.id);
+        reason = current ? 'adopt' : `browser ${profile.id} not found`;
+      }
+
+      if (!current) {
+        actions.push({ action: 'create', key: profile.key, id: null, changes: [], fields: desired, reason });
+        continue;
+      }
+
+      const { changes, fields } = diffProfile(await provider.get(current.id), desired);
+      actions.push(changes.length > 0
+        ? { action: 'update', key: profile.key, id: current.id, changes, fields, reason }
+        : { action: 'noop', key: profile.key, id: current.id, changes: [], fields: {} });
+    }
+
+    if (prune) {
+      const keys = new Set(manifest.profiles.map(profile => profile.key));
+      const removed = Array.from(managed, ([key, browser]) => ({ key, browser })).filter(({ key }) => !keys.has(key));
+      for (const { key, browser } of removed) {
+        actions.push({ action: 'delete', key, id: browser.id, changes: [], fields: {}, reason: 'not in manifest' });
+      }
+      for (const { key, browser } of duplicates) {
+        actions.push({ action: 'delete', key, id: browser.id, changes: [], fields: {}, reason: `duplicate of ${managed.get(key).id}` });
+      }
+    }
+
+    const summary = { create: 0, update: 0, delete: 0, noop: 0 };
+    actions.forEach(item => summary[item.action]++);
+    return { actions, summary };
+  } catch (error) {
+    logger.error(`Error planning manifest: ${error.message}`, {
+      stack: error.stack,
+      location: 'reconcile.js:planManifest'
+    });
+    throw error;
+  }
+}
+
+/**
+ * 按计划创建、修改和删除浏览器，单项失败不影响其他项
+ * @param {{actions: Array<Object>}} plan - planManifest 生成的计划
+ * @param {Object} [options] - 选项
+ * @param {import('../providers/provider.js').BrowserProvider} [options.provider] - 浏览器后端，默认按配置选择
+ * @returns {Promise<Array<{action: string, key: string, id: string, status: string, error?: string}>>} - 每项修改的结果，status 为 ok 或 failed
+ * @throws {ManifestApplyError} - 任一修改失败时在全部执行后抛出，error.results 为每项结果
+ */
+async function applyPlan(plan, options = {}) {
+  const { provider = getProvider() } = options;
+  const results = [];
+
+  for (const item of plan.actions.filter(entry => entry.action !== 'noop')) {
+    const result = { action: item.action, key: item.key, id: item.id, status: 'ok' };
+    try {
+      if (item.action === 'create') {
+        result.id = await provider.create(item.fields);
+      } else if (item.action === 'update') {
+        await provider.update(item.id, item.fields);
+      } else if (item.action === 'delete') {
+        // 浏览器可能仍在运行，先关闭再删除，关闭失败不影响删除
+        await provider.close(item.id).catch(() => {});
+        await provider.delete(item.id);
+      }
+      logger.info(`Manifest ${item.action} ${item.key} (${result.id})`);
+    } catch (error) {
+      logger.error(`Error applying manifest ${item.action} for ${item.key}: ${error.message}`, {
+        stack: error.stack,
+        location: 'reconcile.js:applyPlan'
+      });
+      result.status = 'failed';
+      result.error = error.message;
+    }
+    results.push(result);
+  }
+
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    throw new ManifestApplyError(`${failed.length} of ${results.length} manifest change(s) failed: ${failed.map(result => result.key).join(', ')}`, { results });
+  }
+  return results;
+}
+
+/**
+ * 生成清单中不重复的 key
+ * @param {string} name - 浏览器名称
+ * @param {string} id - 浏览器ID，名称不可用时使用
+ * @param {Set<string>} used - 已使用的 key
+ * @returns {string}
+ */
+function uniqueKey(name, id, used) {
+  const base = String(name || '').toLowerCase().replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || id;
+  let key = base;
+  for (let suffix = 2; used.has(key); suffix++) {
+    key = `${base}-${suffix}`;
+  }
+  used.add(key);
+  return key;
+}
+
+/**
+ * 把浏览器后端中的浏览器导出为清单，每项带 id，应用该清单会接管这些浏览器
+ * 临时浏览器（备注带 ephemeralBrowser.remarkMarker）不导出；清单包含代理密码
+ * @param {Object} [options] - 选项
+ * @param {import('../providers/provider.js').BrowserProvider} [options.provider] - 浏览器后端，默认按配置选择
+ * @param {boolean} [options.managedOnly=false] - 只导出带清单标记的浏览器
+ * @returns {Promise<Object>} - 清单 { version, profiles }
+ */
+async function exportManifest(options = {}) {
+  const { provider = getProvider(), managedOnly = false } = options;
+  try {
+    const browsers = [];
+    for await (const browser of provider.iterate(managedOnly ? { remark: MANIFEST_CONFIG.remarkMarker } : {})) {
+      if (!(browser.remark || '').includes(EPHEMERAL_BROWSER_CONFIG.remarkMarker)) {
+        browsers.push(browser);
+      }
+    }
+
+    // 先保留已受管浏览器的 key，再为其他浏览器生成
+    const used = new Set();
+    const tags = browsers.map(browser => parseManagedRemark(browser.remark));
+    tags.forEach(tag => tag && KEY_PATTERN.test(tag.key) && used.add(tag.key));
+
+    const profiles = [];
+    for (const [index, browser] of browsers.entries()) {
+      const tag = tags[index];
+      if (managedOnly && !tag) {
+        continue;
+      }
+      const detail = await provider.get(browser.id);
+      const profile = {
+        key: tag && KEY_PATTERN.test(tag.key) ? tag.key : uniqueKey(detail.name, detail.id, used),
+        id: detail.id,
+        name: detail.name || ''
+      };
+      const remark = tag ? tag.remark : detail.remark;
+      if (remark) {
+        profile.remark = remark;
+      }
+      if (detail.groupId) {
+        profile.groupId = detail.groupId;
+      }
+      profile.proxy = !detail.proxyType || detail.proxyType === 'noproxy' || !detail.host
+        ? 'none'
+        : formatProxy({
+          type: detail.proxyType,
+          host: detail.host,
+          port: detail.port,
+          username: detail.proxyUserName,
+          password: detail.proxyPassword
+        });
+      if (detail.browserFingerPrint && Object.keys(detail.browserFingerPrint).length > 0) {
+        profile.browserFingerPrint = detail.browserFingerPrint;
+      }
+      profiles.push(profile);
+    }
+
+    return { version: MANIFEST_VERSION, profiles };
+  } catch (error) {
+    logger.error(`Error exporting manifest: ${error.message}`, {
+      stack: error.stack,
+      location: 'reconcile.js:exportManifest'
+    });
+    throw error;
+  }
+}
+
+export { planManifest, applyPlan, exportManifest, buildManagedRemark, parseManagedRemark };
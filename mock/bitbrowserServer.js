@@ -0,0 +1,408 @@
+import http from 'http';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import fse from 'fs-extra';
+
+/**
+ * 比特浏览器本地API的模拟服务器
+ * 在内存中保存浏览器配置，打开浏览器时启动本地无头Chromium，
+ * 用于在没有比特浏览器客户端的环境（如Linux CI）中做集成测试
+ */
+class MockBitBrowserServer {
+  /**
+   * @param {Object} [options] - 服务器选项
+   * @param {number} [options.port=0] - 监听端口，0表示随机端口
+   * @param {string} [options.host='127.0.0.1'] - 监听地址
+   * @param {string} [options.chromePath] - Chromium可执行文件路径，默认读取 CHROME_PATH 环境变量
+   * @param {boolean} [options.headless=true] - 是否以无头模式启动Chromium
+   * @param {Array<string>} [options.chromeArgs=[]] - 额外的Chromium启动参数
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 0;
+    this.host = options.host || '127.0.0.1';
+    this.chromePath = options.chromePath || process.env.CHROME_PATH;
+    this.headless = options.headless !== false;
+    this.chromeArgs = options.chromeArgs || [];
+    // id -> 浏览器配置
+    this.profiles = new Map();
+    // id -> { process, http, ws, userDataDir }
+    this.running = new Map();
+    this.nextSeq = 1;
+    this.server = null;
+    this.dataDir = join(tmpdir(), `mock-bitbrowser-${process.pid}-${Date.now()}`);
+
+    this.routes = {
+      '/browser/update': body => this.handleUpdate(body),
+      '/browser/update/partial': body => this.handleUpdatePartial(body),
+      '/browser/open': body => this.handleOpen(body),
+      '/browser/close': body => this.handleClose(body),
+      '/browser/delete': body => this.handleDelete(body),
+      '/browser/list': body => this.handleList(body),
+      '/browser/detail': body => this.handleDetail(body),
+      '/browser/pids': body => this.handlePids(body, false),
+      '/browser/pids/alive': body => this.handlePids(body, true),
+      '/browser/pids/all': () => this.handlePids({ ids: Array.from(this.running.keys()) }, true),
+      '/windowbounds': () => ({ success: true, msg: 'ok' }),
+      '/windowbounds/flexable': () => ({ success: true, msg: 'ok' })
+    };
+  }
+
+  /**
+   * 服务器地址，可直接赋值给 BITBROWSER_CONFIG.url
+   * @returns {string}
+   */
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * 启动服务器
+   * @returns {Promise<string>} - 服务器地址
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.port = this.server.address().port;
+    return this.url;
+  }
+
+  /**
+   * 关闭所有浏览器并停止服务器
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await Promise.all(Array.from(this.running.keys()).map(id => this.killBrowser(id)));
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+
+    await fse.remove(this.dataDir);
+  }
+
+  /**
+   * 处理HTTP请求，所有接口都是POST + JSON
+   * @private
+   */
+  handleRequest(req, res) {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', async () => {
+      const route = this.routes[req.url.split('?')[0]];
+      res.setHeader('Content-Type', 'application/json');
+
+      if (!route || req.method !== 'POST') {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ success: false, msg: `Not found: ${req.method} ${req.url}` }));
+        return;
+      }
+
+      let body;
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch (error) {
+        res.end(JSON.stringify({ success: false, msg: `Invalid JSON body: ${error.message}` }));
+        return;
+      }
+
+      try {
+        res.end(JSON.stringify(await route(body)));
+      } catch (error) {
+        res.end(JSON.stringify({ success: false, msg: error.message }));
+      }
+    });
+  }
+
+  /**
+   * 获取浏览器配置，不存在时抛出错误
+   * @private
+   */
+  getProfile(id) {
+    const profile = this.profiles.get(id);
+    if (!profile) {
+      throw new Error(`Browser not found: ${id}`);
+    }
+    return profile;
+  }
+
+  /**
+   * 创建或全量更新浏览器 /browser/update
+   * @private
+   */
+  handleUpdate(body) {
+    const { id, ...fields } = body;
+
+    if (id) {
+      const profile = this.getProfile(id);
+      Object.assign(profile, fields, { updateTime: new Date().toISOString() });
+      return { success: true, data: { ...profile } };
+    }
+
+    const now = new Date().toISOString();
+    const profile = {
+      name: '',
+      remark: '',
+      groupId: '',
+      proxyMethod: 2,
+      proxyType: 'noproxy',
+      host: '',
+      port: '',
+      proxyUserName: '',
+      browserFingerPrint: {},
+      ...fields,
+      id: randomUUID().replace(/-/g, ''),
+      seq: this.nextSeq++,
+      createdTime: now,
+      updateTime: now
+    };
+    this.profiles.set(profile.id, profile);
+    return { success: true, data: { ...profile } };
+  }
+
+  /**
+   * 批量部分更新浏览器 /browser/update/partial
+   * @private
+   */
+  handleUpdatePartial(body) {
+    const { ids, ...fields } = body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new Error('ids is required');
+    }
+
+    const profiles = ids.map(id => this.getProfile(id));
+    for (const profile of profiles) {
+      for (const [key, value] of Object.entries(fields)) {
+        // 指纹对象按字段合并，与比特浏览器行为一致
+        profile[key] = key === 'browserFingerPrint'
+          ? { ...profile.browserFingerPrint, ...value }
+          : value;
+      }
+      profile.updateTime = new Date().toISOString();
+    }
+    return { success: true, msg: 'ok' };
+  }
+
+  /**
+   * 打开浏览器 /browser/open，启动带远程调试端口的Chromium
+   * @private
+   */
+  async handleOpen(body) {
+    const profile = this.getProfile(body.id);
+
+    if (!this.running.has(profile.id)) {
+      await this.launchBrowser(profile);
+    }
+
+    const instance = this.running.get(profile.id);
+    return {
+      success: true,
+      data: {
+        ws: instance.ws,
+        http: instance.http,
+        coreVersion: profile.browserFingerPrint.coreVersion || '',
+        driver: '',
+        seq: profile.seq,
+        name: profile.name,
+        remark: profile.remark,
+        pid: instance.process.pid
+      }
+    };
+  }
+
+  /**
+   * 关闭浏览器 /browser/close
+   * @private
+   */
+  async handleClose(body) {
+    this.getProfile(body.id);
+    await this.killBrowser(body.id);
+    return { success: true, msg: 'ok' };
+  }
+
+  /**
+   * 删除浏览器 /browser/delete
+   * @private
+   */
+  async handleDelete(body) {
+    this.getProfile(body.id);
+    await this.killBrowser(body.id);
+    this.profiles.delete(body.id);
+    await fse.remove(join(this.dataDir, body.id));
+    return { success: true, msg: 'ok' };
+  }
+
+  /**
+   * 分页查询浏览器 /browser/list
+   * @private
+   */
+  handleList(body) {
+    const page = body.page || 0;
+    const pageSize = body.pageSize || 10;
+
+    const matched = Array.from(this.profiles.values()).filter(profile =>
+      (!body.groupId || profile.groupId === body.groupId) &&
+      (!body.name || profile.name.includes(body.name)) &&
+      (!body.remark || profile.remark.includes(body.remark)) &&
+      (body.seq === undefined || profile.seq === body.seq)
+    );
+
+    return {
+      success: true,
+      data: {
+        page,
+        pageSize,
+        totalNum: matched.length,
+        list: matched.slice(page * pageSize, (page + 1) * pageSize).map(profile => ({ ...profile }))
+      }
+    };
+  }
+
+  /**
+   * 浏览器详情 /browser/detail
+   * @private
+   */
+  handleDetail(body) {
+    return { success: true, data: { ...this.getProfile(body.id) } };
+  }
+
+  /**
+   * 查询浏览器进程ID /browser/pids、/browser/pids/alive、/browser/pids/all
+   * @private
+   */
+  handlePids(body, aliveOnly) {
+    const data = {};
+    for (const id of body.ids || []) {
+      const instance = this.running.get(id);
+      if (instance && (!aliveOnly || instance.process.exitCode === null)) {
+        data[id] = instance.process.pid;
+      }
+    }
+    return { success: true, data };
+  }
+
+  /**
+   * 启动Chromium并等待DevTools端点就绪
+   * @private
+   */
+  async launchBrowser(profile) {
+    if (!this.chromePath) {
+      throw new Error('Chromium executable not found, set CHROME_PATH or pass chromePath');
+    }
+
+    const userDataDir = join(this.dataDir, profile.id);
+    await fse.ensureDir(userDataDir);
+
+    const args = [
+      '--remote-debugging-port=0',
+      `--user-data-dir=${userDataDir}`,
+      '--no-first-run',
+      '--no-default-browser-check',
+      '--no-sandbox',
+      '--disable-dev-shm-usage',
+      ...(this.headless ? ['--headless=new'] : []),
+      ...this.chromeArgs,
+      'about:blank'
+    ];
+
+    const child = spawn(this.chromePath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+
+    // Chromium 启动后会在 stderr 输出 "DevTools listening on ws://127.0.0.1:<port>/devtools/browser/<id>"
+    const ws = await new Promise((resolve, reject) => {
+      let output = '';
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`Timed out waiting for Chromium DevTools endpoint: ${output.slice(-500)}`));
+      }, 30000);
+
+      child.stderr.on('data', chunk => {
+        output += chunk;
+        const match = output.match(/DevTools listening on (ws:\/\/\S+)/);
+        if (match) {
+          clearTimeout(timer);
+          resolve(match[1]);
+        }
+      });
+      child.once('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.once('exit', code => {
+        clearTimeout(timer);
+        reject(new Error(`Chromium exited with code ${code}: ${output.slice(-500)}`));
+      });
+    });
+
+    // 丢弃后续输出，避免管道缓冲区写满阻塞Chromium
+    child.stderr.resume();
+    child.once('exit', () => {
+      if (this.running.get(profile.id)?.process === child) {
+        this.running.delete(profile.id);
+      }
+    });
+
+    this.running.set(profile.id, {
+      process: child,
+      ws,
+      http: new URL(ws).host,
+      userDataDir
+    });
+  }
+
+  /**
+   * 结束浏览器进程
+   * @private
+   */
+  async killBrowser(id) {
+    const instance = this.running.get(id);
+    if (!instance) {
+      return;
+    }
+    this.running.delete(id);
+
+    if (instance.process.exitCode !== null || instance.process.signalCode !== null) {
+      return;
+    }
+
+    await new Promise(resolve => {
+      const timer = setTimeout(() => {
+        instance.process.kill('SIGKILL');
+      }, 5000);
+      instance.process.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      instance.process.kill('SIGTERM');
+    });
+  }
+}
+
+export { MockBitBrowserServer };
+
+// 直接运行时作为独立服务启动: node mock/bitbrowserServer.js [port]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const server = new MockBitBrowserServer({
+    port: Number(process.argv[2] || process.env.MOCK_BITBROWSER_PORT || 54345),
+    headless: process.env.MOCK_BITBROWSER_HEADLESS !== 'false'
+  });
+
+  server.start().then(url => {
+    console.log(`Mock BitBrowser API listening on ${url}`);
+  });
+
+  const shutdown = () => {
+    server.stop().finally(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
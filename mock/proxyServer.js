@@ -0,0 +1,175 @@
+import http from 'http';
+import net from 'net';
+import { fileURLToPath } from 'url';
+
+/**
+ * 本地HTTP代理服务器，支持普通HTTP转发和 CONNECT 隧道
+ * 用于在没有真实代理的环境中测试代理池和健康检查
+ */
+class MockProxyServer {
+  /**
+   * @param {Object} [options] - 服务器选项
+   * @param {number} [options.port=0] - 监听端口，0表示随机端口
+   * @param {string} [options.host='127.0.0.1'] - 监听地址
+   * @param {string} [options.username] - 代理账号，设置后要求 Proxy-Authorization
+   * @param {string} [options.password] - 代理密码
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 0;
+    this.host = options.host || '127.0.0.1';
+    this.username = options.username;
+    this.password = options.password;
+    // 为true时所有请求返回502，模拟上游不可用的代理
+    this.failing = false;
+    // 处理过的请求数（包括失败和认证失败的请求）
+    this.requests = 0;
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  /**
+   * 代理地址，可直接加入代理池
+   * @returns {string}
+   */
+  get url() {
+    const auth = this.username ? `${encodeURIComponent(this.username)}:${encodeURIComponent(this.password || '')}@` : '';
+    return `http://${auth}${this.host}:${this.port}`;
+  }
+
+  /**
+   * 启动服务器
+   * @returns {Promise<string>} - 代理地址
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server.on('connect', (req, socket, head) => this.handleConnect(req, socket, head));
+    this.server.on('connection', socket => {
+      this.sockets.add(socket);
+      socket.once('close', () => this.sockets.delete(socket));
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.port = this.server.address().port;
+    return this.url;
+  }
+
+  /**
+   * 停止服务器并断开所有连接
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * 校验 Proxy-Authorization
+   * @param {http.IncomingMessage} req - 请求
+   * @returns {boolean}
+   */
+  authorized(req) {
+    if (!this.username) {
+      return true;
+    }
+    const expected = `Basic ${Buffer.from(`${this.username}:${this.password || ''}`).toString('base64')}`;
+    return req.headers['proxy-authorization'] === expected;
+  }
+
+  /**
+   * 转发普通HTTP请求（请求行为绝对地址）
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   */
+  handleRequest(req, res) {
+    this.requests++;
+    if (!this.authorized(req)) {
+      res.writeHead(407, { 'Proxy-Authenticate': 'Basic realm="mock"' }).end();
+      return;
+    }
+    if (this.failing) {
+      res.writeHead(502).end('Bad gateway');
+      return;
+    }
+
+    let target;
+    try {
+      target = new URL(req.url);
+    } catch (error) {
+      res.writeHead(400).end('Absolute URL required');
+      return;
+    }
+
+    const headers = { ...req.headers };
+    delete headers['proxy-authorization'];
+    delete headers['proxy-connection'];
+
+    const upstream = http.request(target, { method: req.method, headers }, upstreamRes => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+      upstreamRes.pipe(res);
+    });
+    upstream.on('error', error => {
+      res.writeHead(502).end(error.message);
+    });
+    req.pipe(upstream);
+  }
+
+  /**
+   * 建立 CONNECT 隧道（HTTPS）
+   * @param {http.IncomingMessage} req - 请求
+   * @param {net.Socket} socket - 客户端连接
+   * @param {Buffer} head - 隧道建立前已收到的数据
+   */
+  handleConnect(req, socket, head) {
+    this.requests++;
+    if (!this.authorized(req)) {
+      socket.end('HTTP/1.1 407 Proxy Authentication Required\r\nProxy-Authenticate: Basic realm="mock"\r\n\r\n');
+      return;
+    }
+    if (this.failing) {
+      socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+      return;
+    }
+
+    const [host, port] = req.url.split(':');
+    const upstream = net.connect(Number(port) || 443, host, () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      upstream.write(head);
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+    });
+    upstream.on('error', () => socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n'));
+    socket.on('error', () => upstream.destroy());
+  }
+}
+
+export { MockProxyServer };
+
+// 直接运行时作为独立服务启动: node mock/proxyServer.js [port] [user:pass]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [username, password] = (process.argv[3] || '').split(':');
+  const server = new MockProxyServer({
+    port: Number(process.argv[2] || 8899),
+    username: username || undefined,
+    password
+  });
+
+  server.start().then(url => {
+    console.log(`Mock proxy listening on ${url}`);
+  });
+
+  const shutdown = () => {
+    server.stop().finally(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,86 @@
+import {
+  createBrowser,
+  closeBrowser,
+  deleteBrowser,
+  updateBrowser,
+  getBrowserDetail,
+  iterateBrowsers,
+  getBrowserDebugInfo
+} from '../browser/bitbrowser.js';
+import { BrowserProvider } from './provider.js';
+
+/**
+ * 比特浏览器后端，通过本地客户端的API管理浏览器，见 browser/bitbrowser.js
+ */
+class BitBrowserProvider extends BrowserProvider {
+  constructor() {
+    super('bitbrowser');
+  }
+
+  /**
+   * 创建比特浏览器
+   * @param {Object} [options] - 见 createBrowser
+   * @returns {Promise<string>} - 浏览器ID
+   */
+  async create(options = {}) {
+    return createBrowser(options);
+  }
+
+  /**
+   * 打开比特浏览器并返回调试地址
+   * @param {string} browserId - 浏览器ID
+   * @returns {Promise<{wsEndpoint: string, driverPath: string}>}
+   */
+  async open(browserId) {
+    const { debuggerAddress, driverPath } = await getBrowserDebugInfo(browserId);
+    return { wsEndpoint: debuggerAddress, driverPath };
+  }
+
+  /**
+   * 关闭比特浏览器
+   * @param {string} browserId - 浏览器ID
+   * @returns {Promise<void>}
+   */
+  async close(browserId) {
+    await closeBrowser(browserId);
+  }
+
+  /**
+   * 删除比特浏览器
+   * @param {string} browserId - 浏览器ID
+   * @returns {Promise<void>}
+   */
+  async delete(browserId) {
+    await deleteBrowser(browserId);
+  }
+
+  /**
+   * 修改比特浏览器
+   * @param {string} browserId - 浏览器ID
+   * @param {Object} fields - 见 updateBrowser
+   * @returns {Promise<void>}
+   */
+  async update(browserId, fields) {
+    await updateBrowser({ ...fields, ids: [browserId] });
+  }
+
+  /**
+   * 获取比特浏览器详情
+   * @param {string} browserId - 浏览器ID
+   * @returns {Promise<Object>}
+   */
+  async get(browserId) {
+    return getBrowserDetail(browserId);
+  }
+
+  /**
+   * 遍历比特浏览器（自动翻页）
+   * @param {Object} [options] - 见 iterateBrowsers
+   * @returns {AsyncGenerator<Object>}
+   */
+  async* iterate(options = {}) {
+    yield* iterateBrowsers(options);
+  }
+}
+
+export { BitBrowserProvider };
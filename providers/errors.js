@@ -0,0 +1,34 @@
+/**
+ * 浏览器后端错误基类
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情
+   * @param {Error} [details.cause] - 原始错误
+   */
+  constructor(message, { cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * 浏览器不存在
+ */
+class ProfileNotFoundError extends ProviderError {
+  /**
+   * @param {string} browserId - 浏览器ID
+   */
+  constructor(browserId) {
+    super(`Browser profile ${browserId} not found`);
+    this.browserId = browserId;
+  }
+}
+
+/**
+ * 后端不支持的配置，例如本机 Chrome 使用 ssh 代理
+ */
+class UnsupportedFeatureError extends ProviderError {}
+
+export { ProviderError, ProfileNotFoundError, UnsupportedFeatureError };
@@ -0,0 +1,16 @@
+import { BrowserProvider } from './provider.js';
+import { BitBrowserProvider } from './bitbrowserProvider.js';
+import { LocalChromeProvider } from './localChromeProvider.js';
+import { getProvider, PROVIDERS } from './registry.js';
+import { ProviderError, ProfileNotFoundError, UnsupportedFeatureError } from './errors.js';
+
+export {
+  BrowserProvider,
+  BitBrowserProvider,
+  LocalChromeProvider,
+  getProvider,
+  PROVIDERS,
+  ProviderError,
+  ProfileNotFoundError,
+  UnsupportedFeatureError
+};
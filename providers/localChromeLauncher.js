@@ -0,0 +1,49 @@
+/**
+ * 本机 Chrome 启动进程，由 LocalChromeProvider.launchChrome 以 fork 启动
+ * 通过 puppeteer-real-browser 的 connect 启动 Chrome，参数与库自行启动时完全一致；
+ * connect 在连接断开时结束 Chrome 且 Chrome 子进程会让父进程一直运行，因此放在单独的进程中：
+ * 启动后移除库的结束监听并断开，通过 IPC 回复 { pid, port }（失败时回复 { error }），之后随 Chrome 退出而退出
+ */
+import { connect } from 'puppeteer-real-browser';
+
+/**
+ * 启动 Chrome 并回复进程ID和调试端口
+ * @param {Object} options - 启动选项
+ * @param {string} [options.chromePath] - Chrome 可执行文件路径，为空时自动查找
+ * @param {string} options.userDataDir - 用户数据目录
+ * @param {Array<string>} options.args - 附加的启动参数
+ * @param {boolean|string} options.headless - 无头模式，原样传给 connect
+ * @returns {Promise<void>}
+ */
+async function launch({ chromePath, userDataDir, args, headless }) {
+  let browser = null;
+  let reply;
+  try {
+    ({ browser } = await connect({
+      args,
+      headless,
+      disableXvfb: true,
+      // 退出信号由打开浏览器的进程统一处理，浏览器与比特浏览器一样由 close 关闭
+      customConfig: { chromePath, userDataDir, handleSIGINT: false }
+    }));
+    const port = Number(new URL(browser.wsEndpoint()).port);
+    const session = await browser.target().createCDPSession();
+    const { processInfo } = await session.send('SystemInfo.getProcessInfo');
+    const { id: pid } = processInfo.find(info => info.type === 'browser');
+
+    // 库在连接断开时结束 Chrome（pageController 的 killProcess），断开前移除
+    browser.removeAllListeners('disconnected');
+    await browser.disconnect();
+    reply = { pid, port };
+  } catch (error) {
+    // 保留库的结束监听，断开时关闭已启动的 Chrome
+    await browser?.disconnect().catch(() => {});
+    reply = { error: error.message };
+    process.exitCode = 1;
+  }
+  // 等回复写入后再断开 IPC，否则回复可能丢失
+  await new Promise(resolve => process.send(reply, resolve));
+  process.disconnect();
+}
+
+process.once('message', launch);
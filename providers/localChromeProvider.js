@@ -0,0 +1,490 @@
+import { fork } from 'child_process';
+import fse from 'fs-extra';
+import { randomUUID } from 'crypto';
+import { resolve, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { PROVIDER_CONFIG, FINGERPRINT_CONFIG } from '../config/config.js';
+import { resolveFingerprint } from '../fingerprint/presets.js';
+import { updateSessionState } from '../browser/runtimeState.js';
+import { getLogger } from '../utils/logger.js';
+import { isProcessAlive } from '../utils/process.js';
+import { BrowserProvider } from './provider.js';
+import { ProfileNotFoundError, UnsupportedFeatureError } from './errors.js';
+
+const logger = getLogger('localChrome');
+
+const PROJECT_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+// 启动 Chrome 的子进程脚本
+const LAUNCHER_PATH = fileURLToPath(new URL('./localChromeLauncher.js', import.meta.url));
+
+// Chrome 的 --proxy-server 支持的代理类型
+const PROXY_TYPES = ['http', 'https', 'socks5'];
+
+// update 可以修改的浏览器字段，指纹单独处理
+const PROFILE_FIELDS = ['name', 'remark', 'groupId', 'proxyMethod', 'proxyType', 'host', 'port', 'proxyUserName', 'proxyPassword'];
+
+/**
+ * 合并指纹预设和显式传入的 browserFingerPrint 字段，后者优先
+ * @param {string|Object} [fingerprint] - 预设名称（可带 @version）或指纹对象
+ * @param {Object} [browserFingerPrint] - 比特浏览器格式的指纹字段
+ * @returns {Promise<Object|undefined>} - 两者都未传入时返回 undefined
+ */
+async function buildBrowserFingerPrint(fingerprint, browserFingerPrint) {
+  if (!fingerprint) {
+    return browserFingerPrint;
+  }
+  return { ...(await resolveFingerprint(fingerprint)), ...browserFingerPrint };
+}
+
+/**
+ * 按浏览器的代理和指纹生成启动参数
+ * 本机 Chrome 只能通过启动参数和环境变量设置 UA、语言、窗口大小、时区和代理，
+ * WebGL、硬件并发数等其他指纹字段只保存不生效
+ * @param {Object} profile - 浏览器信息
+ * @returns {{flags: Array<string>, env: Object}}
+ * @throws {UnsupportedFeatureError} - 代理类型不受支持时抛出
+ */
+function profileLaunchOptions(profile) {
+  const flags = [];
+  const env = {};
+  const fp = profile.browserFingerPrint || {};
+
+  if (fp.userAgent) {
+    flags.push(`--user-agent=${fp.userAgent}`);
+  }
+  if (fp.languages) {
+    flags.push(`--lang=${fp.languages.split(',')[0]}`, `--accept-lang=${fp.languages}`);
+  }
+  const size = /^(\d+)\s*x\s*(\d+)$/.exec(fp.resolution || '');
+  if (size) {
+    flags.push(`--window-size=${size[1]},${size[2]}`);
+  }
+  if (fp.timeZone) {
+    env.TZ = fp.timeZone;
+  }
+
+  if (profile.proxyType && profile.proxyType !== 'noproxy') {
+    if (!PROXY_TYPES.includes(profile.proxyType)) {
+      throw new UnsupportedFeatureError(`Local Chrome does not support ${profile.proxyType} proxies (browser ${profile.id})`);
+    }
+    flags.push(`--proxy-server=${profile.proxyType}://${profile.host}:${profile.port}`);
+  }
+
+  return { flags, env };
+}
+
+/**
+ * 转换为 puppeteer-real-browser 的 headless 选项
+ * @param {boolean|string} [headless] - true 使用新版无头模式，字符串原样传给 --headless
+ * @returns {boolean|string}
+ */
+function headlessMode(headless) {
+  if (headless === false || headless === undefined) {
+    return false;
+  }
+  return headless === true ? 'new' : headless;
+}
+
+/**
+ * 本机 Chrome/Chromium 后端
+ * 每个浏览器是 provider.local.dataDir 下的一个用户数据目录，<ID>.json 保存名称、备注、代理、指纹和运行中进程；
+ * 打开时通过 puppeteer-real-browser 的 connect 启动 Chrome（见 localChromeLauncher.js），进程独立于当前进程运行，
+ * 与比特浏览器一样需要 close 才会退出，其他进程也可以连接或关闭
+ */
+class LocalChromeProvider extends BrowserProvider {
+  /**
+   * @param {Object} [options] - 选项，未传入的读取配置 provider.local
+   * @param {string} [options.dataDir] - 浏览器目录
+   * @param {string} [options.chromePath] - Chrome 可执行文件路径
+   * @param {boolean|string} [options.headless] - 无头模式
+   * @param {Array<string>} [options.args] - 附加的启动参数
+   */
+  constructor(options = {}) {
+    super('local');
+    this.options = options;
+    // 本进程启动的 Chrome，浏览器ID -> launchChrome 的返回值
+    this.instances = new Map();
+  }
+
+  /**
+   * 浏览器目录，相对路径相对于项目根目录
+   * @returns {string}
+   */
+  get dataDir() {
+    return resolve(PROJECT_ROOT, this.options.dataDir ?? PROVIDER_CONFIG.local.dataDir);
+  }
+
+  /**
+   * 浏览器信息文件路径
+   * @private
+   * @param {string} browserId - 浏览器ID
+   * @returns {string}
+   */
+  profilePath(browserId) {
+    return join(this.dataDir, `${browserId}.json`);
+  }
+
+  /**
+   * Chrome 用户数据目录
+   * @param {string} browserId - 浏览器ID
+   * @returns {string}
+   */
+  userDataDir(browserId) {
+    return join(this.dataDir, browserId);
+  }
+
+  /**
+   * 读取浏览器信息
+   * @private
+   * @param {string} browserId - 浏览器ID
+   * @returns {Promise<Object>}
+   * @throws {ProfileNotFoundError}
+   */
+  async read(browserId) {
+    // 拒绝路径分隔符，ID 只能指向 dataDir 下的文件
+    if (typeof browserId !== 'string' || !/^[\w-]+$/.test(browserId)) {
+      throw new ProfileNotFoundError(browserId);
+    }
+    try {
+      return await fse.readJSON(this.profilePath(browserId));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ProfileNotFoundError(browserId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 写入浏览器信息，先写临时文件再重命名
+   * @private
+   * @param {Object} profile - 浏览器信息
+   * @returns {Promise<void>}
+   */
+  async write(profile) {
+    const path = this.profilePath(profile.id);
+    const temporary = `${path}.${process.pid}.tmp`;
+    await fse.ensureDir(this.dataDir);
+    await fse.writeFile(temporary, JSON.stringify(profile, null, 2));
+    await fse.rename(temporary, path);
+  }
+
+  /**
+   * 创建浏览器
+   * @param {Object} [options] - 同 createBrowser: name、remark、groupId、代理字段、fingerprint、browserFingerPrint；
+   *   未传入 fingerprint 和 browserFingerPrint 时使用 FINGERPRINT_CONFIG.defaultPreset
+   * @returns {Promise<string>} - 浏览器ID
+   * @throws {FingerprintValidationError|FingerprintPresetNotFoundError} - 指纹不合法或预设不存在时抛出
+   */
+  async create(options = {}) {
+    try {
+      const fingerprint = options.fingerprint || (options.browserFingerPrint ? undefined : FINGERPRINT_CONFIG.defaultPreset);
+      const browserFingerPrint = await buildBrowserFingerPrint(fingerprint, options.browserFingerPrint);
+      const profile = {
+        id: randomUUID().replace(/-/g, ''),
+        name: options.name || 'puppeteer',
+        remark: options.remark || '',
+        groupId: options.groupId,
+        proxyMethod: options.proxyMethod || 2,
+        proxyType: options.proxyType || 'noproxy',
+        host: options.host || '',
+        port: options.port ? String(options.port) : '',
+        proxyUserName: options.proxyUserName || '',
+        proxyPassword: options.proxyPassword || '',
+        browserFingerPrint: browserFingerPrint || {},
+        createdTime: new Date().toISOString(),
+        // 运行中的 Chrome { pid, port }
+        process: null
+      };
+      if (profile.groupId === undefined) {
+        delete profile.groupId;
+      }
+
+      profileLaunchOptions(profile);
+      await fse.ensureDir(this.userDataDir(profile.id));
+      await this.write(profile);
+      logger.info(`Local browser profile created: ${profile.id}`, { browserId: profile.id });
+      return profile.id;
+    } catch (error) {
+      logger.error(`Error creating local browser profile: ${error.message}`, {
+        stack: error.stack,
+        location: 'localChromeProvider.js:create'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 打开浏览器，Chrome 已在运行时直接返回调试地址
+   * @param {string} browserId - 浏览器ID
+   * @param {Object} [options] - 选项
+   * @param {boolean|string} [options.headless] - 无头模式，默认读取 provider.local.headless
+   * @returns {Promise<{wsEndpoint: string, pid: number, proxyCredentials: {username: string, password: string}|null}>}
+   *   proxyCredentials 为代理账号，Chrome 不能通过启动参数设置，由控制器在每个标签页上应答代理认证
+   * @throws {ProfileNotFoundError|UnsupportedFeatureError}
+   */
+  async open(browserId, options = {}) {
+    try {
+      const profile = await this.read(browserId);
+      const proxyCredentials = profile.proxyUserName
+        ? { username: profile.proxyUserName, password: profile.proxyPassword }
+        : null;
+
+      if (await this.isRunning(profile)) {
+        logger.info(`Local browser ${browserId} is already running (pid ${profile.process.pid})`, { browserId });
+        await this.saveDebugInfo(browserId, profile.process);
+        return { wsEndpoint: `ws://127.0.0.1:${profile.process.port}`, pid: profile.process.pid, proxyCredentials };
+      }
+
+      const { flags, env } = profileLaunchOptions(profile);
+      const chrome = await this.launchChrome({
+        chromePath: this.options.chromePath || PROVIDER_CONFIG.local.chromePath || undefined,
+        userDataDir: this.userDataDir(browserId),
+        args: [...flags, ...(this.options.args ?? PROVIDER_CONFIG.local.args)],
+        headless: headlessMode(options.headless ?? this.options.headless ?? PROVIDER_CONFIG.local.headless),
+        env
+      });
+      this.instances.set(browserId, chrome);
+
+      await this.write({ ...profile, process: { pid: chrome.pid, port: chrome.port } });
+      await this.saveDebugInfo(browserId, chrome);
+      logger.info(`Local browser ${browserId} launched (pid ${chrome.pid}, port ${chrome.port})`, { browserId });
+      return { wsEndpoint: `ws://127.0.0.1:${chrome.port}`, pid: chrome.pid, proxyCredentials };
+    } catch (error) {
+      logger.error(`Error opening local browser ${browserId}: ${error.message}`, {
+        browserId,
+        stack: error.stack,
+        location: 'localChromeProvider.js:open'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 与比特浏览器一样按浏览器ID和进程ID保存调试信息，sessions 命令和清理据此找到本进程使用的浏览器，会话结束时删除
+   * @private
+   * @param {string} browserId - 浏览器ID
+   * @param {{pid: number, port: number}} chrome - Chrome 进程
+   * @returns {Promise<void>}
+   */
+  async saveDebugInfo(browserId, { pid, port }) {
+    await updateSessionState(browserId, {
+      debugInfo: { debuggerAddress: `ws://127.0.0.1:${port}`, chromePort: String(port), pid }
+    });
+  }
+
+  /**
+   * 在独立的启动进程中通过 puppeteer-real-browser 的 connect 启动 Chrome，测试中可以替换
+   * 启动进程是 Chrome 的父进程，与 Chrome 一起在当前进程退出后继续运行，供之后的命令和其他进程连接
+   * @protected
+   * @param {Object} options - 启动选项
+   * @param {string} [options.chromePath] - Chrome 可执行文件路径
+   * @param {string} options.userDataDir - 用户数据目录
+   * @param {Array<string>} options.args - 附加的启动参数
+   * @param {boolean|string} options.headless - connect 的 headless 选项
+   * @param {Object} options.env - 附加的环境变量
+   * @returns {Promise<{pid: number, port: number, process: ChildProcess, kill: Function}>} - process 为启动进程
+   * @throws {Error} - Chrome 启动失败时抛出
+   */
+  async launchChrome({ env, ...options }) {
+    const child = fork(LAUNCHER_PATH, {
+      detached: true,
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc'],
+      env: { ...process.env, ...env }
+    });
+    try {
+      const reply = await new Promise((resolve, reject) => {
+        child.once('message', resolve);
+        child.once('error', reject);
+        child.once('exit', code => reject(new Error(`Chrome launcher exited with code ${code} before replying`)));
+        child.send(options);
+      });
+      if (reply.error) {
+        throw new Error(`Could not launch Chrome: ${reply.error}`);
+      }
+      return { pid: reply.pid, port: reply.port, process: child, kill: () => process.kill(reply.pid, 'SIGTERM') };
+    } finally {
+      // 不让启动进程阻止命令行退出
+      child.unref();
+    }
+  }
+
+  /**
+   * 浏览器记录的 Chrome 进程是否仍在运行并响应调试端口
+   * @private
+   * @param {Object} profile - 浏览器信息
+   * @returns {Promise<boolean>}
+   */
+  async isRunning(profile) {
+    if (!profile.process || !isProcessAlive(profile.process.pid)) {
+      return false;
+    }
+    try {
+      const response = await fetch(`http://127.0.0.1:${profile.process.port}/json/version`, { signal: AbortSignal.timeout(2000) });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 关闭浏览器，未运行时直接返回
+   * @param {string} browserId - 浏览器ID
+   * @returns {Promise<void>}
+   * @throws {ProfileNotFoundError}
+   */
+  async close(browserId) {
+    try {
+      const profile = await this.read(browserId);
+      const instance = this.instances.get(browserId);
+      this.instances.delete(browserId);
+
+      if (instance && isProcessAlive(instance.pid)) {
+        instance.kill();
+        await this.waitForExit(instance.pid);
+        logger.info(`Local browser ${browserId} closed`, { browserId });
+      } else if (!instance && await this.isRunning(profile)) {
+        // 其他进程启动的 Chrome，先确认调试端口仍在响应，避免进程ID被复用时误杀其他进程
+        process.kill(profile.process.pid, 'SIGTERM');
+        await this.waitForExit(profile.process.pid);
+        logger.info(`Local browser ${browserId} closed`, { browserId });
+      }
+
+      if (profile.process) {
+        await this.write({ ...profile, process: null });
+      }
+    } catch (error) {
+      logger.error(`Error closing local browser ${browserId}: ${error.message}`, {
+        browserId,
+        stack: error.stack,
+        location: 'localChromeProvider.js:close'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 等待进程退出，超时后强制结束
+   * @private
+   * @param {number} pid - 进程ID
+   * @returns {Promise<void>}
+   */
+  async waitForExit(pid) {
+    const deadline = Date.now() + PROVIDER_CONFIG.local.closeTimeout;
+    while (isProcessAlive(pid)) {
+      if (Date.now() >= deadline) {
+        logger.warn(`Chrome process ${pid} did not exit in time, killing it`);
+        try {
+          process.kill(pid, 'SIGKILL');
+        } catch (error) {
+          // 进程刚好退出
+        }
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * 删除浏览器及其用户数据目录，运行中时先关闭
+   * @param {string} browserId - 浏览器ID
+   * @returns {Promise<void>}
+   * @throws {ProfileNotFoundError}
+   */
+  async delete(browserId) {
+    try {
+      await this.close(browserId);
+      await fse.remove(this.userDataDir(browserId));
+      await fse.remove(this.profilePath(browserId));
+      logger.info(`Local browser profile deleted: ${browserId}`, { browserId });
+    } catch (error) {
+      logger.error(`Error deleting local browser ${browserId}: ${error.message}`, {
+        browserId,
+        stack: error.stack,
+        location: 'localChromeProvider.js:delete'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改浏览器的名称、备注、代理或指纹，重新打开后生效
+   * @param {string} browserId - 浏览器ID
+   * @param {Object} fields - 同 updateBrowser（不含 ids）
+   * @returns {Promise<void>}
+   * @throws {ProfileNotFoundError|UnsupportedFeatureError|FingerprintValidationError|FingerprintPresetNotFoundError}
+   */
+  async update(browserId, fields) {
+    try {
+      const profile = await this.read(browserId);
+      const updated = { ...profile };
+      for (const field of PROFILE_FIELDS) {
+        if (fields[field] !== undefined) {
+          updated[field] = field === 'port' ? String(fields[field]) : fields[field];
+        }
+      }
+      const browserFingerPrint = await buildBrowserFingerPrint(fields.fingerprint, fields.browserFingerPrint);
+      if (browserFingerPrint) {
+        updated.browserFingerPrint = browserFingerPrint;
+      }
+
+      profileLaunchOptions(updated);
+      await this.write(updated);
+      logger.info(`Local browser profile updated: ${browserId}`, { browserId });
+    } catch (error) {
+      logger.error(`Error updating local browser ${browserId}: ${error.message}`, {
+        browserId,
+        stack: error.stack,
+        location: 'localChromeProvider.js:update'
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取浏览器信息
+   * @param {string} browserId - 浏览器ID
+   * @returns {Promise<Object>}
+   * @throws {ProfileNotFoundError}
+   */
+  async get(browserId) {
+    return this.read(browserId);
+  }
+
+  /**
+   * 按创建时间遍历浏览器
+   * @param {Object} [options] - 查询选项
+   * @param {string} [options.name] - 名称包含该字符串
+   * @param {string} [options.remark] - 备注包含该字符串
+   * @param {string} [options.groupId] - 分组ID
+   * @returns {AsyncGenerator<Object>}
+   */
+  async* iterate(options = {}) {
+    const files = await fse.readdir(this.dataDir).catch(error => {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    });
+
+    const profiles = [];
+    for (const file of files.filter(file => file.endsWith('.json'))) {
+      const profile = await this.read(file.slice(0, -'.json'.length)).catch(() => null);
+      if (!profile) {
+        continue;
+      }
+      if ((options.name && !profile.name.includes(options.name))
+        || (options.remark && !profile.remark.includes(options.remark))
+        || (options.groupId && profile.groupId !== options.groupId)) {
+        continue;
+      }
+      profiles.push(profile);
+    }
+
+    profiles.sort((a, b) => a.createdTime.localeCompare(b.createdTime));
+    yield* profiles;
+  }
+}
+
+export { LocalChromeProvider };
@@ -0,0 +1,102 @@
+import { UnsupportedFeatureError } from './errors.js';
+
+/*
+ * 浏览器后端接口，控制器、临时浏览器、任务队列、代理池和控制API都通过后端操作浏览器，
+ * 同一份脚本可以在比特浏览器主机和只装了 Chrome 的开发机上运行。
+ * 浏览器信息沿用比特浏览器的字段: { id, name, remark, groupId, proxyType, host, port,
+ * proxyUserName, proxyPassword, browserFingerPrint, createdTime }
+ */
+
+/**
+ * 浏览器后端基类，子类实现全部方法
+ */
+class BrowserProvider {
+  /**
+   * @param {string} name - 后端名称，与配置 provider.type 一致
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * 创建浏览器
+   * @param {Object} [options] - createBrowser 的浏览器字段（name、remark、代理字段、fingerprint、browserFingerPrint）
+   * @returns {Promise<string>} - 浏览器ID
+   */
+  async create(options) {
+    throw this.unsupported('create');
+  }
+
+  /**
+   * 打开浏览器，已打开时直接返回调试地址
+   * @param {string} browserId - 浏览器ID
+   * @param {Object} [options] - 选项
+   * @param {boolean|string} [options.headless] - 无头模式，只有启动浏览器进程的后端使用
+   * @returns {Promise<{wsEndpoint: string}>} - CDP 调试地址（ws:// 或 host:port）
+   */
+  async open(browserId, options) {
+    throw this.unsupported('open');
+  }
+
+  /**
+   * 关闭浏览器
+   * @param {string} browserId - 浏览器ID
+   * @returns {Promise<void>}
+   */
+  async close(browserId) {
+    throw this.unsupported('close');
+  }
+
+  /**
+   * 删除浏览器
+   * @param {string} browserId - 浏览器ID
+   * @returns {Promise<void>}
+   */
+  async delete(browserId) {
+    throw this.unsupported('delete');
+  }
+
+  /**
+   * 修改浏览器的名称、备注、代理或指纹，重新打开后生效
+   * @param {string} browserId - 浏览器ID
+   * @param {Object} fields - 要修改的字段，同 updateBrowser（不含 ids）
+   * @returns {Promise<void>}
+   */
+  async update(browserId, fields) {
+    throw this.unsupported('update');
+  }
+
+  /**
+   * 获取浏览器信息
+   * @param {string} browserId - 浏览器ID
+   * @returns {Promise<Object>} - 浏览器信息，字段见文件开头
+   */
+  async get(browserId) {
+    throw this.unsupported('get');
+  }
+
+  /**
+   * 遍历浏览器
+   * @param {Object} [options] - 查询选项
+   * @param {string} [options.name] - 名称包含该字符串
+   * @param {string} [options.remark] - 备注包含该字符串
+   * @param {string} [options.groupId] - 分组ID
+   * @param {number} [options.pageSize] - 每次请求的数量，只有分页查询的后端使用
+   * @returns {AsyncGenerator<Object>} - 逐个返回浏览器信息
+   */
+  async* iterate(options) {
+    throw this.unsupported('iterate');
+  }
+
+  /**
+   * 不支持的操作
+   * @protected
+   * @param {string} operation - 操作名称
+   * @returns {UnsupportedFeatureError}
+   */
+  unsupported(operation) {
+    return new UnsupportedFeatureError(`The ${this.name} provider does not support ${operation}`);
+  }
+}
+
+export { BrowserProvider };
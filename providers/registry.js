@@ -0,0 +1,31 @@
+import { PROVIDER_CONFIG } from '../config/config.js';
+import { BitBrowserProvider } from './bitbrowserProvider.js';
+import { LocalChromeProvider } from './localChromeProvider.js';
+
+// 后端名称 -> 构造函数
+const PROVIDERS = {
+  bitbrowser: BitBrowserProvider,
+  local: LocalChromeProvider
+};
+
+// 已创建的后端，本机 Chrome 后端记录本进程启动的 Chrome，同一进程内共用一个实例
+const instances = new Map();
+
+/**
+ * 获取浏览器后端
+ * @param {string} [type] - 后端名称，默认读取配置 provider.type
+ * @returns {import('./provider.js').BrowserProvider}
+ * @throws {TypeError} - 后端名称未知时抛出
+ */
+function getProvider(type = PROVIDER_CONFIG.type) {
+  if (!instances.has(type)) {
+    const Provider = PROVIDERS[type];
+    if (!Provider) {
+      throw new TypeError(`Unknown browser provider "${type}", expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    instances.set(type, new Provider());
+  }
+  return instances.get(type);
+}
+
+export { getProvider, PROVIDERS };
@@ -0,0 +1,36 @@
+/**
+ * 代理错误基类
+ */
+class ProxyError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情
+   * @param {Error} [details.cause] - 原始错误
+   */
+  constructor(message, { cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * 代理地址或代理列表文件格式不正确
+ */
+class ProxyParseError extends ProxyError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情
+   * @param {number} [details.line] - 出错的行号（从1开始）
+   */
+  constructor(message, { line, ...rest } = {}) {
+    super(line ? `Line ${line}: ${message}` : message, rest);
+    this.line = line;
+  }
+}
+
+/**
+ * 代理池中没有可用的代理（全部被隔离或代理池为空）
+ */
+class NoProxyAvailableError extends ProxyError {}
+
+export { ProxyError, ProxyParseError, NoProxyAvailableError };
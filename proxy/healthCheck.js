@@ -0,0 +1,66 @@
+import axios from 'axios';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+import { PROXY_POOL_CONFIG } from '../config/config.js';
+import { formatProxy } from './parse.js';
+
+/**
+ * 创建通过代理访问目标地址的 agent
+ * @param {Object} proxy - 代理
+ * @param {string} targetUrl - 目标地址，决定使用 HTTP 转发还是 CONNECT 隧道
+ * @returns {import('http').Agent}
+ */
+function createProxyAgent(proxy, targetUrl) {
+  const proxyUrl = formatProxy(proxy);
+  if (proxy.type === 'socks5') {
+    // socks5h: 由代理解析域名，与浏览器的行为一致
+    return new SocksProxyAgent(proxyUrl.replace(/^socks5:/, 'socks5h:'));
+  }
+  return new URL(targetUrl).protocol === 'https:' ? new HttpsProxyAgent(proxyUrl) : new HttpProxyAgent(proxyUrl);
+}
+
+/**
+ * 通过代理访问测试地址，检查代理是否可用
+ * 状态码小于400视为成功；ssh 代理无法在本地检查，直接返回 skipped
+ * @param {Object} proxy - 代理
+ * @param {Object} [options] - 检查选项
+ * @param {string} [options.testUrl] - 测试地址，默认 PROXY_POOL_CONFIG.testUrl
+ * @param {number} [options.timeout] - 超时时间（毫秒），默认 PROXY_POOL_CONFIG.checkTimeout
+ * @returns {Promise<{ok: boolean, skipped?: boolean, status?: number, latencyMs: number, error?: string}>} - 检查结果
+ */
+async function checkProxy(proxy, options = {}) {
+  if (proxy.type === 'ssh') {
+    return { ok: true, skipped: true, latencyMs: 0 };
+  }
+
+  const testUrl = options.testUrl || PROXY_POOL_CONFIG.testUrl;
+  const timeout = options.timeout ?? PROXY_POOL_CONFIG.checkTimeout;
+  const agent = createProxyAgent(proxy, testUrl);
+  const startedAt = Date.now();
+
+  try {
+    const response = await axios.get(testUrl, {
+      httpAgent: agent,
+      httpsAgent: agent,
+      // 禁用 axios 自身的代理环境变量处理，只走指定的代理
+      proxy: false,
+      timeout,
+      signal: AbortSignal.timeout(timeout),
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+
+    const latencyMs = Date.now() - startedAt;
+    if (response.status >= 400) {
+      return { ok: false, status: response.status, latencyMs, error: `Test URL returned HTTP ${response.status}` };
+    }
+    return { ok: true, status: response.status, latencyMs };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - startedAt, error: error.message || error.code || String(error) };
+  } finally {
+    agent.destroy();
+  }
+}
+
+export { checkProxy, createProxyAgent };
@@ -0,0 +1,30 @@
+import { ProxyPool } from './pool.js';
+import { checkProxy, createProxyAgent } from './healthCheck.js';
+import { parseProxy, parseProxyList, formatProxy, proxyKey, toBrowserProxyFields, PROXY_TYPES } from './parse.js';
+import { ProxyError, ProxyParseError, NoProxyAvailableError } from './errors.js';
+
+/**
+ * 从代理列表文件加载代理池
+ * @param {string} [filePath] - 文件路径，默认 PROXY_POOL_CONFIG.file
+ * @param {Object} [options] - 代理池选项，见 ProxyPool
+ * @returns {Promise<ProxyPool>}
+ */
+async function loadProxyPool(filePath, options = {}) {
+  return ProxyPool.fromFile(filePath, options);
+}
+
+export {
+  loadProxyPool,
+  ProxyPool,
+  checkProxy,
+  createProxyAgent,
+  parseProxy,
+  parseProxyList,
+  formatProxy,
+  proxyKey,
+  toBrowserProxyFields,
+  PROXY_TYPES,
+  ProxyError,
+  ProxyParseError,
+  NoProxyAvailableError
+};
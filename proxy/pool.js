@@ -0,0 +1,575 @@
+import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { basename, dirname, join, resolve } from 'path';
+import fse from 'fs-extra';
+import { PROXY_POOL_CONFIG } from '../config/config.js';
+import { getLogger } from '../utils/logger.js';
+import { getProvider } from '../providers/registry.js';
+import { withLock } from '../browser/runtimeState.js';
+import { parseProxy, parseProxyList, formatProxy, proxyKey, toBrowserProxyFields } from './parse.js';
+import { checkProxy } from './healthCheck.js';
+import { NoProxyAvailableError } from './errors.js';
+
+const logger = getLogger('proxyPool');
+
+// 项目根目录，相对路径配置以此为基准，而不是当前工作目录
+const PROJECT_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+// 状态文件格式版本，格式不兼容时递增
+const STATE_VERSION = 1;
+
+/**
+ * 代理列表文件对应的状态文件，文件名包含列表文件绝对路径的摘要，不同目录下的同名列表互不影响
+ * @param {string} filePath - 代理列表文件
+ * @returns {string|null} - 未配置 proxyPool.stateDir 时返回 null
+ */
+function defaultStateFile(filePath) {
+  if (!PROXY_POOL_CONFIG.stateDir) {
+    return null;
+  }
+  const digest = createHash('sha1').update(resolve(filePath)).digest('hex').slice(0, 8);
+  return join(resolve(PROJECT_ROOT, PROXY_POOL_CONFIG.stateDir), `${basename(filePath)}-${digest}.json`);
+}
+
+/**
+ * 代理池
+ * 按策略为浏览器分配代理，连续失败的代理自动隔离，隔离到期后重新参与分配
+ *
+ * 事件:
+ *   'quarantined' ({ key, reason, until })  代理被隔离
+ *   'restored' ({ key })                    代理隔离到期
+ *   'rotated' ({ browserId, key, previous }) 浏览器已切换到新代理
+ */
+class ProxyPool extends EventEmitter {
+  /**
+   * @param {Array<string|Object>} [proxies=[]] - 代理地址或 parseProxy 的结果
+   * @param {Object} [options] - 代理池选项，未指定的项读取 PROXY_POOL_CONFIG
+   * @param {string} [options.strategy] - 分配策略 round-robin | sticky | least-used
+   * @param {string} [options.testUrl] - 健康检查地址
+   * @param {number} [options.checkTimeout] - 健康检查超时（毫秒）
+   * @param {number} [options.maxFailures] - 连续失败多少次后隔离
+   * @param {number} [options.quarantineMs] - 隔离时长（毫秒）
+   * @param {string|null} [options.stateFile] - 状态文件，由 loadState / saveState 读写，fromFile 默认按列表文件放在 proxyPool.stateDir 下
+   */
+  constructor(proxies = [], options = {}) {
+    super();
+    this.options = options;
+    // key -> { key, proxy, failures, lastError, quarantinedUntil, lastCheck, assigned: Set<browserId>, totalAssignments }
+    this.entries = new Map();
+    // browserId -> key
+    this.assignments = new Map();
+    // 账号 -> key，sticky 策略使用
+    this.sticky = new Map();
+    this.cursor = 0;
+    this.timer = null;
+
+    for (const proxy of proxies) {
+      this.add(proxy);
+    }
+  }
+
+  /**
+   * 从代理列表文件创建代理池，并恢复上次保存的隔离、分配和轮询位置
+   * @param {string} [filePath] - 文件路径，默认 PROXY_POOL_CONFIG.file
+   * @param {Object} [options] - 代理池选项，见构造函数；stateFile 为 null 时不读写状态
+   * @returns {Promise<ProxyPool>}
+   */
+  static async fromFile(filePath = PROXY_POOL_CONFIG.file, options = {}) {
+    if (!filePath) {
+      throw new TypeError('Proxy list file is required (set proxyPool.file or PROXY_POOL_FILE)');
+    }
+    const proxies = parseProxyList(await fse.readFile(filePath, 'utf8'));
+    logger.info(`Loaded ${proxies.length} proxies from ${filePath}`);
+    const pool = new ProxyPool(proxies, { stateFile: defaultStateFile(filePath), ...options });
+    await pool.loadState();
+    return pool;
+  }
+
+  /**
+   * 分配策略
+   * @returns {string}
+   */
+  get strategy() {
+    return this.options.strategy ?? PROXY_POOL_CONFIG.strategy;
+  }
+
+  /**
+   * 代理数量
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 添加代理，已存在的代理会被忽略
+   * @param {string|Object} proxy - 代理地址或 parseProxy 的结果
+   * @returns {string} - 代理标识
+   */
+  add(proxy) {
+    const parsed = typeof proxy === 'string' ? parseProxy(proxy) : proxy;
+    const key = proxyKey(parsed);
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        key,
+        proxy: parsed,
+        failures: 0,
+        lastError: null,
+        quarantinedUntil: 0,
+        lastCheck: null,
+        assigned: new Set(),
+        totalAssignments: 0
+      });
+    }
+    return key;
+  }
+
+  /**
+   * 移除代理，已分配给浏览器的记录一并删除
+   * @param {string} key - 代理标识
+   * @returns {boolean} - 是否存在并已移除
+   */
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    for (const browserId of entry.assigned) {
+      this.assignments.delete(browserId);
+    }
+    for (const [account, stickyKey] of this.sticky) {
+      if (stickyKey === key) {
+        this.sticky.delete(account);
+      }
+    }
+    return this.entries.delete(key);
+  }
+
+  /**
+   * 查找代理条目
+   * @private
+   * @param {string|Object} proxyOrKey - 代理标识或代理
+   * @returns {Object}
+   */
+  entry(proxyOrKey) {
+    const key = typeof proxyOrKey === 'string' ? proxyOrKey : proxyKey(proxyOrKey);
+    const entry = this.entries.get(key);
+    if (!entry) {
+      throw new Error(`Unknown proxy: ${key}`);
+    }
+    return entry;
+  }
+
+  /**
+   * 代理是否处于隔离中，隔离到期时恢复并触发 'restored'
+   * @param {Object} entry - 代理条目
+   * @param {number} [now=Date.now()] - 当前时间
+   * @returns {boolean}
+   */
+  isQuarantined(entry, now = Date.now()) {
+    if (!entry.quarantinedUntil) {
+      return false;
+    }
+    if (now < entry.quarantinedUntil) {
+      return true;
+    }
+
+    entry.quarantinedUntil = 0;
+    entry.failures = 0;
+    logger.info(`Proxy ${entry.key} released from quarantine`);
+    this.emit('restored', { key: entry.key });
+    return false;
+  }
+
+  /**
+   * 列出所有代理的状态，密码已隐藏
+   * @returns {Array<{key: string, proxy: string, failures: number, quarantined: boolean, quarantinedUntil: string|null, assigned: number, lastError: string|null, lastCheck: Object|null}>}
+   */
+  list() {
+    return Array.from(this.entries.values()).map(entry => ({
+      key: entry.key,
+      proxy: formatProxy(entry.proxy, { maskPassword: true }),
+      failures: entry.failures,
+      quarantined: this.isQuarantined(entry),
+      quarantinedUntil: entry.quarantinedUntil ? new Date(entry.quarantinedUntil).toISOString() : null,
+      assigned: entry.assigned.size,
+      lastError: entry.lastError,
+      lastCheck: entry.lastCheck
+    }));
+  }
+
+  /**
+   * 导出失败次数、隔离、健康检查结果、浏览器分配、sticky 绑定和轮询位置，代理本身（含密码）不导出
+   * @returns {Object}
+   */
+  exportState() {
+    const proxies = {};
+    for (const entry of this.entries.values()) {
+      proxies[entry.key] = {
+        failures: entry.failures,
+        lastError: entry.lastError,
+        quarantinedUntil: entry.quarantinedUntil ? new Date(entry.quarantinedUntil).toISOString() : null,
+        lastCheck: entry.lastCheck,
+        assigned: Array.from(entry.assigned),
+        totalAssignments: entry.totalAssignments
+      };
+    }
+    return {
+      version: STATE_VERSION,
+      cursor: this.cursor,
+      sticky: Object.fromEntries(this.sticky),
+      proxies
+    };
+  }
+
+  /**
+   * 恢复 exportState 导出的状态，列表中已不存在的代理忽略
+   * @param {Object} state - 状态
+   */
+  importState(state) {
+    if (!state || state.version !== STATE_VERSION) {
+      logger.warn(`Ignoring proxy pool state with unsupported version ${state && state.version}`);
+      return;
+    }
+    for (const [key, saved] of Object.entries(state.proxies || {})) {
+      const entry = this.entries.get(key);
+      if (!entry) {
+        continue;
+      }
+      entry.failures = saved.failures || 0;
+      entry.lastError = saved.lastError ?? null;
+      entry.quarantinedUntil = saved.quarantinedUntil ? Date.parse(saved.quarantinedUntil) : 0;
+      entry.lastCheck = saved.lastCheck ?? null;
+      entry.totalAssignments = saved.totalAssignments || 0;
+      for (const browserId of saved.assigned || []) {
+        this.release(browserId);
+        entry.assigned.add(browserId);
+        this.assignments.set(browserId, key);
+      }
+    }
+    for (const [account, key] of Object.entries(state.sticky || {})) {
+      if (this.entries.has(key)) {
+        this.sticky.set(account, key);
+      }
+    }
+    this.cursor = Number.isInteger(state.cursor) ? state.cursor % Math.max(this.size, 1) : 0;
+  }
+
+  /**
+   * 从 stateFile 恢复状态，文件不存在时保持初始状态
+   * @returns {Promise<void>}
+   */
+  async loadState() {
+    const { stateFile } = this.options;
+    if (!stateFile) {
+      return;
+    }
+    try {
+      this.importState(await fse.readJSON(stateFile));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read proxy pool state ${stateFile}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 把状态写入 stateFile，先写临时文件再重命名，写入时持有跨进程锁；
+   * 多个进程同时修改同一代理池时以最后写入的为准
+   * @returns {Promise<void>}
+   */
+  async saveState() {
+    const { stateFile } = this.options;
+    if (!stateFile) {
+      return;
+    }
+    const state = { ...this.exportState(), updatedAt: new Date().toISOString() };
+    const lockName = `proxy-pool-${createHash('sha1').update(resolve(stateFile)).digest('hex').slice(0, 8)}`;
+    await withLock(lockName, async () => {
+      const temporary = `${stateFile}.${process.pid}.tmp`;
+      await fse.outputFile(temporary, JSON.stringify(state, null, 2));
+      await fse.rename(temporary, stateFile);
+    });
+  }
+
+  /**
+   * 按分配策略选择一个可用代理（不记录分配）
+   * @param {Object} [options] - 选择选项
+   * @param {string} [options.account] - 账号标识，sticky 策略下同一账号始终分配同一个代理
+   * @param {Array<string>} [options.exclude=[]] - 排除的代理标识
+   * @returns {Object} - 代理，见 parseProxy
+   * @throws {NoProxyAvailableError} - 没有可用代理时抛出
+   */
+  acquire(options = {}) {
+    return this.select(options).proxy;
+  }
+
+  /**
+   * 按分配策略选择代理条目
+   * @private
+   * @param {Object} options - 见 acquire
+   * @returns {Object} - 代理条目
+   */
+  select({ account, exclude = [] } = {}) {
+    const now = Date.now();
+    const keys = Array.from(this.entries.keys());
+    const candidates = keys
+      .map(key => this.entries.get(key))
+      .filter(entry => !exclude.includes(entry.key) && !this.isQuarantined(entry, now));
+
+    if (candidates.length === 0) {
+      throw new NoProxyAvailableError(this.size === 0
+        ? 'Proxy pool is empty'
+        : `No proxy available (${this.size} proxies, all quarantined or excluded)`);
+    }
+
+    const leastUsed = () => candidates.reduce((best, entry) => {
+      if (entry.assigned.size !== best.assigned.size) {
+        return entry.assigned.size < best.assigned.size ? entry : best;
+      }
+      return entry.totalAssignments < best.totalAssignments ? entry : best;
+    });
+
+    switch (this.strategy) {
+      case 'sticky': {
+        const current = account && this.entries.get(this.sticky.get(account));
+        if (current && candidates.includes(current)) {
+          return current;
+        }
+        const entry = leastUsed();
+        if (account) {
+          this.sticky.set(account, entry.key);
+        }
+        return entry;
+      }
+      case 'least-used':
+        return leastUsed();
+      default: {
+        // 从上次位置开始轮询，跳过不可用的代理
+        for (let offset = 0; offset < keys.length; offset++) {
+          const index = (this.cursor + offset) % keys.length;
+          const entry = this.entries.get(keys[index]);
+          if (candidates.includes(entry)) {
+            this.cursor = index + 1;
+            return entry;
+          }
+        }
+        return candidates[0];
+      }
+    }
+  }
+
+  /**
+   * 记录浏览器使用的代理，替换之前的记录
+   * @param {string} browserId - 浏览器ID
+   * @param {string|Object} proxyOrKey - 代理标识或代理
+   */
+  assign(browserId, proxyOrKey) {
+    const entry = this.entry(proxyOrKey);
+    this.release(browserId);
+    entry.assigned.add(browserId);
+    entry.totalAssignments++;
+    this.assignments.set(browserId, entry.key);
+  }
+
+  /**
+   * 删除浏览器的代理分配记录，例如浏览器被删除时
+   * @param {string} browserId - 浏览器ID
+   */
+  release(browserId) {
+    const key = this.assignments.get(browserId);
+    if (key && this.entries.has(key)) {
+      this.entries.get(key).assigned.delete(browserId);
+    }
+    this.assignments.delete(browserId);
+  }
+
+  /**
+   * 浏览器当前使用的代理
+   * @param {string} browserId - 浏览器ID
+   * @returns {Object|null} - 代理，未分配时返回 null
+   */
+  getAssignment(browserId) {
+    const key = this.assignments.get(browserId);
+    return key && this.entries.has(key) ? this.entries.get(key).proxy : null;
+  }
+
+  /**
+   * 记录代理失败，连续失败达到 maxFailures 次后隔离
+   * @param {string|Object} proxyOrKey - 代理标识或代理
+   * @param {string|Error} [reason] - 失败原因
+   */
+  reportFailure(proxyOrKey, reason) {
+    const entry = this.entry(proxyOrKey);
+    const maxFailures = this.options.maxFailures ?? PROXY_POOL_CONFIG.maxFailures;
+    entry.failures++;
+    entry.lastError = reason ? String(reason.message || reason) : null;
+    logger.warn(`Proxy ${entry.key} failed (${entry.failures}/${maxFailures}): ${entry.lastError}`);
+
+    if (entry.failures >= maxFailures && !this.isQuarantined(entry)) {
+      this.quarantine(entry.key, entry.lastError);
+    }
+  }
+
+  /**
+   * 记录代理成功，重置连续失败次数
+   * @param {string|Object} proxyOrKey - 代理标识或代理
+   */
+  reportSuccess(proxyOrKey) {
+    const entry = this.entry(proxyOrKey);
+    entry.failures = 0;
+    entry.lastError = null;
+  }
+
+  /**
+   * 隔离代理，隔离期间不参与分配
+   * @param {string} key - 代理标识
+   * @param {string} [reason] - 隔离原因
+   */
+  quarantine(key, reason) {
+    const entry = this.entry(key);
+    entry.quarantinedUntil = Date.now() + (this.options.quarantineMs ?? PROXY_POOL_CONFIG.quarantineMs);
+    const until = new Date(entry.quarantinedUntil).toISOString();
+    logger.warn(`Proxy ${key} quarantined until ${until}${reason ? `: ${reason}` : ''}`);
+    this.emit('quarantined', { key, reason, until });
+  }
+
+  /**
+   * 对单个代理执行健康检查，并记录成功或失败
+   * @param {string|Object} proxyOrKey - 代理标识或代理
+   * @returns {Promise<Object>} - 检查结果，见 checkProxy
+   */
+  async check(proxyOrKey) {
+    const entry = this.entry(proxyOrKey);
+    const result = await checkProxy(entry.proxy, {
+      testUrl: this.options.testUrl,
+      timeout: this.options.checkTimeout
+    });
+
+    entry.lastCheck = { ...result, at: new Date().toISOString() };
+    if (result.ok) {
+      this.reportSuccess(entry.key);
+    } else {
+      this.reportFailure(entry.key, result.error);
+    }
+    return result;
+  }
+
+  /**
+   * 检查所有代理
+   * @param {Object} [options] - 检查选项
+   * @param {number} [options.concurrency=5] - 最大并发数
+   * @returns {Promise<Array<{key: string, ok: boolean}>>} - 每个代理的检查结果
+   */
+  async checkAll(options = {}) {
+    const keys = Array.from(this.entries.keys());
+    const results = new Array(keys.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < keys.length) {
+        const index = next++;
+        results[index] = { key: keys[index], ...await this.check(keys[index]) };
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(options.concurrency || 5, keys.length) }, worker));
+    const failed = results.filter(result => !result.ok).length;
+    logger.info(`Proxy health check finished: ${results.length - failed} healthy, ${failed} failed`);
+    return results;
+  }
+
+  /**
+   * 开始定时健康检查，定时器不会阻止进程退出
+   * @param {number} [interval] - 检查间隔（毫秒），默认 PROXY_POOL_CONFIG.checkInterval
+   */
+  startHealthChecks(interval = this.options.checkInterval ?? PROXY_POOL_CONFIG.checkInterval) {
+    this.stopHealthChecks();
+    if (!interval) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.checkAll().catch(error => logger.error(`Proxy health check failed: ${error.message}`, {
+        stack: error.stack,
+        location: 'pool.js:startHealthChecks'
+      }));
+    }, interval);
+    this.timer.unref();
+  }
+
+  /**
+   * 停止定时健康检查
+   */
+  stopHealthChecks() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 查找浏览器当前使用的代理：优先使用本代理池的分配记录，否则按浏览器详情中的主机和端口匹配
+   * @private
+   * @param {string} browserId - 浏览器ID
+   * @returns {Promise<string|null>} - 代理标识
+   */
+  async currentKey(browserId) {
+    if (this.assignments.has(browserId)) {
+      return this.assignments.get(browserId);
+    }
+
+    const detail = await getProvider().get(browserId);
+    const match = Array.from(this.entries.values()).find(entry =>
+      entry.proxy.host === detail.host && String(entry.proxy.port) === String(detail.port));
+    return match ? match.key : null;
+  }
+
+  /**
+   * 为浏览器切换到另一个可用代理，并通过浏览器后端写入浏览器配置
+   * 浏览器需要重新打开后新代理才会生效
+   * @param {string} browserId - 浏览器ID
+   * @param {Object} [options] - 切换选项
+   * @param {string} [options.account] - 账号标识，sticky 策略下新代理会绑定到该账号，默认使用浏览器ID
+   * @param {boolean} [options.check=false] - 为true时先检查候选代理，不可用则记录失败并尝试下一个
+   * @returns {Promise<Object>} - 新代理，见 parseProxy
+   * @throws {NoProxyAvailableError} - 没有其他可用代理时抛出
+   */
+  async rotateProxy(browserId, options = {}) {
+    try {
+      const account = options.account ?? browserId;
+      const previous = await this.currentKey(browserId);
+      const exclude = previous ? [previous] : [];
+
+      let entry;
+      while (!entry) {
+        const candidate = this.select({ account, exclude });
+        if (options.check && !(await this.check(candidate.key)).ok) {
+          exclude.push(candidate.key);
+          continue;
+        }
+        entry = candidate;
+      }
+
+      await getProvider().update(browserId, toBrowserProxyFields(entry.proxy));
+
+      this.assign(browserId, entry.key);
+      if (this.strategy === 'sticky') {
+        this.sticky.set(account, entry.key);
+      }
+
+      logger.info(`Browser ${browserId} rotated to proxy ${entry.key}${previous ? ` (was ${previous})` : ''}`, { browserId });
+      this.emit('rotated', { browserId, key: entry.key, previous });
+      return entry.proxy;
+    } catch (error) {
+      logger.error(`Error in rotateProxy: ${error.message}`, {
+        browserId,
+        stack: error.stack,
+        location: 'pool.js:rotateProxy'
+      });
+      throw error;
+    }
+  }
+}
+
+export { ProxyPool };
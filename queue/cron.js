@@ -0,0 +1,152 @@
+import { CronParseError } from './errors.js';
+
+// 五个字段依次为 分 时 日 月 周，周的 0 和 7 都表示周日
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// 查找下次执行时间时最多向后查找的年数，超过时认为表达式永远不会匹配（例如 2月30日）
+const MAX_YEARS = 5;
+
+/**
+ * 解析字段中的单个值（数字或月份、星期的英文缩写）
+ * @param {string} text - 值
+ * @param {Object} field - 字段定义
+ * @param {string} expression - 完整表达式，用于错误信息
+ * @returns {number}
+ */
+function parseValue(text, field, expression) {
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = index !== -1 ? index + field.min : Number(text);
+  if (!/^\d+$/.test(text) && index === -1) {
+    throw new CronParseError(`Invalid ${field.name} "${text}" in cron expression "${expression}"`);
+  }
+  if (value < field.min || value > field.max) {
+    throw new CronParseError(`${field.name} ${value} out of range ${field.min}-${field.max} in cron expression "${expression}"`);
+  }
+  return value;
+}
+
+/**
+ * 解析一个字段，支持 *、数字、a-b、*\/n、a-b/n 和逗号分隔的列表
+ * @param {string} text - 字段文本
+ * @param {Object} field - 字段定义
+ * @param {string} expression - 完整表达式，用于错误信息
+ * @returns {{values: Set<number>, any: boolean}} - any 表示字段为 *
+ */
+function parseField(text, field, expression) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      throw new CronParseError(`Invalid step in "${part}" of cron expression "${expression}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      [start, end] = [parseValue(from, field, expression), parseValue(to, field, expression)];
+      if (start > end) {
+        throw new CronParseError(`Invalid range "${range}" in cron expression "${expression}"`);
+      }
+    } else {
+      start = parseValue(range, field, expression);
+      // 5/15 表示从 5 开始每隔 15
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+  return { values, any: text === '*' };
+}
+
+/**
+ * 解析 cron 表达式（分 时 日 月 周，按本地时间），也支持 @hourly、@daily、@weekly、@monthly、@yearly
+ * 日和周都不为 * 时，满足其中之一即匹配，与标准 cron 一致
+ * @param {string} expression - cron 表达式，例如 '*\/15 9-18 * * mon-fri'
+ * @returns {Object} - 解析结果，传给 nextCronRun
+ * @throws {CronParseError} - 表达式不合法时抛出
+ */
+function parseCron(expression) {
+  const text = String(expression).trim();
+  const fields = (ALIASES[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new CronParseError(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+  }
+
+  const parsed = { expression: text };
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(fields[index], field, text);
+  });
+  return parsed;
+}
+
+/**
+ * 判断日期是否满足日和周字段
+ * @param {Object} cron - parseCron 的结果
+ * @param {Date} date - 日期
+ * @returns {boolean}
+ */
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.values.has(date.getDate());
+  const dayOfWeek = cron.dayOfWeek.values.has(date.getDay());
+  if (cron.dayOfMonth.any || cron.dayOfWeek.any) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * 计算 after 之后（不含）的下一次执行时间，精确到分钟
+ * @param {string|Object} cron - cron 表达式或 parseCron 的结果
+ * @param {Date} [after=new Date()] - 起始时间
+ * @returns {Date}
+ * @throws {CronParseError} - 表达式不合法或永远不会匹配时抛出
+ */
+function nextCronRun(cron, after = new Date()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = after.getFullYear() + MAX_YEARS;
+
+  // 不匹配时跳到下一个月、日、小时或分钟的开始，而不是逐分钟检查
+  while (date.getFullYear() <= limit) {
+    if (!parsed.month.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!parsed.hour.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!parsed.minute.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  throw new CronParseError(`Cron expression "${parsed.expression}" never matches`);
+}
+
+export { parseCron, nextCronRun };
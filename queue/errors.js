@@ -0,0 +1,36 @@
+/**
+ * 任务队列错误基类
+ */
+class QueueError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情
+   * @param {Error} [details.cause] - 原始错误
+   */
+  constructor(message, { cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * 任务单次执行超时，浏览器已被强制关闭
+ */
+class JobTimeoutError extends QueueError {
+  /**
+   * @param {string} jobId - 任务ID
+   * @param {number} timeout - 超时时间（毫秒）
+   */
+  constructor(jobId, timeout) {
+    super(`Job ${jobId} timed out after ${timeout}ms`);
+    this.jobId = jobId;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * cron 表达式不合法
+ */
+class CronParseError extends QueueError {}
+
+export { QueueError, JobTimeoutError, CronParseError };
@@ -0,0 +1,14 @@
+import { JobQueue } from './jobQueue.js';
+import { QueueStore } from './store.js';
+import { parseCron, nextCronRun } from './cron.js';
+import { QueueError, JobTimeoutError, CronParseError } from './errors.js';
+
+export {
+  JobQueue,
+  QueueStore,
+  parseCron,
+  nextCronRun,
+  QueueError,
+  JobTimeoutError,
+  CronParseError
+};
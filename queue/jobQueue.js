@@ -0,0 +1,698 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { dirname, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { QUEUE_CONFIG } from '../config/config.js';
+import { PuppeteerController } from '../browser/puppeteer.js';
+import { getProvider } from '../providers/registry.js';
+import { runWorkflow } from '../workflow/index.js';
+import { getLogger, withLogContext } from '../utils/logger.js';
+import { computeBackoff } from '../utils/retry.js';
+import { QueueStore } from './store.js';
+import { parseCron, nextCronRun } from './cron.js';
+import { QueueError, JobTimeoutError } from './errors.js';
+
+const logger = getLogger('queue');
+
+// 项目根目录，相对的队列文件路径以此为基准，不同目录下执行的命令共用同一个队列
+const PROJECT_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+// 任务的三种执行方式，每个任务只能指定其中一种
+const JOB_KINDS = ['task', 'script', 'workflow'];
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// setTimeout 支持的最长等待时间（毫秒）
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * 任务定义:
+ *   profile  - 比特浏览器ID，省略或为 'any' 时从 profiles 中选择空闲的浏览器
+ *   task     - 通过 queue.register(name, fn) 注册的任务名称
+ *   script   - 脚本路径，默认导出 async (controller, context) => result，与 CLI 的 run 命令相同
+ *   workflow - 工作流文件路径或工作流定义，payload 作为工作流变量
+ *   payload  - 传给任务的数据，需要能序列化为JSON
+ *   name、retries、timeout、runAt - 任务名称、重试次数、单次超时（毫秒）和最早执行时间，默认取 queue 配置
+ * @typedef {{profile?: string, task?: string, script?: string, workflow?: string|Object, payload?: Object,
+ *   name?: string, retries?: number, timeout?: number, runAt?: string|Date}} JobDefinition
+ */
+
+/**
+ * 任务队列
+ * 在一组比特浏览器上执行任务，同一浏览器同一时间只执行一个任务；失败的任务按退避策略重试，
+ * 超时的任务通过浏览器后端强制关闭浏览器。队列保存到 queue.file，进程崩溃后重新 start() 会继续执行未完成的任务
+ * start() 期间持有队列文件的运行锁，其他进程不能修改该队列
+ *
+ * 事件:
+ *   'job:start' (job)                    任务开始执行
+ *   'job:completed' (job)                任务执行成功
+ *   'job:retry' ({ job, error, delay })  任务执行失败，delay 毫秒后重试
+ *   'job:failed' ({ job, error })        任务重试次数用完后失败
+ *   'idle' ()                            没有等待和执行中的任务
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} [options] - 队列选项，未指定的项读取 QUEUE_CONFIG
+   * @param {string|null} [options.file] - 持久化文件，相对路径基于项目根目录，为 null 时只保存在内存中
+   * @param {number} [options.concurrency] - 同时执行的任务数
+   * @param {Array<string>} [options.profiles] - 未指定浏览器的任务可以使用的浏览器ID
+   * @param {number} [options.retries] - 任务默认重试次数
+   * @param {number} [options.minDelay] - 首次重试前的等待时间（毫秒）
+   * @param {number} [options.maxDelay] - 重试等待时间上限（毫秒）
+   * @param {number} [options.factor] - 退避指数因子
+   * @param {number} [options.timeout] - 任务默认单次超时（毫秒），0表示不超时
+   * @param {number} [options.keepFinished] - 保留的已结束任务数
+   * @param {Object} [options.connect] - connectToBitBrowser 的连接选项
+   */
+  constructor(options = {}) {
+    super();
+    this.options = { ...QUEUE_CONFIG, ...options };
+    this.store = this.options.file ? new QueueStore(resolve(PROJECT_ROOT, this.options.file)) : null;
+    // 注册的任务，name -> async (controller, context) => result
+    this.tasks = new Map();
+    // id -> 任务记录
+    this.jobs = new Map();
+    // name -> 定时任务
+    this.schedules = new Map();
+    // 执行中的任务，id -> Promise
+    this.running = new Map();
+    // 正在执行任务的浏览器，及各浏览器最近一次分配的时间（优先分配最久未使用的浏览器）
+    this.busyProfiles = new Set();
+    this.lastUsed = new Map();
+    this.loading = null;
+    this.started = false;
+    this.timer = null;
+    this.idleWaiters = [];
+  }
+
+  /**
+   * 注册任务，任务定义中的 task 字段引用该名称
+   * 函数无法保存到队列文件，恢复队列前需要重新注册
+   * @param {string} name - 任务名称
+   * @param {Function} fn - async (controller, { browserId, payload, job }) => result，返回值需要能序列化为JSON
+   * @returns {JobQueue}
+   */
+  register(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`Task "${name}" must be a function`);
+    }
+    this.tasks.set(name, fn);
+    return this;
+  }
+
+  /**
+   * 读取队列文件，只执行一次；崩溃时执行中的任务重新排队，中断的执行不计入重试次数
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        if (!this.store) {
+          return;
+        }
+        const { jobs, schedules } = await this.store.load();
+        let interrupted = 0;
+        for (const job of jobs) {
+          if (job.status === 'running') {
+            job.status = 'queued';
+            job.attempts = Math.max(0, job.attempts - 1);
+            job.interrupted = (job.interrupted || 0) + 1;
+            interrupted++;
+          }
+          this.jobs.set(job.id, job);
+        }
+        for (const schedule of schedules) {
+          this.schedules.set(schedule.name, schedule);
+        }
+        if (jobs.length > 0 || schedules.length > 0) {
+          const queued = jobs.filter(job => job.status === 'queued').length;
+          logger.info(`Loaded ${jobs.length} jobs (${queued} queued, ${interrupted} interrupted) and ${schedules.length} schedules from ${this.store.path}`);
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * 添加任务
+   * @param {JobDefinition} definition - 任务定义
+   * @returns {Promise<Object>} - 任务记录
+   * @throws {QueueError} - 任务定义不合法或队列正由其他进程执行时抛出
+   */
+  async add(definition) {
+    await this.load();
+    await this.assertWritable();
+    const job = this.createJob(definition);
+    if (this.jobs.has(job.id)) {
+      throw new QueueError(`Job ${job.id} already exists`);
+    }
+    this.jobs.set(job.id, job);
+    logger.info(`Queued job ${job.id}${job.name ? ` (${job.name})` : ''} for ${job.profile ? `browser ${job.profile}` : 'any free browser'}`);
+
+    await this.persist();
+    this.pump();
+    return this.snapshot(job);
+  }
+
+  /**
+   * 添加定时任务，按 cron 表达式（本地时间）定时加入一个任务；同名的定时任务会被替换
+   * 上一次加入的任务尚未结束时跳过本次；进程停止期间错过的执行在 start() 后补执行一次
+   * @param {string} name - 定时任务名称
+   * @param {string} cron - cron 表达式，例如 '0 9 * * mon-fri'，见 parseCron
+   * @param {JobDefinition} definition - 每次加入的任务定义
+   * @returns {Promise<Object>} - 定时任务
+   * @throws {CronParseError} - cron 表达式不合法时抛出
+   * @throws {QueueError} - 任务定义不合法或队列正由其他进程执行时抛出
+   */
+  async schedule(name, cron, definition) {
+    await this.load();
+    await this.assertWritable();
+    const parsed = parseCron(cron);
+    // 提前校验任务定义
+    this.createJob(definition);
+
+    const schedule = {
+      name,
+      cron: parsed.expression,
+      job: this.normalizeDefinition(definition),
+      createdAt: new Date().toISOString(),
+      lastRunAt: null,
+      nextRunAt: nextCronRun(parsed).toISOString()
+    };
+    this.schedules.set(name, schedule);
+    logger.info(`Scheduled ${name} (${schedule.cron}), next run at ${schedule.nextRunAt}`);
+
+    await this.persist();
+    this.pump();
+    return { ...schedule };
+  }
+
+  /**
+   * 删除定时任务，已加入队列的任务不受影响
+   * @param {string} name - 定时任务名称
+   * @returns {Promise<boolean>} - 是否存在并删除
+   * @throws {QueueError} - 队列正由其他进程执行时抛出
+   */
+  async unschedule(name) {
+    await this.load();
+    await this.assertWritable();
+    const removed = this.schedules.delete(name);
+    if (removed) {
+      await this.persist();
+      this.pump();
+    }
+    return removed;
+  }
+
+  /**
+   * 取消等待中的任务，执行中的任务不能取消
+   * @param {string} id - 任务ID
+   * @returns {Promise<boolean>} - 是否取消成功
+   * @throws {QueueError} - 队列正由其他进程执行时抛出
+   */
+  async cancel(id) {
+    await this.load();
+    await this.assertWritable();
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'queued') {
+      return false;
+    }
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    await this.persist();
+    this.pump();
+    return true;
+  }
+
+  /**
+   * 获取任务
+   * @param {string} id - 任务ID
+   * @returns {Object|undefined} - 任务记录的副本
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.snapshot(job) : undefined;
+  }
+
+  /**
+   * 列出任务，按创建时间排序
+   * @param {Object} [filter] - 过滤条件
+   * @param {string} [filter.status] - queued | running | completed | failed | cancelled
+   * @returns {Array<Object>}
+   */
+  list(filter = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !filter.status || job.status === filter.status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(job => this.snapshot(job));
+  }
+
+  /**
+   * 列出定时任务
+   * @returns {Array<Object>}
+   */
+  listSchedules() {
+    return [...this.schedules.values()].map(schedule => ({ ...schedule }));
+  }
+
+  /**
+   * 开始执行队列中的任务和定时任务
+   * @returns {Promise<void>}
+   * @throws {QueueError} - 队列正由其他进程执行时抛出
+   */
+  async start() {
+    await this.load();
+    if (this.started) {
+      return;
+    }
+    if (this.store) {
+      await this.store.lock();
+    }
+    this.started = true;
+    logger.info(`Queue started (concurrency ${this.options.concurrency}, ${this.options.profiles.length} pooled profiles)`);
+    this.pump();
+  }
+
+  /**
+   * 停止执行新任务，等待执行中的任务结束后保存队列
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await Promise.allSettled([...this.running.values()]);
+    await this.persist();
+    if (this.store) {
+      await this.store.unlock();
+    }
+    logger.info('Queue stopped');
+  }
+
+  /**
+   * 等待队列中没有等待和执行中的任务（包括等待重试的任务，不包括定时任务）
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.isIdle()) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * 是否没有等待和执行中的任务
+   * @returns {boolean}
+   */
+  isIdle() {
+    return this.running.size === 0 && ![...this.jobs.values()].some(job => job.status === 'queued');
+  }
+
+  /**
+   * 创建控制器，测试中可以替换
+   * @protected
+   * @param {string} browserId - 比特浏览器ID
+   * @returns {PuppeteerController}
+   */
+  createController(browserId) {
+    return new PuppeteerController(browserId);
+  }
+
+  /**
+   * 强制关闭浏览器，任务超时时调用，测试中可以替换
+   * @protected
+   * @param {string} browserId - 比特浏览器ID
+   * @returns {Promise<void>}
+   */
+  async forceClose(browserId) {
+    await getProvider().close(browserId);
+  }
+
+  /**
+   * 其他进程正在执行队列时拒绝修改，否则修改会被该进程保存的队列覆盖
+   * @private
+   * @returns {Promise<void>}
+   * @throws {QueueError}
+   */
+  async assertWritable() {
+    const owner = this.store && (await this.store.lockOwner());
+    if (owner) {
+      throw new QueueError(`Queue ${this.store.path} is being run by process ${owner.pid} on ${owner.host}, stop it before changing the queue`);
+    }
+  }
+
+  /**
+   * 把任务定义中的脚本和工作流路径转换为绝对路径，从其他目录恢复队列时仍然有效
+   * @private
+   * @param {JobDefinition} definition - 任务定义
+   * @returns {JobDefinition}
+   */
+  normalizeDefinition(definition) {
+    const normalized = { ...definition };
+    if (typeof normalized.script === 'string') {
+      normalized.script = resolve(normalized.script);
+    }
+    if (typeof normalized.workflow === 'string') {
+      normalized.workflow = resolve(normalized.workflow);
+    }
+    return normalized;
+  }
+
+  /**
+   * 根据任务定义生成任务记录
+   * @private
+   * @param {JobDefinition} definition - 任务定义
+   * @param {string|null} [schedule=null] - 加入该任务的定时任务名称
+   * @returns {Object}
+   * @throws {QueueError} - 任务定义不合法时抛出
+   */
+  createJob(definition, schedule = null) {
+    const kinds = JOB_KINDS.filter(kind => definition[kind] !== undefined && definition[kind] !== null);
+    if (kinds.length !== 1) {
+      throw new QueueError(`A job needs exactly one of ${JOB_KINDS.join(', ')}`);
+    }
+    const profile = definition.profile && definition.profile !== 'any' ? String(definition.profile) : null;
+    if (!profile && this.options.profiles.length === 0) {
+      throw new QueueError('Job has no profile and the queue has no profiles to choose from, set queue.profiles');
+    }
+
+    const normalized = this.normalizeDefinition(definition);
+    const now = new Date().toISOString();
+    return {
+      id: definition.id || randomUUID(),
+      name: definition.name || null,
+      profile,
+      [kinds[0]]: normalized[kinds[0]],
+      payload: definition.payload || {},
+      retries: definition.retries ?? this.options.retries,
+      timeout: definition.timeout ?? this.options.timeout,
+      schedule,
+      status: 'queued',
+      attempts: 0,
+      interrupted: 0,
+      createdAt: now,
+      runAt: definition.runAt ? new Date(definition.runAt).toISOString() : now,
+      startedAt: null,
+      finishedAt: null,
+      browserId: null,
+      error: null,
+      result: null
+    };
+  }
+
+  /**
+   * 返回任务记录的副本，调用方修改不影响队列
+   * @private
+   * @param {Object} job - 任务记录
+   * @returns {Object}
+   */
+  snapshot(job) {
+    return structuredClone(job);
+  }
+
+  /**
+   * 加入到期的定时任务，执行可以开始的任务，并在下一个任务或定时任务到期时再次检查
+   * @private
+   */
+  pump() {
+    if (!this.started) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+    const now = Date.now();
+    let changed = this.enqueueDueSchedules(now);
+
+    const ready = [...this.jobs.values()]
+      .filter(job => job.status === 'queued' && Date.parse(job.runAt) <= now)
+      .sort((a, b) => a.runAt.localeCompare(b.runAt) || a.createdAt.localeCompare(b.createdAt));
+    for (const job of ready) {
+      if (this.running.size >= this.options.concurrency) {
+        break;
+      }
+      const browserId = this.acquireProfile(job);
+      if (browserId) {
+        this.execute(job, browserId);
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.persist();
+    }
+
+    const wakeUps = [
+      ...[...this.jobs.values()].filter(job => job.status === 'queued').map(job => Date.parse(job.runAt)),
+      ...[...this.schedules.values()].map(schedule => Date.parse(schedule.nextRunAt))
+    ].filter(time => time > now);
+    if (wakeUps.length > 0) {
+      this.timer = setTimeout(() => this.pump(), Math.min(MAX_TIMER_DELAY, Math.min(...wakeUps) - now));
+    }
+
+    if (this.idleWaiters.length > 0 && this.isIdle()) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+      this.emit('idle');
+    }
+  }
+
+  /**
+   * 为到期的定时任务加入任务
+   * @private
+   * @param {number} now - 当前时间戳
+   * @returns {boolean} - 是否有变化
+   */
+  enqueueDueSchedules(now) {
+    let changed = false;
+    for (const schedule of this.schedules.values()) {
+      if (Date.parse(schedule.nextRunAt) > now) {
+        continue;
+      }
+      const active = [...this.jobs.values()].some(job => job.schedule === schedule.name && !FINISHED_STATUSES.includes(job.status));
+      if (active) {
+        logger.warn(`Skipping run of schedule ${schedule.name}, the previous run has not finished`);
+      } else {
+        const job = this.createJob({ ...schedule.job, id: undefined }, schedule.name);
+        this.jobs.set(job.id, job);
+        schedule.lastRunAt = new Date(now).toISOString();
+        logger.info(`Schedule ${schedule.name} queued job ${job.id}`);
+      }
+      schedule.nextRunAt = nextCronRun(schedule.cron, new Date(now)).toISOString();
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * 为任务选择浏览器：指定了浏览器时等待其空闲，否则选择最久未使用的空闲浏览器
+   * @private
+   * @param {Object} job - 任务记录
+   * @returns {string|null} - 浏览器ID，没有可用的浏览器时返回 null
+   */
+  acquireProfile(job) {
+    if (job.profile) {
+      return this.busyProfiles.has(job.profile) ? null : job.profile;
+    }
+    const free = this.options.profiles.filter(profile => !this.busyProfiles.has(profile));
+    if (free.length === 0) {
+      return null;
+    }
+    return free.reduce((oldest, profile) => ((this.lastUsed.get(profile) || 0) < (this.lastUsed.get(oldest) || 0) ? profile : oldest));
+  }
+
+  /**
+   * 在浏览器上执行任务，结束后更新任务状态并继续执行后续任务
+   * @private
+   * @param {Object} job - 任务记录
+   * @param {string} browserId - 比特浏览器ID
+   */
+  execute(job, browserId) {
+    job.status = 'running';
+    job.attempts++;
+    job.browserId = browserId;
+    job.startedAt = new Date().toISOString();
+    this.busyProfiles.add(browserId);
+    this.lastUsed.set(browserId, Date.now());
+    logger.info(`Starting job ${job.id} on browser ${browserId} (attempt ${job.attempts}/${job.retries + 1})`, { browserId });
+    this.emit('job:start', this.snapshot(job));
+
+    const run = this.runAttempt(job, browserId)
+      .then(result => this.handleSuccess(job, result), error => this.handleFailure(job, error))
+      .finally(() => {
+        this.busyProfiles.delete(browserId);
+        this.running.delete(job.id);
+        this.persist();
+        this.pump();
+      });
+    this.running.set(job.id, run);
+  }
+
+  /**
+   * 连接浏览器并执行一次任务，超时时强制关闭浏览器并等待任务结束，结束后总是断开连接
+   * @private
+   * @param {Object} job - 任务记录
+   * @param {string} browserId - 比特浏览器ID
+   * @returns {Promise<any>} - 任务的返回值
+   */
+  async runAttempt(job, browserId) {
+    const controller = this.createController(browserId);
+    const work = withLogContext({ browserId, jobId: job.id }, async () => {
+      await controller.connectToBitBrowser(browserId, this.options.connect || {});
+      return this.runTask(job, controller);
+    });
+
+    let timer = null;
+    try {
+      if (!job.timeout) {
+        return await work;
+      }
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new JobTimeoutError(job.id, job.timeout)), job.timeout);
+      });
+      return await Promise.race([work, timeout]);
+    } catch (error) {
+      if (error instanceof JobTimeoutError) {
+        // 任务仍在执行，关闭浏览器使其中的操作失败
+        logger.warn(`Job ${job.id} timed out after ${job.timeout}ms, force-closing browser ${browserId}`, { browserId });
+        try {
+          await this.forceClose(browserId);
+        } catch (closeError) {
+          logger.error(`Error force-closing browser ${browserId}: ${closeError.message}`, {
+            stack: closeError.stack,
+            location: 'jobQueue.js:runAttempt'
+          });
+        }
+
+        // 等任务结束后再断开连接和释放浏览器：仍在进行的连接会在断开后才建立并留下心跳，
+        // 提前释放的浏览器会被下一次尝试使用，与仍在执行的任务同时操作
+        let grace = null;
+        const settled = await Promise.race([
+          work.then(() => true, () => true),
+          new Promise(resolve => {
+            grace = setTimeout(resolve, job.timeout, false);
+          })
+        ]);
+        clearTimeout(grace);
+        if (!settled) {
+          logger.warn(`Job ${job.id} is still running ${job.timeout}ms after browser ${browserId} was closed, releasing the browser`, { browserId });
+          // 任务最终结束时再断开一次，关闭迟到的连接
+          work.catch(() => {}).finally(() => controller.close().catch(() => {}));
+        }
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      await controller.close().catch(() => {});
+    }
+  }
+
+  /**
+   * 按任务类型执行注册的任务、脚本或工作流
+   * @private
+   * @param {Object} job - 任务记录
+   * @param {PuppeteerController} controller - 已连接的控制器
+   * @returns {Promise<any>} - 任务的返回值，工作流返回报告摘要
+   * @throws {QueueError} - 任务未注册、脚本没有默认导出或工作流失败时抛出
+   */
+  async runTask(job, controller) {
+    const context = { browserId: controller.browserId, payload: job.payload, job: this.snapshot(job) };
+
+    if (job.task) {
+      const task = this.tasks.get(job.task);
+      if (!task) {
+        throw new QueueError(`Unknown task "${job.task}", register it with queue.register() before starting the queue`);
+      }
+      return task(controller, context);
+    }
+
+    if (job.script) {
+      const script = await import(pathToFileURL(job.script).href);
+      if (typeof script.default !== 'function') {
+        throw new QueueError(`${job.script} must export a default function`);
+      }
+      return script.default(controller, context);
+    }
+
+    const report = await runWorkflow(controller, job.workflow, { vars: job.payload });
+    if (report.status !== 'passed') {
+      const failed = report.steps.find(step => step.status === 'failed');
+      throw new QueueError(`Workflow ${report.workflow || ''} failed${failed ? ` at step ${failed.index + 1}: ${failed.error.message}` : ''}`);
+    }
+    return { workflow: report.workflow, status: report.status, durationMs: report.durationMs, artifactDir: report.artifactDir };
+  }
+
+  /**
+   * 记录任务成功
+   * @private
+   * @param {Object} job - 任务记录
+   * @param {any} result - 任务的返回值
+   */
+  handleSuccess(job, result) {
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+    job.error = null;
+    try {
+      job.result = result === undefined ? null : JSON.parse(JSON.stringify(result));
+    } catch (error) {
+      // 返回值无法序列化（循环引用等）时只保存其字符串形式
+      job.result = String(result);
+    }
+    logger.info(`Job ${job.id} completed on browser ${job.browserId}`, { browserId: job.browserId });
+    this.emit('job:completed', this.snapshot(job));
+  }
+
+  /**
+   * 记录任务失败，还有重试次数时按退避策略重新排队
+   * @private
+   * @param {Object} job - 任务记录
+   * @param {Error} error - 错误
+   */
+  handleFailure(job, error) {
+    job.error = { name: error.name, message: error.message };
+
+    if (job.attempts <= job.retries) {
+      const { minDelay, maxDelay, factor } = this.options;
+      const delay = computeBackoff(job.attempts, { minDelay, maxDelay, factor, jitter: true });
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + delay).toISOString();
+      logger.warn(`Job ${job.id} failed (${error.message}), retry ${job.attempts}/${job.retries} in ${delay}ms`, { browserId: job.browserId });
+      this.emit('job:retry', { job: this.snapshot(job), error, delay });
+      return;
+    }
+
+    job.status = 'failed';
+    job.finishedAt = new Date().toISOString();
+    logger.error(`Job ${job.id} failed after ${job.attempts} attempt(s): ${error.message}`, {
+      browserId: job.browserId,
+      stack: error.stack,
+      location: 'jobQueue.js:handleFailure'
+    });
+    this.emit('job:failed', { job: this.snapshot(job), error });
+  }
+
+  /**
+   * 保存队列，超过 keepFinished 的已结束任务按结束时间从早到晚删除；保存失败只记录日志
+   * @private
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    const finished = [...this.jobs.values()]
+      .filter(job => FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.options.keepFinished))) {
+      this.jobs.delete(job.id);
+    }
+
+    if (!this.store) {
+      return;
+    }
+    try {
+      await this.store.save({ jobs: [...this.jobs.values()], schedules: [...this.schedules.values()] });
+    } catch (error) {
+      logger.error(`Error saving queue to ${this.store.path}: ${error.message}`, {
+        stack: error.stack,
+        location: 'jobQueue.js:persist'
+      });
+    }
+  }
+}
+
+export { JobQueue };
@@ -0,0 +1,125 @@
+import fse from 'fs-extra';
+import { hostname } from 'os';
+import { dirname } from 'path';
+import { isProcessAlive } from '../utils/process.js';
+import { QueueError } from './errors.js';
+
+// 队列文件格式版本，格式不兼容时递增
+const QUEUE_FILE_VERSION = 1;
+
+const HOST = hostname();
+
+/**
+ * 队列持久化文件，保存所有任务和定时任务
+ * 先写临时文件再重命名，进程在写入中途崩溃不会留下损坏的文件；写入按调用顺序串行执行
+ * 执行队列的进程持有 <文件>.lock 运行锁，避免其他进程的修改被覆盖
+ */
+class QueueStore {
+  /**
+   * @param {string} path - 文件路径
+   */
+  constructor(path) {
+    this.path = path;
+    this.lockPath = `${path}.lock`;
+    this.locked = false;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * 读取队列文件，文件不存在时返回空队列
+   * @returns {Promise<{jobs: Array<Object>, schedules: Array<Object>}>}
+   * @throws {QueueError} - 文件损坏或版本不兼容时抛出
+   */
+  async load() {
+    if (!(await fse.pathExists(this.path))) {
+      return { jobs: [], schedules: [] };
+    }
+
+    let data;
+    try {
+      data = await fse.readJSON(this.path);
+    } catch (error) {
+      throw new QueueError(`Could not read queue file ${this.path}: ${error.message}`, { cause: error });
+    }
+    if (data.version !== QUEUE_FILE_VERSION) {
+      throw new QueueError(`Unsupported queue file version ${data.version} in ${this.path}, expected ${QUEUE_FILE_VERSION}`);
+    }
+    return { jobs: data.jobs || [], schedules: data.schedules || [] };
+  }
+
+  /**
+   * 写入队列文件
+   * @param {{jobs: Array<Object>, schedules: Array<Object>}} state - 队列状态
+   * @returns {Promise<void>}
+   */
+  save(state) {
+    const content = JSON.stringify({ version: QUEUE_FILE_VERSION, savedAt: new Date().toISOString(), ...state }, null, 2);
+    const write = this.writing.then(async () => {
+      const temporary = `${this.path}.${process.pid}.tmp`;
+      await fse.ensureDir(dirname(this.path));
+      await fse.writeFile(temporary, content);
+      await fse.rename(temporary, this.path);
+    });
+    // 一次写入失败不影响后续写入
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * 获取运行锁，持有锁的进程已退出时清除其锁
+   * @returns {Promise<void>}
+   * @throws {QueueError} - 锁被其他存活的进程持有时抛出
+   */
+  async lock() {
+    await fse.ensureDir(dirname(this.path));
+    while (!this.locked) {
+      try {
+        await fse.writeFile(this.lockPath, JSON.stringify({ pid: process.pid, host: HOST }), { flag: 'wx' });
+        this.locked = true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        const owner = await this.lockOwner();
+        if (owner) {
+          throw new QueueError(`Queue ${this.path} is already being run by process ${owner.pid} on ${owner.host}`);
+        }
+        await fse.remove(this.lockPath);
+      }
+    }
+  }
+
+  /**
+   * 释放运行锁
+   * @returns {Promise<void>}
+   */
+  async unlock() {
+    if (this.locked) {
+      this.locked = false;
+      await fse.remove(this.lockPath);
+    }
+  }
+
+  /**
+   * 持有运行锁的其他进程，其他主机上的进程无法检查，视为存活
+   * @returns {Promise<{pid: number, host: string}|null>} - 未上锁、由本实例持有或持有进程已退出时返回 null
+   */
+  async lockOwner() {
+    if (this.locked) {
+      return null;
+    }
+    let owner;
+    try {
+      owner = await fse.readJSON(this.lockPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      // 锁文件尚未写完
+      return { pid: 'unknown', host: HOST };
+    }
+    return owner.host === HOST && !isProcessAlive(owner.pid) ? null : owner;
+  }
+}
+
+export { QueueStore };
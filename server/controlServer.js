@@ -0,0 +1,472 @@
+import http from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { WebSocketServer } from 'ws';
+import { CONTROL_API_CONFIG, ConfigError } from '../config/config.js';
+import { getLogger, onLog } from '../utils/logger.js';
+import { SessionRegistry } from './sessionRegistry.js';
+import { OPENAPI_SPEC } from './openapi.js';
+import { ControlApiError, AuthenticationError, RequestValidationError, NotFoundError } from './errors.js';
+
+const logger = getLogger('controlApi');
+
+// 非 ControlApiError 的错误按名称对应的HTTP状态码，其余为 500
+const ERROR_STATUS = {
+  WaitTimeoutError: 504,
+  TimeoutError: 504,
+  BitBrowserApiError: 502,
+  BitBrowserConnectionError: 503,
+  ProfileNotFoundError: 404,
+  UnsupportedFeatureError: 400
+};
+
+// 截图格式
+const SCREENSHOT_TYPES = ['png', 'jpeg'];
+
+/**
+ * 校验请求体字段的类型
+ * @param {Object} body - 请求体
+ * @param {string} name - 字段名
+ * @param {string} type - typeof 的结果，'integer' 表示整数
+ * @param {boolean} [required=false] - 是否必须
+ * @returns {any} - 字段值
+ * @throws {RequestValidationError}
+ */
+function field(body, name, type, required = false) {
+  const value = body[name];
+  if (value === undefined || value === null) {
+    if (required) {
+      throw new RequestValidationError(`"${name}" is required`);
+    }
+    return undefined;
+  }
+  const valid = type === 'integer' ? Number.isInteger(value) : typeof value === type && !Array.isArray(value);
+  if (!valid) {
+    throw new RequestValidationError(`"${name}" must be ${type === 'integer' ? 'an integer' : `a ${type}`}`);
+  }
+  return value;
+}
+
+/**
+ * 解析查询参数中的布尔值
+ * @param {URLSearchParams} query - 查询参数
+ * @param {string} name - 参数名
+ * @returns {boolean|undefined}
+ * @throws {RequestValidationError}
+ */
+function queryBoolean(query, name) {
+  const value = query.get(name);
+  if (value === null) {
+    return undefined;
+  }
+  if (!['true', 'false', '1', '0'].includes(value)) {
+    throw new RequestValidationError(`Query parameter "${name}" must be true or false`);
+  }
+  return value === 'true' || value === '1';
+}
+
+/**
+ * 路由表，路径使用 OpenAPI 的 {参数} 写法
+ * handler 接收 { client, params, query, body, registry }，返回值以JSON返回，Buffer 以 contentType 返回
+ */
+const ROUTES = [
+  {
+    method: 'GET',
+    path: '/sessions',
+    handler: ({ client, registry }) => registry.list(client)
+  },
+  {
+    method: 'POST',
+    path: '/sessions',
+    status: 201,
+    handler: ({ client, body, registry }) => registry.open(client, {
+      browserId: field(body, 'browserId', 'string'),
+      profile: field(body, 'profile', 'object'),
+      ephemeral: field(body, 'ephemeral', 'boolean'),
+      connect: field(body, 'connect', 'object')
+    })
+  },
+  {
+    method: 'GET',
+    path: '/sessions/{id}',
+    handler: ({ client, params, registry }) => registry.get(params.id, client)
+  },
+  {
+    method: 'DELETE',
+    path: '/sessions/{id}',
+    handler: ({ client, params, query, registry }) => registry.close(params.id, client, {
+      closeBrowser: queryBoolean(query, 'closeBrowser'),
+      deleteProfile: queryBoolean(query, 'deleteProfile')
+    })
+  },
+  {
+    method: 'POST',
+    path: '/sessions/{id}/navigate',
+    handler: async ({ client, params, body, registry }) => {
+      const url = field(body, 'url', 'string', true);
+      const options = {
+        waitUntil: field(body, 'waitUntil', 'string'),
+        timeout: field(body, 'timeout', 'integer'),
+        tab: body.tab,
+        challenge: body.challenge
+      };
+      Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+      const challenge = await registry.use(params.id, client, controller => controller.navigateTo(url, options));
+      return { ...registry.get(params.id, client), challenge };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/sessions/{id}/evaluate',
+    handler: async ({ client, params, body, registry }) => {
+      const expression = field(body, 'expression', 'string', true);
+      const result = await registry.use(params.id, client, controller => controller.evaluate({ tab: body.tab }, expression));
+      return { result: result === undefined ? null : result };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/sessions/{id}/screenshot',
+    contentType: ({ body }) => `image/${body.type || 'png'}`,
+    handler: async ({ client, params, body, registry }) => {
+      const type = field(body, 'type', 'string') || 'png';
+      if (!SCREENSHOT_TYPES.includes(type)) {
+        throw new RequestValidationError(`"type" must be one of ${SCREENSHOT_TYPES.join(', ')}`);
+      }
+      const options = {
+        type,
+        tab: body.tab,
+        selector: field(body, 'selector', 'string'),
+        fullPage: field(body, 'fullPage', 'boolean'),
+        quality: type === 'jpeg' ? field(body, 'quality', 'integer') : undefined
+      };
+      Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+      const image = await registry.use(params.id, client, controller => controller.takeScreenshot(options));
+      return Buffer.from(image);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/sessions/{id}/cookies',
+    handler: async ({ client, params, registry }) => ({
+      cookies: await registry.use(params.id, client, controller => controller.getCookies())
+    })
+  }
+].map(route => ({
+  ...route,
+  pattern: new RegExp(`^${route.path.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}$`)
+}));
+
+/**
+ * 控制API服务器
+ * REST 接口操作会话（创建/打开浏览器、导航、执行脚本、截图、导出Cookie、关闭/删除），
+ * /events WebSocket 推送客户端自己会话的事件和日志，接口描述见 GET /openapi.json
+ */
+class ControlServer {
+  /**
+   * @param {Object} [options] - 服务器选项，未指定的项读取 CONTROL_API_CONFIG
+   * @param {string} [options.host] - 监听地址
+   * @param {number} [options.port] - 监听端口，0表示随机端口
+   * @param {Object<string, string>} [options.tokens] - 客户端名称到 Token 的映射
+   * @param {number} [options.maxBodySize] - 请求体最大字节数
+   * @param {SessionRegistry} [options.registry] - 会话表，默认新建一个
+   */
+  constructor(options = {}) {
+    const { registry, ...rest } = options;
+    this.options = { ...CONTROL_API_CONFIG, ...rest };
+    this.registry = registry || new SessionRegistry();
+    this.server = null;
+    this.wss = null;
+    // WebSocket 订阅，{ ws, client, sessionId }
+    this.subscribers = new Set();
+    this.unsubscribe = [];
+  }
+
+  /**
+   * 服务器地址
+   * @returns {string}
+   */
+  get url() {
+    return `http://${this.options.host}:${this.options.port}`;
+  }
+
+  /**
+   * 启动服务器
+   * @returns {Promise<string>} - 服务器地址
+   * @throws {ConfigError} - 未配置 Token 时抛出
+   */
+  async start() {
+    const tokens = Object.entries(this.options.tokens || {}).filter(([, token]) => typeof token === 'string' && token);
+    if (tokens.length === 0) {
+      throw new ConfigError('Control API needs at least one token', [
+        { path: 'controlApi.tokens', message: 'set to {"<client>": "<token>"}, e.g. with CONTROL_API_TOKENS', source: 'options' }
+      ]);
+    }
+    // 比较摘要而不是原文，长度固定，可以用 timingSafeEqual
+    this.tokenDigests = tokens.map(([client, token]) => ({ client, digest: createHash('sha256').update(token).digest() }));
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.wss = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+    const forwardEvent = event => this.broadcast(event.client, event.sessionId, {
+      type: 'event',
+      sessionId: event.sessionId,
+      event: event.type,
+      data: event.data,
+      timestamp: event.timestamp
+    });
+    this.registry.on('event', forwardEvent);
+    this.unsubscribe = [
+      () => this.registry.off('event', forwardEvent),
+      onLog(info => this.forwardLog(info))
+    ];
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+    this.options.port = this.server.address().port;
+    logger.info(`Control API listening on ${this.url} for ${tokens.length} client(s)`);
+    return this.url;
+  }
+
+  /**
+   * 关闭所有会话和 WebSocket 连接并停止服务器
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.unsubscribe.forEach(unsubscribe => unsubscribe());
+    this.unsubscribe = [];
+    await this.registry.closeAll();
+
+    for (const { ws } of this.subscribers) {
+      ws.close(1001, 'Server shutting down');
+    }
+    this.subscribers.clear();
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+      logger.info('Control API stopped');
+    }
+  }
+
+  /**
+   * 根据请求头（或 WebSocket 的 token 查询参数）识别客户端
+   * @private
+   * @param {http.IncomingMessage} req - 请求
+   * @param {URLSearchParams} [query] - 允许从查询参数读取 Token 时传入
+   * @returns {string} - 客户端名称
+   * @throws {AuthenticationError}
+   */
+  authenticate(req, query) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : query && query.get('token');
+    if (!token) {
+      throw new AuthenticationError();
+    }
+    const digest = createHash('sha256').update(token).digest();
+    const match = this.tokenDigests.find(entry => timingSafeEqual(entry.digest, digest));
+    if (!match) {
+      throw new AuthenticationError();
+    }
+    return match.client;
+  }
+
+  /**
+   * 处理HTTP请求
+   * @private
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   */
+  async handleRequest(req, res) {
+    const startedAt = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+    let client = null;
+    let status;
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/openapi.json') {
+        status = this.send(res, 200, OPENAPI_SPEC);
+        return;
+      }
+
+      client = this.authenticate(req);
+      const { route, params } = this.match(req.method, url.pathname);
+      const body = req.method === 'POST' ? await this.readBody(req) : {};
+      const context = { client, params, query: url.searchParams, body, registry: this.registry };
+      const result = await route.handler(context);
+      status = this.send(res, route.status || 200, result, route.contentType && route.contentType(context));
+    } catch (error) {
+      status = error instanceof ControlApiError ? error.status : ERROR_STATUS[error.name] || 500;
+      if (status >= 500) {
+        logger.error(`Error handling ${req.method} ${url.pathname}: ${error.message}`, {
+          stack: error.stack,
+          location: 'controlServer.js:handleRequest'
+        });
+      }
+      const details = { name: error.name, message: error.message, status };
+      if (error.failureBundle) {
+        details.failureDir = error.failureBundle.dir;
+      }
+      this.send(res, status, { error: details });
+    } finally {
+      logger.http(`${req.method} ${url.pathname} ${status} ${Date.now() - startedAt}ms${client ? ` (${client})` : ''}`);
+    }
+  }
+
+  /**
+   * 查找路由
+   * @private
+   * @param {string} method - 请求方法
+   * @param {string} pathname - 路径
+   * @returns {{route: Object, params: Object}}
+   * @throws {NotFoundError}
+   */
+  match(method, pathname) {
+    for (const route of ROUTES) {
+      const matched = route.method === method && route.pattern.exec(pathname);
+      if (matched) {
+        const params = Object.fromEntries(Object.entries(matched.groups || {}).map(([key, value]) => [key, decodeURIComponent(value)]));
+        return { route, params };
+      }
+    }
+    throw new NotFoundError(`Not found: ${method} ${pathname}`);
+  }
+
+  /**
+   * 读取JSON请求体
+   * @private
+   * @param {http.IncomingMessage} req - 请求
+   * @returns {Promise<Object>}
+   * @throws {ControlApiError} - 请求体过大或不是JSON对象时抛出
+   */
+  async readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.options.maxBodySize) {
+        throw new ControlApiError(`Request body exceeds ${this.options.maxBodySize} bytes`, { status: 413 });
+      }
+      chunks.push(chunk);
+    }
+    if (size === 0) {
+      return {};
+    }
+
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      throw new RequestValidationError(`Invalid JSON body: ${error.message}`);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new RequestValidationError('Request body must be a JSON object');
+    }
+    return body;
+  }
+
+  /**
+   * 发送响应
+   * @private
+   * @param {http.ServerResponse} res - 响应
+   * @param {number} status - 状态码
+   * @param {any} result - JSON 数据或 Buffer
+   * @param {string} [contentType] - Buffer 的内容类型
+   * @returns {number} - 状态码
+   */
+  send(res, status, result, contentType = 'application/octet-stream') {
+    const binary = Buffer.isBuffer(result);
+    const payload = binary ? result : JSON.stringify(result);
+    res.writeHead(status, {
+      'Content-Type': binary ? contentType : 'application/json',
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+    return status;
+  }
+
+  /**
+   * 处理 /events 的 WebSocket 升级请求，认证失败时直接返回HTTP错误
+   * @private
+   * @param {http.IncomingMessage} req - 请求
+   * @param {import('net').Socket} socket - 连接
+   * @param {Buffer} head - 升级请求后的首个数据包
+   */
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    let client;
+    let sessionId;
+    try {
+      if (url.pathname !== '/events') {
+        throw new NotFoundError(`Not found: ${url.pathname}`);
+      }
+      client = this.authenticate(req, url.searchParams);
+      sessionId = url.searchParams.get('session');
+      if (sessionId) {
+        // 检查会话存在且属于该客户端
+        this.registry.get(sessionId, client);
+      }
+    } catch (error) {
+      const status = error.status || 500;
+      const body = JSON.stringify({ error: { name: error.name, message: error.message, status } });
+      socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, ws => {
+      const subscriber = { ws, client, sessionId };
+      this.subscribers.add(subscriber);
+      ws.on('close', () => this.subscribers.delete(subscriber));
+      ws.on('error', () => this.subscribers.delete(subscriber));
+      logger.info(`Client ${client} subscribed to ${sessionId ? `session ${sessionId}` : 'all its sessions'}`);
+    });
+  }
+
+  /**
+   * 向订阅了该会话的客户端发送消息
+   * @private
+   * @param {string} client - 会话所属的客户端
+   * @param {string} sessionId - 会话ID
+   * @param {Object} message - 消息
+   */
+  broadcast(client, sessionId, message) {
+    let data = null;
+    for (const subscriber of this.subscribers) {
+      if (subscriber.client !== client || (subscriber.sessionId && subscriber.sessionId !== sessionId)) {
+        continue;
+      }
+      data = data || JSON.stringify(message);
+      if (subscriber.ws.readyState === subscriber.ws.OPEN) {
+        subscriber.ws.send(data);
+      }
+    }
+  }
+
+  /**
+   * 把会话的日志转发给会话所属的客户端，不属于任何会话的日志不转发
+   * @private
+   * @param {Object} info - 日志对象
+   */
+  forwardLog(info) {
+    const session = info.browserId && this.registry.sessions.get(info.browserId);
+    if (!session || this.subscribers.size === 0) {
+      return;
+    }
+    this.broadcast(session.client, session.id, {
+      type: 'log',
+      sessionId: session.id,
+      level: info.level,
+      message: info.message,
+      module: info.module,
+      timestamp: info.timestamp
+    });
+  }
+}
+
+export { ControlServer, ROUTES };
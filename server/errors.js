@@ -0,0 +1,60 @@
+/**
+ * 控制API错误基类，status 为返回给客户端的HTTP状态码
+ */
+class ControlApiError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情
+   * @param {number} [details.status=500] - HTTP状态码
+   * @param {Error} [details.cause] - 原始错误
+   */
+  constructor(message, { status = 500, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+/**
+ * 请求缺少 Token 或 Token 无效
+ */
+class AuthenticationError extends ControlApiError {
+  constructor(message = 'Missing or invalid API token') {
+    super(message, { status: 401 });
+  }
+}
+
+/**
+ * 请求参数不合法
+ */
+class RequestValidationError extends ControlApiError {
+  constructor(message) {
+    super(message, { status: 400 });
+  }
+}
+
+/**
+ * 会话或接口不存在
+ */
+class NotFoundError extends ControlApiError {
+  constructor(message) {
+    super(message, { status: 404 });
+  }
+}
+
+/**
+ * 会话属于其他客户端，或浏览器已被其他客户端打开
+ */
+class SessionOwnershipError extends ControlApiError {
+  /**
+   * @param {string} sessionId - 会话ID（比特浏览器ID）
+   * @param {string} owner - 持有该会话的客户端
+   */
+  constructor(sessionId, owner) {
+    super(`Session ${sessionId} is owned by client "${owner}"`, { status: 409 });
+    this.sessionId = sessionId;
+    this.owner = owner;
+  }
+}
+
+export { ControlApiError, AuthenticationError, RequestValidationError, NotFoundError, SessionOwnershipError };
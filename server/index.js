@@ -0,0 +1,15 @@
+import { ControlServer } from './controlServer.js';
+import { SessionRegistry } from './sessionRegistry.js';
+import { OPENAPI_SPEC } from './openapi.js';
+import { ControlApiError, AuthenticationError, RequestValidationError, NotFoundError, SessionOwnershipError } from './errors.js';
+
+export {
+  ControlServer,
+  SessionRegistry,
+  OPENAPI_SPEC,
+  ControlApiError,
+  AuthenticationError,
+  RequestValidationError,
+  NotFoundError,
+  SessionOwnershipError
+};
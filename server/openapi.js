@@ -0,0 +1,292 @@
+// 控制API的 OpenAPI 3.0 描述，GET /openapi.json 返回（不需要 Token）
+
+const sessionIdParameter = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Session ID (the browser profile ID)',
+  schema: { type: 'string' }
+};
+
+const tabProperty = {
+  description: 'Tab index (negative counts from the end), URL substring, or { url, title }; defaults to the current tab',
+  oneOf: [{ type: 'integer' }, { type: 'string' }, { type: 'object' }]
+};
+
+/**
+ * 错误响应
+ * @param {string} description - 说明
+ * @returns {Object}
+ */
+function errorResponse(description) {
+  return { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+}
+
+/**
+ * JSON 响应
+ * @param {string} description - 说明
+ * @param {Object} schema - 响应体结构
+ * @returns {Object}
+ */
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * JSON 请求体
+ * @param {Object} schema - 请求体结构
+ * @param {boolean} [required=true] - 是否必须
+ * @returns {Object}
+ */
+function jsonBody(schema, required = true) {
+  return { required, content: { 'application/json': { schema } } };
+}
+
+// 操作会话的接口共有的错误响应
+const sessionErrors = {
+  400: errorResponse('Invalid request'),
+  401: errorResponse('Missing or invalid API token'),
+  404: errorResponse('Session not found'),
+  409: errorResponse('Session is owned by another client'),
+  500: errorResponse('The browser operation failed; error.failureDir points at the saved failure artifacts when available'),
+  504: errorResponse('The browser operation timed out')
+};
+
+const OPENAPI_SPEC = {
+  openapi: '3.0.3',
+  info: {
+    title: 'BitBrowser Puppeteer control API',
+    version: '1.0.0',
+    description: [
+      'Drive BitBrowser sessions from other services.',
+      'Every request except GET /openapi.json needs `Authorization: Bearer <token>`; tokens are configured in controlApi.tokens.',
+      'A session belongs to the client whose token opened it. Other clients get 409 for it, and requests on one session run one at a time in arrival order.',
+      'Connect a WebSocket to /events (token in the Authorization header or the `token` query parameter, optional `session` filter)',
+      'to receive JSON messages `{ "type": "event", sessionId, event, data, timestamp }` for session events',
+      '(opened, disconnected, reconnected, failed, failure, challenge, closed) and `{ "type": "log", sessionId, level, message, module, timestamp }`',
+      'for log lines of your own sessions.'
+    ].join(' ')
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' }
+    },
+    schemas: {
+      Session: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Browser profile ID' },
+          client: { type: 'string', description: 'Name of the client that owns the session' },
+          ephemeral: { type: 'boolean', description: 'The profile is closed and deleted when the session is closed' },
+          connected: { type: 'boolean' },
+          url: { type: 'string', nullable: true, description: 'URL of the current tab' },
+          createdAt: { type: 'string', format: 'date-time' },
+          lastUsedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          error: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              message: { type: 'string' },
+              status: { type: 'integer' },
+              failureDir: { type: 'string', description: 'Directory with the screenshot, DOM and logs saved when the operation failed' }
+            }
+          }
+        }
+      }
+    }
+  },
+  security: [{ bearerAuth: [] }],
+  paths: {
+    '/openapi.json': {
+      get: {
+        summary: 'This document',
+        security: [],
+        responses: { 200: jsonResponse('OpenAPI description', { type: 'object' }) }
+      }
+    },
+    '/sessions': {
+      get: {
+        summary: 'List your sessions',
+        responses: {
+          200: jsonResponse('Sessions owned by the calling client', { type: 'array', items: { $ref: '#/components/schemas/Session' } }),
+          401: sessionErrors[401]
+        }
+      },
+      post: {
+        summary: 'Open a session on an existing profile, or create a profile and open it',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            browserId: { type: 'string', description: 'Existing profile to connect to' },
+            profile: { type: 'object', description: 'createBrowser fields (name, remark, proxy, fingerprint, ...) for a new profile' },
+            ephemeral: { type: 'boolean', description: 'Delete the profile when the session is closed; defaults to true for new profiles' },
+            connect: {
+              type: 'object',
+              description: 'connectToBitBrowser options',
+              properties: {
+                headless: { type: 'boolean' },
+                turnstile: { type: 'boolean' },
+                audit: { type: 'boolean' },
+                restoreState: { type: 'boolean' },
+                network: { type: 'object', description: 'Blocked resource types, URL rules, extra headers and HAR recording' }
+              }
+            }
+          }
+        }, false),
+        responses: {
+          201: jsonResponse('Session opened, or the caller already had it open', { $ref: '#/components/schemas/Session' }),
+          400: sessionErrors[400],
+          401: sessionErrors[401],
+          409: errorResponse('The profile is already open by another client'),
+          500: errorResponse('Creating the profile or connecting to it failed'),
+          502: errorResponse('The BitBrowser API returned an error'),
+          503: errorResponse('The BitBrowser client is not reachable')
+        }
+      }
+    },
+    '/sessions/{id}': {
+      parameters: [sessionIdParameter],
+      get: {
+        summary: 'Get a session',
+        responses: { 200: jsonResponse('Session', { $ref: '#/components/schemas/Session' }), 401: sessionErrors[401], 404: sessionErrors[404], 409: sessionErrors[409] }
+      },
+      delete: {
+        summary: 'Close a session after its pending requests finish',
+        parameters: [
+          { name: 'closeBrowser', in: 'query', schema: { type: 'boolean', default: false }, description: 'Also close the browser window' },
+          { name: 'deleteProfile', in: 'query', schema: { type: 'boolean' }, description: 'Also delete the profile; defaults to the session\'s ephemeral flag' }
+        ],
+        responses: {
+          200: jsonResponse('Session closed', {
+            type: 'object',
+            properties: { id: { type: 'string' }, closed: { type: 'boolean' }, browserClosed: { type: 'boolean' }, deleted: { type: 'boolean' } }
+          }),
+          401: sessionErrors[401],
+          404: sessionErrors[404],
+          409: sessionErrors[409],
+          500: errorResponse('Closing or deleting the profile failed')
+        }
+      }
+    },
+    '/sessions/{id}/navigate': {
+      parameters: [sessionIdParameter],
+      post: {
+        summary: 'Navigate a tab to a URL',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: { type: 'string' },
+            waitUntil: { type: 'string', enum: ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'] },
+            timeout: { type: 'integer', description: 'Milliseconds, defaults to wait.timeout' },
+            tab: tabProperty,
+            challenge: {
+              description: 'false skips challenge detection; an object overrides challenge.timeout, pollInterval and failOnUnresolved',
+              oneOf: [{ type: 'boolean' }, { type: 'object' }]
+            }
+          }
+        }),
+        responses: {
+          200: jsonResponse('Session after navigation', {
+            allOf: [
+              { $ref: '#/components/schemas/Session' },
+              {
+                type: 'object',
+                properties: {
+                  challenge: {
+                    type: 'object',
+                    nullable: true,
+                    description: 'Challenge met after navigation (Cloudflare interstitial, Turnstile, captcha or block page), null when there was none',
+                    properties: {
+                      type: { type: 'string', enum: ['interstitial', 'turnstile', 'captcha', 'blocked'] },
+                      vendor: { type: 'string' },
+                      url: { type: 'string' },
+                      result: { type: 'string', enum: ['solved', 'blocked', 'timeout', 'pending'] },
+                      durationMs: { type: 'integer' },
+                      detectedAt: { type: 'string', format: 'date-time' },
+                      evidence: { type: 'array', items: { type: 'string' } }
+                    }
+                  }
+                }
+              }
+            ]
+          }),
+          ...sessionErrors
+        }
+      }
+    },
+    '/sessions/{id}/evaluate': {
+      parameters: [sessionIdParameter],
+      post: {
+        summary: 'Evaluate a JavaScript expression in a tab',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['expression'],
+          properties: {
+            expression: { type: 'string', description: 'Expression whose value is returned, e.g. "document.title"; promises are awaited' },
+            tab: tabProperty
+          }
+        }),
+        responses: { 200: jsonResponse('JSON-serializable value of the expression', { type: 'object', properties: { result: {} } }), ...sessionErrors }
+      }
+    },
+    '/sessions/{id}/screenshot': {
+      parameters: [sessionIdParameter],
+      post: {
+        summary: 'Take a screenshot of a tab or of one element',
+        requestBody: jsonBody({
+          type: 'object',
+          properties: {
+            selector: { type: 'string', description: 'Only capture this element' },
+            fullPage: { type: 'boolean', default: true },
+            type: { type: 'string', enum: ['png', 'jpeg'], default: 'png' },
+            quality: { type: 'integer', minimum: 0, maximum: 100, description: 'jpeg only' },
+            tab: tabProperty
+          }
+        }, false),
+        responses: {
+          200: {
+            description: 'Image',
+            content: { 'image/png': { schema: { type: 'string', format: 'binary' } }, 'image/jpeg': { schema: { type: 'string', format: 'binary' } } }
+          },
+          ...sessionErrors
+        }
+      }
+    },
+    '/sessions/{id}/cookies': {
+      parameters: [sessionIdParameter],
+      get: {
+        summary: 'Export the cookies of all domains, including HttpOnly cookies',
+        responses: {
+          200: jsonResponse('Cookies in Chrome DevTools Protocol Network.Cookie format', {
+            type: 'object',
+            properties: { cookies: { type: 'array', items: { type: 'object' } } }
+          }),
+          ...sessionErrors
+        }
+      }
+    },
+    '/events': {
+      get: {
+        summary: 'WebSocket stream of session events and logs (see the description above)',
+        parameters: [
+          { name: 'session', in: 'query', schema: { type: 'string' }, description: 'Only stream this session' },
+          { name: 'token', in: 'query', schema: { type: 'string' }, description: 'API token, for clients that cannot set headers' }
+        ],
+        responses: {
+          101: { description: 'Switching to the WebSocket protocol' },
+          401: errorResponse('Missing or invalid API token'),
+          404: sessionErrors[404],
+          409: sessionErrors[409]
+        }
+      }
+    }
+  }
+};
+
+export { OPENAPI_SPEC };
@@ -0,0 +1,336 @@
+import { EventEmitter } from 'events';
+import { SessionManager } from '../browser/sessionManager.js';
+import { buildEphemeralRemark } from '../browser/lifecycle.js';
+import { getProvider } from '../providers/registry.js';
+import { EPHEMERAL_BROWSER_CONFIG } from '../config/config.js';
+import { getLogger } from '../utils/logger.js';
+import { RequestValidationError, NotFoundError, SessionOwnershipError } from './errors.js';
+
+const logger = getLogger('controlApi');
+
+// 转发给 WebSocket 客户端的控制器事件
+const FORWARDED_EVENTS = ['disconnected', 'reconnected', 'failed', 'failure', 'challenge', 'closed'];
+
+/**
+ * 把控制器事件参数转换为可以序列化为JSON的对象
+ * @param {string} type - 事件名称
+ * @param {any} payload - 事件参数
+ * @returns {Object}
+ */
+function serializeEvent(type, payload) {
+  if (type === 'closed' || !payload || typeof payload !== 'object') {
+    return {};
+  }
+  const { error, bundle, ...rest } = payload;
+  return {
+    ...rest,
+    ...(error ? { error: { name: error.name, message: error.message } } : {}),
+    ...(bundle ? { failureDir: bundle.dir } : {})
+  };
+}
+
+/**
+ * 控制API的会话表
+ * 会话以比特浏览器ID为ID，归属于打开它的客户端：其他客户端不能操作、关闭或重复打开该浏览器；
+ * 同一会话的操作按到达顺序依次执行，不会在同一页面上交错
+ *
+ * 事件:
+ *   'event' ({ sessionId, client, type, data, timestamp })  会话事件，type 为 opened 或控制器事件名
+ */
+class SessionRegistry extends EventEmitter {
+  /**
+   * @param {Object} [options] - 选项
+   * @param {SessionManager} [options.manager] - 创建和连接控制器的会话管理器，默认新建一个
+   * @param {import('../providers/provider.js').BrowserProvider} [options.provider] - 创建、关闭和删除浏览器的后端，默认按配置选择
+   */
+  constructor(options = {}) {
+    super();
+    this.manager = options.manager || new SessionManager();
+    this.provider = options.provider || getProvider();
+    // 会话ID -> { id, client, ephemeral, createdAt, lastUsedAt, controller, tail, detach, closing }
+    this.sessions = new Map();
+    // 正在打开的浏览器ID -> { client, promise }，连接完成前拒绝其他客户端打开同一浏览器
+    this.opening = new Map();
+  }
+
+  /**
+   * 打开会话：连接已有的浏览器，或按 profile 创建新浏览器后连接
+   * 同一客户端重复打开同一浏览器时返回已有会话
+   * @param {string} client - 客户端名称
+   * @param {Object} [options] - 选项
+   * @param {string} [options.browserId] - 已有的比特浏览器ID
+   * @param {Object} [options.profile] - createBrowser 的浏览器字段，与 browserId 二选一
+   * @param {boolean} [options.ephemeral] - 关闭会话时删除浏览器，按 profile 创建时默认为 true
+   * @param {Object} [options.connect] - connectToBitBrowser 的连接选项
+   * @returns {Promise<Object>} - 会话信息
+   * @throws {SessionOwnershipError} - 浏览器已被其他客户端打开时抛出
+   */
+  async open(client, options = {}) {
+    const { browserId, profile, connect = {} } = options;
+    if (browserId && profile) {
+      throw new RequestValidationError('Pass either browserId or profile, not both');
+    }
+
+    if (browserId) {
+      const owner = this.sessions.get(browserId)?.client ?? this.opening.get(browserId)?.client;
+      if (owner && owner !== client) {
+        throw new SessionOwnershipError(browserId, owner);
+      }
+      if (this.sessions.has(browserId)) {
+        return this.describe(this.sessions.get(browserId));
+      }
+      if (this.opening.has(browserId)) {
+        return this.opening.get(browserId).promise;
+      }
+    }
+
+    const ephemeral = options.ephemeral ?? !browserId;
+    const id = browserId || await this.provider.create({
+      name: EPHEMERAL_BROWSER_CONFIG.name,
+      ...profile,
+      remark: ephemeral ? buildEphemeralRemark(profile?.remark) : profile?.remark
+    });
+
+    const promise = this.connect(client, id, { created: !browserId, ephemeral, connect });
+    this.opening.set(id, { client, promise });
+    return promise;
+  }
+
+  /**
+   * 连接浏览器并登记会话，见 open
+   * @private
+   * @param {string} client - 客户端名称
+   * @param {string} id - 比特浏览器ID
+   * @param {Object} options - 选项
+   * @param {boolean} options.created - 浏览器是否为本次创建，连接失败时删除
+   * @param {boolean} options.ephemeral - 关闭会话时删除浏览器
+   * @param {Object} options.connect - connectToBitBrowser 的连接选项
+   * @returns {Promise<Object>} - 会话信息
+   */
+  async connect(client, id, { created, ephemeral, connect }) {
+    let controller;
+    try {
+      controller = await this.manager.createSession(id, connect);
+    } catch (error) {
+      logger.error(`Error opening session ${id} for client ${client}: ${error.message}`, {
+        browserId: id,
+        stack: error.stack,
+        location: 'sessionRegistry.js:connect'
+      });
+      if (created) {
+        await this.provider.delete(id).catch(() => {});
+      }
+      throw error;
+    } finally {
+      this.opening.delete(id);
+    }
+
+    const now = new Date().toISOString();
+    const session = { id, client, ephemeral, createdAt: now, lastUsedAt: now, controller, tail: Promise.resolve(), detach: null, closing: null };
+    session.detach = this.forwardEvents(session);
+    this.sessions.set(id, session);
+    logger.info(`Client ${client} opened session ${id}${ephemeral ? ' (ephemeral)' : ''}`, { browserId: id });
+    this.publish(session, 'opened', {});
+    return this.describe(session);
+  }
+
+  /**
+   * 获取客户端自己的会话
+   * @param {string} id - 会话ID
+   * @param {string} client - 客户端名称
+   * @returns {Object} - 会话信息
+   * @throws {NotFoundError|SessionOwnershipError}
+   */
+  get(id, client) {
+    return this.describe(this.requireSession(id, client));
+  }
+
+  /**
+   * 列出客户端自己的会话
+   * @param {string} client - 客户端名称
+   * @returns {Array<Object>}
+   */
+  list(client) {
+    return [...this.sessions.values()].filter(session => session.client === client).map(session => this.describe(session));
+  }
+
+  /**
+   * 判断会话是否属于客户端
+   * @param {string} id - 会话ID
+   * @param {string} client - 客户端名称
+   * @returns {boolean}
+   */
+  owns(id, client) {
+    return this.sessions.get(id)?.client === client;
+  }
+
+  /**
+   * 在会话上执行操作，同一会话的操作依次执行
+   * @param {string} id - 会话ID
+   * @param {string} client - 客户端名称
+   * @param {Function} fn - async (controller) => result
+   * @returns {Promise<any>} - fn 的返回值
+   * @throws {NotFoundError|SessionOwnershipError}
+   */
+  async use(id, client, fn) {
+    const session = this.requireSession(id, client);
+    const run = session.tail.then(() => {
+      // 排队期间会话可能已被关闭
+      if (this.sessions.get(id) !== session) {
+        throw new NotFoundError(`Session ${id} was closed`);
+      }
+      session.lastUsedAt = new Date().toISOString();
+      return fn(session.controller);
+    });
+    session.tail = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 关闭会话，等待进行中的操作结束后断开连接；临时浏览器同时关闭并删除
+   * @param {string} id - 会话ID
+   * @param {string} client - 客户端名称
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.closeBrowser] - 同时关闭比特浏览器窗口，临时浏览器总是关闭
+   * @param {boolean} [options.deleteProfile] - 同时删除浏览器，默认取会话的 ephemeral
+   * @returns {Promise<{id: string, closed: boolean, browserClosed: boolean, deleted: boolean}>}
+   * @throws {NotFoundError|SessionOwnershipError}
+   */
+  async close(id, client, options = {}) {
+    const session = this.requireSession(id, client);
+    session.closing = session.closing || this.closeSession(session, options);
+    return session.closing;
+  }
+
+  /**
+   * 关闭所有会话，服务器停止时调用
+   * @returns {Promise<void>}
+   */
+  async closeAll() {
+    await Promise.allSettled([...this.sessions.values()].map(session => {
+      session.closing = session.closing || this.closeSession(session);
+      return session.closing;
+    }));
+  }
+
+  /**
+   * 关闭会话的实现，单个步骤失败不影响后续步骤
+   * @private
+   * @param {Object} session - 会话
+   * @param {Object} [options] - 见 close
+   * @returns {Promise<Object>}
+   */
+  async closeSession(session, options = {}) {
+    await session.tail;
+    const deleted = options.deleteProfile ?? session.ephemeral;
+    const browserClosed = Boolean(options.closeBrowser) || deleted;
+    const steps = [
+      // 重连失败的会话已被管理器移除，直接关闭控制器以删除运行时状态
+      ['disconnect', async () => (await this.manager.closeSession(session.id)) || session.controller.close()],
+      ...(browserClosed ? [['close', () => this.provider.close(session.id)]] : []),
+      ...(deleted ? [['delete', () => this.provider.delete(session.id)]] : [])
+    ];
+
+    let firstError = null;
+    for (const [name, step] of steps) {
+      try {
+        await step();
+      } catch (error) {
+        logger.error(`Failed to ${name} browser ${session.id} for client ${session.client}: ${error.message}`, {
+          browserId: session.id,
+          location: 'sessionRegistry.js:closeSession'
+        });
+        firstError = firstError || error;
+      }
+    }
+
+    this.remove(session);
+    if (firstError) {
+      throw firstError;
+    }
+    logger.info(`Client ${session.client} closed session ${session.id}`, { browserId: session.id });
+    return { id: session.id, closed: true, browserClosed, deleted };
+  }
+
+  /**
+   * 取出会话并检查归属
+   * @private
+   * @param {string} id - 会话ID
+   * @param {string} client - 客户端名称
+   * @returns {Object}
+   */
+  requireSession(id, client) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      throw new NotFoundError(`Session ${id} not found`);
+    }
+    if (session.client !== client) {
+      throw new SessionOwnershipError(id, session.client);
+    }
+    return session;
+  }
+
+  /**
+   * 从会话表中移除会话并停止转发事件
+   * @private
+   * @param {Object} session - 会话
+   */
+  remove(session) {
+    if (this.sessions.get(session.id) === session) {
+      this.sessions.delete(session.id);
+      session.detach();
+    }
+  }
+
+  /**
+   * 把控制器事件转发为 'event'，重连失败的会话不再可用，按关闭会话的步骤断开并移除，临时浏览器同时删除
+   * @private
+   * @param {Object} session - 会话
+   * @returns {Function} - 停止转发的函数
+   */
+  forwardEvents(session) {
+    const listeners = FORWARDED_EVENTS.map(type => {
+      const listener = payload => {
+        this.publish(session, type, serializeEvent(type, payload));
+        if (type === 'failed') {
+          // 失败原因已由 closeSession 记录
+          this.closeSession(session, { deleteProfile: session.ephemeral }).catch(() => {});
+        }
+      };
+      session.controller.on(type, listener);
+      return [type, listener];
+    });
+    return () => listeners.forEach(([type, listener]) => session.controller.off(type, listener));
+  }
+
+  /**
+   * 发布会话事件
+   * @private
+   * @param {Object} session - 会话
+   * @param {string} type - 事件名称
+   * @param {Object} data - 事件数据
+   */
+  publish(session, type, data) {
+    this.emit('event', { sessionId: session.id, client: session.client, type, data, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * 会话信息
+   * @private
+   * @param {Object} session - 会话
+   * @returns {Object}
+   */
+  describe(session) {
+    return {
+      id: session.id,
+      client: session.client,
+      ephemeral: session.ephemeral,
+      connected: session.controller.isConnected(),
+      url: session.controller.lastUrl ?? null,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt
+    };
+  }
+}
+
+export { SessionRegistry };
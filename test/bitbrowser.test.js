@@ -0,0 +1,160 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockBitBrowserServer } from '../mock/bitbrowserServer.js';
+import { BITBROWSER_CONFIG } from '../config/config.js';
+import {
+  createBrowser,
+  updateBrowser,
+  deleteBrowser,
+  closeBrowser,
+  listBrowsers,
+  iterateBrowsers,
+  getBrowserDetail,
+  getBrowserPids,
+  BitBrowserApiError,
+  BitBrowserConnectionError,
+  BitBrowserTimeoutError
+} from '../browser/bitbrowser.js';
+import { sleep } from '../utils/retry.js';
+
+describe('bitbrowser API client', () => {
+  const server = new MockBitBrowserServer();
+  const originalUrl = BITBROWSER_CONFIG.url;
+
+  before(async () => {
+    BITBROWSER_CONFIG.url = await server.start();
+  });
+
+  after(async () => {
+    BITBROWSER_CONFIG.url = originalUrl;
+    await server.stop();
+  });
+
+  test('createBrowser creates a profile with defaults', async () => {
+    const id = await createBrowser({ remark: 'created by test' });
+    const detail = await getBrowserDetail(id);
+
+    assert.equal(detail.id, id);
+    assert.equal(detail.name, 'puppeteer');
+    assert.equal(detail.remark, 'created by test');
+    assert.deepEqual(detail.browserFingerPrint, { coreVersion: '124' });
+  });
+
+  test('updateBrowser merges fingerprint fields', async () => {
+    const id = await createBrowser();
+    await updateBrowser({ ids: [id], remark: 'updated', browserFingerPrint: { ostype: 'PC' } });
+
+    const detail = await getBrowserDetail(id);
+    assert.equal(detail.remark, 'updated');
+    assert.deepEqual(detail.browserFingerPrint, { coreVersion: '124', ostype: 'PC' });
+  });
+
+  test('updateBrowser rejects empty ids', async () => {
+    await assert.rejects(updateBrowser({ ids: [] }), TypeError);
+  });
+
+  test('listBrowsers and iterateBrowsers page through all profiles', async () => {
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      ids.push(await createBrowser({ name: `paged-${i}` }));
+    }
+
+    const firstPage = await listBrowsers({ name: 'paged-', pageSize: 2 });
+    assert.equal(firstPage.list.length, 2);
+    assert.equal(firstPage.totalNum, 5);
+
+    const iterated = [];
+    for await (const browser of iterateBrowsers({ name: 'paged-', pageSize: 2 })) {
+      iterated.push(browser.id);
+    }
+    assert.deepEqual(iterated, ids);
+  });
+
+  test('deleteBrowser removes the profile', async () => {
+    const id = await createBrowser();
+    await deleteBrowser(id);
+
+    await assert.rejects(getBrowserDetail(id), error => {
+      assert.ok(error instanceof BitBrowserApiError);
+      assert.match(error.serverMessage, /not found/i);
+      return true;
+    });
+  });
+
+  test('closeBrowser on a profile that is not open succeeds', async () => {
+    const id = await createBrowser();
+    await closeBrowser(id);
+    assert.deepEqual(await getBrowserPids([id]), {});
+  });
+
+  test('connection failures surface as BitBrowserConnectionError', async () => {
+    const { url, retry } = BITBROWSER_CONFIG;
+    const closed = new MockBitBrowserServer();
+    BITBROWSER_CONFIG.url = await closed.start();
+    await closed.stop();
+    BITBROWSER_CONFIG.retry = { ...retry, retries: 1, minDelay: 1 };
+
+    try {
+      await assert.rejects(getBrowserDetail('missing'), BitBrowserConnectionError);
+    } finally {
+      BITBROWSER_CONFIG.url = url;
+      BITBROWSER_CONFIG.retry = retry;
+    }
+  });
+
+  describe('slow and failing responses', () => {
+    const { timeout, retry } = BITBROWSER_CONFIG;
+    const routes = { ...server.routes };
+
+    before(() => {
+      BITBROWSER_CONFIG.timeout = 50;
+      BITBROWSER_CONFIG.retry = { ...retry, retries: 1, minDelay: 1 };
+    });
+
+    after(() => {
+      BITBROWSER_CONFIG.timeout = timeout;
+      BITBROWSER_CONFIG.retry = retry;
+      Object.assign(server.routes, routes);
+    });
+
+    test('requests slower than the timeout surface as BitBrowserTimeoutError and are retried', async () => {
+      let calls = 0;
+      server.routes['/browser/detail'] = async () => {
+        calls++;
+        await sleep(200);
+        return { success: true, data: {} };
+      };
+
+      await assert.rejects(getBrowserDetail('slow'), error => {
+        assert.ok(error instanceof BitBrowserTimeoutError);
+        assert.equal(error.timeout, 50);
+        assert.equal(error.operation, 'browser detail');
+        assert.equal(error.retryable, true);
+        assert.match(error.message, /timed out after 50ms/);
+        return true;
+      });
+      assert.equal(calls, 2);
+    });
+
+    test('createBrowser is not retried after a timeout, so profiles are not created twice', async () => {
+      let calls = 0;
+      server.routes['/browser/update'] = async () => {
+        calls++;
+        await sleep(200);
+        return { success: true, data: { id: 'late' } };
+      };
+
+      await assert.rejects(createBrowser(), BitBrowserTimeoutError);
+      assert.equal(calls, 1);
+    });
+
+    test('only temporary errors are retryable', () => {
+      assert.equal(new BitBrowserApiError('busy', { status: 429 }).retryable, true);
+      assert.equal(new BitBrowserApiError('down', { status: 503 }).retryable, true);
+      assert.equal(new BitBrowserApiError('bad request', { status: 400 }).retryable, false);
+      assert.equal(new BitBrowserApiError('not found', { serverMessage: 'Browser not found' }).retryable, false);
+      assert.equal(new BitBrowserConnectionError('refused', { code: 'ECONNREFUSED' }).retryable, true);
+      assert.equal(new BitBrowserTimeoutError('slow', { timeout: 50 }).retryable, true);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fse from 'fs-extra';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ActivityLog, Screencast, captureFailureBundle, captureSnapshot } from '../browser/capture.js';
+import { PuppeteerController } from '../browser/puppeteer.js';
+import { CAPTURE_CONFIG } from '../config/config.js';
+
+/**
+ * 模拟页面，截图写入固定内容，evaluate 总是失败
+ */
+class FakePage extends EventEmitter {
+  constructor({ hangScreenshot = false } = {}) {
+    super();
+    this.hangScreenshot = hangScreenshot;
+    this.session = new FakeSession();
+  }
+
+  url() {
+    return 'https://example.com/checkout';
+  }
+
+  async screenshot({ path }) {
+    if (this.hangScreenshot) {
+      return new Promise(() => {});
+    }
+    await fse.outputFile(path, 'png');
+    return Buffer.from('png');
+  }
+
+  async content() {
+    return '<html><body>checkout</body></html>';
+  }
+
+  async evaluate() {
+    throw new Error('Execution context was destroyed');
+  }
+
+  async createCDPSession() {
+    return this.session;
+  }
+}
+
+/**
+ * 模拟 CDP 会话，记录发送的命令
+ */
+class FakeSession extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+
+  async send(method, params) {
+    this.sent.push([method, params]);
+    if (method === 'Page.captureSnapshot') {
+      return { data: 'MIME-Version: 1.0' };
+    }
+    return {};
+  }
+
+  async detach() {
+    this.sent.push(['detach']);
+  }
+}
+
+/**
+ * 模拟控制台消息
+ * @param {string} type - 消息类型
+ * @param {string} text - 内容
+ * @returns {Object}
+ */
+function consoleMessage(type, text) {
+  return { type: () => type, text: () => text, location: () => ({ url: 'https://example.com/app.js', lineNumber: 3 }) };
+}
+
+/**
+ * 模拟已完成的请求
+ * @param {string} url - URL
+ * @param {number} status - 状态码
+ * @returns {Object}
+ */
+function finishedRequest(url, status) {
+  return { method: () => 'GET', url: () => url, resourceType: () => 'fetch', response: () => ({ status: () => status }) };
+}
+
+describe('capture', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fse.mkdtemp(join(tmpdir(), 'capture-'));
+  });
+
+  after(async () => {
+    await fse.remove(dir);
+  });
+
+  test('ActivityLog keeps only the most recent entries per page', () => {
+    const page = new FakePage();
+    const activity = new ActivityLog({ consoleLogSize: 2, networkLogSize: 1 });
+    activity.attach(page);
+    activity.attach(page);
+
+    page.emit('console', consoleMessage('log', 'one'));
+    page.emit('console', consoleMessage('warn', 'two'));
+    page.emit('pageerror', new Error('boom'));
+    page.emit('requestfinished', finishedRequest('https://example.com/a', 200));
+    page.emit('requestfinished', finishedRequest('https://example.com/b', 500));
+
+    const { console, network } = activity.get(page);
+    assert.deepEqual(console.map(entry => [entry.type, entry.text]), [['warn', 'two'], ['pageerror', 'boom']]);
+    assert.equal(console[0].location, 'https://example.com/app.js:3');
+    assert.deepEqual(network.map(entry => [entry.url, entry.status]), [['https://example.com/b', 500]]);
+    assert.deepEqual(activity.get(new FakePage()), { console: [], network: [] });
+  });
+
+  test('captureFailureBundle saves what it can when the page does not respond', async () => {
+    const bundleDir = join(dir, 'hung');
+    const bundle = await captureFailureBundle(new FakePage({ hangScreenshot: true }), bundleDir, {
+      method: 'click',
+      error: new Error('Element not found'),
+      timeout: 50
+    });
+
+    assert.deepEqual(bundle.files, ['dom.html', 'console.json', 'network.json', 'error.json']);
+    assert.deepEqual(bundle.errors, { 'screenshot.png': 'Timed out after 50ms' });
+    const details = await fse.readJSON(join(bundleDir, 'error.json'));
+    assert.equal(details.method, 'click');
+    assert.equal(details.url, 'https://example.com/checkout');
+    assert.equal(details.error.message, 'Element not found');
+    assert.deepEqual(details.missing, bundle.errors);
+  });
+
+  test('captureSnapshot saves MHTML through CDP and rejects unknown formats', async () => {
+    const page = new FakePage();
+    const path = join(dir, 'page.mhtml');
+    assert.equal(await captureSnapshot(page, { path }), 'MIME-Version: 1.0');
+    assert.equal(await fse.readFile(path, 'utf8'), 'MIME-Version: 1.0');
+    assert.deepEqual(page.session.sent, [['Page.captureSnapshot', { format: 'mhtml' }], ['detach']]);
+
+    await assert.rejects(captureSnapshot(page, { format: 'pdf' }), /Invalid snapshot format "pdf"/);
+  });
+
+  test('Screencast writes and acknowledges every frame', async () => {
+    const page = new FakePage();
+    const screencast = new Screencast(page, join(dir, 'screencast'), { format: 'png', everyNthFrame: 2 });
+    await screencast.start();
+    page.session.emit('Page.screencastFrame', { data: Buffer.from('f1').toString('base64'), metadata: { timestamp: 1.5 }, sessionId: 1 });
+    page.session.emit('Page.screencastFrame', { data: Buffer.from('f2').toString('base64'), metadata: { timestamp: 1.6 }, sessionId: 2 });
+
+    assert.deepEqual(await screencast.stop(), { dir: join(dir, 'screencast'), frames: 2 });
+    // 停止时仍在写入的帧在停止后确认
+    assert.deepEqual(page.session.sent.map(([method]) => method).sort(), [
+      'Page.screencastFrameAck', 'Page.screencastFrameAck', 'Page.startScreencast', 'Page.stopScreencast', 'detach'
+    ]);
+    assert.deepEqual(page.session.sent[0][1], { format: 'png', quality: CAPTURE_CONFIG.screencastQuality, everyNthFrame: 2 });
+    assert.deepEqual(await fse.readJSON(join(dir, 'screencast', 'frames.json')), [
+      { file: 'frame-00001.png', timestamp: 1.5 },
+      { file: 'frame-00002.png', timestamp: 1.6 }
+    ]);
+    assert.equal(await fse.readFile(join(dir, 'screencast', 'frame-00002.png'), 'utf8'), 'f2');
+  });
+
+  test('controller methods save a failure bundle into the per-run directory', async () => {
+    const originalDir = CAPTURE_CONFIG.dir;
+    CAPTURE_CONFIG.dir = join(dir, 'runs');
+    const page = new FakePage();
+    const browser = Object.assign(new EventEmitter(), { connected: true, pages: async () => [page], disconnect: async () => {} });
+    const controller = new PuppeteerController();
+    controller.attach = async () => ({ browser, page, httpEndpoint: null });
+
+    try {
+      await controller.connectToBitBrowser('capture-test', { reconnect: false });
+      assert.match(controller.artifactDir, /capture-test-\d{4}-\d{2}-\d{2}T/);
+      page.emit('console', consoleMessage('error', 'Payment widget failed to load'));
+
+      const failures = [];
+      controller.on('failure', event => failures.push(event));
+      const error = await controller.evaluate(() => document.title).catch(error => error);
+
+      assert.equal(error.message, 'Execution context was destroyed');
+      assert.equal(error.failureBundle.dir, join(controller.artifactDir, 'failure-001-evaluate'));
+      assert.deepEqual(error.failureBundle.files, ['screenshot.png', 'dom.html', 'console.json', 'network.json', 'error.json']);
+      assert.equal(failures.length, 1);
+      const consoleLog = await fse.readJSON(join(error.failureBundle.dir, 'console.json'));
+      assert.equal(consoleLog[0].text, 'Payment widget failed to load');
+    } finally {
+      CAPTURE_CONFIG.dir = originalDir;
+      await controller.close();
+    }
+  });
+});
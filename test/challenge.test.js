@@ -0,0 +1,338 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter, once } from 'events';
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import fse from 'fs-extra';
+import { classifyChallenge, waitForChallengeResolution, ChallengeError } from '../browser/challenge.js';
+import { readChallengeStats, listChallengeStats, resetChallengeStats } from '../browser/challengeStats.js';
+import { createBrowser, closeBrowser, deleteBrowser } from '../browser/bitbrowser.js';
+import { PuppeteerController } from '../browser/puppeteer.js';
+import { MockBitBrowserServer } from '../mock/bitbrowserServer.js';
+import { BITBROWSER_CONFIG, CAPTURE_CONFIG, CHALLENGE_CONFIG } from '../config/config.js';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'challenges');
+
+// 端到端测试需要本地 Chromium，通过 CHROME_PATH 指定
+const skip = process.env.CHROME_PATH ? false : 'CHROME_PATH is not set';
+
+// 各类页面的信号，与 fixtures/challenges 中的页面对应
+const SIGNALS = {
+  normal: { title: 'Example Domain', text: 'This domain is for use in illustrative examples.', matched: [], tokens: [] },
+  interstitial: { title: 'Just a moment...', text: 'needs to review the security of your connection', matched: ['cloudflareChallenge'], tokens: [] },
+  turnstile: { title: 'Sign in', text: 'Sign in', matched: ['turnstile'], tokens: [] },
+  turnstileSolved: { title: 'Sign in', text: 'Sign in', matched: ['turnstile'], tokens: ['turnstile'] },
+  captcha: { title: 'Contact us', text: 'Send', matched: ['recaptcha'], tokens: [] },
+  blocked: { title: 'Attention Required! | Cloudflare', text: 'Sorry, you have been blocked', matched: ['cloudflareError'], tokens: [] }
+};
+
+/**
+ * 模拟页面，每次 evaluate 依次返回给定的信号，信号为 Error 时抛出
+ */
+class FakePage extends EventEmitter {
+  /**
+   * @param {Array<Object|Error>} sequence - 依次返回的信号，最后一项重复返回
+   * @param {Object} [response] - goto 返回的响应 { status, headers }
+   */
+  constructor(sequence, response = { status: 200, headers: {} }) {
+    super();
+    this.sequence = [...sequence];
+    this.response = response;
+    this.currentUrl = 'about:blank';
+    this.frame = { url: () => this.currentUrl };
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  mainFrame() {
+    return this.frame;
+  }
+
+  async goto(url) {
+    this.currentUrl = url;
+    return { status: () => this.response.status, headers: () => this.response.headers };
+  }
+
+  async evaluate() {
+    const next = this.sequence.length > 1 ? this.sequence.shift() : this.sequence[0];
+    if (next instanceof Error) {
+      throw next;
+    }
+    return next;
+  }
+}
+
+/**
+ * 模拟浏览器，只有一个标签页
+ */
+class FakeBrowser extends EventEmitter {
+  constructor(page) {
+    super();
+    this.connected = true;
+    this.page = page;
+  }
+
+  async pages() {
+    return [this.page];
+  }
+
+  targets() {
+    return [];
+  }
+
+  async disconnect() {
+    this.connected = false;
+  }
+}
+
+/**
+ * 创建连接到模拟页面的控制器，浏览器详情中的代理计入代理统计
+ * @param {string} browserId - 浏览器ID
+ * @param {FakePage} page - 页面
+ * @returns {Promise<PuppeteerController>}
+ */
+async function connect(browserId, page) {
+  const provider = {
+    name: 'fake',
+    get: async () => ({ proxyType: 'socks5', host: '10.0.0.9', port: '1080', proxyUserName: 'user' })
+  };
+  const controller = new PuppeteerController(null, { provider });
+  controller.attach = async () => ({ browser: new FakeBrowser(page), page, httpEndpoint: null });
+  await controller.connectToBitBrowser(browserId, { reconnect: false });
+  return controller;
+}
+
+describe('classifyChallenge', () => {
+  test('recognises interstitials, widgets, captchas and block pages', () => {
+    assert.equal(classifyChallenge(SIGNALS.normal), null);
+    assert.deepEqual(classifyChallenge(SIGNALS.interstitial, { status: 403, headers: { 'cf-mitigated': 'challenge' } }), {
+      type: 'interstitial',
+      vendor: 'cloudflare',
+      evidence: ['cf-mitigated: challenge', '#challenge-form', 'title "Just a moment..."'],
+      solved: false
+    });
+    assert.equal(classifyChallenge(SIGNALS.turnstile).type, 'turnstile');
+    assert.equal(classifyChallenge(SIGNALS.turnstileSolved).solved, true);
+    assert.equal(classifyChallenge(SIGNALS.captcha).vendor, 'recaptcha');
+    assert.equal(classifyChallenge({ ...SIGNALS.normal, title: 'Are you a robot?' }).type, 'captcha');
+    assert.equal(classifyChallenge(SIGNALS.blocked).type, 'blocked');
+    assert.equal(classifyChallenge({ ...SIGNALS.normal, title: '403 Forbidden', text: 'Access denied' }, { status: 403 }).type, 'blocked');
+  });
+
+  test('ignores generic titles and texts without other evidence', () => {
+    assert.equal(classifyChallenge({ ...SIGNALS.normal, title: 'Please wait while we load your cart' }), null);
+    assert.equal(classifyChallenge({ ...SIGNALS.normal, text: 'Access denied errors are explained in our FAQ' }), null);
+    assert.equal(classifyChallenge({ ...SIGNALS.normal, title: 'Please wait' }, { status: 503 }).type, 'interstitial');
+  });
+});
+
+describe('waitForChallengeResolution', () => {
+  test('reports solved once the interstitial is replaced, even across navigations', async () => {
+    const page = new FakePage([SIGNALS.interstitial, new Error('Execution context was destroyed'), SIGNALS.normal]);
+    const outcome = await waitForChallengeResolution(page, { timeout: 1000, pollInterval: 1 });
+    assert.equal(outcome.type, 'interstitial');
+    assert.equal(outcome.result, 'solved');
+    assert.equal(typeof outcome.durationMs, 'number');
+  });
+
+  test('reports blocked, timeout and pending results', async () => {
+    const blocked = new FakePage([SIGNALS.interstitial, SIGNALS.interstitial, SIGNALS.blocked]);
+    assert.equal((await waitForChallengeResolution(blocked, { timeout: 1000, pollInterval: 1 })).result, 'blocked');
+
+    const stuck = new FakePage([SIGNALS.turnstile]);
+    assert.equal((await waitForChallengeResolution(stuck, { timeout: 30, pollInterval: 5 })).result, 'timeout');
+    assert.equal((await waitForChallengeResolution(stuck, { timeout: 0 })).result, 'pending');
+
+    assert.equal(await waitForChallengeResolution(new FakePage([SIGNALS.normal])), null);
+  });
+});
+
+describe('PuppeteerController challenge detection', () => {
+  const originalStatsDir = CHALLENGE_CONFIG.statsDir;
+  const originalRecordStats = CHALLENGE_CONFIG.recordStats;
+  const originalPollInterval = CHALLENGE_CONFIG.pollInterval;
+  // 模拟页面无法截图，这里不保存失败现场，见 capture.test.js
+  const captureOnFailure = CAPTURE_CONFIG.onFailure;
+  let statsDir;
+
+  before(async () => {
+    statsDir = await fse.mkdtemp(join(tmpdir(), 'challenge-stats-'));
+    CHALLENGE_CONFIG.statsDir = statsDir;
+    CHALLENGE_CONFIG.recordStats = true;
+    CHALLENGE_CONFIG.pollInterval = 1;
+    CAPTURE_CONFIG.onFailure = false;
+  });
+
+  after(async () => {
+    CHALLENGE_CONFIG.statsDir = originalStatsDir;
+    CHALLENGE_CONFIG.recordStats = originalRecordStats;
+    CHALLENGE_CONFIG.pollInterval = originalPollInterval;
+    CAPTURE_CONFIG.onFailure = captureOnFailure;
+    await fse.remove(statsDir);
+  });
+
+  test('navigateTo returns the outcome, emits challenge events and counts them per profile and proxy', async () => {
+    const page = new FakePage([SIGNALS.normal]);
+    const controller = await connect('challenge-a', page);
+    const events = [];
+    controller.on('challenge', event => events.push(event));
+
+    assert.equal(await controller.navigateTo('https://example.com/'), null);
+
+    page.sequence = [SIGNALS.interstitial, SIGNALS.interstitial, SIGNALS.normal];
+    const solved = await controller.navigateTo('https://example.com/protected');
+    assert.equal(solved.result, 'solved');
+    assert.deepEqual(events.map(event => [event.browserId, event.type, event.result]), [['challenge-a', 'interstitial', 'solved']]);
+
+    // 其他验证码不等待，之后等待到的结果计为同一次验证
+    page.sequence = [SIGNALS.captcha, SIGNALS.captcha, { ...SIGNALS.captcha, tokens: ['recaptcha'] }];
+    assert.equal((await controller.navigateTo('https://example.com/contact')).result, 'pending');
+    assert.equal((await controller.waitForChallengeResolution(1000)).result, 'solved');
+
+    const stats = await readChallengeStats('challenge-a');
+    assert.equal(stats.navigations, 3);
+    assert.equal(stats.challenges, 2);
+    assert.equal(stats.solved, 2);
+    assert.equal(stats.pending, 0);
+    assert.deepEqual(stats.byType, { interstitial: 1, captcha: 1 });
+    assert.equal(stats.proxies['socks5://user@10.0.0.9:1080'].challenges, 2);
+
+    assert.equal(await controller.navigateTo('https://example.com/', { challenge: false }), null);
+    await controller.close();
+  });
+
+  test('failOnUnresolved throws ChallengeError with the outcome', async () => {
+    const page = new FakePage([SIGNALS.blocked], { status: 403, headers: { server: 'cloudflare' } });
+    const controller = await connect('challenge-b', page);
+
+    const error = await controller.navigateTo('https://example.com/', { challenge: { failOnUnresolved: true } }).catch(caught => caught);
+    assert.ok(error instanceof ChallengeError);
+    assert.equal(error.outcome.type, 'blocked');
+    assert.equal(error.outcome.result, 'blocked');
+
+    page.sequence = [SIGNALS.turnstile];
+    assert.equal((await controller.navigateTo('https://example.com/login', { challenge: { timeout: 20 } })).result, 'timeout');
+    await controller.close();
+  });
+
+  test('counts a pending challenge solved before waiting as solved', async () => {
+    const page = new FakePage([SIGNALS.captcha]);
+    const controller = await connect('challenge-c', page);
+
+    assert.equal((await controller.navigateTo('https://example.com/contact')).result, 'pending');
+    // 验证码已被手动处理，页面已离开验证页
+    page.sequence = [SIGNALS.normal];
+    const outcome = await controller.waitForChallengeResolution(1000);
+    assert.equal(outcome.type, 'captcha');
+    assert.equal(outcome.result, 'solved');
+    assert.equal(await controller.waitForChallengeResolution(1000), null);
+
+    const stats = await readChallengeStats('challenge-c');
+    assert.equal(stats.challenges, 1);
+    assert.equal(stats.solved, 1);
+    assert.equal(stats.pending, 0);
+    await controller.close();
+    await resetChallengeStats('challenge-c');
+  });
+
+  test('does not record stats unless enabled', async () => {
+    CHALLENGE_CONFIG.recordStats = false;
+    try {
+      const controller = await connect('challenge-d', new FakePage([SIGNALS.captcha]));
+      assert.equal((await controller.navigateTo('https://example.com/')).result, 'pending');
+      assert.equal(await readChallengeStats('challenge-d'), null);
+      await controller.close();
+    } finally {
+      CHALLENGE_CONFIG.recordStats = true;
+    }
+  });
+
+  test('lists stats by profile and by proxy, worst first', async () => {
+    const profiles = await listChallengeStats();
+    assert.deepEqual(profiles.map(row => [row.browserId, row.challengeRate, row.failureRate]), [
+      ['challenge-b', 1, 1],
+      ['challenge-a', 0.667, 0]
+    ]);
+
+    const [proxy] = await listChallengeStats({ by: 'proxy' });
+    assert.equal(proxy.proxy, 'socks5://user@10.0.0.9:1080');
+    assert.equal(proxy.navigations, 5);
+    assert.equal(proxy.blocked, 1);
+    assert.deepEqual(proxy.browserIds.sort(), ['challenge-a', 'challenge-b']);
+
+    await resetChallengeStats('challenge-b');
+    assert.equal(await readChallengeStats('challenge-b'), null);
+    await assert.rejects(listChallengeStats({ by: 'group' }), /Invalid challenge stats grouping/);
+  });
+});
+
+describe('challenge detection on fixture pages', { skip }, () => {
+  const bitbrowser = new MockBitBrowserServer();
+  const originalUrl = BITBROWSER_CONFIG.url;
+  const originalStatsDir = CHALLENGE_CONFIG.statsDir;
+  let site;
+  let baseUrl;
+
+  before(async () => {
+    BITBROWSER_CONFIG.url = await bitbrowser.start();
+    CHALLENGE_CONFIG.statsDir = '';
+    // 按路径返回 fixtures/challenges 中的页面，全页验证和拦截页带上 Cloudflare 的状态码和响应头
+    site = createServer(async (req, res) => {
+      const name = req.url.slice(1);
+      if (name === 'ok') {
+        res.end('<title>Welcome</title><h1>ok</h1>');
+        return;
+      }
+      const html = await fse.readFile(join(FIXTURES, `${name}.html`), 'utf8').catch(() => null);
+      const headers = { 'Content-Type': 'text/html', server: 'cloudflare' };
+      if (name === 'interstitial') {
+        headers['cf-mitigated'] = 'challenge';
+      }
+      res.writeHead(html === null ? 404 : ['interstitial', 'blocked'].includes(name) ? 403 : 200, headers);
+      res.end(html || 'not found');
+    });
+    site.listen(0, '127.0.0.1');
+    await once(site, 'listening');
+    baseUrl = `http://127.0.0.1:${site.address().port}`;
+  });
+
+  after(async () => {
+    BITBROWSER_CONFIG.url = originalUrl;
+    CHALLENGE_CONFIG.statsDir = originalStatsDir;
+    site.close();
+    await bitbrowser.stop();
+  });
+
+  test('detects and waits for each kind of challenge', async () => {
+    const browserId = await createBrowser({});
+    const controller = new PuppeteerController();
+
+    try {
+      await controller.connectToBitBrowser(browserId, { headless: true, args: [] });
+      const options = { waitUntil: 'load', challenge: { timeout: 5000 } };
+
+      const interstitial = await controller.navigateTo(`${baseUrl}/interstitial`, options);
+      assert.deepEqual([interstitial.type, interstitial.result], ['interstitial', 'solved']);
+      assert.equal(await controller.evaluate(() => document.title), 'Welcome');
+
+      const turnstile = await controller.navigateTo(`${baseUrl}/turnstile`, options);
+      assert.deepEqual([turnstile.type, turnstile.result], ['turnstile', 'solved']);
+
+      const captcha = await controller.navigateTo(`${baseUrl}/captcha`, options);
+      assert.deepEqual([captcha.vendor, captcha.result], ['recaptcha', 'pending']);
+
+      const blocked = await controller.navigateTo(`${baseUrl}/blocked`, options);
+      assert.deepEqual([blocked.type, blocked.result], ['blocked', 'blocked']);
+
+      assert.equal(await controller.navigateTo(`${baseUrl}/ok`, options), null);
+    } finally {
+      await controller.close();
+      await closeBrowser(browserId);
+      await deleteBrowser(browserId);
+    }
+  });
+});
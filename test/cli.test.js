@@ -0,0 +1,217 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import fse from 'fs-extra';
+import { MockBitBrowserServer } from '../mock/bitbrowserServer.js';
+import { BITBROWSER_CONFIG, QUEUE_CONFIG, PROVIDER_CONFIG, CHALLENGE_CONFIG, configure } from '../config/config.js';
+import { recordChallengeStats } from '../browser/challengeStats.js';
+import { runCli, EXIT_CODES } from '../cli/index.js';
+
+/**
+ * 执行命令行并捕获stdout
+ * @param {Array<string>} argv - 命令行参数
+ * @returns {Promise<{exitCode: number, stdout: string}>}
+ */
+async function run(argv) {
+  let stdout = '';
+  const capture = { write: chunk => { stdout += chunk; return true; } };
+  const discard = { write: () => true };
+  const exitCode = await runCli(argv, { stdout: capture, stderr: discard });
+  return { exitCode, stdout };
+}
+
+describe('cli', () => {
+  const server = new MockBitBrowserServer();
+  const originalUrl = BITBROWSER_CONFIG.url;
+
+  before(async () => {
+    BITBROWSER_CONFIG.url = await server.start();
+  });
+
+  after(async () => {
+    BITBROWSER_CONFIG.url = originalUrl;
+    await server.stop();
+  });
+
+  test('create, update, list and delete with JSON output', async () => {
+    const created = await run(['create', '--remark', 'cli', '--proxy-type', 'http', '--host', '10.0.0.1', '--port', '8080', '--core-version', '120', '--json']);
+    assert.equal(created.exitCode, EXIT_CODES.OK);
+    const { id } = JSON.parse(created.stdout);
+
+    const profile = server.profiles.get(id);
+    assert.equal(profile.host, '10.0.0.1');
+    assert.deepEqual(profile.browserFingerPrint, { coreVersion: '120' });
+
+    const updated = await run(['update', id, '--remark', 'cli-updated', '--json']);
+    assert.equal(updated.exitCode, EXIT_CODES.OK);
+    assert.equal(server.profiles.get(id).remark, 'cli-updated');
+
+    const listed = await run(['list', '--remark', 'cli-updated', '--json']);
+    assert.deepEqual(JSON.parse(listed.stdout).map(browser => browser.id), [id]);
+
+    const deleted = await run(['delete', id, '--json']);
+    assert.deepEqual(JSON.parse(deleted.stdout), { id, deleted: true });
+  });
+
+  test('exit codes distinguish usage and API errors', async () => {
+    assert.equal((await run(['update', '--remark', 'x'])).exitCode, EXIT_CODES.USAGE);
+    assert.equal((await run(['--unknown-flag'])).exitCode, EXIT_CODES.USAGE);
+    assert.equal((await run(['nope'])).exitCode, EXIT_CODES.USAGE);
+
+    const missing = await run(['delete', 'missing', '--json']);
+    assert.equal(missing.exitCode, EXIT_CODES.API);
+    assert.equal(JSON.parse(missing.stdout).error.name, 'BitBrowserApiError');
+  });
+
+  test('run --close closes the profile when connecting fails', async () => {
+    const { id } = JSON.parse((await run(['create', '--json'])).stdout);
+    const file = join(tmpdir(), `cli-script-${process.pid}.mjs`);
+    const { '/browser/open': open, '/browser/close': close } = server.routes;
+    const closed = [];
+    server.routes['/browser/open'] = () => ({ success: false, msg: 'profile is locked' });
+    server.routes['/browser/close'] = (body) => {
+      closed.push(body.id);
+      return close(body);
+    };
+
+    try {
+      await fse.writeFile(file, 'export default async () => {};\n');
+      const result = await run(['run', file, '--profile', id, '--close']);
+      assert.equal(result.exitCode, EXIT_CODES.API);
+      assert.deepEqual(closed, [id]);
+    } finally {
+      Object.assign(server.routes, { '/browser/open': open, '/browser/close': close });
+      await fse.remove(file);
+      await run(['delete', id]);
+    }
+  });
+
+  test('fingerprint presets can be listed and applied on create', async () => {
+    const listed = await run(['fingerprint', 'list', '--json']);
+    assert.equal(listed.exitCode, EXIT_CODES.OK);
+    assert.ok(JSON.parse(listed.stdout).some(preset => preset.id === 'win10-chrome124-en-us'));
+
+    const created = await run(['create', '--fingerprint', 'win10-chrome124-en-us', '--json']);
+    assert.equal(created.exitCode, EXIT_CODES.OK);
+    assert.equal(server.profiles.get(JSON.parse(created.stdout).id).browserFingerPrint.os, 'Win32');
+
+    assert.equal((await run(['create', '--fingerprint', 'missing-preset'])).exitCode, EXIT_CODES.USAGE);
+  });
+
+  test('--provider local manages profiles in the local data directory', async () => {
+    const dir = await fse.mkdtemp(join(tmpdir(), 'cli-local-'));
+    const originalType = PROVIDER_CONFIG.type;
+    const originalDir = PROVIDER_CONFIG.local.dataDir;
+    PROVIDER_CONFIG.local.dataDir = dir;
+    try {
+      const created = await run(['create', '--remark', 'dev box', '--provider', 'local', '--json']);
+      assert.equal(created.exitCode, EXIT_CODES.OK);
+      const { id } = JSON.parse(created.stdout);
+      assert.equal((await fse.readJSON(join(dir, `${id}.json`))).remark, 'dev box');
+      assert.equal(server.profiles.has(id), false);
+
+      const listed = await run(['list', '--json']);
+      assert.deepEqual(JSON.parse(listed.stdout).map(browser => browser.id), [id]);
+      assert.equal((await run(['update', id, '--proxy-type', 'ssh', '--host', '10.0.0.1', '--port', '22'])).exitCode, EXIT_CODES.USAGE);
+      assert.equal((await run(['debug-info', id])).exitCode, EXIT_CODES.USAGE);
+
+      assert.deepEqual(JSON.parse((await run(['delete', id, '--json'])).stdout), { id, deleted: true });
+      assert.equal((await run(['delete', id])).exitCode, EXIT_CODES.API);
+      assert.equal((await run(['list', '--provider', 'nope'])).exitCode, EXIT_CODES.CONFIG);
+    } finally {
+      configure({ provider: { type: originalType } });
+      PROVIDER_CONFIG.local.dataDir = originalDir;
+      await fse.remove(dir);
+    }
+  });
+
+  test('queue add, schedule, list and cancel jobs in the queue file', async () => {
+    const dir = await fse.mkdtemp(join(tmpdir(), 'cli-queue-'));
+    const originalFile = QUEUE_CONFIG.file;
+    QUEUE_CONFIG.file = join(dir, 'queue.json');
+    try {
+      const added = await run(['queue', 'add', '--script', 'scripts/login.js', '--profile', 'abc', '--var', 'user=alice', '--retries', '0', '--json']);
+      assert.equal(added.exitCode, EXIT_CODES.OK);
+      const job = JSON.parse(added.stdout);
+      assert.equal(job.status, 'queued');
+      assert.equal(job.profile, 'abc');
+
+      const saved = (await fse.readJSON(QUEUE_CONFIG.file)).jobs[0];
+      assert.equal(saved.script, join(process.cwd(), 'scripts/login.js'));
+      assert.deepEqual(saved.payload, { user: 'alice' });
+      assert.equal(saved.retries, 0);
+
+      const scheduled = await run(['queue', 'schedule', 'nightly', '0 3 * * *', '--workflow', 'flows/check.yaml', '--profile', 'abc', '--json']);
+      assert.equal(JSON.parse(scheduled.stdout).cron, '0 3 * * *');
+      assert.equal((await run(['queue', 'schedule', 'bad', '0 25 * * *', '--workflow', 'flows/check.yaml'])).exitCode, EXIT_CODES.USAGE);
+      assert.equal((await run(['queue', 'add', '--profile', 'abc'])).exitCode, EXIT_CODES.USAGE);
+
+      const cancelled = await run(['queue', 'cancel', job.id, '--json']);
+      assert.deepEqual(JSON.parse(cancelled.stdout), { id: job.id, cancelled: true });
+      assert.equal((await run(['queue', 'cancel', job.id])).exitCode, EXIT_CODES.USAGE);
+
+      const listed = await run(['queue', 'list', '--status', 'cancelled', '--json']);
+      assert.deepEqual(JSON.parse(listed.stdout).map(item => item.id), [job.id]);
+      const schedules = await run(['queue', 'schedules', '--json']);
+      assert.deepEqual(JSON.parse(schedules.stdout).map(item => [item.name, item.cron]), [['nightly', '0 3 * * *']]);
+      assert.match((await run(['queue', 'schedules'])).stdout, /^nightly\t0 3 \* \* \*\t\d{4}-[^\t]+\t\n$/);
+    } finally {
+      QUEUE_CONFIG.file = originalFile;
+      await fse.remove(dir);
+    }
+  });
+
+  test('manifest plan, apply and export manage marked profiles from a file', async () => {
+    const dir = await fse.mkdtemp(join(tmpdir(), 'cli-manifest-'));
+    const file = join(dir, 'profiles.yaml');
+    try {
+      await fse.writeFile(file, 'version: 1\nprofiles:\n  - key: cli-managed\n    remark: from manifest\n    proxy: http://10.0.0.5:8080\n');
+
+      const plan = JSON.parse((await run(['manifest', 'plan', file, '--json'])).stdout);
+      assert.deepEqual(plan, [{ key: 'cli-managed', action: 'create', id: null, changes: [], reason: null }]);
+      assert.equal((await run(['manifest', 'plan', file])).stdout, 'cli-managed\tcreate\t\t\n');
+      const applied = JSON.parse((await run(['manifest', 'apply', file, '--json'])).stdout);
+      assert.deepEqual(applied.map(item => [item.key, item.action, item.status, item.error]), [['cli-managed', 'create', 'ok', null]]);
+      assert.equal(server.profiles.get(applied[0].id).host, '10.0.0.5');
+      assert.deepEqual(JSON.parse((await run(['manifest', 'plan', file, '--json'])).stdout).map(item => [item.action, item.id]), [['noop', applied[0].id]]);
+
+      const exported = await run(['manifest', 'export', '--managed']);
+      assert.match(exported.stdout, /key: cli-managed/);
+      assert.deepEqual(JSON.parse((await run(['manifest', 'export', join(dir, 'out.json'), '--json'])).stdout).file, join(dir, 'out.json'));
+
+      await fse.writeFile(file, 'profiles:\n  - name: missing key\n');
+      assert.equal((await run(['manifest', 'plan', file])).exitCode, EXIT_CODES.USAGE);
+      await fse.writeFile(file, 'profiles: []\n');
+      assert.deepEqual(JSON.parse((await run(['manifest', 'plan', file, '--no-prune', '--json'])).stdout), []);
+      assert.equal((await run(['manifest', 'apply', file])).stdout, `cli-managed\tdelete\t${applied[0].id}\tok\t\n`);
+      assert.equal(server.profiles.has(applied[0].id), false);
+    } finally {
+      await fse.remove(dir);
+    }
+  });
+
+  test('challenges lists and resets challenge stats by profile and proxy', async () => {
+    const dir = await fse.mkdtemp(join(tmpdir(), 'cli-challenges-'));
+    const originalDir = CHALLENGE_CONFIG.statsDir;
+    CHALLENGE_CONFIG.statsDir = dir;
+    try {
+      const outcome = { type: 'interstitial', result: 'timeout', durationMs: 30000, detectedAt: new Date().toISOString() };
+      await recordChallengeStats('calm', { navigation: true, proxy: 'http://10.0.0.1:8080' });
+      await recordChallengeStats('busy', { navigation: true, outcome, proxy: 'http://10.0.0.2:8080' });
+
+      const profiles = JSON.parse((await run(['challenges', '--json'])).stdout);
+      assert.deepEqual(profiles.map(row => [row.id, row.challenges, row.failureRate]), [['busy', 1, 1], ['calm', 0, 0]]);
+      assert.match((await run(['challenges'])).stdout, /^busy\t1\t1\t\d{4}-[^\t]+\ncalm\t0\t0\t\n$/);
+      const proxies = JSON.parse((await run(['challenges', 'busy', '--by', 'proxy', '--json'])).stdout);
+      assert.deepEqual(proxies.map(row => row.id), ['http://10.0.0.2:8080']);
+      assert.equal((await run(['challenges', '--by', 'group'])).exitCode, EXIT_CODES.USAGE);
+
+      assert.deepEqual(JSON.parse((await run(['challenges', 'busy', '--reset', '--json'])).stdout), [{ id: 'busy', reset: true }]);
+      assert.deepEqual(JSON.parse((await run(['challenges', '--json'])).stdout).map(row => row.id), ['calm']);
+    } finally {
+      CHALLENGE_CONFIG.statsDir = originalDir;
+      await fse.remove(dir);
+    }
+  });
+});
@@ -0,0 +1,92 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import fse from 'fs-extra';
+import { loadConfig, ConfigError } from '../config/loader.js';
+import { BITBROWSER_CONFIG, LOGGER_CONFIG, configure, getConfigSource } from '../config/config.js';
+
+describe('layered configuration', () => {
+  const dir = join(tmpdir(), `config-test-${process.pid}`);
+
+  after(async () => {
+    await fse.remove(dir);
+  });
+
+  test('uses schema defaults when nothing is configured', () => {
+    const { config, file } = loadConfig({ env: {}, cwd: dir, file: null });
+    assert.equal(file, null);
+    assert.equal(config.bitbrowser.url, 'http://127.0.0.1:54345');
+    assert.equal(config.bitbrowser.retry.retries, 3);
+    assert.equal(config.logger.level, 'info');
+  });
+
+  test('applies config file, then env vars, then overrides', async () => {
+    await fse.outputFile(join(dir, 'bitbrowser.config.yaml'), [
+      'bitbrowser:',
+      '  url: http://127.0.0.1:50000',
+      '  timeout: 1000',
+      'logger:',
+      '  level: debug'
+    ].join('\n'));
+
+    const { config, sources, file } = loadConfig({
+      cwd: dir,
+      env: { BITBROWSER_TIMEOUT: '2000', PUPPETEER_HEADLESS: 'true' },
+      overrides: { logger: { level: 'error' } }
+    });
+
+    assert.equal(file, join(dir, 'bitbrowser.config.yaml'));
+    assert.equal(config.bitbrowser.url, 'http://127.0.0.1:50000');
+    assert.equal(config.bitbrowser.timeout, 2000);
+    assert.equal(config.puppeteer.headless, true);
+    assert.equal(config.logger.level, 'error');
+    assert.equal(config.bitbrowser.retry.retries, 3);
+    assert.equal(sources['bitbrowser.url'], `config file ${file}`);
+    assert.equal(sources['bitbrowser.timeout'], 'env BITBROWSER_TIMEOUT');
+    assert.equal(sources['logger.level'], 'overrides');
+  });
+
+  test('reports every invalid value with its source', async () => {
+    const file = join(dir, 'invalid.json');
+    await fse.outputJSON(file, { bitbrowser: { url: 'not a url', unknown: true } });
+
+    assert.throws(
+      () => loadConfig({ file, env: { MAX_CONCURRENCY: '0', LOG_LEVEL: 'loud' } }),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.issues.map(issue => issue.path).sort(), [
+          'bitbrowser.unknown',
+          'bitbrowser.url',
+          'logger.level',
+          'sessionManager.maxConcurrency'
+        ]);
+        assert.match(error.message, /sessionManager\.maxConcurrency: must be >= 1, got 0 \(from env MAX_CONCURRENCY\)/);
+        return true;
+      }
+    );
+  });
+
+  test('rejects unreadable or malformed config files', async () => {
+    const file = join(dir, 'broken.json');
+    await fse.outputFile(file, '{ "bitbrowser": ');
+
+    assert.throws(() => loadConfig({ file, env: {} }), /Cannot parse config file/);
+    assert.throws(() => loadConfig({ file: join(dir, 'missing.yaml'), env: {} }), /Cannot read config file/);
+  });
+
+  test('configure updates exported config objects in place and keeps them on error', () => {
+    const url = BITBROWSER_CONFIG.url;
+
+    configure({ bitbrowser: { url: 'http://127.0.0.1:54399' }, logger: { level: 'warn' } });
+    assert.equal(BITBROWSER_CONFIG.url, 'http://127.0.0.1:54399');
+    assert.equal(LOGGER_CONFIG.level, 'warn');
+    assert.equal(LOGGER_CONFIG.format, 'pretty');
+    assert.equal(getConfigSource('bitbrowser.url'), 'overrides');
+
+    assert.throws(() => configure({ bitbrowser: { timeout: -1 } }), ConfigError);
+    assert.equal(BITBROWSER_CONFIG.url, 'http://127.0.0.1:54399');
+
+    configure({ bitbrowser: { url } });
+  });
+});
@@ -0,0 +1,261 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { MockBitBrowserServer } from '../mock/bitbrowserServer.js';
+import { BITBROWSER_CONFIG, EPHEMERAL_BROWSER_CONFIG, ConfigError } from '../config/config.js';
+import { ControlServer, OPENAPI_SPEC } from '../server/index.js';
+import { ROUTES } from '../server/controlServer.js';
+import { getLogger } from '../utils/logger.js';
+
+const TOKENS = { billing: 'billing-token', crawler: 'crawler-token' };
+
+/**
+ * 模拟控制器，记录调用顺序，导航时输出带浏览器ID的日志
+ */
+class FakeController extends EventEmitter {
+  constructor(browserId, calls) {
+    super();
+    this.browserId = browserId;
+    this.calls = calls;
+    this.connected = false;
+    this.lastUrl = null;
+  }
+
+  async connectToBitBrowser() {
+    this.connected = true;
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  async navigateTo(url, options) {
+    this.calls.push(['navigate:start', url, options]);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    getLogger('test', { browserId: this.browserId }).info(`Navigated to ${url}`);
+    this.lastUrl = url;
+    this.calls.push(['navigate:end', url]);
+  }
+
+  async evaluate(options, expression) {
+    if (expression === 'brokenWidget()') {
+      const error = new Error('brokenWidget is not defined');
+      error.failureBundle = { dir: '/artifacts/failure-001-evaluate' };
+      throw error;
+    }
+    if (expression === 'slow()') {
+      const error = new Error('Timed out after 10ms waiting for selector "#done" to be visible');
+      error.name = 'WaitTimeoutError';
+      throw error;
+    }
+    return { expression, tab: options.tab ?? null };
+  }
+
+  async takeScreenshot(options) {
+    this.calls.push(['screenshot', options]);
+    return new Uint8Array([137, 80, 78, 71]);
+  }
+
+  async getCookies() {
+    return [{ name: 'sid', value: 'abc', domain: '.example.com' }];
+  }
+
+  async close() {
+    this.connected = false;
+    this.emit('closed', this.browserId);
+  }
+}
+
+describe('control API', () => {
+  const bitbrowser = new MockBitBrowserServer();
+  const originalUrl = BITBROWSER_CONFIG.url;
+  const calls = [];
+  let server;
+  let baseUrl;
+
+  /**
+   * 以指定客户端的身份请求接口
+   * @param {string} client - 客户端名称，为 null 时不带 Token
+   * @param {string} method - 请求方法
+   * @param {string} path - 路径
+   * @param {Object} [body] - JSON 请求体
+   * @returns {Promise<{status: number, body: any, headers: Headers}>}
+   */
+  async function request(client, method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (client) {
+      headers.Authorization = `Bearer ${TOKENS[client] || client}`;
+    }
+    const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const isJson = (response.headers.get('content-type') || '').includes('json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? await response.json() : Buffer.from(await response.arrayBuffer())
+    };
+  }
+
+  before(async () => {
+    BITBROWSER_CONFIG.url = await bitbrowser.start();
+    server = new ControlServer({ port: 0, tokens: TOKENS });
+    server.registry.manager.createController = browserId => new FakeController(browserId, calls);
+    baseUrl = await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+    BITBROWSER_CONFIG.url = originalUrl;
+    await bitbrowser.stop();
+  });
+
+  test('refuses to start without tokens', async () => {
+    await assert.rejects(new ControlServer({ port: 0, tokens: {} }).start(), ConfigError);
+  });
+
+  test('requires a valid token except for the OpenAPI description', async () => {
+    assert.equal((await request(null, 'GET', '/sessions')).status, 401);
+    assert.equal((await request('wrong-token', 'GET', '/sessions')).status, 401);
+    assert.deepEqual((await request('billing', 'GET', '/sessions')).body, []);
+    assert.equal((await request('billing', 'GET', '/nope')).status, 404);
+
+    const spec = await request(null, 'GET', '/openapi.json');
+    assert.equal(spec.status, 200);
+    assert.equal(spec.body.openapi, OPENAPI_SPEC.openapi);
+    // 每个路由都有描述
+    for (const route of ROUTES) {
+      assert.ok(spec.body.paths[route.path]?.[route.method.toLowerCase()], `${route.method} ${route.path} is documented`);
+    }
+  });
+
+  test('creates a profile, drives it and deletes it on close', async () => {
+    const opened = await request('billing', 'POST', '/sessions', { profile: { remark: 'invoice run' }, connect: { headless: true } });
+    assert.equal(opened.status, 201);
+    const { id } = opened.body;
+    assert.equal(opened.body.client, 'billing');
+    assert.equal(opened.body.ephemeral, true);
+    assert.ok(bitbrowser.profiles.get(id).remark.startsWith(`invoice run ${EPHEMERAL_BROWSER_CONFIG.remarkMarker}`));
+
+    const navigated = await request('billing', 'POST', `/sessions/${id}/navigate`, { url: 'https://example.com/invoices', waitUntil: 'load' });
+    assert.equal(navigated.body.url, 'https://example.com/invoices');
+    assert.deepEqual(calls.find(call => call[0] === 'navigate:start')[2], { waitUntil: 'load' });
+
+    const evaluated = await request('billing', 'POST', `/sessions/${id}/evaluate`, { expression: 'document.title', tab: 1 });
+    assert.deepEqual(evaluated.body, { result: { expression: 'document.title', tab: 1 } });
+
+    const screenshot = await request('billing', 'POST', `/sessions/${id}/screenshot`, { type: 'jpeg', quality: 60, selector: '#total' });
+    assert.equal(screenshot.headers.get('content-type'), 'image/jpeg');
+    assert.deepEqual([...screenshot.body], [137, 80, 78, 71]);
+    assert.deepEqual(calls.find(call => call[0] === 'screenshot')[1], { type: 'jpeg', selector: '#total', quality: 60 });
+
+    const cookies = await request('billing', 'GET', `/sessions/${id}/cookies`);
+    assert.equal(cookies.body.cookies[0].name, 'sid');
+
+    const closed = await request('billing', 'DELETE', `/sessions/${id}`);
+    assert.deepEqual(closed.body, { id, closed: true, browserClosed: true, deleted: true });
+    assert.equal(bitbrowser.profiles.has(id), false);
+    assert.equal((await request('billing', 'GET', `/sessions/${id}`)).status, 404);
+  });
+
+  test('keeps sessions to their owner and runs requests on a session one at a time', async () => {
+    const profileId = (await request('billing', 'POST', '/sessions', { profile: {}, ephemeral: false })).body.id;
+    await request('billing', 'DELETE', `/sessions/${profileId}`);
+    assert.equal(bitbrowser.profiles.has(profileId), true);
+
+    const opened = await request('billing', 'POST', '/sessions', { browserId: profileId });
+    assert.equal(opened.body.ephemeral, false);
+    assert.equal((await request('crawler', 'POST', '/sessions', { browserId: profileId })).status, 409);
+    assert.equal((await request('crawler', 'POST', `/sessions/${profileId}/evaluate`, { expression: '1' })).status, 409);
+    assert.equal((await request('crawler', 'DELETE', `/sessions/${profileId}`)).status, 409);
+    assert.deepEqual((await request('crawler', 'GET', '/sessions')).body, []);
+    // 同一客户端重复打开时返回已有会话
+    assert.equal((await request('billing', 'POST', '/sessions', { browserId: profileId })).body.createdAt, opened.body.createdAt);
+
+    calls.length = 0;
+    await Promise.all([
+      request('billing', 'POST', `/sessions/${profileId}/navigate`, { url: 'https://example.com/a' }),
+      request('billing', 'POST', `/sessions/${profileId}/navigate`, { url: 'https://example.com/b' })
+    ]);
+    assert.deepEqual(calls.map(([name, url]) => `${name} ${url}`), [
+      'navigate:start https://example.com/a',
+      'navigate:end https://example.com/a',
+      'navigate:start https://example.com/b',
+      'navigate:end https://example.com/b'
+    ]);
+
+    const closed = await request('billing', 'DELETE', `/sessions/${profileId}?closeBrowser=true`);
+    assert.deepEqual(closed.body, { id: profileId, closed: true, browserClosed: true, deleted: false });
+  });
+
+  test('closes and deletes an ephemeral session whose reconnect failed', async () => {
+    const { id } = (await request('billing', 'POST', '/sessions', { profile: {} })).body;
+    const controller = server.registry.manager.getSession(id);
+    controller.emit('failed', { browserId: id, reason: 'disconnected', error: new Error('browser is gone') });
+    for (let i = 0; i < 50 && server.registry.sessions.has(id); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    assert.equal(bitbrowser.profiles.has(id), false);
+    assert.equal(controller.isConnected(), false);
+    assert.equal((await request('billing', 'GET', `/sessions/${id}`)).status, 404);
+  });
+
+  test('reports validation, browser and timeout errors with matching status codes', async () => {
+    const { id } = (await request('billing', 'POST', '/sessions', { profile: {} })).body;
+    try {
+      assert.equal((await request('billing', 'POST', `/sessions/${id}/navigate`, {})).body.error.message, '"url" is required');
+      assert.equal((await request('billing', 'POST', `/sessions/${id}/screenshot`, { type: 'gif' })).status, 400);
+      assert.equal((await request('billing', 'POST', '/sessions', { browserId: 5 })).status, 400);
+
+      const invalid = await fetch(`${baseUrl}/sessions/${id}/evaluate`, { method: 'POST', headers: { Authorization: 'Bearer billing-token' }, body: '{' });
+      assert.equal(invalid.status, 400);
+
+      const failed = await request('billing', 'POST', `/sessions/${id}/evaluate`, { expression: 'brokenWidget()' });
+      assert.equal(failed.status, 500);
+      assert.deepEqual(failed.body.error, {
+        name: 'Error',
+        message: 'brokenWidget is not defined',
+        status: 500,
+        failureDir: '/artifacts/failure-001-evaluate'
+      });
+      assert.equal((await request('billing', 'POST', `/sessions/${id}/evaluate`, { expression: 'slow()' })).status, 504);
+    } finally {
+      await request('billing', 'DELETE', `/sessions/${id}`);
+    }
+  });
+
+  test('streams events and logs of the client\'s own sessions over WebSocket', async () => {
+    const wsUrl = baseUrl.replace('http', 'ws');
+    const rejected = await new Promise(resolve => {
+      const ws = new WebSocket(`${wsUrl}/events`);
+      ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+      ws.on('error', () => {});
+    });
+    assert.equal(rejected, 401);
+
+    const messages = [];
+    const ws = new WebSocket(`${wsUrl}/events?token=billing-token`);
+    ws.on('message', data => messages.push(JSON.parse(data)));
+    await new Promise((resolve, reject) => {
+      ws.on('open', resolve);
+      ws.on('error', reject);
+    });
+    const other = new WebSocket(`${wsUrl}/events`, { headers: { Authorization: 'Bearer crawler-token' } });
+    const otherMessages = [];
+    other.on('message', data => otherMessages.push(JSON.parse(data)));
+    await new Promise(resolve => other.on('open', resolve));
+
+    const { id } = (await request('billing', 'POST', '/sessions', { profile: {} })).body;
+    await request('billing', 'POST', `/sessions/${id}/navigate`, { url: 'https://example.com/ws' });
+    await request('billing', 'DELETE', `/sessions/${id}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    ws.close();
+    other.close();
+
+    assert.deepEqual(messages.filter(message => message.type === 'event').map(message => message.event), ['opened', 'closed']);
+    assert.ok(messages.every(message => message.sessionId === id));
+    const log = messages.find(message => message.type === 'log' && message.module === 'test');
+    assert.equal(log.message, 'Navigated to https://example.com/ws');
+    assert.deepEqual(otherMessages, []);
+  });
+});
@@ -0,0 +1,238 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import { join } from 'path';
+import fse from 'fs-extra';
+import { MockBitBrowserServer } from '../mock/bitbrowserServer.js';
+import { BITBROWSER_CONFIG, FINGERPRINT_CONFIG } from '../config/config.js';
+import { createBrowser, updateBrowser, getBrowserDetail } from '../browser/bitbrowser.js';
+import {
+  validateFingerprint,
+  assertValidFingerprint,
+  generateFingerprint,
+  listPresets,
+  getPreset,
+  loadPresets,
+  resolveFingerprint,
+  auditSignals,
+  utcOffset,
+  FingerprintValidationError,
+  FingerprintPresetNotFoundError
+} from '../fingerprint/index.js';
+
+const WINDOWS_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+describe('fingerprint validation', () => {
+  test('rejects a Windows user agent with a macOS platform', async () => {
+    const fingerprint = { ...(await getPreset('macos-chrome124-en-us')), userAgent: WINDOWS_UA };
+    const fields = validateFingerprint(fingerprint).map(issue => issue.field);
+    assert.ok(fields.includes('userAgent'));
+
+    assert.throws(() => assertValidFingerprint(fingerprint), (error) => {
+      assert.ok(error instanceof FingerprintValidationError);
+      assert.match(error.message, /userAgent/);
+      return true;
+    });
+  });
+
+  test('reports every inconsistent field at once', async () => {
+    const fingerprint = {
+      ...(await getPreset('win10-chrome124-en-us')),
+      coreVersion: '120',
+      languages: ['not a locale!'],
+      timezone: 'Mars/Olympus_Mons'
+    };
+    const fields = validateFingerprint(fingerprint).map(issue => issue.field);
+    assert.ok(fields.includes('coreVersion') || fields.includes('userAgent'));
+    assert.ok(fields.includes('languages'));
+    assert.ok(fields.includes('timezone'));
+  });
+
+  test('all built-in presets are valid', async () => {
+    const presets = await listPresets();
+    assert.ok(presets.length >= 4);
+    for (const { name } of presets) {
+      assert.deepEqual(validateFingerprint(await getPreset(name), { preset: true }), [], name);
+    }
+  });
+
+  test('resolves preset versions and reports unknown presets', async () => {
+    const preset = await getPreset('win11-chrome124-en-gb@1');
+    assert.equal(preset.version, 1);
+    await assert.rejects(getPreset('win11-chrome124-en-gb@9'), FingerprintPresetNotFoundError);
+    await assert.rejects(getPreset('does-not-exist'), FingerprintPresetNotFoundError);
+  });
+
+  test('user presets in presetDir override built-ins and add new versions', async () => {
+    const dir = await fse.mkdtemp(join(os.tmpdir(), 'fingerprint-presets-'));
+    const original = FINGERPRINT_CONFIG.presetDir;
+    try {
+      const base = await getPreset('win10-chrome124-en-us');
+      await fse.writeJSON(join(dir, 'win10-v2.json'), { ...base, version: 2, timezone: 'America/Chicago' });
+      FINGERPRINT_CONFIG.presetDir = dir;
+
+      assert.equal((await getPreset('win10-chrome124-en-us')).timezone, 'America/Chicago');
+      assert.equal((await getPreset('win10-chrome124-en-us@1')).timezone, 'America/New_York');
+    } finally {
+      FINGERPRINT_CONFIG.presetDir = original;
+      await fse.remove(dir);
+      await loadPresets({ refresh: true });
+    }
+  });
+});
+
+describe('fingerprint generator', () => {
+  test('the same seed produces the same fingerprint', () => {
+    const first = generateFingerprint({ os: 'windows' }, { seed: 42 });
+    const second = generateFingerprint({ os: 'windows' }, { seed: 42 });
+    assert.deepEqual(first, second);
+  });
+
+  test('generated fingerprints are consistent for every OS', () => {
+    for (const osName of ['windows', 'macos', 'linux', 'android']) {
+      for (let seed = 0; seed < 20; seed++) {
+        const fingerprint = generateFingerprint({ os: osName }, { seed });
+        assert.deepEqual(validateFingerprint(fingerprint), [], `${osName} seed ${seed}`);
+      }
+    }
+  });
+
+  test('keeps timezone consistent with the requested language', () => {
+    const fingerprint = generateFingerprint({ os: 'linux', language: 'de-DE' }, { seed: 1 });
+    assert.equal(fingerprint.languages[0], 'de-DE');
+    assert.match(fingerprint.timezone, /^Europe\//);
+  });
+
+  test('rejects unknown operating systems', () => {
+    assert.throws(() => generateFingerprint({ os: 'beos' }), FingerprintValidationError);
+  });
+});
+
+describe('fingerprint presets in createBrowser / updateBrowser', () => {
+  const bitbrowser = new MockBitBrowserServer();
+  const originalUrl = BITBROWSER_CONFIG.url;
+
+  before(async () => {
+    BITBROWSER_CONFIG.url = await bitbrowser.start();
+  });
+
+  after(async () => {
+    BITBROWSER_CONFIG.url = originalUrl;
+    await bitbrowser.stop();
+  });
+
+  test('createBrowser applies a preset by name', async () => {
+    const id = await createBrowser({ name: 'fingerprint-test', fingerprint: 'linux-chrome124-de-de' });
+    const detail = await getBrowserDetail(id);
+
+    assert.equal(detail.browserFingerPrint.os, 'Linux x86_64');
+    assert.match(detail.browserFingerPrint.userAgent, /X11; Linux x86_64/);
+    assert.equal(detail.browserFingerPrint.timeZone, 'Europe/Berlin');
+    assert.equal(detail.browserFingerPrint.languages, 'de-DE,de,en');
+  });
+
+  test('explicit browserFingerPrint fields win over the preset', async () => {
+    const id = await createBrowser({
+      fingerprint: 'win10-chrome124-en-us',
+      browserFingerPrint: { resolution: '1366 x 768' }
+    });
+    const detail = await getBrowserDetail(id);
+    assert.equal(detail.browserFingerPrint.resolution, '1366 x 768');
+    assert.equal(detail.browserFingerPrint.timeZone, 'America/New_York');
+  });
+
+  test('createBrowser without a fingerprint only sets the default core version', async () => {
+    const id = await createBrowser();
+    const detail = await getBrowserDetail(id);
+    assert.deepEqual(detail.browserFingerPrint, { coreVersion: FINGERPRINT_CONFIG.defaultCoreVersion });
+  });
+
+  test('updateBrowser applies a preset and rejects invalid fingerprints before calling the API', async () => {
+    const id = await createBrowser();
+    await updateBrowser({ ids: [id], fingerprint: 'macos-chrome124-en-us' });
+    assert.equal((await getBrowserDetail(id)).browserFingerPrint.os, 'MacIntel');
+
+    const invalid = { ...(await getPreset('macos-chrome124-en-us')), userAgent: WINDOWS_UA };
+    await assert.rejects(updateBrowser({ ids: [id], fingerprint: invalid }), FingerprintValidationError);
+    assert.equal((await getBrowserDetail(id)).browserFingerPrint.os, 'MacIntel');
+  });
+});
+
+describe('fingerprint audit', () => {
+  const now = new Date('2026-01-15T12:00:00Z');
+  let requested;
+  let signals;
+
+  before(async () => {
+    requested = await resolveFingerprint('win10-chrome124-en-us');
+    // 与请求的指纹完全一致的页面信号
+    signals = {
+      userAgent: requested.userAgent,
+      platform: 'Win32',
+      languages: ['en-US', 'en'],
+      timezone: 'America/New_York',
+      timezoneOffset: 300,
+      screen: { width: 1920, height: 1080 },
+      hardwareConcurrency: 8,
+      deviceMemory: 8,
+      webdriver: false,
+      webgl: { vendor: requested.webGLManufacturer, renderer: requested.webGLRender },
+      userAgentData: { platform: 'Windows', mobile: false, brands: [{ brand: 'Google Chrome', version: '124' }] },
+      workerUserAgent: requested.userAgent,
+      automationGlobals: []
+    };
+  });
+
+  test('passes when the page matches the requested fingerprint and proxy geography', () => {
+    const report = auditSignals(signals, requested, { geo: { country: 'US', timezone: 'America/Detroit' }, now });
+    assert.equal(report.status, 'passed');
+    assert.deepEqual(report.mismatches, []);
+    assert.deepEqual(report.leaks, []);
+  });
+
+  test('reports mismatches against the requested fingerprint', () => {
+    const report = auditSignals({
+      ...signals,
+      userAgent: requested.userAgent.replace('Chrome/124', 'Chrome/120'),
+      workerUserAgent: requested.userAgent.replace('Chrome/124', 'Chrome/120'),
+      screen: { width: 1280, height: 720 }
+    }, requested, { now });
+
+    assert.equal(report.status, 'failed');
+    const bySignal = Object.fromEntries(report.mismatches.map(item => [item.signal, item.severity]));
+    assert.equal(bySignal.userAgent, 'critical');
+    assert.equal(bySignal.coreVersion, 'warning');
+    assert.equal(bySignal.screen, 'warning');
+  });
+
+  test('flags automation and internal inconsistencies as leaks', () => {
+    const report = auditSignals({
+      ...signals,
+      webdriver: true,
+      platform: 'MacIntel',
+      workerUserAgent: 'Mozilla/5.0 (X11; Linux x86_64) HeadlessChrome/124.0.0.0',
+      webgl: { vendor: 'Google Inc.', renderer: 'ANGLE (Google, Vulkan 1.3.0 (SwiftShader Device))' }
+    }, {}, { now });
+
+    const leaks = report.leaks.map(item => `${item.signal}:${item.severity}`);
+    assert.ok(leaks.includes('webdriver:critical'));
+    assert.ok(leaks.includes('platform:critical'));
+    assert.ok(leaks.includes('workerUserAgent:critical'));
+    assert.ok(leaks.includes('webgl.renderer:warning'));
+    assert.equal(report.critical, 3);
+  });
+
+  test('compares the page time zone with the proxy exit IP by UTC offset', () => {
+    assert.equal(utcOffset('Europe/Berlin', now), 60);
+    const report = auditSignals(signals, { userAgent: requested.userAgent }, { geo: { country: 'DE', timezone: 'Europe/Berlin' }, now });
+    const geoFindings = Object.fromEntries(report.mismatches.map(item => [item.signal, item.severity]));
+    assert.equal(geoFindings['geo.timezone'], 'critical');
+    assert.equal(geoFindings['geo.languages'], 'info');
+  });
+
+  test('ignores fields BitBrowser derives from the IP', () => {
+    const report = auditSignals({ ...signals, timezone: 'Europe/Paris', timezoneOffset: -60 },
+      { ...requested, isIpCreateTimeZone: true }, { now });
+    assert.equal(report.mismatches.some(item => item.signal === 'timezone'), false);
+  });
+});
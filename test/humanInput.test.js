@@ -0,0 +1,136 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { planKeystrokes, humanType, humanClick, humanScrollTo, humanSelect } from '../browser/humanInput.js';
+
+// 测试中不等待按键间隔和停顿
+const fast = { minKeyDelay: 0, maxKeyDelay: 0, minActionDelay: 0, maxActionDelay: 0 };
+
+/**
+ * 按顺序循环返回给定值的随机函数
+ * @param {Array<number>} values - 随机值
+ * @returns {Function}
+ */
+function sequence(values) {
+  let index = 0;
+  return () => values[index++ % values.length];
+}
+
+/**
+ * 模拟页面和光标，记录输入事件并维护输入框的值
+ */
+function createFakePage() {
+  const events = [];
+  const element = {
+    async click(options) {
+      events.push(['element.click', options]);
+    },
+    async scrollIntoView() {
+      events.push(['element.scrollIntoView']);
+    }
+  };
+  const page = {
+    events,
+    value: 'old',
+    async waitForFunction(predicate, options, selector) {
+      events.push(['waitForSelector', selector, options.timeout]);
+    },
+    async $() {
+      return element;
+    },
+    async $eval() {
+      // 模拟 element.select() 选中全部内容
+      page.selected = true;
+    },
+    async select(selector, ...values) {
+      events.push(['select', selector, values]);
+      return values;
+    },
+    keyboard: {
+      async type(text) {
+        events.push(['type', text]);
+        page.value = page.selected ? text : page.value + text;
+        page.selected = false;
+      },
+      async press(key) {
+        events.push(['press', key]);
+        assert.equal(key, 'Backspace');
+        page.value = page.selected ? '' : page.value.slice(0, -1);
+        page.selected = false;
+      }
+    }
+  };
+  // connect 为页面附加的 ghost-cursor 光标
+  page.realCursor = {
+    async click(target, options) {
+      events.push(['cursor.click', target === element, options]);
+    },
+    async move(target) {
+      events.push(['cursor.move', target === element]);
+    },
+    async scrollIntoView(target, options) {
+      events.push(['cursor.scrollIntoView', target === element, options]);
+    },
+    async scrollTo(destination, options) {
+      events.push(['cursor.scrollTo', destination, options]);
+    }
+  };
+  return page;
+}
+
+describe('planKeystrokes', () => {
+  test('types every character without typos when typoRate is 0', () => {
+    assert.deepEqual(planKeystrokes('Hi!', { typoRate: 0 }), [{ text: 'H' }, { text: 'i' }, { text: '!' }]);
+  });
+
+  test('inserts a neighbouring key and a backspace before mistyped letters', () => {
+    // 第一个值决定是否打错，第二个值选择相邻键
+    const strokes = planKeystrokes('Go 1', { typoRate: 0.5, random: sequence([0.1, 0]) });
+    assert.deepEqual(strokes, [
+      { text: 'F', typo: true }, { key: 'Backspace' }, { text: 'G' },
+      { text: 'i', typo: true }, { key: 'Backspace' }, { text: 'o' },
+      { text: ' ' },
+      { text: '1' }
+    ]);
+  });
+});
+
+describe('human input', () => {
+  test('humanType clicks the field with the cursor and produces the intended text despite typos', async () => {
+    const page = createFakePage();
+    await humanType(page, '#q', 'hello world', { ...fast, typoRate: 0.5, random: () => 0.1, clear: true, timeout: 1000 });
+
+    assert.equal(page.value, 'hello world');
+    assert.deepEqual(page.events[0], ['waitForSelector', '#q', 1000]);
+    assert.equal(page.events[1][0], 'cursor.click');
+    assert.equal(page.events[1][1], true);
+    // 清空一次，10个字母各打错一次
+    assert.equal(page.events.filter(event => event[0] === 'press').length, 11);
+  });
+
+  test('falls back to plain input events when disabled', async () => {
+    const page = createFakePage();
+    await humanType(page, '#q', 'cats', { enabled: false });
+    await humanClick(page, '#submit', { enabled: false });
+
+    assert.equal(page.value, 'oldcats');
+    assert.deepEqual(page.events.map(event => event[0]), [
+      'waitForSelector', 'element.click', 'type', 'waitForSelector', 'element.click'
+    ]);
+  });
+
+  test('scrolls with a speed in the configured range', async () => {
+    const page = createFakePage();
+    await humanScrollTo(page, 'bottom', { ...fast, minScrollSpeed: 20, maxScrollSpeed: 40, random: () => 0.5 });
+    await humanScrollTo(page, '#footer', fast);
+
+    assert.deepEqual(page.events[0], ['cursor.scrollTo', 'bottom', { scrollSpeed: 30, scrollDelay: 0 }]);
+    assert.deepEqual(page.events[1].slice(0, 1), ['waitForSelector']);
+    assert.equal(page.events[2][0], 'cursor.scrollIntoView');
+  });
+
+  test('humanSelect moves to the select element and returns the selected values', async () => {
+    const page = createFakePage();
+    assert.deepEqual(await humanSelect(page, '#country', 'de', fast), ['de']);
+    assert.deepEqual(page.events.map(event => event[0]), ['waitForSelector', 'cursor.move', 'select']);
+  });
+});
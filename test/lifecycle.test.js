@@ -0,0 +1,66 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockBitBrowserServer } from '../mock/bitbrowserServer.js';
+import { BITBROWSER_CONFIG, EPHEMERAL_BROWSER_CONFIG } from '../config/config.js';
+import { createBrowser, listBrowsers } from '../browser/bitbrowser.js';
+import { withEphemeralBrowser, reapStaleBrowsers, parseEphemeralRemark } from '../browser/lifecycle.js';
+
+describe('browser lifecycle', () => {
+  const server = new MockBitBrowserServer({ chromePath: '/nonexistent/chrome' });
+  const originalUrl = BITBROWSER_CONFIG.url;
+  const marker = EPHEMERAL_BROWSER_CONFIG.remarkMarker;
+
+  before(async () => {
+    BITBROWSER_CONFIG.url = await server.start();
+  });
+
+  after(async () => {
+    BITBROWSER_CONFIG.url = originalUrl;
+    await server.stop();
+  });
+
+  test('parseEphemeralRemark reads the marker fields', () => {
+    const tag = parseEphemeralRemark(`job-1 ${marker} created=2024-01-01T00:00:00.000Z host=box pid=42`);
+    assert.deepEqual(tag, { createdAt: new Date('2024-01-01T00:00:00.000Z'), host: 'box', pid: 42 });
+    assert.equal(parseEphemeralRemark('manual profile'), null);
+  });
+
+  test('withEphemeralBrowser deletes the profile even when connecting fails', async () => {
+    let called = false;
+    await assert.rejects(withEphemeralBrowser({ create: { remark: 'job' } }, async () => {
+      called = true;
+    }), /Chromium exited|ENOENT|spawn/);
+
+    assert.equal(called, false);
+    assert.equal((await listBrowsers({ remark: marker })).totalNum, 0);
+  });
+
+  test('reapStaleBrowsers removes only stale marked profiles', async () => {
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    const stale = await createBrowser({ remark: `${marker} created=${old} host=elsewhere pid=1` });
+    const fresh = await createBrowser({ remark: `${marker} created=${new Date().toISOString()} host=elsewhere pid=1` });
+    const unmanaged = await createBrowser({ remark: `created=${old}` });
+
+    const dryRun = await reapStaleBrowsers({ dryRun: true });
+    assert.deepEqual(dryRun.map(result => [result.id, result.status]), [[stale, 'stale']]);
+    assert.ok(server.profiles.has(stale));
+
+    const results = await reapStaleBrowsers();
+    assert.deepEqual(results.map(result => [result.id, result.status]), [[stale, 'deleted']]);
+    assert.ok(!server.profiles.has(stale));
+    assert.ok(server.profiles.has(fresh));
+    assert.ok(server.profiles.has(unmanaged));
+  });
+
+  test('reapStaleBrowsers skips profiles whose creating process is still alive', async () => {
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    const { hostname } = await import('os');
+    const owned = await createBrowser({ remark: `${marker} created=${old} host=${hostname()} pid=${process.ppid}` });
+
+    const results = await reapStaleBrowsers();
+    assert.deepEqual(results.map(result => [result.id, result.status]), [[owned, 'skipped-owner-alive']]);
+
+    const forced = await reapStaleBrowsers({ force: true });
+    assert.deepEqual(forced.map(result => [result.id, result.status]), [[owned, 'deleted']]);
+  });
+});
@@ -0,0 +1,98 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import fse from 'fs-extra';
+import { configure } from '../config/config.js';
+import { getLogger, withLogContext, onLog, redact, REDACTED } from '../utils/logger.js';
+import { sleep } from '../utils/retry.js';
+
+/**
+ * 等待日志文件写入指定行数
+ * @param {string} file - 日志文件路径
+ * @param {number} count - 期望的行数
+ * @returns {Promise<Array<Object>>} - 解析后的日志行
+ */
+async function readLogLines(file, count) {
+  for (let i = 0; i < 100; i++) {
+    const content = await fse.readFile(file, 'utf8').catch(() => '');
+    const lines = content.split('\n').filter(Boolean);
+    if (lines.length >= count) {
+      return lines.map(line => JSON.parse(line));
+    }
+    await sleep(20);
+  }
+  throw new Error(`Log file ${file} did not reach ${count} lines`);
+}
+
+describe('logger', () => {
+  const dir = join(tmpdir(), `logger-test-${process.pid}`);
+
+  after(async () => {
+    configure({ logger: { file: '' } });
+    await fse.remove(dir);
+  });
+
+  test('redacts credentials in objects and strings', () => {
+    const redacted = redact({
+      proxyUserName: 'alice',
+      proxyPassword: 'secret',
+      nested: { cookies: [{ name: 'sid' }], authorization: 'Bearer x', host: '10.0.0.1' },
+      message: 'Sending request: {"proxyPassword":"secret","host":"10.0.0.1"} token=abc http://bob:pw@proxy:8080'
+    });
+
+    assert.equal(redacted.proxyUserName, REDACTED);
+    assert.equal(redacted.proxyPassword, REDACTED);
+    assert.equal(redacted.nested.cookies, REDACTED);
+    assert.equal(redacted.nested.authorization, REDACTED);
+    assert.equal(redacted.nested.host, '10.0.0.1');
+    assert.equal(
+      redacted.message,
+      `Sending request: {"proxyPassword":"${REDACTED}","host":"10.0.0.1"} token=${REDACTED} http://${REDACTED}@proxy:8080`
+    );
+  });
+
+  test('writes JSON lines with module, browser ID and redacted fields', async () => {
+    const file = join(dir, 'app.log');
+    configure({ logger: { file, level: 'debug', redactKeys: ['apiSecretHeader'] } });
+
+    const logger = getLogger('test');
+    logger.info('plain message', { browserId: 'explicit' });
+    await withLogContext({ browserId: 'from-context' }, async () => {
+      await sleep(1);
+      logger.debug('{"proxyUserName":"alice"}', { apiSecretHeader: 'x', port: 8080 });
+    });
+
+    const [first, second] = await readLogLines(file, 2);
+    assert.equal(first.module, 'test');
+    assert.equal(first.browserId, 'explicit');
+    assert.equal(first.message, 'plain message');
+    assert.equal(second.browserId, 'from-context');
+    assert.equal(second.message, `{"proxyUserName":"${REDACTED}"}`);
+    assert.equal(second.apiSecretHeader, REDACTED);
+    assert.equal(second.port, 8080);
+  });
+
+  test('onLog listeners receive redacted entries until they unsubscribe', async () => {
+    configure({ logger: { file: '', level: 'info' } });
+    const entries = [];
+    const unsubscribe = onLog(info => entries.push(info));
+    const logger = getLogger('test', { browserId: 'abc' });
+
+    logger.info('proxy token=abc', { proxyPassword: 'secret' });
+    logger.debug('below the configured level');
+    // 重建输出后监听仍然有效
+    configure({ logger: { level: 'warn' } });
+    logger.warn('after reconfigure');
+    unsubscribe();
+    logger.warn('after unsubscribe');
+    await sleep(10);
+
+    assert.deepEqual(entries.map(entry => [entry.level, entry.message, entry.browserId]), [
+      ['info', `proxy token=${REDACTED}`, 'abc'],
+      ['warn', 'after reconfigure', 'abc']
+    ]);
+    assert.equal(entries[0].proxyPassword, REDACTED);
+    configure({ logger: { level: 'info' } });
+  });
+});
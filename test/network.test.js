@@ -0,0 +1,204 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fse from 'fs-extra';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { NetworkInterceptor, HarRecorder, rulesFromConfig, rulesFromHar } from '../browser/network.js';
+
+/**
+ * 模拟请求，记录处理结果；response 在 requestfinished 前设置
+ */
+class FakeRequest {
+  constructor({ url, method = 'GET', resourceType = 'document', headers = {}, postData }) {
+    this.data = { url, method, resourceType, headers, postData };
+    this.resolution = null;
+    this.fakeResponse = null;
+  }
+
+  url() { return this.data.url; }
+  method() { return this.data.method; }
+  resourceType() { return this.data.resourceType; }
+  headers() { return { ...this.data.headers }; }
+  postData() { return this.data.postData; }
+  response() { return this.fakeResponse; }
+  failure() { return { errorText: 'net::ERR_FAILED' }; }
+  isInterceptResolutionHandled() { return this.resolution !== null; }
+  continueRequestOverrides() { return {}; }
+
+  async continue(overrides, priority) {
+    this.resolution = { action: 'continue', overrides, priority };
+  }
+
+  async abort(reason, priority) {
+    this.resolution = { action: 'abort', reason, priority };
+  }
+
+  async respond(response, priority) {
+    this.resolution = { action: 'respond', response, priority };
+  }
+}
+
+/**
+ * 模拟页面，记录请求拦截的开关
+ */
+class FakePage extends EventEmitter {
+  constructor() {
+    super();
+    this.interception = [];
+  }
+
+  async setRequestInterception(enabled) {
+    this.interception.push(enabled);
+  }
+
+  /**
+   * 发出请求并等待拦截器处理
+   * @param {Object} data - 请求字段
+   * @returns {Promise<FakeRequest>}
+   */
+  async request(data) {
+    const request = new FakeRequest(data);
+    this.emit('request', request);
+    await new Promise(resolve => setImmediate(resolve));
+    return request;
+  }
+}
+
+/**
+ * 模拟响应
+ * @param {number} status - 状态码
+ * @param {Object} headers - 响应头
+ * @param {string|Buffer} body - 响应体
+ * @returns {Object}
+ */
+function createResponse(status, headers, body) {
+  return {
+    status: () => status,
+    statusText: () => (status === 200 ? 'OK' : ''),
+    headers: () => headers,
+    buffer: async () => Buffer.from(body)
+  };
+}
+
+describe('NetworkInterceptor', () => {
+  test('enables interception only while rules exist', async () => {
+    const page = new FakePage();
+    const interceptor = new NetworkInterceptor();
+    await interceptor.attach(page);
+    assert.deepEqual(page.interception, []);
+
+    const id = interceptor.addRule({ match: { resourceType: 'image' }, action: 'block' });
+    assert.equal(id, 'rule-1');
+    assert.equal(interceptor.removeRule(id), true);
+    assert.equal(interceptor.removeRule(id), false);
+    assert.deepEqual(page.interception, [true, false]);
+
+    assert.throws(() => interceptor.addRule({ action: 'drop' }), /Invalid network rule action "drop"/);
+  });
+
+  test('blocks configured resource types and URLs and lets other requests continue', async () => {
+    const page = new FakePage();
+    const interceptor = new NetworkInterceptor(rulesFromConfig({
+      blockResourceTypes: ['image', 'font'],
+      blockUrls: ['google-analytics.com'],
+      headers: {}
+    }));
+    await interceptor.attach(page);
+
+    const image = await page.request({ url: 'https://example.com/logo.png', resourceType: 'image' });
+    const tracker = await page.request({ url: 'https://www.google-analytics.com/collect', resourceType: 'script' });
+    const documentRequest = await page.request({ url: 'https://example.com/' });
+
+    assert.deepEqual(image.resolution, { action: 'abort', reason: 'blockedbyclient', priority: 1 });
+    assert.equal(tracker.resolution.action, 'abort');
+    // 未匹配的请求以最低优先级继续，不覆盖其他拦截器的处理
+    assert.deepEqual(documentRequest.resolution, { action: 'continue', overrides: {}, priority: 0 });
+  });
+
+  test('merges header rules and serves mocked JSON responses', async () => {
+    const page = new FakePage();
+    const interceptor = new NetworkInterceptor([
+      { action: 'continue', headers: { 'X-Debug': '1', 'user-agent': null } },
+      { match: { url: /\/api\/user$/, method: 'get' }, action: 'respond', response: { body: { name: 'test' } } }
+    ]);
+    await interceptor.attach(page);
+
+    const request = await page.request({ url: 'https://example.com/', headers: { 'user-agent': 'UA', accept: '*/*' } });
+    assert.deepEqual(request.resolution.overrides, { headers: { accept: '*/*', 'x-debug': '1' } });
+
+    const api = await page.request({ url: 'https://example.com/api/user' });
+    assert.deepEqual(api.resolution.response, {
+      status: 200,
+      headers: {},
+      contentType: 'application/json',
+      body: '{"name":"test"}'
+    });
+  });
+});
+
+describe('HarRecorder', () => {
+  test('records requests and responses and replays them with rulesFromHar', async () => {
+    const page = new FakePage();
+    const recorder = new HarRecorder({ maxBodySize: 10 });
+    recorder.attach(page);
+
+    const html = new FakeRequest({ url: 'https://example.com/?q=1' });
+    html.fakeResponse = createResponse(200, { 'content-type': 'text/html', 'content-encoding': 'gzip' }, '<p>hi</p>');
+    const image = new FakeRequest({ url: 'https://example.com/big.png', resourceType: 'image' });
+    image.fakeResponse = createResponse(200, { 'content-type': 'image/png' }, 'x'.repeat(20));
+    const failed = new FakeRequest({ url: 'https://example.com/api', method: 'POST', postData: 'a=1' });
+
+    for (const request of [html, image, failed]) {
+      page.emit('request', request);
+    }
+    page.emit('requestfinished', html);
+    page.emit('requestfinished', image);
+    page.emit('requestfailed', failed);
+
+    const dir = await fse.mkdtemp(join(tmpdir(), 'har-'));
+    try {
+      const result = await recorder.save(join(dir, 'session.har'));
+      assert.equal(result.entries, 3);
+      const har = await fse.readJSON(result.path);
+      const [htmlEntry, imageEntry, failedEntry] = har.log.entries;
+
+      assert.equal(har.log.version, '1.2');
+      assert.deepEqual(htmlEntry.request.queryString, [{ name: 'q', value: '1' }]);
+      assert.equal(htmlEntry.response.content.text, '<p>hi</p>');
+      // 超过 maxBodySize 的响应只记录大小
+      assert.equal(imageEntry.response.content.size, 20);
+      assert.equal(imageEntry.response.content.text, undefined);
+      assert.equal(failedEntry.response.status, 0);
+      assert.equal(failedEntry._error, 'net::ERR_FAILED');
+      assert.deepEqual(failedEntry.request.postData, { mimeType: '', text: 'a=1' });
+
+      const rules = rulesFromHar(har);
+      assert.equal(rules.length, 1);
+      const replay = new NetworkInterceptor(rules);
+      const replayPage = new FakePage();
+      await replay.attach(replayPage);
+      const request = await replayPage.request({ url: 'https://example.com/?q=1' });
+      assert.deepEqual(request.resolution.response, {
+        status: 200,
+        headers: { 'content-type': 'text/html' },
+        contentType: 'text/html',
+        body: '<p>hi</p>'
+      });
+    } finally {
+      await fse.remove(dir);
+    }
+  });
+
+  test('does not record requests started after stop', async () => {
+    const page = new FakePage();
+    const recorder = new HarRecorder();
+    recorder.attach(page);
+    recorder.stop();
+
+    const request = new FakeRequest({ url: 'https://example.com/' });
+    page.emit('request', request);
+    page.emit('requestfailed', request);
+    assert.equal((await recorder.toHar()).log.entries.length, 0);
+  });
+});
@@ -0,0 +1,189 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fse from 'fs-extra';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import { MockBitBrowserServer } from '../mock/bitbrowserServer.js';
+import { BITBROWSER_CONFIG, PROVIDER_CONFIG, RUNTIME_STATE_CONFIG } from '../config/config.js';
+import { isProcessAlive } from '../utils/process.js';
+import { getSessionState } from '../browser/runtimeState.js';
+import {
+  getProvider,
+  BitBrowserProvider,
+  LocalChromeProvider,
+  ProfileNotFoundError,
+  UnsupportedFeatureError
+} from '../providers/index.js';
+
+// 代替 Chrome 的子进程，只提供 /json/version
+const FAKE_CHROME = `
+const server = require('http').createServer((req, res) => {
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ webSocketDebuggerUrl: 'ws://127.0.0.1:' + server.address().port + '/devtools/browser/fake' }));
+});
+server.listen(0, '127.0.0.1', () => console.log(server.address().port));
+`;
+
+/**
+ * 启动模拟 Chrome 进程，返回与 launchChrome 相同结构的对象
+ * @returns {Promise<{pid: number, port: number, process: ChildProcess, kill: Function}>}
+ */
+async function launchFakeChrome() {
+  const child = spawn(process.execPath, ['-e', FAKE_CHROME], { stdio: ['ignore', 'pipe', 'inherit'] });
+  const [chunk] = await once(child.stdout, 'data');
+  return { pid: child.pid, port: Number(String(chunk).trim()), process: child, kill: () => child.kill() };
+}
+
+describe('local Chrome provider', () => {
+  const originalStateDir = RUNTIME_STATE_CONFIG.dir;
+  let dataDir;
+  let provider;
+  const launches = [];
+
+  before(async () => {
+    dataDir = await fse.mkdtemp(join(tmpdir(), 'local-provider-'));
+    RUNTIME_STATE_CONFIG.dir = await fse.mkdtemp(join(tmpdir(), 'local-provider-sessions-'));
+    provider = new LocalChromeProvider({ dataDir, args: ['--mute-audio'] });
+    provider.launchChrome = async options => {
+      launches.push(options);
+      return launchFakeChrome();
+    };
+  });
+
+  after(async () => {
+    await fse.remove(RUNTIME_STATE_CONFIG.dir);
+    RUNTIME_STATE_CONFIG.dir = originalStateDir;
+    await fse.remove(dataDir);
+  });
+
+  test('creates, updates, lists and deletes profiles in the data directory', async () => {
+    const id = await provider.create({ remark: 'local demo', proxyType: 'http', host: '10.0.0.1', port: 8080, fingerprint: 'win10-chrome124-en-us' });
+    const other = await provider.create({ name: 'other', browserFingerPrint: { coreVersion: '120' } });
+    assert.ok(await fse.pathExists(join(dataDir, id)));
+
+    const profile = await provider.get(id);
+    assert.equal(profile.port, '8080');
+    assert.equal(profile.browserFingerPrint.languages, 'en-US,en');
+
+    await provider.update(id, { remark: 'local updated', proxyType: 'socks5', port: 1080, browserFingerPrint: { timeZone: 'Europe/Berlin' } });
+    const updated = await provider.get(id);
+    assert.equal(updated.remark, 'local updated');
+    assert.equal(updated.port, '1080');
+    assert.deepEqual(updated.browserFingerPrint, { timeZone: 'Europe/Berlin' });
+
+    const listed = [];
+    for await (const browser of provider.iterate({ remark: 'local' })) {
+      listed.push(browser.id);
+    }
+    assert.deepEqual(listed, [id]);
+
+    await provider.delete(id);
+    await provider.delete(other);
+    assert.deepEqual(await fse.readdir(dataDir), []);
+    await assert.rejects(provider.get(id), ProfileNotFoundError);
+    await assert.rejects(provider.get('../outside'), ProfileNotFoundError);
+  });
+
+  test('rejects proxy types Chrome cannot use', async () => {
+    await assert.rejects(provider.create({ proxyType: 'ssh', host: '10.0.0.1', port: 22 }), UnsupportedFeatureError);
+    const id = await provider.create({});
+    await assert.rejects(provider.update(id, { proxyType: 'ssh' }), UnsupportedFeatureError);
+    await provider.delete(id);
+  });
+
+  test('launches Chrome with the profile settings, reuses it while running and closes it from any process', async () => {
+    const id = await provider.create({
+      proxyType: 'http',
+      host: '10.0.0.2',
+      port: 3128,
+      proxyUserName: 'user',
+      proxyPassword: 'secret',
+      browserFingerPrint: { userAgent: 'Test UA', languages: 'de-DE,de', resolution: '1280 x 720', timeZone: 'Europe/Berlin' }
+    });
+
+    launches.length = 0;
+    const opened = await provider.open(id, { headless: true });
+    assert.match(opened.wsEndpoint, /^ws:\/\/127\.0\.0\.1:\d+$/);
+    assert.deepEqual(opened.proxyCredentials, { username: 'user', password: 'secret' });
+    assert.deepEqual((await getSessionState(id)).debugInfo, { debuggerAddress: opened.wsEndpoint, chromePort: opened.wsEndpoint.split(':')[2], pid: opened.pid });
+
+    const [options] = launches;
+    assert.equal(options.userDataDir, join(dataDir, id));
+    assert.deepEqual(options.env, { TZ: 'Europe/Berlin' });
+    assert.equal(options.headless, 'new');
+    // 默认参数由 puppeteer-real-browser 添加，这里只传浏览器自己的参数
+    assert.deepEqual(options.args, ['--user-agent=Test UA', '--lang=de-DE', '--accept-lang=de-DE,de', '--window-size=1280,720',
+      '--proxy-server=http://10.0.0.2:3128', '--mute-audio']);
+
+    // 已在运行时不再启动
+    assert.equal((await provider.open(id)).wsEndpoint, opened.wsEndpoint);
+    assert.equal(launches.length, 1);
+
+    // 另一个进程中的后端通过浏览器信息中记录的进程关闭
+    const otherProcess = new LocalChromeProvider({ dataDir });
+    assert.equal((await otherProcess.open(id)).pid, opened.pid);
+    await otherProcess.close(id);
+    assert.equal(isProcessAlive(opened.pid), false);
+    assert.equal((await provider.get(id)).process, null);
+
+    // 进程退出后重新启动
+    await provider.open(id);
+    assert.equal(launches.length, 2);
+    await provider.delete(id);
+    assert.equal(await fse.pathExists(join(dataDir, `${id}.json`)), false);
+  });
+
+  test('reports launch failures from the launcher process', async () => {
+    // 用户数据目录不存在时库在启动 Chrome 前失败，不需要真实的 Chrome
+    const launching = new LocalChromeProvider({ dataDir }).launchChrome({
+      chromePath: process.execPath,
+      userDataDir: join(dataDir, 'missing', 'profile'),
+      args: [],
+      headless: 'new',
+      env: {}
+    });
+    await assert.rejects(launching, /Could not launch Chrome: ENOENT/);
+  });
+});
+
+describe('provider selection', () => {
+  const bitbrowser = new MockBitBrowserServer();
+  const originalUrl = BITBROWSER_CONFIG.url;
+  const originalType = PROVIDER_CONFIG.type;
+
+  before(async () => {
+    BITBROWSER_CONFIG.url = await bitbrowser.start();
+  });
+
+  after(async () => {
+    PROVIDER_CONFIG.type = originalType;
+    BITBROWSER_CONFIG.url = originalUrl;
+    await bitbrowser.stop();
+  });
+
+  test('selects the provider configured in provider.type', () => {
+    PROVIDER_CONFIG.type = 'local';
+    assert.ok(getProvider() instanceof LocalChromeProvider);
+    assert.equal(getProvider(), getProvider());
+    PROVIDER_CONFIG.type = 'bitbrowser';
+    assert.ok(getProvider() instanceof BitBrowserProvider);
+    assert.throws(() => getProvider('nope'), /Unknown browser provider "nope"/);
+  });
+
+  test('drives BitBrowser profiles through the provider interface', async () => {
+    const provider = getProvider('bitbrowser');
+    const id = await provider.create({ remark: 'via provider' });
+    await provider.update(id, { proxyType: 'socks5', host: '10.0.0.3', port: '1080' });
+    assert.equal((await provider.get(id)).host, '10.0.0.3');
+
+    const listed = [];
+    for await (const browser of provider.iterate({ remark: 'via provider' })) {
+      listed.push(browser.id);
+    }
+    assert.deepEqual(listed, [id]);
+    await provider.delete(id);
+    assert.equal(bitbrowser.profiles.has(id), false);
+  });
+});
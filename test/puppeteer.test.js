@@ -0,0 +1,332 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockBitBrowserServer } from '../mock/bitbrowserServer.js';
+import { BITBROWSER_CONFIG } from '../config/config.js';
+import { createBrowser, closeBrowser, deleteBrowser, getBrowserPids } from '../browser/bitbrowser.js';
+import { PuppeteerController } from '../browser/puppeteer.js';
+import { SessionManager } from '../browser/sessionManager.js';
+import { readStateFile } from '../browser/sessionState.js';
+import { FingerprintLeakError } from '../fingerprint/index.js';
+import { LocalChromeProvider } from '../providers/index.js';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import fse from 'fs-extra';
+
+// 端到端测试需要本地 Chromium，通过 CHROME_PATH 指定
+const skip = process.env.CHROME_PATH ? false : 'CHROME_PATH is not set';
+
+describe('PuppeteerController against mock BitBrowser', { skip }, () => {
+  const server = new MockBitBrowserServer();
+  const originalUrl = BITBROWSER_CONFIG.url;
+  const connectOptions = { headless: true, args: [] };
+
+  before(async () => {
+    BITBROWSER_CONFIG.url = await server.start();
+  });
+
+  after(async () => {
+    BITBROWSER_CONFIG.url = originalUrl;
+    await server.stop();
+  });
+
+  test('connects, navigates, evaluates and disconnects', async () => {
+    const browserId = await createBrowser({ remark: 'e2e' });
+    const controller = new PuppeteerController();
+
+    try {
+      await controller.connectToBitBrowser(browserId, connectOptions);
+      assert.equal(controller.browserId, browserId);
+      assert.ok(controller.isConnected());
+
+      await controller.navigateTo('data:text/html,<title>mock</title><h1>hello</h1>');
+      assert.equal(await controller.evaluate(() => document.querySelector('h1').textContent), 'hello');
+
+      const screenshot = await controller.takeScreenshot();
+      assert.ok(screenshot.length > 0);
+    } finally {
+      await controller.close();
+      await closeBrowser(browserId);
+      await deleteBrowser(browserId);
+    }
+
+    assert.equal(controller.isConnected(), false);
+    assert.deepEqual(await getBrowserPids([browserId]), {});
+  });
+
+  test('exports and restores cookies and localStorage across profiles', async () => {
+    const sourceId = await createBrowser();
+    const targetId = await createBrowser();
+    const source = new PuppeteerController();
+    const target = new PuppeteerController();
+    const statePath = join(tmpdir(), `state-${sourceId}.json`);
+
+    try {
+      await source.connectToBitBrowser(sourceId, connectOptions);
+      await source.page.setCookie({ name: 'sid', value: 'abc', url: 'https://example.com/' });
+      await source.importState({
+        state: { version: 1, cookies: [], origins: { 'https://example.com': { localStorage: { token: 't1' } } } }
+      });
+      const exported = await source.exportState({ origins: ['https://example.com'], path: statePath, passphrase: 'pw' });
+      assert.deepEqual(exported.origins, ['https://example.com']);
+
+      await target.connectToBitBrowser(targetId, { ...connectOptions, restoreState: { path: statePath, passphrase: 'pw' } });
+      const state = await readStateFile(statePath, { passphrase: 'pw' });
+      assert.ok(state.cookies.some(cookie => cookie.name === 'sid' && cookie.value === 'abc'));
+      assert.equal(state.origins['https://example.com'].localStorage.token, 't1');
+
+      const client = await target.page.createCDPSession();
+      const { cookies } = await client.send('Network.getAllCookies');
+      await client.detach();
+      assert.ok(cookies.some(cookie => cookie.name === 'sid' && cookie.value === 'abc'));
+    } finally {
+      await source.close();
+      await target.close();
+      await fse.remove(statePath);
+      for (const id of [sourceId, targetId]) {
+        await closeBrowser(id);
+        await deleteBrowser(id);
+      }
+    }
+  });
+
+  test('SessionManager keeps sessions independent and enforces the limit', async () => {
+    const manager = new SessionManager({ maxConcurrency: 2 });
+    const ids = [await createBrowser(), await createBrowser(), await createBrowser()];
+
+    try {
+      const first = await manager.createSession(ids[0], connectOptions);
+      const second = await manager.createSession(ids[1], connectOptions);
+      assert.notEqual(first, second);
+      assert.equal(manager.getSession(ids[0]), first);
+      assert.deepEqual(manager.listSessions().map(session => session.browserId), ids.slice(0, 2));
+
+      await assert.rejects(manager.createSession(ids[2], connectOptions), /Max concurrency/);
+
+      await first.close();
+      assert.equal(manager.getSession(ids[0]), undefined);
+    } finally {
+      assert.deepEqual(await manager.closeAll(), []);
+      for (const id of ids) {
+        await deleteBrowser(id);
+      }
+    }
+
+    assert.equal(manager.listSessions().length, 0);
+  });
+
+  test('opens, switches, waits for and closes tabs and popups', async () => {
+    const browserId = await createBrowser();
+    const controller = new PuppeteerController();
+
+    try {
+      await controller.connectToBitBrowser(browserId, connectOptions);
+      await controller.navigateTo('data:text/html,<title>main</title><a id="open" href="about:blank#popup" target="_blank">open</a>');
+
+      const popup = controller.waitForTab({ url: /#popup$/ });
+      await controller.page.click('#open');
+      const popupPage = await popup;
+      assert.ok((await controller.listTabs()).some(tab => tab.url.endsWith('#popup') && !tab.active));
+
+      assert.equal(await controller.evaluate({ tab: /#popup$/ }, () => location.hash), '#popup');
+      await controller.switchTab(popupPage);
+      assert.equal(controller.page, popupPage);
+
+      await controller.closeTab();
+      assert.equal(await controller.evaluate(() => document.title), 'main');
+
+      await controller.openTab('data:text/html,<title>second</title>');
+      assert.equal((await controller.getTab({ title: 'second' })), controller.page);
+      await controller.switchTab({ title: 'main' });
+      assert.equal(await controller.evaluate(() => document.title), 'main');
+    } finally {
+      await controller.close();
+      await closeBrowser(browserId);
+      await deleteBrowser(browserId);
+    }
+  });
+
+  test('types, clicks, scrolls and selects with real input events', async () => {
+    const browserId = await createBrowser();
+    const controller = new PuppeteerController();
+    const html = `<input id="q"><select id="lang"><option value="en">en</option><option value="de">de</option></select>
+      <div style="height:3000px"></div><button id="go" onclick="this.dataset.clicks = (+this.dataset.clicks || 0) + 1">go</button>
+      <script>window.keys = 0; document.getElementById('q').addEventListener('keydown', () => window.keys++);</script>`;
+
+    try {
+      await controller.connectToBitBrowser(browserId, connectOptions);
+      await controller.navigateTo(`data:text/html,${encodeURIComponent(html)}`);
+
+      await controller.type('#q', 'hello', { typoRate: 0, minKeyDelay: 5, maxKeyDelay: 10 });
+      assert.equal(await controller.evaluate(() => document.getElementById('q').value), 'hello');
+      assert.equal(await controller.evaluate(() => window.keys), 5);
+
+      await controller.type('#q', 'world', { clear: true, typoRate: 1, minKeyDelay: 0, maxKeyDelay: 0 });
+      assert.equal(await controller.evaluate(() => document.getElementById('q').value), 'world');
+
+      assert.deepEqual(await controller.select('#lang', 'de'), ['de']);
+      await controller.scrollTo('#go', { maxScrollSpeed: 100 });
+      await controller.click('#go');
+      assert.equal(await controller.evaluate(() => document.getElementById('go').dataset.clicks), '1');
+    } finally {
+      await controller.close();
+      await closeBrowser(browserId);
+      await deleteBrowser(browserId);
+    }
+  });
+
+  test('waits for selectors, text, URL changes, responses and a stable DOM', async () => {
+    const browserId = await createBrowser();
+    const controller = new PuppeteerController();
+    const html = `<div id="spinner">loading</div><script>
+      setTimeout(() => {
+        document.getElementById('spinner').remove();
+        document.body.insertAdjacentHTML('beforeend', '<p id="done">Order #42 confirmed</p>');
+        history.pushState({}, '', '#confirmed');
+      }, 200);
+    </script>`;
+
+    try {
+      await controller.connectToBitBrowser(browserId, connectOptions);
+      await controller.navigateTo(`data:text/html,${encodeURIComponent(html)}`, { waitUntil: 'load' });
+
+      await controller.waitForSelector('#spinner', { state: 'detached', timeout: 5000 });
+      assert.ok(await controller.waitForSelector('#done', { timeout: 5000 }));
+      assert.equal(await controller.waitForText(/Order #\d+/, { timeout: 5000 }), 'Order #42');
+      assert.match(await controller.waitForUrl('#confirmed', { timeout: 5000 }), /#confirmed$/);
+      await controller.waitForStableDom({ quietTime: 100, timeout: 5000 });
+      assert.equal(await controller.waitFor(page => page.$('#done').then(Boolean), { timeout: 1000 }), true);
+
+      const response = controller.waitForResponse(/example\.com/, { timeout: 10000 });
+      await controller.evaluate(() => fetch('https://example.com/').catch(() => null));
+      assert.ok((await response).status() > 0);
+
+      await assert.rejects(controller.waitForSelector('#never', { timeout: 200 }), /waiting for selector "#never" to be visible/);
+    } finally {
+      await controller.close();
+      await closeBrowser(browserId);
+      await deleteBrowser(browserId);
+    }
+  });
+
+  test('mocks and blocks requests and records them to a HAR file', async () => {
+    const browserId = await createBrowser();
+    const controller = new PuppeteerController();
+    const dir = await fse.mkdtemp(join(tmpdir(), 'har-'));
+
+    try {
+      await controller.connectToBitBrowser(browserId, {
+        ...connectOptions,
+        network: { blockResourceTypes: ['image'], har: join(dir, 'session.har') }
+      });
+      controller.addNetworkRule({
+        match: { url: 'https://mock.test/' },
+        action: 'respond',
+        response: { contentType: 'text/html', body: '<img src="https://mock.test/logo.png"><p id="mocked">hello</p>' }
+      });
+      await controller.navigateTo('https://mock.test/', { waitUntil: 'load' });
+      assert.equal(await controller.evaluate(() => document.querySelector('#mocked').textContent), 'hello');
+
+      const { path, entries } = await controller.stopHar();
+      const har = await fse.readJSON(path);
+      assert.equal(entries, har.log.entries.length);
+      const page = har.log.entries.find(entry => entry.request.url === 'https://mock.test/');
+      assert.equal(page.response.content.text, '<img src="https://mock.test/logo.png"><p id="mocked">hello</p>');
+      const image = har.log.entries.find(entry => entry.request.url === 'https://mock.test/logo.png');
+      assert.equal(image.response.status, 0);
+    } finally {
+      await controller.close();
+      await closeBrowser(browserId);
+      await deleteBrowser(browserId);
+      await fse.remove(dir);
+    }
+  });
+
+  test('captures elements, PDF, MHTML, screencast frames and failure bundles', async () => {
+    const browserId = await createBrowser();
+    const controller = new PuppeteerController();
+    const dir = await fse.mkdtemp(join(tmpdir(), 'capture-'));
+    const html = `<h1 id="title" style="width:200px">Report</h1><script>
+      console.error('widget failed');
+      let n = 0;
+      setInterval(() => { document.getElementById('title').textContent = 'Report ' + n++; }, 50);
+    </script>`;
+
+    try {
+      await controller.connectToBitBrowser(browserId, connectOptions);
+      await controller.navigateTo(`data:text/html,${encodeURIComponent(html)}`, { waitUntil: 'load' });
+
+      const element = await controller.takeScreenshot({ selector: '#title', timeout: 5000 });
+      assert.equal(element.subarray(1, 4).toString(), 'PNG');
+      assert.equal((await controller.exportPdf({ path: join(dir, 'page.pdf') })).subarray(0, 4).toString(), '%PDF');
+      assert.match(await controller.captureSnapshot({ path: join(dir, 'page.mhtml') }), /Report/);
+
+      await controller.startScreencast({ dir: join(dir, 'frames') });
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const { frames } = await controller.stopScreencast();
+      assert.ok(frames > 0);
+
+      const error = await controller.click('#missing', { timeout: 200 }).catch(error => error);
+      assert.ok(error.failureBundle.files.includes('screenshot.png'));
+      const consoleLog = await fse.readJSON(join(error.failureBundle.dir, 'console.json'));
+      assert.ok(consoleLog.some(entry => entry.text === 'widget failed'));
+      await fse.remove(controller.artifactDir);
+    } finally {
+      await controller.close();
+      await closeBrowser(browserId);
+      await deleteBrowser(browserId);
+      await fse.remove(dir);
+    }
+  });
+
+  test('auditFingerprint reports fields the browser does not apply', async () => {
+    // 模拟服务器启动的 Chromium 不应用指纹，请求的 UA 和平台必然不一致
+    const browserId = await createBrowser({ fingerprint: 'macos-chrome124-en-us' });
+    const controller = new PuppeteerController();
+
+    try {
+      await controller.connectToBitBrowser(browserId, connectOptions);
+      const report = await controller.auditFingerprint({ geo: false });
+      assert.equal(report.browserId, browserId);
+      assert.equal(report.status, 'failed');
+      assert.ok(report.mismatches.some(item => item.signal === 'userAgent' && item.severity === 'critical'));
+      assert.equal(typeof report.signals.hardwareConcurrency, 'number');
+      await controller.close();
+
+      await assert.rejects(
+        controller.connectToBitBrowser(browserId, { ...connectOptions, audit: { geo: false } }),
+        FingerprintLeakError
+      );
+      assert.equal(controller.isConnected(), false);
+    } finally {
+      await controller.close();
+      await closeBrowser(browserId);
+      await deleteBrowser(browserId);
+    }
+  });
+});
+
+describe('PuppeteerController with the local Chrome provider', { skip }, () => {
+  test('launches a profile in its user data directory and applies the user agent and language', async () => {
+    const dataDir = await fse.mkdtemp(join(tmpdir(), 'local-chrome-'));
+    const provider = new LocalChromeProvider({ dataDir, chromePath: process.env.CHROME_PATH, headless: true });
+    const browserId = await provider.create({ browserFingerPrint: { userAgent: 'LocalTest/1.0', languages: 'de-DE,de' } });
+    const controller = new PuppeteerController(browserId, { provider });
+
+    try {
+      await controller.connectToBitBrowser(browserId);
+      await controller.navigateTo('data:text/html,<h1>local</h1>');
+      assert.equal(await controller.evaluate(() => navigator.userAgent), 'LocalTest/1.0');
+      assert.equal(await controller.evaluate(() => navigator.language), 'de-DE');
+      await controller.close();
+
+      // 浏览器保持运行，重新连接时复用同一进程
+      const { pid } = (await provider.get(browserId)).process;
+      await controller.connectToBitBrowser(browserId);
+      assert.equal((await provider.get(browserId)).process.pid, pid);
+    } finally {
+      await controller.close();
+      await provider.delete(browserId);
+      await fse.remove(dataDir);
+    }
+  });
+});
@@ -0,0 +1,233 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fse from 'fs-extra';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { JobQueue, parseCron, nextCronRun, CronParseError, QueueError } from '../queue/index.js';
+
+// 测试中重试几乎不等待
+const fast = { minDelay: 1, maxDelay: 5, factor: 1, timeout: 0 };
+
+/**
+ * 创建使用模拟控制器的队列，记录连接、断开和强制关闭的浏览器
+ * @param {Object} options - 队列选项
+ * @returns {JobQueue}
+ */
+function createQueue(options) {
+  const queue = new JobQueue({ ...fast, ...options });
+  queue.events = [];
+  queue.createController = browserId => ({
+    browserId,
+    async connectToBitBrowser(id) {
+      queue.events.push(['connect', id]);
+    },
+    async navigateTo(url) {
+      queue.events.push(['navigate', browserId, url]);
+    },
+    async close() {
+      queue.events.push(['close', browserId]);
+    }
+  });
+  queue.forceClose = async browserId => {
+    queue.events.push(['forceClose', browserId]);
+  };
+  return queue;
+}
+
+describe('cron', () => {
+  // 2026-10-19 是周一
+  const monday = new Date(2026, 9, 19, 18, 7);
+
+  test('computes the next run from ranges, steps, names and aliases', () => {
+    assert.deepEqual(nextCronRun('*/15 9-17 * * mon-fri', monday), new Date(2026, 9, 20, 9, 0));
+    assert.deepEqual(nextCronRun('5/20 * * * *', monday), new Date(2026, 9, 19, 18, 25));
+    assert.deepEqual(nextCronRun('@daily', monday), new Date(2026, 9, 20, 0, 0));
+    assert.deepEqual(nextCronRun('0 0 29 feb *', monday), new Date(2028, 1, 29, 0, 0));
+    // 周日可以写作 0 或 7
+    assert.deepEqual(nextCronRun('30 8 * * 7', monday), new Date(2026, 9, 25, 8, 30));
+  });
+
+  test('matches either day of month or day of week when both are restricted', () => {
+    assert.deepEqual(nextCronRun('0 12 13 * fri', monday), new Date(2026, 9, 23, 12, 0));
+    assert.deepEqual(nextCronRun('0 12 20 * fri', monday), new Date(2026, 9, 20, 12, 0));
+  });
+
+  test('rejects invalid and impossible expressions', () => {
+    assert.throws(() => parseCron('61 * * * *'), /minute 61 out of range 0-59/);
+    assert.throws(() => parseCron('* * *'), /must have 5 fields/);
+    assert.throws(() => parseCron('*/0 * * * *'), CronParseError);
+    assert.throws(() => parseCron('0 0 * * funday'), /Invalid dayOfWeek "funday"/);
+    assert.throws(() => nextCronRun('0 0 30 2 *', monday), /never matches/);
+  });
+});
+
+describe('JobQueue', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fse.mkdtemp(join(tmpdir(), 'queue-'));
+  });
+
+  after(async () => {
+    await fse.remove(dir);
+  });
+
+  test('runs jobs on free pooled profiles within the concurrency limit', async () => {
+    const queue = createQueue({ file: null, concurrency: 2, profiles: ['p1', 'p2', 'p3'] });
+    let active = 0;
+    let maxActive = 0;
+    const busy = new Set();
+    queue.register('visit', async (controller, { payload }) => {
+      assert.ok(!busy.has(controller.browserId), 'a profile runs one job at a time');
+      busy.add(controller.browserId);
+      maxActive = Math.max(maxActive, ++active);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      active--;
+      busy.delete(controller.browserId);
+      return { visited: payload.url };
+    });
+
+    const jobs = [];
+    for (let index = 0; index < 5; index++) {
+      jobs.push(await queue.add({ task: 'visit', payload: { url: `https://example.com/${index}` } }));
+    }
+    jobs.push(await queue.add({ profile: 'p9', workflow: { steps: [{ action: 'navigate', url: 'https://example.com/wf' }] } }));
+    await queue.start();
+    await queue.onIdle();
+    await queue.stop();
+
+    assert.equal(maxActive, 2);
+    assert.deepEqual(queue.get(jobs[0].id).result, { visited: 'https://example.com/0' });
+    assert.equal(queue.get(jobs[5].id).result.status, 'passed');
+    assert.ok(queue.events.some(event => event[0] === 'navigate' && event[1] === 'p9'));
+    assert.deepEqual(queue.list({ status: 'completed' }).length, 6);
+    // 每次执行后都断开连接
+    assert.equal(queue.events.filter(event => event[0] === 'close').length, 6);
+  });
+
+  test('retries failing jobs with backoff and gives up after the last retry', async () => {
+    const queue = createQueue({ file: null, profiles: ['p1'] });
+    let calls = 0;
+    queue.register('flaky', async () => {
+      if (++calls < 2) {
+        throw new Error('Login page did not load');
+      }
+      return 'ok';
+    });
+    queue.register('broken', async () => {
+      throw new Error('Account suspended');
+    });
+    const retries = [];
+    queue.on('job:retry', ({ job, delay }) => retries.push([job.task, job.attempts, delay]));
+
+    const flaky = await queue.add({ task: 'flaky', retries: 2 });
+    const broken = await queue.add({ task: 'broken', retries: 1 });
+    await queue.start();
+    await queue.onIdle();
+    await queue.stop();
+
+    assert.equal(queue.get(flaky.id).status, 'completed');
+    assert.equal(queue.get(flaky.id).attempts, 2);
+    const failed = queue.get(broken.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 2);
+    assert.deepEqual(failed.error, { name: 'Error', message: 'Account suspended' });
+    assert.deepEqual(retries.map(([task, attempts]) => [task, attempts]), [['flaky', 1], ['broken', 1]]);
+    assert.ok(retries.every(([, , delay]) => delay >= 0 && delay <= 5));
+  });
+
+  test('force-closes the profile when a job times out', async () => {
+    const queue = createQueue({ file: null, profiles: ['p1'] });
+    queue.register('hang', () => new Promise(() => {}));
+
+    const job = await queue.add({ task: 'hang', timeout: 30, retries: 0 });
+    await queue.start();
+    await queue.onIdle();
+    await queue.stop();
+
+    assert.equal(queue.get(job.id).error.name, 'JobTimeoutError');
+    assert.deepEqual(queue.events.filter(event => event[0] !== 'connect'), [['forceClose', 'p1'], ['close', 'p1']]);
+  });
+
+  test('waits for a timed-out job to stop before disconnecting and retrying', async () => {
+    const queue = createQueue({ file: null, profiles: ['p1'] });
+    const stops = [];
+    queue.register('slow', () => new Promise((resolve, reject) => stops.push(reject)));
+    queue.forceClose = async (browserId) => {
+      queue.events.push(['forceClose', browserId]);
+      // 浏览器关闭后任务中的操作稍后才失败
+      setTimeout(() => {
+        queue.events.push(['stopped', browserId]);
+        stops.shift()(new Error('Target closed'));
+      }, 10);
+    };
+
+    const job = await queue.add({ task: 'slow', timeout: 30, retries: 1 });
+    await queue.start();
+    await queue.onIdle();
+    await queue.stop();
+
+    assert.equal(queue.get(job.id).attempts, 2);
+    const attempt = [['connect', 'p1'], ['forceClose', 'p1'], ['stopped', 'p1'], ['close', 'p1']];
+    assert.deepEqual(queue.events, [...attempt, ...attempt]);
+  });
+
+  test('rejects jobs that cannot run', async () => {
+    const queue = createQueue({ file: null, profiles: [] });
+    await assert.rejects(queue.add({ task: 'a', script: 'b.js', profile: 'p1' }), /exactly one of task, script, workflow/);
+    await assert.rejects(queue.add({ task: 'a' }), QueueError);
+    await assert.rejects(queue.schedule('bad', '* *', { task: 'a', profile: 'p1' }), CronParseError);
+  });
+
+  test('resumes interrupted jobs from the queue file after a crash', async () => {
+    const file = join(dir, 'crash.json');
+    const first = createQueue({ file, profiles: ['p1'] });
+    const done = await first.add({ task: 'count', runAt: new Date(Date.now() + 60000) });
+    const interrupted = await first.add({ task: 'count' });
+    await first.cancel(done.id);
+
+    // 模拟进程在任务执行中崩溃
+    const saved = await fse.readJSON(file);
+    saved.jobs.find(job => job.id === interrupted.id).status = 'running';
+    saved.jobs.find(job => job.id === interrupted.id).attempts = 1;
+    await fse.writeJSON(file, saved);
+
+    const second = createQueue({ file, profiles: ['p1'] });
+    second.register('count', async (controller, { job }) => job.attempts);
+    await second.start();
+    // 执行中的队列持有运行锁，其他实例的修改会被覆盖，因此被拒绝
+    await assert.rejects(createQueue({ file }).add({ task: 'count', profile: 'p1' }), /is being run by process/);
+    await assert.rejects(createQueue({ file }).start(), /is already being run by process/);
+    await second.onIdle();
+    await second.stop();
+    assert.equal(await fse.pathExists(`${file}.lock`), false);
+
+    const resumed = second.get(interrupted.id);
+    assert.equal(resumed.status, 'completed');
+    assert.equal(resumed.result, 1);
+    assert.equal(resumed.interrupted, 1);
+    assert.equal(second.get(done.id).status, 'cancelled');
+    assert.equal((await fse.readJSON(file)).jobs.find(job => job.id === interrupted.id).status, 'completed');
+  });
+
+  test('queues a job when a schedule is due and computes the next run', async () => {
+    const file = join(dir, 'schedule.json');
+    const queue = createQueue({ file, profiles: ['p1'] });
+    queue.register('report', async () => 'sent');
+    await queue.schedule('daily-report', '0 9 * * *', { task: 'report' });
+    // 模拟进程停止期间错过了一次执行
+    queue.schedules.get('daily-report').nextRunAt = new Date(Date.now() - 1000).toISOString();
+
+    await queue.start();
+    await queue.onIdle();
+    await queue.stop();
+
+    const [job] = queue.list();
+    assert.equal(job.schedule, 'daily-report');
+    assert.equal(job.result, 'sent');
+    const [schedule] = queue.listSchedules();
+    assert.ok(Date.parse(schedule.nextRunAt) > Date.now());
+    assert.equal(new Date(schedule.nextRunAt).getHours(), 9);
+    assert.equal(await queue.unschedule('daily-report'), true);
+  });
+});
@@ -0,0 +1,65 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter } from '../utils/rateLimiter.js';
+import { sleep } from '../utils/retry.js';
+
+describe('RateLimiter', () => {
+  test('starts at most maxRequests tasks per interval', async () => {
+    const limiter = new RateLimiter({ maxRequests: 2, interval: 100 });
+    const started = [];
+    const begin = Date.now();
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(value => limiter.schedule(async () => {
+      started.push(Date.now() - begin);
+      return value;
+    })));
+
+    assert.deepEqual(results, [1, 2, 3, 4, 5]);
+    // 每个时间窗口最多启动两个任务，第三、五个任务要等最早的请求过期
+    assert.ok(started[1] < 50, `second task started after ${started[1]}ms`);
+    assert.ok(started[2] >= 90, `third task started after ${started[2]}ms`);
+    assert.ok(started[4] >= 190, `fifth task started after ${started[4]}ms`);
+    for (let i = 2; i < started.length; i++) {
+      assert.ok(started[i] - started[i - 2] >= 90, `tasks ${i - 1} and ${i + 1} started in the same window`);
+    }
+  });
+
+  test('never runs more than maxConcurrent tasks at once', async () => {
+    const limiter = new RateLimiter({ maxRequests: 0, maxConcurrent: 2 });
+    let active = 0;
+    let peak = 0;
+
+    await Promise.all(Array.from({ length: 6 }, () => limiter.schedule(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(20);
+      active--;
+    })));
+
+    assert.equal(peak, 2);
+    assert.equal(limiter.active, 0);
+  });
+
+  test('a rejected task frees its slot and rejects only its own promise', async () => {
+    const limiter = new RateLimiter({ maxRequests: 0, maxConcurrent: 1 });
+    const failing = limiter.schedule(async () => {
+      throw new Error('boom');
+    });
+    const next = limiter.schedule(async () => 'next');
+
+    await assert.rejects(failing, /boom/);
+    assert.equal(await next, 'next');
+  });
+
+  test('reads options on every schedule', async () => {
+    const options = { maxRequests: 1, interval: 10000 };
+    const limiter = new RateLimiter(options);
+    await limiter.schedule(async () => {});
+
+    // 放宽限制后无需等待整个时间窗口
+    options.maxRequests = 0;
+    const begin = Date.now();
+    await limiter.schedule(async () => {});
+    assert.ok(Date.now() - begin < 1000);
+  });
+});
@@ -0,0 +1,324 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fse from 'fs-extra';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { once, EventEmitter } from 'events';
+import { PuppeteerController } from '../browser/puppeteer.js';
+import { SessionManager } from '../browser/sessionManager.js';
+import { CHALLENGE_CONFIG } from '../config/config.js';
+
+// 验证统计写入临时目录，不写入项目的 state/
+const challengeStatsDir = CHALLENGE_CONFIG.statsDir;
+
+before(async () => {
+  CHALLENGE_CONFIG.statsDir = await fse.mkdtemp(join(tmpdir(), 'reconnect-challenges-'));
+});
+
+after(async () => {
+  await fse.remove(CHALLENGE_CONFIG.statsDir);
+  CHALLENGE_CONFIG.statsDir = challengeStatsDir;
+});
+
+// 快速重连，避免测试等待
+const reconnect = { retries: 2, minDelay: 1, maxDelay: 5, heartbeatInterval: 0 };
+
+/**
+ * 模拟 puppeteer 页面，只实现控制器用到的方法
+ */
+class FakePage extends EventEmitter {
+  constructor() {
+    super();
+    this.currentUrl = 'about:blank';
+    this.gotoCalls = [];
+    this.frame = { url: () => this.currentUrl };
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  mainFrame() {
+    return this.frame;
+  }
+
+  async goto(url) {
+    this.gotoCalls.push(url);
+    this.currentUrl = url;
+    this.emit('framenavigated', this.frame);
+  }
+
+  async evaluate(fn) {
+    return fn();
+  }
+}
+
+/**
+ * 模拟 puppeteer 浏览器连接
+ */
+class FakeBrowser extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = true;
+    this.openPages = [];
+  }
+
+  async pages() {
+    return this.openPages;
+  }
+
+  async disconnect() {
+    this.drop();
+  }
+
+  // 模拟比特浏览器崩溃或 WebSocket 断开
+  drop() {
+    if (this.connected) {
+      this.connected = false;
+      this.emit('disconnected');
+    }
+  }
+}
+
+/**
+ * 依次返回给定的连接结果，Error 表示该次连接失败
+ * @param {Array<Object|Error>} results - 每次 attach 的结果
+ * @returns {Function}
+ */
+function attachSequence(results) {
+  const queue = [...results];
+  return async () => {
+    const next = queue.length > 1 ? queue.shift() : queue[0];
+    if (next instanceof Error) {
+      throw next;
+    }
+    return next;
+  };
+}
+
+/**
+ * 创建一组模拟连接
+ * @param {string|null} [httpEndpoint=null] - 心跳检测地址
+ * @returns {{browser: FakeBrowser, page: FakePage, httpEndpoint: string|null}}
+ */
+function fakeConnection(httpEndpoint = null) {
+  const browser = new FakeBrowser();
+  const page = new FakePage();
+  browser.openPages.push(page);
+  return { browser, page, httpEndpoint };
+}
+
+describe('PuppeteerController auto-reconnect', () => {
+  test('reattaches after the connection drops and restores the current URL', async () => {
+    const first = fakeConnection();
+    const second = fakeConnection();
+    const controller = new PuppeteerController();
+    controller.attach = attachSequence([first, second]);
+
+    await controller.connectToBitBrowser('reconnect-1', { reconnect });
+    await controller.navigateTo('https://example.com/account');
+
+    // 断开时立即清除失效的页面引用
+    let pageWhenLost;
+    controller.once('disconnected', () => {
+      pageWhenLost = controller.page;
+    });
+    const disconnected = once(controller, 'disconnected');
+    const reconnected = once(controller, 'reconnected');
+    first.browser.drop();
+
+    const [lost] = await disconnected;
+    assert.equal(lost.reason, 'disconnected');
+    assert.equal(pageWhenLost, null);
+
+    // 重连期间调用的方法等待重连完成，而不是使用失效的页面
+    assert.equal(await controller.evaluate(() => 42), 42);
+
+    const [event] = await reconnected;
+    assert.deepEqual(event, { browserId: 'reconnect-1', reason: 'disconnected', attempts: 1, url: 'https://example.com/account' });
+    assert.equal(controller.page, second.page);
+    assert.deepEqual(second.page.gotoCalls, ['https://example.com/account']);
+    assert.equal(controller.health.reconnects, 1);
+    assert.equal(controller.health.connected, true);
+
+    await controller.close();
+  });
+
+  test('treats a page crash as a lost connection', async () => {
+    const first = fakeConnection();
+    const second = fakeConnection();
+    const controller = new PuppeteerController();
+    controller.attach = attachSequence([first, second]);
+    await controller.connectToBitBrowser('reconnect-2', { reconnect });
+
+    const reconnected = once(controller, 'reconnected');
+    first.page.emit('error', new Error('Page crashed!'));
+    const [event] = await reconnected;
+
+    assert.equal(event.reason, 'crashed');
+    assert.equal(first.browser.connected, false);
+    assert.equal(controller.browser, second.browser);
+    await controller.close();
+  });
+
+  test('emits failed and reports a clear error when reconnecting is impossible', async () => {
+    const first = fakeConnection();
+    const controller = new PuppeteerController();
+    controller.attach = attachSequence([first, new Error('connect ECONNREFUSED 127.0.0.1:54345')]);
+    await controller.connectToBitBrowser('reconnect-3', { reconnect });
+
+    const failed = once(controller, 'failed');
+    first.browser.drop();
+    const [event] = await failed;
+
+    assert.match(event.error.message, /ECONNREFUSED/);
+    assert.equal(controller.health.error, event.error.message);
+    await assert.rejects(controller.navigateTo('https://example.com'), /was lost and could not be restored/);
+    await controller.close();
+  });
+
+  test('does not reconnect when disabled or after close()', async () => {
+    const controller = new PuppeteerController();
+    let attaches = 0;
+    controller.attach = async () => {
+      attaches++;
+      return fakeConnection();
+    };
+
+    await controller.connectToBitBrowser('reconnect-4', { reconnect: false });
+    const failed = once(controller, 'failed');
+    controller.browser.drop();
+    await failed;
+    assert.equal(attaches, 1);
+
+    await controller.connectToBitBrowser('reconnect-4', { reconnect });
+    const events = [];
+    controller.on('disconnected', event => events.push(event));
+    await controller.close();
+    assert.deepEqual(events, []);
+    assert.equal(attaches, 2);
+  });
+
+  test('closes the connection when a step after attaching fails', async () => {
+    const first = fakeConnection('http://127.0.0.1:9');
+    const controller = new PuppeteerController();
+    controller.attach = attachSequence([first]);
+    const closed = once(controller, 'closed');
+
+    await assert.rejects(controller.connectToBitBrowser('reconnect-7', {
+      reconnect: { ...reconnect, heartbeatInterval: 60000 },
+      restoreState: { path: join(tmpdir(), 'missing-session-state.json') }
+    }), /ENOENT/);
+
+    await closed;
+    assert.equal(controller.heartbeatTimer, null);
+    assert.equal(controller.browser, null);
+    assert.equal(first.browser.connected, false);
+  });
+
+  test('heartbeat detects an unresponsive debugging endpoint', async () => {
+    const server = http.createServer((req, res) => res.end(JSON.stringify({ Browser: 'Chrome/124.0.0.0' })));
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const endpoint = `http://127.0.0.1:${server.address().port}`;
+
+    const first = fakeConnection(endpoint);
+    const controller = new PuppeteerController();
+    controller.attach = attachSequence([first, fakeConnection()]);
+    await controller.connectToBitBrowser('reconnect-5', { reconnect: { ...reconnect, heartbeatInterval: 20, heartbeatTimeout: 200 } });
+
+    // 先等待一次成功的心跳
+    while (!controller.health.lastHeartbeatAt) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const disconnected = once(controller, 'disconnected');
+    const reconnected = once(controller, 'reconnected');
+    server.closeAllConnections();
+    server.close();
+
+    const [event] = await disconnected;
+    assert.equal(event.reason, 'heartbeat');
+    await reconnected;
+    await controller.close();
+  });
+});
+
+describe('SessionManager with auto-reconnect', () => {
+  const originalAttach = PuppeteerController.prototype.attach;
+
+  after(() => {
+    PuppeteerController.prototype.attach = originalAttach;
+  });
+
+  test('removes sessions that failed to reconnect', async () => {
+    const first = fakeConnection();
+    PuppeteerController.prototype.attach = attachSequence([first, new Error('browser is gone')]);
+
+    const manager = new SessionManager({ maxConcurrency: 1 });
+    const controller = await manager.createSession('reconnect-6', { reconnect });
+    assert.equal(manager.getSession('reconnect-6'), controller);
+
+    const failed = once(controller, 'failed');
+    first.browser.drop();
+    await failed;
+
+    assert.equal(manager.getSession('reconnect-6'), undefined);
+    assert.equal(manager.listSessions().length, 0);
+  });
+});
+
+describe('SessionManager.createSession', () => {
+  const { connectToBitBrowser, close } = PuppeteerController.prototype;
+
+  after(() => {
+    Object.assign(PuppeteerController.prototype, { connectToBitBrowser, close });
+  });
+
+  test('closes the controller when connecting fails', async () => {
+    const manager = new SessionManager({ maxConcurrency: 1 });
+    const closed = [];
+    PuppeteerController.prototype.connectToBitBrowser = async () => {
+      throw new Error('audit failed');
+    };
+    PuppeteerController.prototype.close = async function () {
+      closed.push(this.browserId);
+    };
+
+    await assert.rejects(manager.createSession('failing-1'), /audit failed/);
+    assert.deepEqual(closed, ['failing-1']);
+    assert.equal(manager.size, 0);
+  });
+});
+
+describe('SessionManager.closeAll', () => {
+  const { connectToBitBrowser, close } = PuppeteerController.prototype;
+
+  after(() => {
+    Object.assign(PuppeteerController.prototype, { connectToBitBrowser, close });
+  });
+
+  test('waits for sessions that are still connecting and closes them too', async () => {
+    const manager = new SessionManager({ maxConcurrency: 2 });
+    const connects = [];
+    const closed = [];
+    PuppeteerController.prototype.connectToBitBrowser = () => new Promise((resolve, reject) => connects.push({ resolve, reject }));
+    PuppeteerController.prototype.close = async function () {
+      closed.push(this.browserId);
+    };
+
+    const connecting = manager.createSession('closing-1');
+    const failing = manager.createSession('closing-2').catch(error => error);
+    const closing = manager.closeAll();
+    connects[0].resolve();
+    connects[1].reject(new Error('browser is gone'));
+
+    assert.deepEqual(await closing, []);
+    // 连接失败的控制器同样被关闭
+    assert.deepEqual(closed.sort(), ['closing-1', 'closing-2']);
+    assert.equal(manager.size, 0);
+    await connecting;
+    assert.equal((await failing).message, 'browser is gone');
+  });
+});
@@ -0,0 +1,94 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetry, computeBackoff } from '../utils/retry.js';
+
+describe('computeBackoff', () => {
+  const options = { minDelay: 100, maxDelay: 1000, factor: 2, jitter: false };
+
+  test('grows exponentially from minDelay and stops at maxDelay', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 6].map(attempt => computeBackoff(attempt, options)),
+      [100, 200, 400, 800, 1000, 1000]);
+  });
+
+  test('jitter stays within half and all of the delay', (t) => {
+    const random = t.mock.method(Math, 'random', () => 0);
+    assert.equal(computeBackoff(3, { ...options, jitter: true }), 200);
+    assert.equal(computeBackoff(6, { ...options, jitter: true }), 500);
+
+    random.mock.mockImplementation(() => 0.999999);
+    assert.equal(computeBackoff(3, { ...options, jitter: true }), 400);
+    assert.equal(computeBackoff(6, { ...options, jitter: true }), 1000);
+
+    random.mock.restore();
+    for (let i = 0; i < 100; i++) {
+      const delay = computeBackoff(2, { ...options, jitter: true });
+      assert.ok(delay >= 100 && delay <= 200, `delay ${delay} out of bounds`);
+    }
+  });
+});
+
+describe('withRetry', () => {
+  const retryable = message => Object.assign(new Error(message), { retryable: true });
+
+  test('retries retryable errors and passes the attempt number', async () => {
+    const attempts = [];
+    const retries = [];
+    const result = await withRetry(async (attempt) => {
+      attempts.push(attempt);
+      if (attempt < 2) {
+        throw retryable(`failure ${attempt}`);
+      }
+      return 'done';
+    }, {
+      minDelay: 1,
+      jitter: false,
+      onRetry: (error, attempt, delay) => retries.push([error.message, attempt, delay])
+    });
+
+    assert.equal(result, 'done');
+    assert.deepEqual(attempts, [0, 1, 2]);
+    assert.deepEqual(retries, [['failure 0', 1, 1], ['failure 1', 2, 2]]);
+  });
+
+  test('does not retry errors without retryable by default', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw new Error('permanent');
+    }, { minDelay: 1 }), /permanent/);
+    assert.equal(calls, 1);
+  });
+
+  test('shouldRetry overrides the retryable flag', async () => {
+    let calls = 0;
+    const seen = [];
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw retryable('not this time');
+    }, {
+      minDelay: 1,
+      shouldRetry: (error) => {
+        seen.push(error.message);
+        return false;
+      }
+    }), /not this time/);
+    assert.equal(calls, 1);
+    assert.deepEqual(seen, ['not this time']);
+
+    calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw new Error('plain');
+    }, { retries: 2, minDelay: 1, shouldRetry: () => true }), /plain/);
+    assert.equal(calls, 3);
+  });
+
+  test('throws the last error once retries are used up', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw retryable(`failure ${calls}`);
+    }, { retries: 2, minDelay: 1 }), /failure 3/);
+    assert.equal(calls, 3);
+  });
+});
@@ -0,0 +1,75 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { hostname, tmpdir } from 'os';
+import { join } from 'path';
+import fse from 'fs-extra';
+import { RUNTIME_STATE_CONFIG } from '../config/config.js';
+import {
+  updateSessionState,
+  getSessionState,
+  removeSessionState,
+  getSessionOwners,
+  listSessionStates
+} from '../browser/runtimeState.js';
+
+describe('runtime state store', () => {
+  const originalDir = RUNTIME_STATE_CONFIG.dir;
+  const dir = join(tmpdir(), `runtime-state-test-${process.pid}`);
+
+  before(() => {
+    RUNTIME_STATE_CONFIG.dir = dir;
+  });
+
+  after(async () => {
+    RUNTIME_STATE_CONFIG.dir = originalDir;
+    await fse.remove(dir);
+  });
+
+  test('keeps entries per browser and merges concurrent updates', async () => {
+    await Promise.all([
+      updateSessionState('browser-a', { debugInfo: { debuggerAddress: 'ws://a' } }),
+      updateSessionState('browser-a', { config: { browserWSEndpoint: 'ws://a' } }),
+      updateSessionState('browser-b', { debugInfo: { debuggerAddress: 'ws://b' } })
+    ]);
+
+    const a = await getSessionState('browser-a');
+    assert.equal(a.pid, process.pid);
+    assert.equal(a.debugInfo.debuggerAddress, 'ws://a');
+    assert.equal(a.config.browserWSEndpoint, 'ws://a');
+    assert.equal((await getSessionState('browser-b')).debugInfo.debuggerAddress, 'ws://b');
+
+    const owners = await listSessionStates();
+    assert.deepEqual(owners.map(entry => entry.browserId).sort(), ['browser-a', 'browser-b']);
+
+    await removeSessionState('browser-a');
+    await removeSessionState('browser-b');
+    assert.equal(await getSessionState('browser-a'), null);
+    assert.deepEqual(await listSessionStates(), []);
+  });
+
+  test('prunes entries whose owning process has exited', async () => {
+    const { pid: deadPid } = spawnSync(process.execPath, ['-e', '']);
+    await fse.outputJSON(join(dir, `browser-c.${deadPid}.json`), { browserId: 'browser-c', pid: deadPid, host: hostname() });
+    await updateSessionState('browser-c', { debugInfo: {} });
+
+    const owners = await getSessionOwners('browser-c');
+    assert.deepEqual(owners.map(entry => entry.pid), [process.pid]);
+    assert.ok(!(await fse.pathExists(join(dir, `browser-c.${deadPid}.json`))));
+
+    await removeSessionState('browser-c');
+  });
+
+  test('recovers a lock left behind by a dead process', async () => {
+    const { pid: deadPid } = spawnSync(process.execPath, ['-e', '']);
+    await fse.outputJSON(join(dir, 'browser-d.lock'), { pid: deadPid, host: hostname() });
+
+    await updateSessionState('browser-d', { debugInfo: {} });
+    assert.ok(await getSessionState('browser-d'));
+    await removeSessionState('browser-d');
+  });
+
+  test('rejects browser IDs that are not safe file names', async () => {
+    await assert.rejects(updateSessionState('../escape', {}), TypeError);
+  });
+});
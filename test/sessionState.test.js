@@ -0,0 +1,94 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import fse from 'fs-extra';
+import {
+  STATE_FILE_VERSION,
+  SessionStateError,
+  getStateFilePath,
+  writeStateFile,
+  readStateFile,
+  collectState,
+  applyState
+} from '../browser/sessionState.js';
+
+const state = {
+  version: STATE_FILE_VERSION,
+  browserId: 'profile-1',
+  exportedAt: new Date().toISOString(),
+  cookies: [{ name: 'sid', value: 'secret', domain: '.example.com', path: '/', expires: -1, size: 9, session: true }],
+  origins: {}
+};
+
+/**
+ * 只实现 CDP Cookie 命令的假页面
+ */
+function createFakePage(cookies = []) {
+  const sent = [];
+  return {
+    sent,
+    async createCDPSession() {
+      return {
+        async send(method, params) {
+          sent.push([method, params]);
+          return method === 'Network.getAllCookies' ? { cookies } : {};
+        },
+        async detach() {}
+      };
+    }
+  };
+}
+
+describe('session state', () => {
+  const dir = join(tmpdir(), `session-state-test-${process.pid}`);
+
+  test('writes and reads plain state files', async () => {
+    const file = join(dir, 'plain.json');
+    await writeStateFile(file, state, { passphrase: '' });
+    assert.deepEqual(await readStateFile(file, { passphrase: '' }), state);
+    await fse.remove(dir);
+  });
+
+  test('encrypts state at rest and rejects a wrong passphrase', async () => {
+    const file = join(dir, 'encrypted.json');
+    await writeStateFile(file, state, { passphrase: 'correct horse' });
+
+    const raw = await fse.readFile(file, 'utf8');
+    assert.ok(!raw.includes('secret'));
+    assert.equal(JSON.parse(raw).encrypted, true);
+
+    assert.deepEqual(await readStateFile(file, { passphrase: 'correct horse' }), state);
+    await assert.rejects(readStateFile(file, { passphrase: 'wrong' }), SessionStateError);
+    await assert.rejects(readStateFile(file, { passphrase: '' }), /no passphrase/);
+    await fse.remove(dir);
+  });
+
+  test('rejects browser IDs that would leave the state directory', () => {
+    assert.match(getStateFilePath('profile-1'), /profile-1\.json$/);
+    for (const browserId of ['../outside', 'a/b', '..\\x', '', undefined]) {
+      assert.throws(() => getStateFilePath(browserId), TypeError);
+    }
+  });
+
+  test('rejects unsupported versions', async () => {
+    const file = join(dir, 'old.json');
+    await fse.outputJSON(file, { ...state, version: 0 });
+    await assert.rejects(readStateFile(file), /Unsupported session state version 0/);
+    await fse.remove(dir);
+  });
+
+  test('collects cookies and restores them without read-only fields', async () => {
+    const collected = await collectState({}, createFakePage(state.cookies), { browserId: 'profile-1' });
+    assert.equal(collected.version, STATE_FILE_VERSION);
+    assert.deepEqual(collected.cookies, state.cookies);
+
+    const page = createFakePage();
+    const result = await applyState({}, page, collected);
+    assert.deepEqual(result, { cookies: 1, origins: 0 });
+
+    const [method, params] = page.sent[0];
+    assert.equal(method, 'Network.setCookies');
+    assert.deepEqual(params.cookies, [{ name: 'sid', value: 'secret', domain: '.example.com', path: '/', expires: undefined }]);
+  });
+});
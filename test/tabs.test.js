@@ -0,0 +1,253 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fse from 'fs-extra';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PuppeteerController } from '../browser/puppeteer.js';
+import { findTab, TabNotFoundError } from '../browser/tabs.js';
+import { WorkflowRunner } from '../workflow/index.js';
+import { CAPTURE_CONFIG, CHALLENGE_CONFIG } from '../config/config.js';
+
+// 模拟页面无法截图，这里不保存失败现场，见 capture.test.js
+const captureOnFailure = CAPTURE_CONFIG.onFailure;
+// 验证统计写入临时目录，不写入项目的 state/
+const challengeStatsDir = CHALLENGE_CONFIG.statsDir;
+
+before(async () => {
+  CAPTURE_CONFIG.onFailure = false;
+  CHALLENGE_CONFIG.statsDir = await fse.mkdtemp(join(tmpdir(), 'tabs-challenges-'));
+});
+
+after(async () => {
+  CAPTURE_CONFIG.onFailure = captureOnFailure;
+  await fse.remove(CHALLENGE_CONFIG.statsDir);
+  CHALLENGE_CONFIG.statsDir = challengeStatsDir;
+});
+
+/**
+ * 模拟 puppeteer 页面，只实现标签页管理用到的方法
+ */
+class FakePage extends EventEmitter {
+  constructor(browser, url = 'about:blank', title = '') {
+    super();
+    this.browser = browser;
+    this.currentUrl = url;
+    this.currentTitle = title;
+    this.frame = { url: () => this.currentUrl };
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  async title() {
+    return this.currentTitle;
+  }
+
+  mainFrame() {
+    return this.frame;
+  }
+
+  async goto(url) {
+    this.currentUrl = url;
+    this.emit('framenavigated', this.frame);
+  }
+
+  async evaluate(fn) {
+    return typeof fn === 'function' ? fn(this) : fn;
+  }
+
+  async bringToFront() {
+    this.browser.front = this;
+  }
+
+  async close() {
+    this.browser.openPages = this.browser.openPages.filter(page => page !== this);
+  }
+}
+
+/**
+ * 模拟 puppeteer 浏览器，target 与页面一一对应
+ */
+class FakeBrowser extends EventEmitter {
+  constructor(tabs = [['about:blank', '']]) {
+    super();
+    this.connected = true;
+    this.openPages = tabs.map(([url, title]) => new FakePage(this, url, title));
+    this.front = this.openPages[0];
+  }
+
+  async pages() {
+    return [...this.openPages];
+  }
+
+  targets() {
+    return this.openPages.map(page => this.targetOf(page));
+  }
+
+  targetOf(page) {
+    page.target = page.target || { type: () => 'page', page: async () => page };
+    return page.target;
+  }
+
+  async newPage() {
+    return this.popup('about:blank');
+  }
+
+  // 模拟页面通过 window.open 打开弹出窗口
+  popup(url, title = '') {
+    const page = new FakePage(this, url, title);
+    this.openPages.push(page);
+    this.emit('targetcreated', this.targetOf(page));
+    return page;
+  }
+
+  async waitForTarget(predicate, { timeout }) {
+    for (const target of this.targets()) {
+      if (await predicate(target)) return target;
+    }
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Waiting for target failed: ${timeout}ms exceeded`)), timeout);
+      const onTarget = async target => {
+        if (await predicate(target)) {
+          clearTimeout(timer);
+          this.off('targetcreated', onTarget);
+          resolve(target);
+        }
+      };
+      this.on('targetcreated', onTarget);
+    });
+  }
+
+  async disconnect() {
+    this.connected = false;
+  }
+}
+
+/**
+ * 创建连接到模拟浏览器的控制器
+ * @param {Array<[string, string]>} [tabs] - 比特浏览器打开时恢复的标签页 [url, title]
+ * @returns {Promise<{controller: PuppeteerController, browser: FakeBrowser}>}
+ */
+async function connect(tabs) {
+  const browser = new FakeBrowser(tabs);
+  const controller = new PuppeteerController();
+  controller.attach = async () => ({ browser, page: browser.openPages[0], httpEndpoint: null });
+  await controller.connectToBitBrowser('tabs-test', { reconnect: false });
+  return { controller, browser };
+}
+
+const RESTORED = [
+  ['https://example.com/home', 'Home'],
+  ['https://mail.example.com/inbox', 'Inbox (3)'],
+  ['https://example.com/settings', 'Settings']
+];
+
+describe('findTab', () => {
+  const browser = new FakeBrowser(RESTORED);
+
+  test('finds tabs by index, URL and title', async () => {
+    const pages = await browser.pages();
+    assert.equal(await findTab(pages, 1), pages[1]);
+    assert.equal(await findTab(pages, -1), pages[2]);
+    assert.equal(await findTab(pages, 'mail.example.com'), pages[1]);
+    assert.equal(await findTab(pages, /\/settings$/), pages[2]);
+    assert.equal(await findTab(pages, { url: 'example.com', title: /^Inbox/ }), pages[1]);
+    assert.equal(await findTab(pages, pages[0]), pages[0]);
+  });
+
+  test('throws TabNotFoundError when nothing matches', async () => {
+    const pages = await browser.pages();
+    await assert.rejects(findTab(pages, 5), TabNotFoundError);
+    await assert.rejects(findTab(pages, { title: 'Checkout' }), /No open tab matches title Checkout/);
+    await assert.rejects(findTab(pages.slice(1), pages[0]), /no longer open/);
+  });
+});
+
+describe('PuppeteerController tabs', () => {
+  test('discovers tabs restored by the profile', async () => {
+    const { controller } = await connect(RESTORED);
+    const tabs = await controller.listTabs();
+    assert.deepEqual(tabs.map(tab => [tab.index, tab.title, tab.active]), [
+      [0, 'Home', true],
+      [1, 'Inbox (3)', false],
+      [2, 'Settings', false]
+    ]);
+    await controller.close();
+  });
+
+  test('existing methods accept a tab target without switching tabs', async () => {
+    const { controller, browser } = await connect(RESTORED);
+    assert.equal(await controller.evaluate({ tab: 'mail.' }, page => page.url()), 'https://mail.example.com/inbox');
+    assert.equal(await controller.evaluate(page => page.url()), 'https://example.com/home');
+
+    await controller.navigateTo('https://example.com/profile', { tab: 2 });
+    assert.equal(browser.openPages[2].url(), 'https://example.com/profile');
+    assert.equal(controller.page, browser.openPages[0]);
+    await controller.close();
+  });
+
+  test('opens, switches and closes tabs', async () => {
+    const { controller, browser } = await connect(RESTORED);
+
+    const opened = await controller.openTab('https://example.com/new');
+    assert.equal(controller.page, opened);
+    assert.equal(browser.front, opened);
+    assert.equal((await controller.listTabs()).length, 4);
+
+    await controller.switchTab({ title: 'Inbox' });
+    assert.equal(controller.page.url(), 'https://mail.example.com/inbox');
+
+    // 关闭当前标签页后切换到最后一个剩余的标签页
+    await controller.closeTab();
+    assert.equal(controller.page, opened);
+    await assert.rejects(controller.switchTab('mail.example.com'), TabNotFoundError);
+    await controller.close();
+  });
+
+  test('opens a blank tab after closing the last one', async () => {
+    const { controller, browser } = await connect();
+    const [only] = browser.openPages;
+    await controller.closeTab(0);
+    assert.notEqual(controller.page, only);
+    assert.equal(controller.page.url(), 'about:blank');
+    assert.equal(browser.openPages.length, 1);
+    await controller.close();
+  });
+
+  test('waitForTab resolves with a popup opened after the call', async () => {
+    const { controller, browser } = await connect(RESTORED);
+
+    // 已存在的匹配标签页不算新标签页
+    const popup = controller.waitForTab({ url: 'example.com', timeout: 1000, activate: true });
+    const page = browser.popup('https://accounts.example.com/oauth', 'Sign in');
+    assert.equal(await popup, page);
+    assert.equal(controller.page, page);
+
+    await assert.rejects(controller.waitForTab({ title: 'Never', timeout: 20 }), /exceeded/);
+    await controller.close();
+  });
+
+  test('workflow tab actions pick up a popup opened by the previous step', async () => {
+    const { controller, browser } = await connect();
+    const runner = new WorkflowRunner(controller);
+    const report = await runner.run({
+      name: 'popup',
+      steps: [
+        { action: 'evaluate', script: () => browser.popup('https://accounts.example.com/oauth', 'Sign in') && null },
+        { action: 'waitForTab', url: 'accounts.example.com' },
+        { action: 'evaluate', script: page => page.url(), as: 'popupUrl' },
+        { action: 'closeTab' },
+        { action: 'openTab', url: 'https://example.com/next', activate: false },
+        { action: 'evaluate', tab: 'example.com/next', script: page => page.url(), as: 'nextUrl' }
+      ]
+    });
+
+    assert.equal(report.status, 'passed', JSON.stringify(report.steps.map(step => step.error)));
+    assert.equal(report.vars.popupUrl, 'https://accounts.example.com/oauth');
+    assert.equal(report.vars.nextUrl, 'https://example.com/next');
+    assert.equal(controller.page, browser.openPages[0]);
+    await controller.close();
+  });
+});
@@ -0,0 +1,126 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  WaitTimeoutError,
+  waitForSelector,
+  waitForText,
+  waitForUrl,
+  waitForResponse,
+  waitForStableDom,
+  waitForCondition
+} from '../browser/wait.js';
+
+/**
+ * puppeteer 等待超时时抛出的错误
+ */
+class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * 模拟页面，URL可以在测试中修改；waitForFunction 总是超时，waitForResponse 按给定的响应判断
+ * @param {Object} [options] - 选项
+ * @param {Array<{url: string, status: number}>} [options.responses=[]] - 页面收到的响应
+ * @returns {Object}
+ */
+function createFakePage({ responses = [] } = {}) {
+  return {
+    currentUrl: 'https://example.com/login',
+    waitCalls: [],
+    url() {
+      return this.currentUrl;
+    },
+    async waitForFunction(fn, options, ...args) {
+      this.waitCalls.push({ options, args });
+      throw new TimeoutError(`Waiting failed: ${options.timeout}ms exceeded`);
+    },
+    async waitForResponse(predicate, { timeout }) {
+      for (const { url, status } of responses) {
+        const response = { url: () => url, status: () => status };
+        if (await predicate(response)) {
+          return response;
+        }
+      }
+      throw new TimeoutError(`Timed out after waiting ${timeout}ms`);
+    },
+    async evaluate() {
+      // 模拟页面一直在变化
+      return false;
+    }
+  };
+}
+
+describe('wait helpers', () => {
+  test('timeout errors describe the selector and state being waited for', async () => {
+    const page = createFakePage();
+    await assert.rejects(waitForSelector(page, '#spinner', { state: 'detached', timeout: 50, pollInterval: 10 }), (error) => {
+      assert.ok(error instanceof WaitTimeoutError);
+      assert.equal(error.message, 'Timed out after 50ms waiting for selector "#spinner" to be detached');
+      assert.equal(error.cause.name, 'TimeoutError');
+      return true;
+    });
+    assert.deepEqual(page.waitCalls[0], { options: { timeout: 50, polling: 10 }, args: ['#spinner', 'detached'] });
+
+    await assert.rejects(waitForSelector(page, '#spinner', { state: 'gone' }), TypeError);
+  });
+
+  test('waitForText passes regular expressions to the page by source', async () => {
+    const page = createFakePage();
+    await assert.rejects(waitForText(page, /order #\d+/i, { selector: '#status', timeout: 20 }),
+      /waiting for text \/order #\\d\+\/i in "#status"/);
+    assert.deepEqual(page.waitCalls[0].args, ['#status', { source: 'order #\\d+', flags: 'i' }]);
+  });
+
+  test('waitForUrl polls until the URL matches', async () => {
+    const page = createFakePage();
+    setTimeout(() => {
+      page.currentUrl = 'https://example.com/dashboard?tab=1';
+    }, 30);
+    assert.equal(await waitForUrl(page, /\/dashboard/, { timeout: 1000, pollInterval: 5 }), 'https://example.com/dashboard?tab=1');
+
+    await assert.rejects(waitForUrl(page, 'checkout', { timeout: 30, pollInterval: 5 }),
+      /waiting for URL matching "checkout" \(current: https:\/\/example.com\/dashboard\?tab=1\)/);
+  });
+
+  test('waitForResponse matches URL and status', async () => {
+    const page = createFakePage({
+      responses: [
+        { url: 'https://example.com/api/login', status: 401 },
+        { url: 'https://example.com/api/login', status: 200 }
+      ]
+    });
+    const response = await waitForResponse(page, '/api/login', { status: 200 });
+    assert.equal(response.status(), 200);
+
+    await assert.rejects(waitForResponse(page, /\/api\/orders/, { timeout: 10 }),
+      /Timed out after 10ms waiting for response \/\\\/api\\\/orders\//);
+  });
+
+  test('waitForStableDom reports the quiet period it waited for', async () => {
+    await assert.rejects(waitForStableDom(createFakePage(), { quietTime: 200, timeout: 1000 }),
+      /Timed out after 1000ms waiting for DOM to be stable for 200ms/);
+
+    // 页面中的检查还在进行时中止
+    const abort = new AbortController();
+    setTimeout(() => abort.abort(new Error('step timed out')), 10);
+    const busyPage = { evaluate: () => new Promise(() => {}) };
+    await assert.rejects(waitForStableDom(busyPage, { quietTime: 200, timeout: 0, signal: abort.signal }), /step timed out/);
+  });
+
+  test('waitForCondition returns the truthy value and uses the description on timeout', async () => {
+    const page = createFakePage();
+    let calls = 0;
+    assert.equal(await waitForCondition(page, async () => ++calls >= 3 && 'ready', { pollInterval: 1 }), 'ready');
+    assert.equal(calls, 3);
+
+    await assert.rejects(waitForCondition(page, () => false, { timeout: 20, pollInterval: 5, description: 'session cookie' }),
+      /Timed out after 20ms waiting for session cookie/);
+
+    const abort = new AbortController();
+    setTimeout(() => abort.abort(new Error('step timed out')), 10);
+    await assert.rejects(waitForCondition(page, () => false, { timeout: 0, pollInterval: 1, signal: abort.signal }), /step timed out/);
+  });
+});
@@ -0,0 +1,235 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import fse from 'fs-extra';
+import {
+  WorkflowRunner,
+  ACTIONS,
+  loadWorkflow,
+  validateWorkflow,
+  WorkflowValidationError,
+  WorkflowStepTimeoutError
+} from '../workflow/index.js';
+
+/**
+ * 记录调用的假控制器，不需要真实浏览器
+ */
+function createFakeController({ elements = {}, evaluate = () => null, failureDir = null } = {}) {
+  const calls = [];
+  const page = {
+    async waitForSelector(selector, options) {
+      calls.push(['waitForSelector', selector, options]);
+      if (!(selector in elements)) {
+        throw new Error(`Waiting for selector \`${selector}\` failed`);
+      }
+    },
+    async click(selector) {
+      calls.push(['click', selector]);
+    },
+    async type(selector, text) {
+      calls.push(['type', selector, text]);
+    },
+    async $(selector) {
+      return selector in elements ? {} : null;
+    },
+    async $$eval(selector, fn, attribute) {
+      const nodes = (elements[selector] || []).map(text => ({ [attribute]: text }));
+      return fn(nodes, attribute);
+    }
+  };
+
+  return {
+    browserId: 'fake-browser',
+    page,
+    calls,
+    async getTab(tab) {
+      calls.push(['getTab', tab]);
+      return page;
+    },
+    async navigateTo(url) {
+      calls.push(['navigateTo', url]);
+    },
+    async waitForSelector(selector, options) {
+      try {
+        await page.waitForSelector(selector, options);
+      } catch (error) {
+        // 与 PuppeteerController 一致，出错时在错误上记录保存的失败现场
+        if (failureDir) {
+          error.failureBundle = { dir: failureDir, files: ['screenshot.png'], errors: {} };
+        }
+        throw error;
+      }
+    },
+    async click(selector, options) {
+      await page.waitForSelector(selector, options);
+      await page.click(selector);
+    },
+    async type(selector, text, options) {
+      await page.waitForSelector(selector, options);
+      await page.type(selector, text);
+    },
+    async evaluate(...params) {
+      // 与 PuppeteerController.evaluate 一致，第一个参数可以是 { tab } 选项
+      const script = params[0] !== null && typeof params[0] === 'object' ? params[1] : params[0];
+      calls.push(['evaluate', script]);
+      return evaluate(script);
+    },
+    async takeScreenshot(options) {
+      calls.push(['takeScreenshot', options.path]);
+      await fse.outputFile(options.path, 'png');
+      return Buffer.from('png');
+    }
+  };
+}
+
+describe('workflow runner', () => {
+  test('runs steps with variables, extraction and conditionals', async () => {
+    const controller = createFakeController({
+      elements: { '#q': [], 'h3': ['first', 'second'] },
+      evaluate: () => 'Results'
+    });
+    const artifactDir = join(tmpdir(), `workflow-test-${Date.now()}`);
+
+    const report = await new WorkflowRunner(controller, { artifactDir, vars: { query: 'cats' } }).run({
+      name: 'search',
+      vars: { query: 'dogs', host: 'example.com' },
+      steps: [
+        { action: 'navigate', url: 'https://{{ host }}/?q={{ query }}' },
+        { action: 'type', selector: '#q', text: '{{ query }}' },
+        { action: 'evaluate', script: 'document.title', as: 'title' },
+        { action: 'extract', selector: 'h3', all: true, as: 'titles' },
+        { action: 'click', selector: '#missing', if: { exists: '#missing' } },
+        { action: 'click', selector: '#q', if: { equals: ['{{ title }}', 'Results'] } },
+        { action: 'screenshot', name: 'done' }
+      ]
+    });
+
+    try {
+      assert.equal(report.status, 'passed');
+      assert.deepEqual(report.steps.map(step => step.status), ['passed', 'passed', 'passed', 'passed', 'skipped', 'passed', 'passed']);
+      assert.deepEqual(controller.calls[0], ['navigateTo', 'https://example.com/?q=cats']);
+      assert.ok(controller.calls.some(call => call[0] === 'type' && call[2] === 'cats'));
+      assert.deepEqual(report.vars.titles, ['first', 'second']);
+      assert.equal(report.artifacts.length, 1);
+      assert.ok(await fse.pathExists(report.artifacts[0].path));
+    } finally {
+      await fse.remove(artifactDir);
+    }
+  });
+
+  test('retries failing steps and skips the rest after a failure', async () => {
+    const controller = createFakeController();
+    const report = await new WorkflowRunner(controller).run({
+      steps: [
+        { action: 'waitFor', selector: '#never', retries: 2, retryDelay: 1 },
+        { action: 'navigate', url: 'https://example.com' }
+      ]
+    });
+
+    assert.equal(report.status, 'failed');
+    assert.equal(report.steps[0].status, 'failed');
+    assert.equal(report.steps[0].attempts, 3);
+    assert.match(report.steps[0].error.message, /#never/);
+    assert.equal(report.steps[1].status, 'skipped');
+    assert.ok(!controller.calls.some(call => call[0] === 'navigateTo'));
+  });
+
+  test('links the failure artifacts saved by the controller to the failed step', async () => {
+    const controller = createFakeController({ failureDir: 'artifacts/runs/fake-browser/failure-001-waitForSelector' });
+    const report = await new WorkflowRunner(controller).run({
+      steps: [{ action: 'waitFor', selector: '#never' }]
+    });
+
+    const artifact = { type: 'failure', path: 'artifacts/runs/fake-browser/failure-001-waitForSelector' };
+    assert.deepEqual(report.steps[0].artifacts, [artifact]);
+    assert.deepEqual(report.artifacts, [{ step: 0, ...artifact }]);
+  });
+
+  test('continueOnError keeps going and timeouts are reported per step', async () => {
+    const controller = createFakeController();
+    const report = await new WorkflowRunner(controller).run({
+      steps: [
+        { action: 'sleep', ms: 200, timeout: 20, continueOnError: true },
+        { action: 'navigate', url: 'https://example.com' }
+      ]
+    });
+
+    assert.equal(report.status, 'passed');
+    assert.equal(report.steps[0].status, 'failed');
+    assert.equal(report.steps[0].error.name, WorkflowStepTimeoutError.name);
+    assert.equal(report.steps[1].status, 'passed');
+  });
+
+  test('a timed-out step is stopped before it is retried', async () => {
+    const controller = createFakeController();
+    const attempts = [];
+    controller.navigateTo = async (url, { signal }) => {
+      const attempt = { running: true, reason: null };
+      attempts.push(attempt);
+      try {
+        // 上一次尝试仍在导航时不应开始新的尝试
+        assert.ok(attempts.every(other => other === attempt || !other.running));
+        await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+        await new Promise(resolve => setTimeout(resolve, 5));
+        attempt.reason = signal.reason;
+      } finally {
+        attempt.running = false;
+      }
+    };
+
+    const report = await new WorkflowRunner(controller, { defaultRetries: 1 }).run({
+      steps: [{ action: 'navigate', url: 'https://example.com', timeout: 30, retryDelay: 0 }]
+    });
+
+    assert.equal(report.status, 'failed');
+    assert.equal(report.steps[0].attempts, 2);
+    assert.equal(attempts.length, 2);
+    assert.ok(attempts.every(attempt => attempt.reason instanceof WorkflowStepTimeoutError));
+  });
+
+  test('exists conditions look in the step\'s tab', async () => {
+    const controller = createFakeController({ elements: { '#q': [] } });
+    const popup = { $: async selector => (selector === '#pay' ? {} : null) };
+    controller.getTab = async tab => (tab === 1 ? popup : controller.page);
+
+    const report = await new WorkflowRunner(controller, { vars: { popup: 1 } }).run({
+      steps: [
+        { action: 'evaluate', script: 'document.title', tab: '{{ popup }}', if: { exists: '#pay' } },
+        { action: 'evaluate', script: 'document.title', if: { exists: '#pay' } }
+      ]
+    });
+
+    assert.deepEqual(report.steps.map(step => step.status), ['passed', 'skipped']);
+  });
+
+  test('evaluate and extract do not touch the page after the step was aborted', async () => {
+    const controller = createFakeController({ elements: { h3: ['first'] } });
+    const abort = new AbortController();
+    abort.abort(new WorkflowStepTimeoutError('Step 1 (evaluate) timed out after 10ms', { timeout: 10 }));
+    const context = { controller, page: controller.page, vars: {}, signal: abort.signal };
+
+    await assert.rejects(ACTIONS.evaluate.run({ script: 'document.title' }, context), WorkflowStepTimeoutError);
+    await assert.rejects(ACTIONS.extract.run({ selector: 'h3', as: 'title' }, context), WorkflowStepTimeoutError);
+    assert.deepEqual(controller.calls, []);
+    assert.deepEqual(context.vars, {});
+  });
+
+  test('validation rejects unknown actions and missing fields', () => {
+    assert.throws(() => validateWorkflow({ steps: [{ action: 'fly' }] }), WorkflowValidationError);
+    assert.throws(() => validateWorkflow({ steps: [{ action: 'type', selector: '#q' }] }), /missing required field "text"/);
+    assert.throws(() => validateWorkflow({ steps: [] }), WorkflowValidationError);
+  });
+
+  test('loads YAML workflows', async () => {
+    const file = join(tmpdir(), `workflow-${Date.now()}.yaml`);
+    await fse.outputFile(file, 'steps:\n  - action: sleep\n    ms: 1\n');
+    try {
+      const workflow = await loadWorkflow(file);
+      assert.equal(workflow.steps[0].action, 'sleep');
+      assert.match(workflow.name, /^workflow-/);
+    } finally {
+      await fse.remove(file);
+    }
+  });
+});
@@ -0,0 +1,203 @@
+import chalk from 'chalk';
+import { resolve } from 'path';
+import { Writable } from 'stream';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createLogger, format, transports } from 'winston';
+import { LOGGER_CONFIG, onConfigChange } from '../config/config.js';
+
+// 脱敏后的占位文本
+const REDACTED = '[REDACTED]';
+
+// 默认脱敏的字段名：代理账号密码、Cookie、Token、密钥等
+const SENSITIVE_KEY = /pass(word|phrase)?$|secret|token|cookie|authorization|api[-_]?key|proxyUserName|credential/i;
+
+// 日志关联字段（如 browserId），在 withLogContext 回调内的所有日志中自动附加
+const logContext = new AsyncLocalStorage();
+
+const TIMESTAMP_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+// onLog 注册的监听函数，接收脱敏后的日志对象
+const logListeners = new Set();
+
+// 把日志对象转发给监听函数，监听函数出错不影响日志输出
+const listenerStream = new Writable({
+  objectMode: true,
+  write(info, encoding, callback) {
+    for (const listener of logListeners) {
+      try {
+        listener(info);
+      } catch (error) {
+        // 监听函数的错误不再写日志，避免递归
+      }
+    }
+    callback();
+  }
+});
+
+// pretty 模式下各级别的颜色
+const LEVEL_COLORS = {
+  error: chalk.red,
+  warn: chalk.yellow,
+  info: chalk.blue,
+  debug: chalk.green
+};
+
+/**
+ * 判断字段名是否需要脱敏
+ * @param {string} key - 字段名
+ * @returns {boolean}
+ */
+function isSensitiveKey(key) {
+  const lower = key.toLowerCase();
+  return SENSITIVE_KEY.test(key) || LOGGER_CONFIG.redactKeys.some(extra => extra.toLowerCase() === lower);
+}
+
+/**
+ * 脱敏字符串中的敏感内容：JSON 键值、key=value 参数和 URL 中的账号密码
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+function redactString(text) {
+  return text
+    .replace(/"([\w-]+)"(\s*:\s*)("(?:[^"\\]|\\.)*"|[^\s,}\]]+)/g, (match, key, separator) =>
+      isSensitiveKey(key) ? `"${key}"${separator}"${REDACTED}"` : match)
+    .replace(/\b([\w-]+)=([^\s&;,]+)/g, (match, key) => (isSensitiveKey(key) ? `${key}=${REDACTED}` : match))
+    .replace(/\b([a-z][\w+.-]*:\/\/)[^\s/@:]+:[^\s/@]+@/gi, `$1${REDACTED}@`);
+}
+
+/**
+ * 递归脱敏任意值，返回副本，不修改原对象
+ * @param {any} value - 原始值
+ * @param {WeakSet} [seen] - 已访问的对象，防止循环引用
+ * @returns {any}
+ */
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), stack: value.stack && redactString(value.stack) };
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    isSensitiveKey(key) ? REDACTED : redact(item, seen)
+  ]));
+}
+
+// 附加当前异步上下文中的关联字段，日志调用时显式传入的字段优先
+const contextFormat = format(info => {
+  const fields = logContext.getStore();
+  if (fields) {
+    for (const [key, value] of Object.entries(fields)) {
+      if (info[key] === undefined) {
+        info[key] = value;
+      }
+    }
+  }
+  return info;
+});
+
+// 脱敏消息和所有附加字段（winston 内部字段为 Symbol，不受影响）
+const redactFormat = format(info => {
+  for (const key of Object.keys(info)) {
+    if (key === 'level') {
+      continue;
+    }
+    info[key] = key !== 'message' && isSensitiveKey(key) ? REDACTED : redact(info[key]);
+  }
+  return info;
+});
+
+/**
+ * pretty 模式的单行输出，格式为: 时间 [级别] [浏览器ID] 消息
+ * @param {Object} info - 日志对象
+ * @returns {string}
+ */
+function prettyPrint(info) {
+  const level = `[${info.level.toUpperCase()}]`;
+  const color = LEVEL_COLORS[info.level];
+  const session = info.browserId ? `${chalk.gray(`[${info.browserId}]`)} ` : '';
+  const message = info.level === 'error' ? color(info.message) : info.message;
+  return `${info.timestamp} ${color ? color(level) : level} ${session}${message}`;
+}
+
+/**
+ * 按当前 LOGGER_CONFIG 生成日志器选项
+ * @returns {Object} - winston 日志器选项
+ */
+function buildLoggerOptions() {
+  const loggerTransports = [
+    new transports.Console({
+      stderrLevels: LOGGER_CONFIG.stderrLevels,
+      format: LOGGER_CONFIG.format === 'json' ? format.json() : format.printf(prettyPrint)
+    }),
+    new transports.Stream({ stream: listenerStream })
+  ];
+
+  if (LOGGER_CONFIG.file) {
+    // 文件始终为JSON格式，超过 maxSize 后轮转，最多保留 maxFiles 个文件
+    loggerTransports.push(new transports.File({
+      filename: resolve(LOGGER_CONFIG.file),
+      maxsize: LOGGER_CONFIG.maxSize,
+      maxFiles: LOGGER_CONFIG.maxFiles,
+      tailable: true,
+      format: format.json()
+    }));
+  }
+
+  return {
+    level: LOGGER_CONFIG.level,
+    format: format.combine(contextFormat(), redactFormat(), format.timestamp({ format: TIMESTAMP_FORMAT })),
+    transports: loggerTransports
+  };
+}
+
+// 所有模块共用的根日志器，配置变化时重建输出
+const rootLogger = createLogger(buildLoggerOptions());
+onConfigChange(() => rootLogger.configure(buildLoggerOptions()));
+
+/**
+ * 获取模块日志器，所有模块共用同一组输出和脱敏规则
+ * @param {string} module - 模块名称，写入每条日志的 module 字段
+ * @param {Object} [fields] - 额外的固定字段，例如 { browserId }
+ * @returns {import('winston').Logger}
+ */
+function getLogger(module, fields = {}) {
+  return rootLogger.child({ module, ...fields });
+}
+
+/**
+ * 在日志上下文中执行函数，回调内（包括其调用的异步函数）产生的所有日志都会附加这些字段
+ * @example
+ * await withLogContext({ browserId }, () => runWorkflow(controller, workflow));
+ * @param {Object} fields - 关联字段，例如 { browserId }
+ * @param {Function} fn - 要执行的函数
+ * @returns {any} - fn 的返回值
+ */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * 监听所有模块输出的日志（已按 logger.level 过滤并脱敏），例如转发给控制API的 WebSocket 客户端
+ * @param {Function} listener - (info) => void，info 包含 level、message、timestamp、module、browserId 等字段
+ * @returns {Function} - 取消监听的函数
+ */
+function onLog(listener) {
+  logListeners.add(listener);
+  return () => logListeners.delete(listener);
+}
+
+export { getLogger, withLogContext, onLog, redact, REDACTED };
@@ -0,0 +1,16 @@
+/**
+ * 判断本机上的进程是否仍然存活
+ * @param {number} pid - 进程ID
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM 表示进程存在但无权发送信号
+    return error.code === 'EPERM';
+  }
+}
+
+export { isProcessAlive };
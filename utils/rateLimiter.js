@@ -0,0 +1,99 @@
+/**
+ * 客户端限流器
+ * 在滑动时间窗口内限制请求数，并限制同时进行的请求数
+ */
+class RateLimiter {
+  /**
+   * 选项对象按引用保存并在每次调度时读取，修改后立即生效（例如重新加载配置后）
+   * @param {Object} [options] - 限流选项
+   * @param {number} [options.maxRequests=10] - 每个时间窗口内允许的最大请求数，0表示不限制
+   * @param {number} [options.interval=1000] - 时间窗口长度（毫秒）
+   * @param {number} [options.maxConcurrent=0] - 最大并发请求数，0表示不限制
+   */
+  constructor(options = {}) {
+    this.options = options;
+    // 最近一个时间窗口内请求的开始时间
+    this.timestamps = [];
+    this.active = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * 每个时间窗口内允许的最大请求数
+   * @returns {number}
+   */
+  get maxRequests() {
+    return this.options.maxRequests ?? 10;
+  }
+
+  /**
+   * 时间窗口长度（毫秒）
+   * @returns {number}
+   */
+  get interval() {
+    return this.options.interval ?? 1000;
+  }
+
+  /**
+   * 最大并发请求数
+   * @returns {number}
+   */
+  get maxConcurrent() {
+    return this.options.maxConcurrent ?? 0;
+  }
+
+  /**
+   * 在限流约束下执行函数
+   * @param {Function} fn - 要执行的异步函数
+   * @returns {Promise<any>} - fn 的返回值
+   */
+  schedule(fn) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ fn, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * 尽可能多地启动排队中的任务
+   * @private
+   */
+  drain() {
+    while (this.queue.length > 0) {
+      const now = Date.now();
+      this.timestamps = this.timestamps.filter(time => now - time < this.interval);
+
+      if (this.maxConcurrent > 0 && this.active >= this.maxConcurrent) {
+        // 等待某个任务结束后再继续
+        return;
+      }
+
+      if (this.maxRequests > 0 && this.timestamps.length >= this.maxRequests) {
+        // 等待时间窗口中最早的请求过期
+        if (!this.timer) {
+          const wait = this.interval - (now - this.timestamps[0]);
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+          }, wait);
+        }
+        return;
+      }
+
+      const { fn, resolve, reject } = this.queue.shift();
+      this.timestamps.push(now);
+      this.active++;
+
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+}
+
+export { RateLimiter };
@@ -0,0 +1,67 @@
+/**
+ * 计算第 attempt 次重试前的等待时间（指数退避 + 抖动）
+ * @param {number} attempt - 重试次数，从1开始
+ * @param {Object} options - 退避选项
+ * @param {number} options.minDelay - 初始等待时间（毫秒）
+ * @param {number} options.maxDelay - 最大等待时间（毫秒）
+ * @param {number} options.factor - 指数因子
+ * @param {boolean} options.jitter - 是否添加随机抖动
+ * @returns {number} - 等待时间（毫秒）
+ */
+function computeBackoff(attempt, { minDelay, maxDelay, factor, jitter }) {
+  const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+  // 等抖动（equal jitter）：在 [delay/2, delay] 区间内随机，保留一半退避时间，同时避免大量请求同时重试
+  return jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+}
+
+/**
+ * 等待指定时间
+ * @param {number} ms - 毫秒
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 带指数退避的重试执行
+ * @param {Function} fn - 要执行的异步函数，参数为当前尝试次数（从0开始）
+ * @param {Object} [options] - 重试选项
+ * @param {number} [options.retries=3] - 最大重试次数（不含首次执行）
+ * @param {number} [options.minDelay=500] - 初始等待时间（毫秒）
+ * @param {number} [options.maxDelay=5000] - 最大等待时间（毫秒）
+ * @param {number} [options.factor=2] - 指数因子
+ * @param {boolean} [options.jitter=true] - 是否添加随机抖动
+ * @param {Function} [options.shouldRetry] - 判断错误是否可重试，默认读取 error.retryable
+ * @param {Function} [options.onRetry] - 每次重试前的回调 (error, attempt, delay)
+ * @returns {Promise<any>} - fn 的返回值
+ */
+async function withRetry(fn, options = {}) {
+  const {
+    retries = 3,
+    minDelay = 500,
+    maxDelay = 5000,
+    factor = 2,
+    jitter = true,
+    shouldRetry = error => Boolean(error && error.retryable),
+    onRetry
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = computeBackoff(attempt + 1, { minDelay, maxDelay, factor, jitter });
+      if (onRetry) {
+        onRetry(error, attempt + 1, delay);
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+export { withRetry, computeBackoff, sleep };
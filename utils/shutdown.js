@@ -0,0 +1,69 @@
+import { SHUTDOWN_CONFIG } from '../config/config.js';
+
+// 退出前需要执行的清理函数
+const hooks = new Set();
+
+// 信号对应的退出码（128 + 信号编号）
+const SIGNAL_EXIT_CODES = {
+  SIGINT: 130,
+  SIGTERM: 143
+};
+
+let installed = false;
+let shuttingDown = false;
+
+/**
+ * 执行所有清理函数，总时长不超过 SHUTDOWN_CONFIG.timeout
+ * @param {string} reason - 触发原因，传给清理函数
+ * @returns {Promise<void>}
+ */
+async function runShutdownHooks(reason) {
+  const pending = Array.from(hooks).map(hook => Promise.resolve().then(() => hook(reason)).catch(error => {
+    console.error(`Shutdown hook failed: ${error.message}`);
+  }));
+
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      console.error(`Shutdown hooks did not finish within ${SHUTDOWN_CONFIG.timeout}ms, exiting anyway`);
+      resolve();
+    }, SHUTDOWN_CONFIG.timeout);
+  });
+
+  await Promise.race([Promise.all(pending), timeout]);
+  clearTimeout(timer);
+}
+
+/**
+ * 处理退出信号：执行清理后退出；清理期间再次收到信号则立即退出
+ * @param {string} signal - 信号名称
+ */
+async function handleSignal(signal) {
+  if (shuttingDown) {
+    process.exit(SIGNAL_EXIT_CODES[signal] || 1);
+  }
+  shuttingDown = true;
+
+  await runShutdownHooks(signal);
+  process.exit(SIGNAL_EXIT_CODES[signal] || 1);
+}
+
+/**
+ * 注册进程收到 SIGINT/SIGTERM 时执行的异步清理函数
+ * @param {Function} hook - 清理函数 (reason) => Promise<void>|void
+ * @returns {Function} - 取消注册的函数
+ */
+function onShutdown(hook) {
+  hooks.add(hook);
+
+  if (!installed) {
+    installed = true;
+    for (const signal of Object.keys(SIGNAL_EXIT_CODES)) {
+      process.on(signal, () => handleSignal(signal));
+    }
+  }
+
+  return () => hooks.delete(hook);
+}
+
+export { onShutdown, runShutdownHooks };
@@ -0,0 +1,300 @@
+import { join } from 'path';
+import fse from 'fs-extra';
+import { matchesTab } from '../browser/tabs.js';
+
+/**
+ * 步骤的输入选项，human 为 false 时直接发送输入事件，不模拟真人节奏
+ * @param {Object} step - 步骤定义
+ * @param {number} timeout - 步骤超时时间（毫秒）
+ * @param {AbortSignal} [signal] - 步骤超时后中止的信号
+ * @returns {Object}
+ */
+function inputOptions(step, timeout, signal) {
+  return {
+    tab: step.tab,
+    timeout,
+    signal,
+    ...(step.human === false ? { enabled: false } : {})
+  };
+}
+
+/**
+ * 步骤中的匹配文本，regex 为 true 时按正则表达式匹配
+ * @param {string} value - 文本或正则表达式
+ * @param {boolean} [regex=false] - 是否为正则表达式
+ * @returns {string|RegExp}
+ */
+function toPattern(value, regex = false) {
+  return regex ? new RegExp(value) : String(value);
+}
+
+/**
+ * 工作流步骤动作
+ * 每个动作声明必填字段和执行函数，执行函数的参数为:
+ *   step    - 已替换变量的步骤定义
+ *   context - { controller, page, vars, timeout, signal, artifactDir, addArtifact }
+ * signal 在步骤超时后中止，耗时的操作应传给控制器方法或自行检查，停止继续操作页面
+ * 步骤的 tab 字段指定目标标签页（序号、URL子串或 { url, title }），context.page 为该标签页
+ * 返回值会记录到运行报告的 output 字段
+ */
+const ACTIONS = {
+  navigate: {
+    required: ['url'],
+    async run(step, { controller, timeout, signal }) {
+      await controller.navigateTo(step.url, {
+        tab: step.tab,
+        timeout,
+        signal,
+        ...(step.waitUntil ? { waitUntil: step.waitUntil } : {})
+      });
+      return { url: step.url };
+    }
+  },
+
+  waitFor: {
+    required: ['selector'],
+    async run(step, { controller, timeout, signal }) {
+      // 未指定状态时只要求元素存在，visible/hidden 为旧的写法
+      const state = step.state || (step.visible === true ? 'visible' : step.hidden === true ? 'hidden' : 'attached');
+      await controller.waitForSelector(step.selector, { tab: step.tab, state, timeout, pollInterval: step.pollInterval, signal });
+      return { selector: step.selector, state };
+    }
+  },
+
+  waitForText: {
+    required: ['text'],
+    async run(step, { controller, timeout, signal, vars }) {
+      const text = await controller.waitForText(toPattern(step.text, step.regex), {
+        tab: step.tab,
+        selector: step.selector,
+        timeout,
+        pollInterval: step.pollInterval,
+        signal
+      });
+      if (step.as) {
+        vars[step.as] = text;
+      }
+      return { text };
+    }
+  },
+
+  waitForUrl: {
+    required: ['url'],
+    async run(step, { controller, timeout, signal }) {
+      const url = await controller.waitForUrl(toPattern(step.url, step.regex), {
+        tab: step.tab,
+        timeout,
+        pollInterval: step.pollInterval,
+        signal
+      });
+      return { url };
+    }
+  },
+
+  waitForStable: {
+    required: [],
+    async run(step, { controller, timeout, signal }) {
+      await controller.waitForStableDom({ tab: step.tab, quietTime: step.quietTime, selector: step.selector, timeout, signal });
+      return { quietTime: step.quietTime ?? null };
+    }
+  },
+
+  click: {
+    required: ['selector'],
+    async run(step, { controller, timeout, signal }) {
+      await controller.click(step.selector, inputOptions(step, timeout, signal));
+      return { selector: step.selector };
+    }
+  },
+
+  type: {
+    required: ['selector', 'text'],
+    async run(step, { controller, timeout, signal }) {
+      await controller.type(step.selector, String(step.text), {
+        ...inputOptions(step, timeout, signal),
+        clear: Boolean(step.clear),
+        // 固定按键间隔
+        ...(step.delay !== undefined ? { minKeyDelay: step.delay, maxKeyDelay: step.delay } : {})
+      });
+      return { selector: step.selector };
+    }
+  },
+
+  hover: {
+    required: ['selector'],
+    async run(step, { controller, timeout, signal }) {
+      await controller.hover(step.selector, inputOptions(step, timeout, signal));
+      return { selector: step.selector };
+    }
+  },
+
+  scroll: {
+    required: ['to'],
+    async run(step, { controller, timeout, signal }) {
+      await controller.scrollTo(step.to, inputOptions(step, timeout, signal));
+      return { to: step.to };
+    }
+  },
+
+  select: {
+    required: ['selector', 'value'],
+    async run(step, { controller, timeout, signal, vars }) {
+      const values = await controller.select(step.selector, step.value, inputOptions(step, timeout, signal));
+      if (step.as) {
+        vars[step.as] = values;
+      }
+      return { values };
+    }
+  },
+
+  evaluate: {
+    required: ['script'],
+    async run(step, { controller, signal, vars }) {
+      signal?.throwIfAborted();
+      const value = await controller.evaluate({ tab: step.tab }, step.script);
+      if (step.as) {
+        vars[step.as] = value;
+      }
+      return { value };
+    }
+  },
+
+  extract: {
+    required: ['selector', 'as'],
+    async run(step, { page, signal, vars }) {
+      signal?.throwIfAborted();
+      const attribute = step.attribute || 'textContent';
+      const read = (elements, name) => elements.map(element => {
+        const value = name in element ? element[name] : element.getAttribute(name);
+        return typeof value === 'string' ? value.trim() : value;
+      });
+
+      const values = await page.$$eval(step.selector, read, attribute);
+      const value = step.all ? values : (values.length > 0 ? values[0] : null);
+      vars[step.as] = value;
+      return { value };
+    }
+  },
+
+  screenshot: {
+    required: [],
+    async run(step, { controller, artifactDir, addArtifact, index }) {
+      const path = step.path || join(artifactDir, `${String(index + 1).padStart(3, '0')}-${step.name || 'screenshot'}.png`);
+      await fse.ensureDir(join(path, '..'));
+      await controller.takeScreenshot({ tab: step.tab, path, selector: step.selector, fullPage: step.fullPage !== false && !step.selector });
+      addArtifact({ type: 'screenshot', path });
+      return { path };
+    }
+  },
+
+  pdf: {
+    required: [],
+    async run(step, { controller, artifactDir, addArtifact, index }) {
+      const path = step.path || join(artifactDir, `${String(index + 1).padStart(3, '0')}-${step.name || 'page'}.pdf`);
+      await fse.ensureDir(join(path, '..'));
+      await controller.exportPdf({ tab: step.tab, path, landscape: Boolean(step.landscape) });
+      addArtifact({ type: 'pdf', path });
+      return { path };
+    }
+  },
+
+  snapshot: {
+    required: [],
+    async run(step, { controller, artifactDir, addArtifact, index }) {
+      const format = step.format || 'mhtml';
+      const path = step.path || join(artifactDir, `${String(index + 1).padStart(3, '0')}-${step.name || 'snapshot'}.${format}`);
+      await controller.captureSnapshot({ tab: step.tab, format, path });
+      addArtifact({ type: 'snapshot', path });
+      return { path };
+    }
+  },
+
+  sleep: {
+    required: ['ms'],
+    async run(step, { signal }) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, Number(step.ms));
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        }, { once: true });
+      });
+      return { ms: Number(step.ms) };
+    }
+  },
+
+  auditFingerprint: {
+    required: [],
+    async run(step, { controller, vars }) {
+      // 默认发现严重泄露时步骤失败；geo 为 false 时不比较代理地理位置
+      const report = await controller.auditFingerprint({
+        tab: step.tab,
+        failOnCritical: step.failOnCritical !== false,
+        geo: step.geo
+      });
+      if (step.as) {
+        vars[step.as] = report;
+      }
+      return { status: report.status, critical: report.critical, warnings: report.warnings };
+    }
+  },
+
+  openTab: {
+    required: [],
+    async run(step, { controller, timeout }) {
+      const page = await controller.openTab(step.url, { activate: step.activate !== false, timeout });
+      return { url: page.url() };
+    }
+  },
+
+  switchTab: {
+    required: ['tab'],
+    async run(step, { controller }) {
+      const page = await controller.switchTab(step.tab);
+      return { url: page.url() };
+    }
+  },
+
+  closeTab: {
+    required: [],
+    async run(step, { controller }) {
+      await controller.closeTab(step.tab);
+      return { tabs: (await controller.listTabs()).length };
+    }
+  },
+
+  waitForTab: {
+    required: [],
+    async run(step, { controller, timeout }) {
+      const criteria = {
+        ...(step.url !== undefined ? { url: step.url } : {}),
+        ...(step.title !== undefined ? { title: step.title } : {})
+      };
+      // 弹出窗口通常在上一步（如 click）中已经打开，先查找当前标签页以外的已有标签页
+      const tabs = await controller.listTabs();
+      let page;
+      for (const tab of tabs.reverse().filter(tab => !tab.active)) {
+        const candidate = await controller.getTab(tab.index);
+        if (await matchesTab(candidate, criteria)) {
+          page = candidate;
+          break;
+        }
+      }
+      page = page || await controller.waitForTab({ ...criteria, timeout });
+      if (step.activate !== false) {
+        await controller.switchTab(page);
+      }
+      return { url: page.url() };
+    }
+  },
+
+  set: {
+    required: ['vars'],
+    async run(step, { vars }) {
+      Object.assign(vars, step.vars);
+      return { vars: Object.keys(step.vars) };
+    }
+  }
+};
+
+export { ACTIONS };
@@ -0,0 +1,38 @@
+/**
+ * 工作流错误基类
+ */
+class WorkflowError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情
+   * @param {number} [details.stepIndex] - 出错步骤的序号（从0开始）
+   * @param {Error} [details.cause] - 原始错误
+   */
+  constructor(message, { stepIndex, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.stepIndex = stepIndex;
+  }
+}
+
+/**
+ * 工作流定义不合法（缺少字段、未知的动作等）
+ */
+class WorkflowValidationError extends WorkflowError {}
+
+/**
+ * 步骤执行超时
+ */
+class WorkflowStepTimeoutError extends WorkflowError {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details] - 错误详情，见 WorkflowError
+   * @param {number} [details.timeout] - 超时时间（毫秒）
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.timeout = details.timeout;
+  }
+}
+
+export { WorkflowError, WorkflowValidationError, WorkflowStepTimeoutError };
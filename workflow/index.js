@@ -0,0 +1,27 @@
+import { WorkflowRunner } from './runner.js';
+import { loadWorkflow, validateWorkflow } from './loader.js';
+import { ACTIONS } from './actions.js';
+import { WorkflowError, WorkflowValidationError, WorkflowStepTimeoutError } from './errors.js';
+
+/**
+ * 在控制器会话上执行工作流
+ * @param {import('../browser/puppeteer.js').PuppeteerController} controller - 已连接的控制器
+ * @param {Object|string} workflow - 工作流定义或工作流文件路径
+ * @param {Object} [options] - 运行选项，见 WorkflowRunner
+ * @returns {Promise<Object>} - 运行报告
+ */
+async function runWorkflow(controller, workflow, options = {}) {
+  const definition = typeof workflow === 'string' ? await loadWorkflow(workflow) : workflow;
+  return new WorkflowRunner(controller, options).run(definition);
+}
+
+export {
+  runWorkflow,
+  WorkflowRunner,
+  loadWorkflow,
+  validateWorkflow,
+  ACTIONS,
+  WorkflowError,
+  WorkflowValidationError,
+  WorkflowStepTimeoutError
+};
@@ -0,0 +1,81 @@
+import fse from 'fs-extra';
+import { extname } from 'path';
+import YAML from 'yaml';
+import { ACTIONS } from './actions.js';
+import { WorkflowValidationError } from './errors.js';
+
+/**
+ * 校验工作流定义
+ * @param {Object} workflow - 工作流定义
+ * @returns {Object} - 校验通过的工作流定义
+ * @throws {WorkflowValidationError} - 定义不合法时抛出，信息中包含出错的步骤
+ */
+function validateWorkflow(workflow) {
+  if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+    throw new WorkflowValidationError('Workflow must be an object');
+  }
+
+  if (!Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+    throw new WorkflowValidationError('Workflow must have a non-empty "steps" array');
+  }
+
+  if (workflow.vars !== undefined && (typeof workflow.vars !== 'object' || Array.isArray(workflow.vars))) {
+    throw new WorkflowValidationError('Workflow "vars" must be an object');
+  }
+
+  workflow.steps.forEach((step, stepIndex) => {
+    const label = `Step ${stepIndex + 1}${step && step.name ? ` (${step.name})` : ''}`;
+
+    if (!step || typeof step !== 'object') {
+      throw new WorkflowValidationError(`${label} must be an object`, { stepIndex });
+    }
+
+    const action = ACTIONS[step.action];
+    if (!action) {
+      throw new WorkflowValidationError(
+        `${label} has unknown action "${step.action}", expected one of: ${Object.keys(ACTIONS).join(', ')}`,
+        { stepIndex }
+      );
+    }
+
+    for (const field of action.required) {
+      if (step[field] === undefined || step[field] === null || step[field] === '') {
+        throw new WorkflowValidationError(`${label} (${step.action}) is missing required field "${field}"`, { stepIndex });
+      }
+    }
+
+    for (const field of ['timeout', 'retries', 'retryDelay']) {
+      if (step[field] !== undefined && !(Number.isInteger(step[field]) && step[field] >= 0)) {
+        throw new WorkflowValidationError(`${label} field "${field}" must be a non-negative integer`, { stepIndex });
+      }
+    }
+  });
+
+  return workflow;
+}
+
+/**
+ * 从文件加载工作流，支持 .json、.yaml、.yml
+ * @param {string} filePath - 工作流文件路径
+ * @returns {Promise<Object>} - 校验通过的工作流定义
+ * @throws {WorkflowValidationError} - 文件无法解析或定义不合法时抛出
+ */
+async function loadWorkflow(filePath) {
+  const content = await fse.readFile(filePath, 'utf8');
+  const extension = extname(filePath).toLowerCase();
+
+  let workflow;
+  try {
+    workflow = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new WorkflowValidationError(`Cannot parse workflow ${filePath}: ${error.message}`, { cause: error });
+  }
+
+  if (workflow && typeof workflow === 'object' && !workflow.name) {
+    workflow.name = filePath.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+  }
+
+  return validateWorkflow(workflow);
+}
+
+export { loadWorkflow, validateWorkflow };
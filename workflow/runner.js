@@ -0,0 +1,361 @@
+import { EventEmitter } from 'events';
+import { join } from 'path';
+import { WORKFLOW_CONFIG } from '../config/config.js';
+import { getLogger } from '../utils/logger.js';
+import { ACTIONS } from './actions.js';
+import { validateWorkflow } from './loader.js';
+import { WorkflowStepTimeoutError } from './errors.js';
+import { sleep } from '../utils/retry.js';
+
+const logger = getLogger('workflow');
+
+// 整个字符串只有一个占位符时返回原始值（保留数字、数组等类型）
+const SINGLE_PLACEHOLDER = /^\{\{\s*([\w.$-]+)\s*\}\}$/;
+const PLACEHOLDER = /\{\{\s*([\w.$-]+)\s*\}\}/g;
+
+// withTimeout 中表示已超时的值
+const TIMED_OUT = Symbol('timedOut');
+
+/**
+ * 按点分路径读取变量，例如 "user.name"
+ * @param {Object} vars - 变量表
+ * @param {string} path - 变量路径
+ * @returns {any}
+ */
+function lookup(vars, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vars);
+}
+
+/**
+ * 替换值中的 {{ 变量 }} 占位符，递归处理对象和数组
+ * @param {any} value - 待替换的值
+ * @param {Object} vars - 变量表
+ * @returns {any} - 替换后的值
+ */
+function interpolate(value, vars) {
+  if (typeof value === 'string') {
+    const single = value.match(SINGLE_PLACEHOLDER);
+    if (single) {
+      return lookup(vars, single[1]);
+    }
+    return value.replace(PLACEHOLDER, (match, path) => {
+      const resolved = lookup(vars, path);
+      if (resolved == null) return '';
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, vars));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, vars)]));
+  }
+
+  return value;
+}
+
+/**
+ * 将值转换为布尔值，字符串 ''、'false'、'0' 视为假
+ * @param {any} value
+ * @returns {boolean}
+ */
+function truthy(value) {
+  if (typeof value === 'string') {
+    return !['', 'false', '0'].includes(value.trim().toLowerCase());
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return Boolean(value);
+}
+
+/**
+ * 在超时时间内执行异步操作
+ * 超时后中止传给操作的 signal，并等待操作停止后才抛出超时错误，避免超时的步骤在重试或执行下一个步骤时仍在操作页面；
+ * 不响应中止的操作最多再等待一个超时时间
+ * @param {function(AbortSignal): Promise<any>} run - 要执行的操作
+ * @param {number} timeout - 超时时间（毫秒），0表示不限制
+ * @param {string} label - 步骤描述，用于错误信息
+ * @param {number} stepIndex - 步骤序号
+ * @param {import('winston').Logger} [log] - 日志器
+ * @returns {Promise<any>}
+ */
+async function withTimeout(run, timeout, label, stepIndex, log = logger) {
+  const abort = new AbortController();
+  const running = run(abort.signal);
+  if (!timeout) {
+    return running;
+  }
+
+  let timer;
+  const expired = new Promise(resolve => {
+    timer = setTimeout(resolve, timeout, TIMED_OUT);
+  });
+  try {
+    const value = await Promise.race([running, expired]);
+    if (value !== TIMED_OUT) {
+      return value;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const error = new WorkflowStepTimeoutError(`${label} timed out after ${timeout}ms`, { stepIndex, timeout });
+  abort.abort(error);
+  const stopped = await Promise.race([
+    running.then(() => true, () => true),
+    new Promise(resolve => {
+      timer = setTimeout(resolve, timeout, false);
+    })
+  ]);
+  clearTimeout(timer);
+  if (!stopped) {
+    log.warn(`${label} is still running ${timeout}ms after timing out`);
+  }
+  throw error;
+}
+
+/**
+ * 声明式工作流执行引擎
+ * 在 PuppeteerController 会话上按顺序执行工作流步骤，并生成结构化的运行报告
+ *
+ * 事件:
+ *   step:start (stepReport) - 步骤开始
+ *   step:end (stepReport)   - 步骤结束（passed / failed / skipped）
+ */
+class WorkflowRunner extends EventEmitter {
+  /**
+   * @param {import('../browser/puppeteer.js').PuppeteerController} controller - 已连接的控制器
+   * @param {Object} [options] - 运行选项
+   * @param {Object} [options.vars] - 额外变量，覆盖工作流中定义的同名变量
+   * @param {string} [options.artifactDir] - 截图等产物的输出目录
+   * @param {number} [options.defaultTimeout] - 步骤默认超时时间（毫秒）
+   * @param {number} [options.defaultRetries] - 步骤默认重试次数
+   */
+  constructor(controller, options = {}) {
+    super();
+    this.controller = controller;
+    this.vars = options.vars || {};
+    this.artifactDir = options.artifactDir;
+    this.defaultTimeout = options.defaultTimeout ?? WORKFLOW_CONFIG.defaultTimeout;
+    this.defaultRetries = options.defaultRetries ?? WORKFLOW_CONFIG.defaultRetries;
+  }
+
+  /**
+   * 运行日志器，每条日志都带有控制器的浏览器ID
+   * @returns {import('winston').Logger}
+   */
+  get logger() {
+    const browserId = this.controller && this.controller.browserId;
+    return browserId ? logger.child({ browserId }) : logger;
+  }
+
+  /**
+   * 计算步骤的执行条件
+   * 支持字符串（替换变量后判断真假）或条件对象:
+   *   { var: 'name' } / { equals: [a, b] } / { notEquals: [a, b] } / { matches: [value, pattern] }
+   *   { exists: selector } / { not: cond } / { and: [cond...] } / { or: [cond...] }
+   * @param {any} condition - 条件定义
+   * @param {Object} vars - 变量表
+   * @param {import('../browser/tabs.js').TabTarget} [tab] - 步骤的目标标签页，exists 在该标签页中查找
+   * @returns {Promise<boolean>}
+   */
+  async evaluateCondition(condition, vars, tab) {
+    if (condition === undefined) {
+      return true;
+    }
+
+    if (typeof condition !== 'object' || condition === null) {
+      return truthy(interpolate(condition, vars));
+    }
+
+    if ('var' in condition) {
+      return truthy(lookup(vars, condition.var));
+    }
+    if ('equals' in condition) {
+      const [left, right] = interpolate(condition.equals, vars);
+      return String(left) === String(right);
+    }
+    if ('notEquals' in condition) {
+      const [left, right] = interpolate(condition.notEquals, vars);
+      return String(left) !== String(right);
+    }
+    if ('matches' in condition) {
+      const [value, pattern] = interpolate(condition.matches, vars);
+      return new RegExp(pattern).test(String(value ?? ''));
+    }
+    if ('exists' in condition) {
+      const selector = interpolate(condition.exists, vars);
+      // 重连期间等待重连完成，而不是读取已失效的页面
+      const page = await this.controller.getTab(tab);
+      return Boolean(await page.$(selector));
+    }
+    if ('not' in condition) {
+      return !(await this.evaluateCondition(condition.not, vars, tab));
+    }
+    if ('and' in condition) {
+      for (const item of condition.and) {
+        if (!(await this.evaluateCondition(item, vars, tab))) return false;
+      }
+      return true;
+    }
+    if ('or' in condition) {
+      for (const item of condition.or) {
+        if (await this.evaluateCondition(item, vars, tab)) return true;
+      }
+      return false;
+    }
+
+    throw new Error(`Unknown condition: ${JSON.stringify(condition)}`);
+  }
+
+  /**
+   * 执行工作流
+   * 步骤失败时不会抛出异常，而是记录到报告中并跳过后续步骤（continueOnError 的步骤除外）
+   * @param {Object} workflow - 工作流定义，见 loadWorkflow
+   * @returns {Promise<Object>} - 运行报告
+   * @throws {WorkflowValidationError} - 工作流定义不合法时抛出
+   */
+  async run(workflow) {
+    validateWorkflow(workflow);
+
+    const startedAt = new Date();
+    const artifactDir = this.artifactDir || join(
+      WORKFLOW_CONFIG.artifactDir,
+      `${workflow.name || 'workflow'}-${startedAt.toISOString().replace(/[:.]/g, '-')}`
+    );
+    const vars = {
+      ...(workflow.vars || {}),
+      ...this.vars,
+      browserId: this.controller.browserId,
+      artifactDir
+    };
+
+    const report = {
+      workflow: workflow.name || null,
+      browserId: this.controller.browserId,
+      status: 'passed',
+      startedAt: startedAt.toISOString(),
+      finishedAt: null,
+      durationMs: 0,
+      artifactDir,
+      steps: [],
+      artifacts: [],
+      vars
+    };
+
+    this.logger.info(`Running workflow ${report.workflow || ''} (${workflow.steps.length} steps) on browser ${report.browserId}`);
+
+    let aborted = false;
+    for (let index = 0; index < workflow.steps.length; index++) {
+      const step = workflow.steps[index];
+      const stepReport = {
+        index,
+        name: step.name || null,
+        action: step.action,
+        status: 'skipped',
+        attempts: 0,
+        durationMs: 0,
+        output: null,
+        error: null,
+        artifacts: []
+      };
+      report.steps.push(stepReport);
+
+      if (aborted) {
+        this.emit('step:end', stepReport);
+        continue;
+      }
+
+      this.emit('step:start', stepReport);
+      const stepStartedAt = Date.now();
+
+      try {
+        if (!(await this.evaluateCondition(step.if, vars, interpolate(step.tab, vars)))) {
+          this.logger.debug(`Step ${index + 1} (${step.action}) skipped by condition`);
+          stepReport.durationMs = Date.now() - stepStartedAt;
+          this.emit('step:end', stepReport);
+          continue;
+        }
+
+        stepReport.output = await this.runStep(step, index, vars, artifactDir, stepReport, report);
+        stepReport.status = 'passed';
+      } catch (error) {
+        stepReport.status = 'failed';
+        stepReport.error = { name: error.name, message: error.message };
+        this.logger.error(`Step ${index + 1} (${step.action}) failed: ${error.message}`, {
+          location: 'runner.js:run'
+        });
+
+        // 控制器保存的失败现场，见 capture.onFailure
+        if (error.failureBundle) {
+          const artifact = { type: 'failure', path: error.failureBundle.dir };
+          stepReport.artifacts.push(artifact);
+          report.artifacts.push({ step: index, ...artifact });
+        }
+
+        if (!step.continueOnError) {
+          report.status = 'failed';
+          aborted = true;
+        }
+      }
+
+      stepReport.durationMs = Date.now() - stepStartedAt;
+      this.emit('step:end', stepReport);
+    }
+
+    const finishedAt = new Date();
+    report.finishedAt = finishedAt.toISOString();
+    report.durationMs = finishedAt - startedAt;
+
+    this.logger.info(`Workflow ${report.workflow || ''} ${report.status} in ${report.durationMs}ms`);
+    return report;
+  }
+
+  /**
+   * 执行单个步骤，按步骤配置重试和超时
+   * @private
+   */
+  async runStep(step, index, vars, artifactDir, stepReport, report) {
+    const action = ACTIONS[step.action];
+    const timeout = step.timeout ?? this.defaultTimeout;
+    const retries = step.retries ?? this.defaultRetries;
+    const label = `Step ${index + 1} (${step.name || step.action})`;
+
+    for (let attempt = 0; ; attempt++) {
+      stepReport.attempts = attempt + 1;
+      // 每次尝试都重新替换变量，前面步骤写入的变量对后续步骤可见
+      const resolved = interpolate({ ...step, if: undefined }, vars);
+
+      const context = {
+        controller: this.controller,
+        page: this.controller.page,
+        vars,
+        timeout,
+        index,
+        artifactDir,
+        addArtifact: artifact => {
+          stepReport.artifacts.push(artifact);
+          report.artifacts.push({ step: index, ...artifact });
+        }
+      };
+
+      try {
+        if (resolved.tab !== undefined && resolved.tab !== null) {
+          context.page = await this.controller.getTab(resolved.tab);
+        }
+        return await withTimeout(signal => action.run(resolved, { ...context, signal }), timeout, label, index, this.logger);
+      } catch (error) {
+        if (attempt >= retries) {
+          throw error;
+        }
+        this.logger.warn(`${label} failed (${error.message}), retry ${attempt + 1}/${retries}`);
+        await sleep(step.retryDelay ?? WORKFLOW_CONFIG.retryDelay);
+      }
+    }
+  }
+}
+
+export { WorkflowRunner, interpolate };